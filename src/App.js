@@ -1,17 +1,166 @@
 import React, { useMemo, useState, useEffect } from 'react';
+import { Routes, Route, Navigate } from 'react-router-dom';
 import AdminDashboard from './components/admin/AdminDashboard';
+import AdminLayout from './components/admin/AdminLayout';
 import ReportDashboard from './components/admin/ReportDashboard';
 import BuilderInputReport from './components/admin/BuilderInputReport';
+import WorkshopManager from './components/admin/WorkshopManager';
+import FacilitatorPanel from './components/admin/FacilitatorPanel';
+import RoomBoard from './components/admin/RoomBoard';
+import PeerFeedbackManager from './components/admin/PeerFeedbackManager';
+import PairingSuggestions from './components/admin/PairingSuggestions';
+import JudgingBoard from './components/admin/JudgingBoard';
+import AdminLogin from './components/admin/AdminLogin';
 import BuilderView from './components/BuilderView';
+import PortfolioPage from './components/PortfolioPage';
 import { testSupabaseConnection } from './supabaseClient';
+import { workshopService } from './services/workshopService';
+import { authService } from './services/authService';
+import { getCurriculum } from './curriculum';
+
+/**
+ * Admin routes (/admin/*). Only rendered for a signed-in user with an admin role.
+ */
+function AdminApp() {
+  const [adminUser, setAdminUser] = useState(undefined); // undefined while the auth state is loading
+  const [adminRole, setAdminRole] = useState(null);
+  const [workshopId, setWorkshopId] = useState(localStorage.getItem('adminWorkshopId') || null);
+  const [workshopsVersion, setWorkshopsVersion] = useState(0);
+  const [curriculumId, setCurriculumId] = useState(null);
+  const curriculum = useMemo(() => getCurriculum(curriculumId), [curriculumId]);
+
+  const handleSelectWorkshop = (id) => {
+    setWorkshopId(id);
+    if (id) {
+      localStorage.setItem('adminWorkshopId', id);
+    } else {
+      localStorage.removeItem('adminWorkshopId');
+    }
+  };
+
+  // Admin routes require a signed-in user with an admin role
+  useEffect(() => {
+    const loadAdmin = async (user) => {
+      try {
+        const role = user ? await authService.getAdminRole(user.id) : null;
+        setAdminRole(role);
+      } catch (error) {
+        console.error('Error loading admin role:', error);
+        setAdminRole(null);
+      } finally {
+        setAdminUser(user);
+      }
+    };
+
+    authService.getUser()
+      .then(loadAdmin)
+      .catch(error => {
+        console.error('Error loading auth state:', error);
+        setAdminUser(null);
+      });
+
+    return authService.onAuthStateChange(user => loadAdmin(user));
+  }, []);
+
+  const handleAdminSignOut = async () => {
+    try {
+      await authService.signOut();
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+  };
+
+  // Admin views follow the curriculum of the selected workshop
+  useEffect(() => {
+    if (!adminRole || !workshopId) {
+      setCurriculumId(null);
+      return;
+    }
+
+    workshopService.getWorkshop(workshopId)
+      .then(workshop => setCurriculumId(workshop?.curriculum_id || null))
+      .catch(error => console.error('Error loading workshop curriculum:', error));
+  }, [adminRole, workshopId, workshopsVersion]);
+
+  if (adminUser === undefined) {
+    return <div style={{ minHeight: '100vh', backgroundColor: 'black', color: 'white', padding: '20px' }}>Loading...</div>;
+  }
+
+  if (!adminUser || !adminRole) {
+    return <AdminLogin user={adminUser} onSignOut={handleAdminSignOut} />;
+  }
+
+  const permissions = authService.getPermissions(adminRole);
+
+  return (
+    <Routes>
+      <Route
+        element={
+          <AdminLayout
+            user={adminUser}
+            permissions={permissions}
+            workshopId={workshopId}
+            onSelectWorkshop={handleSelectWorkshop}
+            workshopsVersion={workshopsVersion}
+            onSignOut={handleAdminSignOut}
+          />
+        }
+      >
+        <Route index element={<Navigate to="builders" replace />} />
+        <Route
+          path="builders/:sessionId?"
+          element={
+            <AdminDashboard
+              user={adminUser}
+              workshopId={workshopId}
+              curriculum={curriculum}
+              permissions={permissions}
+              onSelectWorkshop={handleSelectWorkshop}
+            />
+          }
+        />
+        <Route
+          path="live"
+          element={<FacilitatorPanel workshopId={workshopId} curriculum={curriculum} permissions={permissions} />}
+        />
+        <Route path="room" element={<RoomBoard workshopId={workshopId} curriculum={curriculum} />} />
+        <Route
+          path="feedback"
+          element={<PeerFeedbackManager workshopId={workshopId} curriculum={curriculum} permissions={permissions} />}
+        />
+        <Route
+          path="pairing"
+          element={<PairingSuggestions workshopId={workshopId} curriculum={curriculum} permissions={permissions} />}
+        />
+        <Route
+          path="judging"
+          element={<JudgingBoard workshopId={workshopId} curriculum={curriculum} permissions={permissions} />}
+        />
+        <Route path="analytics" element={<ReportDashboard workshopId={workshopId} />} />
+        <Route path="insights" element={<BuilderInputReport workshopId={workshopId} curriculum={curriculum} />} />
+        <Route
+          path="workshops"
+          element={
+            <WorkshopManager
+              selectedWorkshopId={workshopId}
+              onSelectWorkshop={handleSelectWorkshop}
+              onWorkshopsChanged={() => setWorkshopsVersion(v => v + 1)}
+              permissions={permissions}
+            />
+          }
+        />
+        <Route path="*" element={<Navigate to="builders" replace />} />
+      </Route>
+    </Routes>
+  );
+}
 
 function App() {
-  const isAdmin = useMemo(() => {
+  // Links from before routing used ?mode=admin
+  const isLegacyAdminLink = useMemo(() => {
     const urlParams = new URLSearchParams(window.location.search);
     return urlParams.get('mode') === 'admin';
   }, []);
-
-  const [activeView, setActiveView] = useState('builders');
   
   // Test Supabase connection when the app starts
   useEffect(() => {
@@ -24,65 +173,13 @@ function App() {
     testConnection();
   }, []);
 
-  if (!isAdmin) {
-    return <BuilderView />;
-  }
-
-  const NavLink = ({ view, children }) => (
-    <button
-      onClick={() => setActiveView(view)}
-      style={{
-        padding: '10px 20px',
-        textDecoration: 'none',
-        color: activeView === view ? '#4CAF50' : 'white',
-        backgroundColor: activeView === view ? '#1a1a1a' : 'transparent',
-        borderRadius: '4px',
-        transition: 'all 0.3s ease',
-        border: 'none',
-        cursor: 'pointer',
-        fontSize: '16px'
-      }}
-    >
-      {children}
-    </button>
-  );
-
   return (
-    <div style={{
-      minHeight: '100vh',
-      backgroundColor: 'black',
-      color: 'white'
-    }}>
-      {/* Navigation Header */}
-      <nav style={{
-        padding: '20px',
-        borderBottom: '1px solid #333',
-        backgroundColor: '#0a0a0a'
-      }}>
-        <div style={{
-          maxWidth: '1200px',
-          margin: '0 auto',
-          display: 'flex',
-          gap: '20px',
-          alignItems: 'center'
-        }}>
-          <NavLink view="builders">Builders</NavLink>
-          <NavLink view="analytics">Analytics</NavLink>
-          <NavLink view="insights">Builder Insights</NavLink>
-        </div>
-      </nav>
-
-      {/* Main Content */}
-      <main style={{
-        maxWidth: '1200px',
-        margin: '0 auto',
-        padding: '20px'
-      }}>
-        {activeView === 'builders' && <AdminDashboard />}
-        {activeView === 'analytics' && <ReportDashboard />}
-        {activeView === 'insights' && <BuilderInputReport />}
-      </main>
-    </div>
+    <Routes>
+      <Route path="/builder/:sectionId?" element={<BuilderView />} />
+      <Route path="/portfolio/:token" element={<PortfolioPage />} />
+      <Route path="/admin/*" element={<AdminApp />} />
+      <Route path="*" element={<Navigate to={isLegacyAdminLink ? '/admin' : '/builder'} replace />} />
+    </Routes>
   );
 }
 
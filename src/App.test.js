@@ -1,8 +1,29 @@
 import { render, screen } from '@testing-library/react';
+import { MemoryRouter, useLocation } from 'react-router-dom';
 import App from './App';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+function CurrentPath() {
+  return <div data-testid="current-path">{useLocation().pathname}</div>;
+}
+
+const renderAt = (path) => render(
+  <MemoryRouter initialEntries={[path]}>
+    <App />
+    <CurrentPath />
+  </MemoryRouter>
+);
+
+afterEach(() => {
+  window.history.replaceState({}, '', '/');
+});
+
+test('sends visitors to the builder flow', () => {
+  renderAt('/');
+  expect(screen.getByTestId('current-path')).toHaveTextContent(/^\/builder$/);
+});
+
+test('sends old ?mode=admin links to the admin area', () => {
+  window.history.replaceState({}, '', '/?mode=admin');
+  renderAt('/');
+  expect(screen.getByTestId('current-path')).toHaveTextContent(/^\/admin$/);
 });
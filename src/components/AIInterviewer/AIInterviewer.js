@@ -67,11 +67,13 @@ const AIInterviewer = ({ sessionId, onComplete }) => {
   // Initialize interview manager
   const {
     currentQuestion,
+    adaptingQuestion,
     interviewState,
     error: interviewError,
     startInterview,
     processAnswer,
     getNextQuestion,
+    skipAdaptation,
     progress
   } = useInterviewManager({
     sessionId,
@@ -134,7 +136,7 @@ const AIInterviewer = ({ sessionId, onComplete }) => {
   
   // Effect to handle speech completion
   useEffect(() => {
-    if (interviewState === 'active' && !isSpeaking && currentQuestion && !waitingForAnswer) {
+    if (interviewState === 'active' && !isSpeaking && !adaptingQuestion && currentQuestion && !waitingForAnswer) {
       // When the AI finishes speaking the question, start listening for the answer
       setWaitingForAnswer(true);
       setEmotion('listening');
@@ -144,7 +146,7 @@ const AIInterviewer = ({ sessionId, onComplete }) => {
         startListening();
       }, 500);
     }
-  }, [isSpeaking, interviewState, currentQuestion, waitingForAnswer, startListening]);
+  }, [isSpeaking, interviewState, adaptingQuestion, currentQuestion, waitingForAnswer, startListening]);
   
   // Render different UI based on interview state
   const renderInterviewContent = () => {
@@ -208,8 +210,25 @@ const AIInterviewer = ({ sessionId, onComplete }) => {
                 borderRadius: '8px',
                 marginBottom: '15px'
               }}>
-                {currentQuestion}
+                {currentQuestion || (adaptingQuestion && 'Thinking about your answer...')}
+                {adaptingQuestion && currentQuestion && <span style={{ color: '#4CAF50' }}> ▍</span>}
               </div>
+              {adaptingQuestion && (
+                <button
+                  onClick={skipAdaptation}
+                  style={{
+                    padding: '6px 12px',
+                    backgroundColor: '#333',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '4px',
+                    fontSize: '14px',
+                    cursor: 'pointer'
+                  }}
+                >
+                  Skip ahead
+                </button>
+              )}
             </div>
             
             <div className="speech-controls" style={{ marginBottom: '20px' }}>
@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { interviewService } from '../../services/interviewService';
 
 /**
@@ -16,6 +16,11 @@ export const useInterviewManager = ({ sessionId, onQuestion, onInterviewComplete
   const [interviewState, setInterviewState] = useState('idle'); // idle, preparing, active, processing, complete
   const [error, setError] = useState(null);
   const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
+  // True while the next question is being reworded; currentQuestion fills in as it's written
+  const [adaptingQuestion, setAdaptingQuestion] = useState(false);
+  const adaptController = useRef(null);
+
+  useEffect(() => () => adaptController.current?.abort(), []);
   
   // Load existing interview if available
   useEffect(() => {
@@ -118,6 +123,31 @@ export const useInterviewManager = ({ sessionId, onQuestion, onInterviewComplete
     generateQuestions();
   }, [generateQuestions]);
   
+  // Reword the next question in light of the last answer, streaming it into currentQuestion
+  const adaptNextQuestion = useCallback(async (question, previousAnswer) => {
+    const controller = new AbortController();
+    adaptController.current = controller;
+    setAdaptingQuestion(true);
+    setCurrentQuestion('');
+
+    try {
+      return await interviewService.adaptQuestion(question, previousAnswer, {
+        signal: controller.signal,
+        onToken: (delta, textSoFar) => {
+          if (!controller.signal.aborted) setCurrentQuestion(textSoFar);
+        }
+      });
+    } finally {
+      adaptController.current = null;
+      setAdaptingQuestion(false);
+    }
+  }, []);
+
+  // Stop rewording and ask the question as written
+  const skipAdaptation = useCallback(() => {
+    adaptController.current?.abort();
+  }, []);
+
   // Process user's answer and move to next question
   const processAnswer = useCallback(async (answer) => {
     if (!currentQuestion || interviewState !== 'active') {
@@ -148,10 +178,11 @@ export const useInterviewManager = ({ sessionId, onQuestion, onInterviewComplete
         // Move to next question
         const nextIndex = currentQuestionIndex + 1;
         setCurrentQuestionIndex(nextIndex);
-        setCurrentQuestion(questions[nextIndex]);
+        const nextQuestion = await adaptNextQuestion(questions[nextIndex], answer);
+        setCurrentQuestion(nextQuestion);
         
         if (onQuestion) {
-          onQuestion(questions[nextIndex]);
+          onQuestion(nextQuestion);
         }
       } else {
         // Interview complete, generate summary
@@ -162,7 +193,7 @@ export const useInterviewManager = ({ sessionId, onQuestion, onInterviewComplete
       console.error('Error processing answer:', error);
       setError('Failed to process answer');
     }
-  }, [currentQuestion, currentQuestionIndex, interviewState, questions, answers, sessionId, onQuestion]);
+  }, [currentQuestion, currentQuestionIndex, interviewState, questions, answers, sessionId, onQuestion, adaptNextQuestion]);
   
   // Generate summary of the interview
   const generateSummary = useCallback(async (interviewData) => {
@@ -226,11 +257,13 @@ export const useInterviewManager = ({ sessionId, onQuestion, onInterviewComplete
   
   return {
     currentQuestion,
+    adaptingQuestion,
     interviewState,
     error,
     startInterview,
     processAnswer,
     getNextQuestion,
+    skipAdaptation,
     progress: {
       current: currentQuestionIndex + 1,
       total: questions.length
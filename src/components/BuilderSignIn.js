@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { authService } from '../services/authService';
+
+const inputStyle = {
+  marginBottom: '10px',
+  padding: '8px',
+  borderRadius: '4px',
+  border: '1px solid white',
+  backgroundColor: 'black',
+  color: 'white',
+};
+
+const buttonStyle = {
+  padding: '10px',
+  borderRadius: '4px',
+  border: 'none',
+  backgroundColor: 'white',
+  color: 'black',
+  cursor: 'pointer',
+};
+
+const formStyle = {
+  display: 'flex',
+  flexDirection: 'column',
+  width: '100%',
+  marginBottom: '20px',
+  padding: '20px',
+  border: '1px solid white',
+  borderRadius: '8px',
+};
+
+/**
+ * Builder sign-in: an email magic link (to resume from any device) or a
+ * workshop join code (quick start on this device)
+ */
+function BuilderSignIn({ onJoinedWorkshop }) {
+  const [email, setEmail] = useState('');
+  const [joinCode, setJoinCode] = useState('');
+  const [status, setStatus] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleMagicLink = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setStatus(null);
+    try {
+      const { emailSent } = await authService.signInWithMagicLink(email);
+      if (emailSent) {
+        setStatus({ type: 'success', message: `Check ${email} for your sign-in link. You can open it on any device.` });
+      }
+    } catch (error) {
+      console.error('Error sending magic link:', error);
+      setStatus({ type: 'error', message: error.message || 'Could not send the sign-in link' });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleJoinCode = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setStatus(null);
+    try {
+      const { workshop } = await authService.signInWithJoinCode(joinCode);
+      localStorage.setItem('workshopId', workshop.id);
+      onJoinedWorkshop && onJoinedWorkshop(workshop);
+    } catch (error) {
+      console.error('Error joining with code:', error);
+      setStatus({ type: 'error', message: error.message || 'Could not join the workshop' });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div style={{ width: '100%', maxWidth: '500px', marginTop: '40px' }}>
+      <h2>Sign in to your workshop</h2>
+      {authService.isLocal && (
+        <p style={{ color: '#FF9800' }}>
+          Development sign-in: no email is sent and sessions are stored in this browser only.
+        </p>
+      )}
+
+      <form onSubmit={handleMagicLink} style={formStyle}>
+        <label htmlFor="signInEmail">Email:</label>
+        <input
+          type="email"
+          id="signInEmail"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          required
+          style={inputStyle}
+        />
+        <button type="submit" disabled={submitting} style={buttonStyle}>
+          {authService.isLocal ? 'Sign in' : 'Email me a sign-in link'}
+        </button>
+        <p style={{ color: '#888', marginBottom: 0 }}>
+          Use this to pick up where you left off on another laptop.
+        </p>
+      </form>
+
+      <form onSubmit={handleJoinCode} style={formStyle}>
+        <label htmlFor="signInJoinCode">Or join with your workshop code:</label>
+        <input
+          type="text"
+          id="signInJoinCode"
+          value={joinCode}
+          onChange={(e) => setJoinCode(e.target.value)}
+          placeholder="e.g., K7PX2M"
+          required
+          style={{ ...inputStyle, textTransform: 'uppercase' }}
+        />
+        <button type="submit" disabled={submitting} style={buttonStyle}>
+          Join workshop
+        </button>
+        <p style={{ color: '#888', marginBottom: 0 }}>
+          Your work stays on this device until you add an email.
+        </p>
+      </form>
+
+      {status && (
+        <div style={{
+          padding: '10px',
+          borderRadius: '4px',
+          backgroundColor: status.type === 'error' ? '#ff4444' : '#4CAF50',
+          color: 'white'
+        }}>
+          {status.message}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BuilderSignIn;
@@ -1,162 +1,69 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
 import { supabase, withRetry } from '../supabaseClient';
-import ProblemDefinition from '../ProblemDefinition';
-import MVPPlanner from '../MVPPlanner';
-import GiveGetFeedback from '../GiveGetFeedback';
-import RefineYourMVP from '../RefineYourMVP';
-import StartBuild from '../StartBuild';
-import PresentationsRetro from '../PresentationsRetro';
-// Note: Removed imports for AI Interview, Video Reflection, and Review components
-
-const schedule = [
-  { id: 0, name: 'Welcome & Intro: Pursuit & AI', duration: '0:10', start: '11:30 AM', end: '11:40 AM' },
-  { id: 1, name: 'Daily Standup', duration: '0:15', start: '11:40 AM', end: '11:55 AM' },
-  {
-    id: 2,
-    name: 'Workshop',
-    items: [
-      { name: 'Introducing the workshop', duration: '0:10', start: '11:55 AM', end: '12:05 PM' },
-      { name: 'Analyze & Research', duration: '0:35', start: '12:05 PM', end: '12:40 PM' },
-      { name: 'Develop the MVP Product Idea', duration: '0:20', start: '12:40 PM', end: '1:00 PM' },
-      { name: 'Lunch!', duration: '0:30', start: '1:00 PM', end: '1:30 PM', highlight: true },
-      { name: 'Give & Get Feedback', duration: '0:35', start: '1:30 PM', end: '2:05 PM' },
-      { name: 'Refine your product MVP', duration: '0:15', start: '2:05 PM', end: '2:20 PM' },
-      { name: 'Build!', duration: '1:00', start: '2:20 PM', end: '3:20 PM' },
-      { name: 'Break + Prep', duration: '0:15', start: '3:20 PM', end: '3:35 PM' },
-    ]
-  },
-  { id: 3, name: 'Presentation + Retro', duration: '0:45', start: '3:35 PM', end: '4:20 PM' },
-  { id: 4, name: 'Closing', duration: '0:15', start: '4:20 PM', end: '4:30 PM' }
-];
+import { workshopService } from '../services/workshopService';
+import { offlineQueue, isNetworkError } from '../services/offlineQueue';
+import { authService } from '../services/authService';
+import BuilderSignIn from './BuilderSignIn';
+import { getCurriculum, getSectionOrder, getSection, getSectionById, getNextSectionId, validateSection } from '../curriculum';
+import SectionForm from './SectionForm';
+import HelpButton from './HelpButton';
+import TeamPanel from './TeamPanel';
+import ProjectReview from './ProjectReview';
+import PortfolioSharing from './PortfolioSharing';
+import { useLiveSession, formatCountdown } from '../hooks/useLiveSession';
+import { liveSessionService } from '../services/liveSessionService';
+import { roomPresenceService } from '../services/roomPresenceService';
+import { teamService } from '../services/teamService';
+import { projectReviewService } from '../services/projectReviewService';
+// Note: Removed imports for AI Interview and Video Reflection components
 
 function BuilderView() {
   const [name, setName] = useState('');
   const [email, setEmail] = useState('');
-  const [currentSection, setCurrentSection] = useState('userinfo');
-  const [sessionId, setSessionId] = useState(localStorage.getItem('sessionId') || null);
+  const [workshopId, setWorkshopId] = useState(localStorage.getItem('workshopId') || '');
+  const [joinCode, setJoinCode] = useState('');
+  const [workshops, setWorkshops] = useState([]);
+  const [curriculumId, setCurriculumId] = useState(null);
+  const [curriculumWorkshopId, setCurriculumWorkshopId] = useState(null); // Workshop the curriculum was loaded for
+  const [authUser, setAuthUser] = useState(undefined); // undefined while the auth state is loading
+  const [builderSessions, setBuilderSessions] = useState([]);
+  const [linkEmail, setLinkEmail] = useState('');
+  const [sessionId, setSessionId] = useState(null);
+  const [team, setTeam] = useState(null);
   const [userInputs, setUserInputs] = useState([]);
   const [reviewLoading, setReviewLoading] = useState(false);
   const [saving, setSaving] = useState(false);
   const [connectionError, setConnectionError] = useState(null); // Added for connection error tracking
+  const [pendingSync, setPendingSync] = useState(0);
+  const [syncFailures, setSyncFailures] = useState([]);
   const isMounted = useRef(true);
 
-  const sectionOrder = [
-    'User Info',
-    'Problem Definition',
-    'MVP Planner',
-    'Give & Get Feedback',
-    'Refine Your MVP',
-    'Start Build',
-    'Presentations & Retro'
-  ];
-
-  const generateAISummary = (inputs) => {
-    const problemDef = inputs.find(i => i.section_name === 'Problem Definition')?.input_data || {};
-    const aiSolution = inputs.find(i => i.section_name === 'MVP Planner')?.input_data || {};
-    const refinements = inputs.find(i => i.section_name === 'Refine Your MVP')?.input_data || {};
-    
-    return (
-      <div style={{ 
-        backgroundColor: '#1a1a1a', 
-        padding: '20px', 
-        borderRadius: '8px',
-        marginBottom: '30px',
-        border: '1px solid #333'
-      }}>
-        <h3 style={{ color: '#4CAF50', marginTop: 0 }}>🎓 AI Project Review Summary</h3>
-        <p style={{ lineHeight: '1.6' }}>
-          You've developed a project addressing the problem of "{problemDef.summary}". Your solution leverages AI technology 
-          through {aiSolution.aiOptions?.[0]} {aiSolution.howItWorks ? `with a focus on ${aiSolution.howItWorks}` : ''}.
-          {refinements.productRefinement ? ` Through iteration, you've enhanced the concept by ${refinements.productRefinement}.` : ''}
-        </p>
-        <p style={{ lineHeight: '1.6' }}>
-          Key strengths of your approach include:
-          {problemDef.impact ? `\n• Understanding of impact: ${problemDef.impact}` : ''}
-          {aiSolution.valueProposition ? `\n• Clear value proposition: ${aiSolution.valueProposition}` : ''}
-          {refinements.keyImprovements ? `\n• Thoughtful improvements: ${refinements.keyImprovements}` : ''}
-        </p>
-        <p style={{ fontStyle: 'italic', marginTop: '15px', color: '#888' }}>
-          Keep iterating on your solution and consider gathering more user feedback to further refine the implementation.
-        </p>
-      </div>
-    );
-  };
+  // The current section lives in the URL (/builder/:sectionId) so it survives reloads and can be linked
+  const { sectionId } = useParams();
+  const navigate = useNavigate();
+  const currentSection = sectionId || 'user-info';
+  const setCurrentSection = useCallback((id, options) => {
+    navigate(`/builder/${id}`, options);
+  }, [navigate]);
 
-  const formatSectionData = (sectionName, data) => {
-    switch (sectionName) {
-      case 'User Info':
-        return (
-          <div>
-            <p><strong>Name:</strong> {data.name}</p>
-            <p><strong>Email:</strong> {data.email}</p>
-          </div>
-        );
-      case 'Problem Definition':
-        return (
-          <div>
-            <p><strong>Summary:</strong> {data.summary}</p>
-            <p><strong>Context:</strong> {data.context}</p>
-            <p><strong>Impact:</strong> {data.impact}</p>
-            <p><strong>Root Causes:</strong> {data.rootCauses}</p>
-            <p><strong>Outcome:</strong> {data.outcome}</p>
-          </div>
-        );
-      case 'MVP Planner':
-        return (
-          <div>
-            <p><strong>Ideas:</strong></p>
-            <ul>
-              {data.aiOptions?.map((option, index) => (
-                <li key={index}>{option}</li>
-              ))}
-            </ul>
-            <p><strong>How It Works:</strong> {data.howItWorks}</p>
-            <p><strong>Data Needs:</strong> {data.dataNeeds}</p>
-            <p><strong>User Experience:</strong> {data.userExperience}</p>
-            <p><strong>Value Proposition:</strong> {data.valueProposition}</p>
-          </div>
-        );
-      case 'Give & Get Feedback':
-        return (
-          <div>
-            <p><strong>Share:</strong> {data.share}</p>
-            <p><strong>Request Feedback:</strong> {data.requestFeedback}</p>
-            <p><strong>Give Feedback:</strong> {data.giveFeedback}</p>
-            <p><strong>Capture:</strong> {data.capture}</p>
-          </div>
-        );
-      case 'Refine Your MVP':
-        return (
-          <div>
-            <p><strong>Feedback Integration:</strong> {data.feedbackIntegration}</p>
-            <p><strong>AI Enhancement:</strong> {data.aiEnhancement}</p>
-            <p><strong>Product Refinement:</strong> {data.productRefinement}</p>
-            <p><strong>Key Improvements:</strong> {data.keyImprovements}</p>
-          </div>
-        );
-      case 'Start Build':
-        return (
-          <div>
-            <p><strong>What was built:</strong> {data.whatBuilt}</p>
-            <p><strong>Functionality achieved:</strong> {data.functionality}</p>
-            <p><strong>Future additions:</strong> {data.futureAdditions}</p>
-            <p><strong>How AI helped:</strong> {data.aiHelp}</p>
-          </div>
-        );
-      case 'Presentations & Retro':
-        return (
-          <div>
-            <p><strong>Problem (20 sec):</strong> {data.problem}</p>
-            <p><strong>Solution (25 sec):</strong> {data.solution}</p>
-            <p><strong>Demo (50 sec):</strong> {data.demo}</p>
-            <p><strong>Journey (25 sec):</strong> {data.journey}</p>
-            <p><strong>Impact (10 sec):</strong> {data.impact}</p>
-          </div>
-        );
-      default:
-        return <pre>{JSON.stringify(data, null, 2)}</pre>;
-    }
-  };
+  // The selected workshop decides which curriculum (sections, fields, schedule) to run
+  const curriculum = useMemo(() => getCurriculum(curriculumId), [curriculumId]);
+  const sectionOrder = useMemo(() => getSectionOrder(curriculum), [curriculum]);
+
+  // Follow the facilitator's live pacing of the workshop, if it is running
+  const { liveSession, segments, currentSegment: liveSegment, remainingMs, isLive } =
+    useLiveSession(workshopId || null, curriculum);
+  const isSectionLocked = (sectionId) => liveSessionService.isSectionLocked(liveSession, segments, sectionId);
+
+  // Finishing the review section writes the project review, once; facilitators can regenerate it
+  const handleSectionSave = useCallback((sectionName, values) => {
+    const section = getSection(sectionName, curriculum);
+    if (!section?.startsReview || Object.keys(validateSection(section, values)).length > 0) return;
+
+    projectReviewService.ensureReview({ sessionId, workshopId: workshopId || null, teamId: team?.id || null, curriculum })
+      .catch(error => console.error('Error generating project review:', error));
+  }, [sessionId, workshopId, team, curriculum]);
 
   const fetchUserInputs = useCallback(async () => {
     if (!sessionId) {
@@ -207,48 +114,225 @@ function BuilderView() {
     }
   }, [sessionId, sectionOrder]);
 
+  // Team sections are saved under the builder's team, if they are on one
+  useEffect(() => {
+    setTeam(null);
+    if (!sessionId) return;
+
+    let cancelled = false;
+    teamService.getTeamForSession(sessionId)
+      .then(result => {
+        if (!cancelled) setTeam(result);
+      })
+      .catch(error => console.error('Error loading team:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId]);
+
+  useEffect(() => {
+    isMounted.current = true;
+    return () => {
+      isMounted.current = false;
+      console.log('BuilderView component unmounting');
+    };
+  }, []);
+
+  // Follow the builder's sign-in state
+  useEffect(() => {
+    authService.getUser()
+      .then(user => setAuthUser(user))
+      .catch(error => {
+        console.error('Error loading auth state:', error);
+        setAuthUser(null);
+      });
+
+    return authService.onAuthStateChange(user => setAuthUser(user));
+  }, []);
+
+  // Resume the signed-in builder's session (or claim the one started in this browser)
+  const authUserId = authUser?.id;
+  useEffect(() => {
+    if (!authUserId) {
+      setSessionId(null);
+      setBuilderSessions([]);
+      return;
+    }
+
+    let active = true;
+    const resolveSession = async () => {
+      try {
+        const { sessionId: resolvedSessionId, sessions } = await authService.resolveSession(authUserId);
+        if (!active) return;
+
+        console.log('Using session ID:', resolvedSessionId);
+        setSessionId(resolvedSessionId);
+        setBuilderSessions(sessions);
+
+        const workshopIdForSession = sessions.find(session => session.session_id === resolvedSessionId)?.workshop_id;
+        if (workshopIdForSession) {
+          setWorkshopId(workshopIdForSession);
+          localStorage.setItem('workshopId', workshopIdForSession);
+        }
+      } catch (error) {
+        console.error('Error resolving builder session:', error);
+        if (active) {
+          setConnectionError(`Could not load your workshop sessions: ${error.message}`);
+        }
+      }
+    };
+
+    resolveSession();
+    return () => {
+      active = false;
+    };
+  }, [authUserId]);
+
   useEffect(() => {
     const storedName = localStorage.getItem('userName');
     const storedEmail = localStorage.getItem('userEmail');
     if (storedName) setName(storedName);
-    if (storedEmail) setEmail(storedEmail);
+    if (storedEmail) {
+      setEmail(storedEmail);
+    } else if (authUser?.email) {
+      setEmail(authUser.email);
+    }
+  }, [sessionId, authUser]);
 
-    if (!sessionId) {
-      console.log('No session ID found, generating new one');
+  // Set a default section if none is selected, once the workshop's curriculum is known
+  const curriculumReady = !workshopId || curriculumWorkshopId === workshopId;
+  useEffect(() => {
+    if (sectionId || !curriculumReady) return;
+    if (localStorage.getItem('userName') && localStorage.getItem('userEmail')) {
+      console.log('User info already exists, defaulting to the first workshop section');
+      setCurrentSection(getNextSectionId('user-info', curriculum), { replace: true });
+    }
+  }, [sessionId, sectionId, curriculum, curriculumReady, setCurrentSection]);
+
+  useEffect(() => {
+    if (currentSection === 'review' && sessionId) {
+      fetchUserInputs();
+    }
+  }, [currentSection, sessionId, fetchUserInputs]);
+
+  // Load the workshops a builder can join
+  useEffect(() => {
+    const loadWorkshops = async () => {
       try {
-        const newSessionId = crypto.randomUUID();
-        console.log('Generated new session ID:', newSessionId);
-        setSessionId(newSessionId);
-        localStorage.setItem('sessionId', newSessionId);
+        const activeWorkshops = await workshopService.listWorkshops({ activeOnly: true });
+        if (isMounted.current) {
+          setWorkshops(activeWorkshops);
+        }
       } catch (error) {
-        console.error('Error generating session ID:', error);
-        // Fallback to timestamp-based ID if randomUUID fails
-        const fallbackId = `session-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
-        console.log('Using fallback session ID:', fallbackId);
-        setSessionId(fallbackId);
-        localStorage.setItem('sessionId', fallbackId);
+        console.error('Error loading workshops:', error);
       }
-    } else {
-      console.log('Using existing session ID:', sessionId);
-    }
+    };
 
-    // Set a default section if none is selected
-    if (currentSection === 'userinfo' && storedName && storedEmail) {
-      console.log('User info already exists, defaulting to problem definition section');
-      setCurrentSection('problemdefinition');
+    loadWorkshops();
+  }, []);
+
+  // Load the curriculum of the builder's workshop
+  useEffect(() => {
+    if (!workshopId) {
+      setCurriculumId(null);
+      setCurriculumWorkshopId(null);
+      return;
     }
 
+    const loadCurriculum = async () => {
+      try {
+        const workshop = await workshopService.getWorkshop(workshopId);
+        if (isMounted.current) {
+          setCurriculumId(workshop?.curriculum_id || null);
+        }
+      } catch (error) {
+        console.error('Error loading workshop curriculum:', error);
+      } finally {
+        // Fall back to the default curriculum if the workshop can't be loaded
+        if (isMounted.current) setCurriculumWorkshopId(workshopId);
+      }
+    };
+
+    loadCurriculum();
+  }, [workshopId]);
+
+  // Track writes waiting in the offline queue and replay them once Supabase is reachable
+  useEffect(() => {
+    const unsubscribe = offlineQueue.subscribe(({ pending, failed }) => {
+      setPendingSync(pending);
+      if (failed?.length > 0) setSyncFailures(previous => [...previous, ...failed]);
+    });
+
+    const syncPendingWrites = () => {
+      offlineQueue.syncIfOnline().catch(error => {
+        console.error('Error syncing offline writes:', error);
+      });
+    };
+
+    syncPendingWrites();
+    window.addEventListener('online', syncPendingWrites);
+
     return () => {
-      isMounted.current = false;
-      console.log('BuilderView component unmounting');
+      unsubscribe();
+      window.removeEventListener('online', syncPendingWrites);
     };
-  }, [sessionId, currentSection]);
+  }, []);
 
+  // Keep retrying while there's something to sync; the 'online' event alone
+  // doesn't fire when the wifi is up but the venue network can't reach Supabase
   useEffect(() => {
-    if (currentSection === 'review' && sessionId) {
-      fetchUserInputs();
-    }
-  }, [currentSection, sessionId, fetchUserInputs]);
+    if (pendingSync === 0) return;
+
+    const interval = setInterval(() => {
+      offlineQueue.syncIfOnline().catch(error => {
+        console.error('Error syncing offline writes:', error);
+      });
+    }, 15000);
+
+    return () => clearInterval(interval);
+  }, [pendingSync]);
+
+  // Show up on the facilitators' room board: which section, since when, last keystroke
+  const presence = useRef(null);
+  const lastActivityTracked = useRef(0);
+  const presenceName = name || localStorage.getItem('userName') || '';
+  const latestPresence = useRef({});
+  latestPresence.current = { name: presenceName, sectionId: currentSection };
+
+  useEffect(() => {
+    if (!authUserId || !sessionId || !workshopId) return;
+
+    const now = new Date().toISOString();
+    presence.current = roomPresenceService.join(workshopId, sessionId, {
+      ...latestPresence.current,
+      sectionEnteredAt: now,
+      lastActivityAt: now
+    });
+
+    const handleActivity = () => {
+      // Presence updates are throttled; idle warnings are measured in minutes
+      if (Date.now() - lastActivityTracked.current < 30000) return;
+      lastActivityTracked.current = Date.now();
+      presence.current?.update({ lastActivityAt: new Date().toISOString() });
+    };
+    document.addEventListener('input', handleActivity);
+
+    return () => {
+      document.removeEventListener('input', handleActivity);
+      presence.current?.leave();
+      presence.current = null;
+    };
+  }, [authUserId, sessionId, workshopId]);
+
+  useEffect(() => {
+    const now = new Date().toISOString();
+    presence.current?.update({ sectionId: currentSection, sectionEnteredAt: now, lastActivityAt: now });
+  }, [currentSection]);
+
+  useEffect(() => {
+    presence.current?.update({ name: presenceName });
+  }, [presenceName]);
 
   const handleNameChange = (event) => {
     setName(event.target.value);
@@ -258,6 +342,15 @@ function BuilderView() {
     setEmail(event.target.value);
   };
 
+  const handleWorkshopChange = (event) => {
+    setWorkshopId(event.target.value);
+    setJoinCode('');
+  };
+
+  const handleJoinCodeChange = (event) => {
+    setJoinCode(event.target.value);
+  };
+
   const handleUserInfoSubmit = async (event) => {
     event.preventDefault();
 
@@ -266,75 +359,86 @@ function BuilderView() {
       return;
     }
 
-    localStorage.setItem('userName', name);
-    localStorage.setItem('userEmail', email);
-
     setSaving(true);
     setConnectionError(null); // Reset connection error
     try {
+      // A join code takes precedence over the workshop picked from the list
+      let selectedWorkshopId = workshopId || null;
+      if (joinCode.trim()) {
+        const workshop = await workshopService.getWorkshopByJoinCode(joinCode);
+        if (!workshop) {
+          alert(`No active workshop found for join code "${workshopService.normalizeJoinCode(joinCode)}".`);
+          return;
+        }
+        selectedWorkshopId = workshop.id;
+        setWorkshopId(workshop.id);
+        setJoinCode('');
+      }
+
+      localStorage.setItem('userName', name);
+      localStorage.setItem('userEmail', email);
+      if (selectedWorkshopId) {
+        localStorage.setItem('workshopId', selectedWorkshopId);
+      } else {
+        localStorage.removeItem('workshopId');
+      }
+
+      if (authUser) {
+        try {
+          await authService.claimSession(authUser.id, sessionId, selectedWorkshopId);
+          setBuilderSessions(await authService.listSessions(authUser.id));
+        } catch (error) {
+          // Not fatal: the session is already claimed, only its workshop label is stale
+          console.error('Error updating builder session workshop:', error);
+        }
+      }
+
       console.log('Saving user info:', {
         session_id: sessionId,
+        workshop_id: selectedWorkshopId,
         name,
         email
       });
 
-      // Use withRetry for checking if a record exists
-      const { data: existingData, error: fetchError } = await withRetry(async () => {
-        return await supabase
-          .from('user_inputs')
-          .select('id')
-          .eq('session_id', sessionId)
-          .eq('section_name', 'User Info')
-          .maybeSingle();
-      }, 3, 2000);
-
-      if (fetchError) {
-        console.error('Error checking for existing user info:', fetchError);
-        setConnectionError(`Database error: ${fetchError.message}`);
-        throw fetchError;
-      }
-
-      let error;
-      if (existingData) {
-        console.log('Updating existing user info record');
-        // Update existing record with withRetry
-        const { error: updateError } = await withRetry(async () => {
-          return await supabase
-            .from('user_inputs')
-            .update({
-              input_data: { name, email },
-              updated_at: new Date().toISOString()
-            })
-            .eq('session_id', sessionId)
-            .eq('section_name', 'User Info');
-        }, 3, 2000);
-        
-        error = updateError;
-      } else {
-        console.log('Creating new user info record');
-        // Insert new record with withRetry
-        const { error: insertError } = await withRetry(async () => {
+      const userInfoWrite = {
+        table: 'user_inputs',
+        key: `${sessionId}:User Info`,
+        row: {
+          session_id: sessionId,
+          section_name: 'User Info',
+          workshop_id: selectedWorkshopId,
+          input_data: { name, email }
+        },
+        onConflict: 'session_id,section_name'
+      };
+
+      // Queue behind unsynced writes, or when the database can't be reached
+      let queued = await offlineQueue.hasPending(userInfoWrite.table, userInfoWrite.key);
+      if (!queued) {
+        const { error } = await withRetry(async () => {
           return await supabase
             .from('user_inputs')
-            .insert({
-              session_id: sessionId,
-              section_name: 'User Info',
-              input_data: { name, email }
-            });
+            .upsert(userInfoWrite.row, { onConflict: userInfoWrite.onConflict });
         }, 3, 2000);
-        
-        error = insertError;
+
+        if (error && !isNetworkError(error)) {
+          console.error('Database operation failed:', error);
+          setConnectionError(`Database operation failed: ${error.message}`);
+          throw error;
+        }
+        queued = !!error;
       }
 
-      if (error) {
-        console.error('Database operation failed:', error);
-        setConnectionError(`Database operation failed: ${error.message}`);
-        throw error;
+      if (queued) {
+        await offlineQueue.enqueue(userInfoWrite);
+        alert('You appear to be offline. Your information is saved on this device and will sync when the connection is back.');
+        setCurrentSection(getNextSectionId('user-info', curriculum));
+        return;
       }
 
       console.log('User info saved successfully');
       alert('Your information has been saved!');
-      setCurrentSection('problemdefinition');
+      setCurrentSection(getNextSectionId('user-info', curriculum));
     } catch (error) {
       console.error('Error saving data:', error);
       
@@ -355,128 +459,142 @@ function BuilderView() {
     }
   };
 
-  // Define getNextSection before it's used in handleSectionSave
-  const getNextSection = useCallback((sectionName) => {
-    switch (sectionName) {
-      case 'Problem Definition':
-        return 'mvpplanner';
-      case 'MVP Planner':
-        return 'givegetfeedback';
-      case 'Give & Get Feedback':
-        return 'refineyourmvp';
-      case 'Refine Your MVP':
-        return 'startbuild';
-      case 'Start Build':
-        return 'presentationsretro';
-      case 'Presentations & Retro':
-        return 'review';
-      default:
-        return 'userinfo';
+  const handleEdit = (sectionName) => {
+    const section = getSection(sectionName, curriculum);
+    if (section) {
+      setCurrentSection(section.id);
     }
-  }, []);
-
-  const handleSectionSave = useCallback(
-    async (sectionName, sectionData) => {
-      if (!sessionId) {
-        console.error('Cannot save: No session ID available');
-        return;
-      }
-
-      setSaving(true);
-      setConnectionError(null); // Reset connection error
-      try {
-        console.log('Saving section data:', {
-          session_id: sessionId,
-          section_name: sectionName,
-          data: sectionData
-        });
+  };
 
-        // First check if a record already exists with withRetry
-        const { data: existingData, error: fetchError } = await withRetry(async () => {
-          return await supabase
-            .from('user_inputs')
-            .select('id')
-            .eq('session_id', sessionId)
-            .eq('section_name', sectionName)
-            .maybeSingle();
-        }, 3, 2000);
+  // Display connection error if present
+  const renderConnectionError = () => {
+    if (!connectionError) return null;
+    
+    return (
+      <div style={{
+        backgroundColor: '#ff4444',
+        color: 'white',
+        padding: '10px',
+        borderRadius: '4px',
+        marginBottom: '20px',
+        width: '100%'
+      }}>
+        <strong>Connection Error:</strong> {connectionError}
+      </div>
+    );
+  };
 
-        if (fetchError) {
-          console.error('Error checking for existing data:', fetchError);
-          setConnectionError(`Database error: ${fetchError.message}`);
-          throw fetchError;
+  const handleSwitchSession = async (event) => {
+    const value = event.target.value;
+    try {
+      let nextSessionId = value;
+      if (value === 'new') {
+        nextSessionId = await authService.startNewSession(authUser.id, null);
+        setBuilderSessions(await authService.listSessions(authUser.id));
+        setWorkshopId('');
+        localStorage.removeItem('workshopId');
+      } else {
+        const session = builderSessions.find(item => item.session_id === value);
+        localStorage.setItem('sessionId', value);
+        if (session?.workshop_id) {
+          setWorkshopId(session.workshop_id);
+          localStorage.setItem('workshopId', session.workshop_id);
         }
+      }
+      setSessionId(nextSessionId);
+      setCurrentSection('user-info');
+    } catch (error) {
+      console.error('Error switching session:', error);
+      alert('Error switching session: ' + (error.message || 'Unknown error'));
+    }
+  };
 
-        let error;
-        if (existingData) {
-          console.log(`Updating existing record for ${sectionName}`);
-          // Update existing record with withRetry
-          const { error: updateError } = await withRetry(async () => {
-            return await supabase
-              .from('user_inputs')
-              .update({
-                input_data: sectionData,
-                updated_at: new Date().toISOString()
-              })
-              .eq('session_id', sessionId)
-              .eq('section_name', sectionName);
-          }, 3, 2000);
-          
-          error = updateError;
-        } else {
-          console.log(`Creating new record for ${sectionName}`);
-          // Insert new record with withRetry
-          const { error: insertError } = await withRetry(async () => {
-            return await supabase
-              .from('user_inputs')
-              .insert({
-                session_id: sessionId,
-                section_name: sectionName,
-                input_data: sectionData
-              });
-          }, 3, 2000);
-          
-          error = insertError;
-        }
+  const handleLinkEmail = async (event) => {
+    event.preventDefault();
+    try {
+      const user = await authService.linkEmail(linkEmail);
+      setLinkEmail('');
+      if (authService.isLocal) {
+        setAuthUser(user);
+      } else {
+        alert(`We sent a confirmation link to ${linkEmail}. Once confirmed you can sign in with it on any device.`);
+      }
+    } catch (error) {
+      console.error('Error adding email:', error);
+      alert('Error adding email: ' + (error.message || 'Unknown error'));
+    }
+  };
 
-        if (error) {
-          console.error('Database operation failed:', error);
-          setConnectionError(`Database operation failed: ${error.message}`);
-          throw error;
-        }
+  const handleSignOut = async () => {
+    try {
+      await authService.signOut();
+      localStorage.removeItem('userName');
+      localStorage.removeItem('userEmail');
+      setName('');
+      setEmail('');
+      setWorkshopId('');
+      setCurrentSection('user-info');
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+  };
 
-        console.log('Section data saved successfully');
-        // Don't automatically advance to next section - let the user control navigation
-      } catch (error) {
-        console.error('Error saving data:', error);
-        
-        // Provide more specific error messages
-        if (error instanceof TypeError && error.message.includes('Failed to fetch')) {
-          const errorMsg = 'Network error: Could not connect to the database. Please check your internet connection and try again.';
-          setConnectionError(errorMsg);
-          alert(errorMsg);
-        } else {
-          const errorMsg = 'Error saving data: ' + (error.message || 'Unknown error');
-          setConnectionError(errorMsg);
-          alert(errorMsg);
-        }
-      } finally {
-        if (isMounted.current) {
-          setSaving(false);
-        }
-      }
-    },
-    [sessionId, getNextSection]
+  const renderAccountBar = () => (
+    <div style={{
+      width: '100%',
+      display: 'flex',
+      justifyContent: 'flex-end',
+      alignItems: 'center',
+      gap: '10px',
+      color: '#888',
+      fontSize: '14px'
+    }}>
+      <span>{authUser.email ? `Signed in as ${authUser.email}` : 'Joined with a workshop code'}</span>
+      {!authUser.email && (
+        <form onSubmit={handleLinkEmail} style={{ display: 'flex', gap: '5px' }}>
+          <input
+            type="email"
+            value={linkEmail}
+            onChange={(e) => setLinkEmail(e.target.value)}
+            placeholder="Add email to resume elsewhere"
+            required
+            style={{ padding: '4px 8px', borderRadius: '4px', border: '1px solid #333', backgroundColor: 'black', color: 'white' }}
+          />
+          <button type="submit" style={{ padding: '4px 8px', borderRadius: '4px', border: 'none', cursor: 'pointer' }}>
+            Add
+          </button>
+        </form>
+      )}
+      {sessionId && (
+        <select
+          value={sessionId}
+          onChange={handleSwitchSession}
+          style={{ padding: '4px 8px', borderRadius: '4px', border: '1px solid #333', backgroundColor: 'black', color: 'white' }}
+        >
+          {builderSessions.map((session) => {
+            const workshop = workshops.find(item => item.id === session.workshop_id);
+            return (
+              <option key={session.session_id} value={session.session_id}>
+                {workshop ? workshop.name : 'Session'} – started {new Date(session.created_at).toLocaleDateString()}
+              </option>
+            );
+          })}
+          <option value="new">+ Start a new session</option>
+        </select>
+      )}
+      <button
+        onClick={handleSignOut}
+        style={{ padding: '4px 8px', borderRadius: '4px', border: '1px solid #333', backgroundColor: 'black', color: 'white', cursor: 'pointer' }}
+      >
+        Sign out
+      </button>
+    </div>
   );
 
-  const handleEdit = (sectionName) => {
-    setCurrentSection(sectionName.toLowerCase().replace(/\s+/g, ''));
-  };
+  const renderSyncFailures = () => {
+    if (syncFailures.length === 0) return null;
 
-  // Display connection error if present
-  const renderConnectionError = () => {
-    if (!connectionError) return null;
-    
+    const sectionNames = [...new Set(syncFailures.map(failure => failure.sectionName || failure.key))];
     return (
       <div style={{
         backgroundColor: '#ff4444',
@@ -484,9 +602,75 @@ function BuilderView() {
         padding: '10px',
         borderRadius: '4px',
         marginBottom: '20px',
+        width: '100%',
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        gap: '10px'
+      }}>
+        <span>
+          <strong>Not saved:</strong> changes to {sectionNames.join(', ')} made while offline were
+          rejected when uploading ({syncFailures[syncFailures.length - 1].message}). Please check
+          {sectionNames.length === 1 ? ' that section' : ' those sections'} and save again.
+        </span>
+        <button
+          onClick={() => setSyncFailures([])}
+          style={{ background: 'none', border: 'none', color: 'white', cursor: 'pointer', fontSize: '16px' }}
+        >
+          ×
+        </button>
+      </div>
+    );
+  };
+
+  const renderPendingSync = () => {
+    if (pendingSync === 0) return null;
+
+    return (
+      <div style={{
+        backgroundColor: '#FF9800',
+        color: 'black',
+        padding: '10px',
+        borderRadius: '4px',
+        marginBottom: '20px',
         width: '100%'
       }}>
-        <strong>Connection Error:</strong> {connectionError}
+        <strong>Waiting to sync:</strong> {pendingSync} {pendingSync === 1 ? 'section is' : 'sections are'} saved
+        on this device and will be uploaded when the connection is back.
+      </div>
+    );
+  };
+
+  const renderLiveBanner = () => {
+    if (!isLive) return null;
+
+    const liveSection = liveSegment.sectionId && getSectionById(liveSegment.sectionId, curriculum);
+    return (
+      <div style={{
+        backgroundColor: '#4CAF50',
+        color: 'white',
+        padding: '10px',
+        borderRadius: '4px',
+        marginBottom: '20px',
+        width: '100%',
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        gap: '10px'
+      }}>
+        <span>
+          <strong>Now:</strong> {liveSegment.name}
+          {' · '}
+          {liveSession.status === 'paused' ? 'paused' : `${formatCountdown(remainingMs)} left`}
+        </span>
+        {liveSection && currentSection !== liveSection.id && (
+          <button
+            onClick={() => setCurrentSection(liveSection.id)}
+            style={{ padding: '6px 12px', borderRadius: '4px', border: 'none', backgroundColor: 'white', color: 'black', cursor: 'pointer' }}
+          >
+            Go to {liveSection.navLabel || liveSection.name}
+          </button>
+        )}
       </div>
     );
   };
@@ -501,14 +685,15 @@ function BuilderView() {
     }}>
       <h3 style={{ marginTop: 0 }}>📅 Today's Schedule</h3>
       <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
-        {schedule.map((item) => (
+        {curriculum.schedule.map((item) => (
           <div key={item.id}>
             <div style={{ 
               display: 'grid',
               gridTemplateColumns: '1fr 100px 200px',
               alignItems: 'center',
               gap: '10px',
-              padding: '5px 0'
+              padding: '5px 0',
+              ...(isLive && liveSegment.key === `${item.id}` ? { outline: '2px solid #4CAF50', borderRadius: '4px' } : {})
             }}>
               <span style={{ fontWeight: 'bold' }}>{item.name}</span>
               <span style={{ color: '#888', textAlign: 'center' }}>{item.duration}</span>
@@ -525,7 +710,8 @@ function BuilderView() {
                     padding: '5px 0',
                     backgroundColor: subItem.highlight ? '#4CAF50' : 'transparent',
                     borderRadius: '4px',
-                    padding: subItem.highlight ? '8px' : '5px 0'
+                    padding: subItem.highlight ? '8px' : '5px 0',
+                    ...(isLive && liveSegment.key === `${item.id}.${index}` ? { outline: '2px solid #4CAF50' } : {})
                   }}>
                     <span>{subItem.name}</span>
                     <span style={{ color: '#888', textAlign: 'center' }}>{subItem.duration}</span>
@@ -540,20 +726,35 @@ function BuilderView() {
     </div>
   );
 
+  const pageStyle = {
+    backgroundColor: 'black',
+    color: 'white',
+    minHeight: '100vh',
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    justifyContent: 'flex-start',
+    padding: '20px',
+  };
+
+  if (authUser === undefined) {
+    return <div className="App" style={pageStyle}>Loading...</div>;
+  }
+
+  if (!authUser) {
+    return (
+      <div className="App" style={pageStyle}>
+        <BuilderSignIn onJoinedWorkshop={(workshop) => setWorkshopId(workshop.id)} />
+      </div>
+    );
+  }
+
   return (
     <div
       className="App"
-      style={{
-        backgroundColor: 'black',
-        color: 'white',
-        minHeight: '100vh',
-        display: 'flex',
-        flexDirection: 'column',
-        alignItems: 'center',
-        justifyContent: 'flex-start',
-        padding: '20px',
-      }}
+      style={pageStyle}
     >
+      {renderAccountBar()}
       <div
         style={{
           width: '100%',
@@ -564,115 +765,60 @@ function BuilderView() {
           justifyContent: 'space-around',
         }}
       >
-        <button
-          onClick={() => setCurrentSection('userinfo')}
-          style={{
-            padding: '10px 20px',
-            borderRadius: '4px',
-            border: 'none',
-            backgroundColor: currentSection === 'userinfo' ? 'white' : 'black',
-            color: currentSection === 'userinfo' ? 'black' : 'white',
-            cursor: 'pointer',
-            fontWeight: currentSection === 'userinfo' ? 'bold' : 'normal',
-          }}
-        >
-          User Info
-        </button>
-        {sessionId && (
-          <>
+        {curriculum.sections.map((section) => {
+          // Workshop sections only become available once a session exists
+          if (!section.builtIn && !sessionId) return null;
+
+          const isActive = currentSection === section.id;
+          const isLiveSection = isLive && liveSegment.sectionId === section.id;
+          const locked = isSectionLocked(section.id);
+          return (
             <button
-              onClick={() => setCurrentSection('problemdefinition')}
+              key={section.id}
+              onClick={() => setCurrentSection(section.id)}
+              disabled={locked}
+              title={locked ? 'Opens when the workshop gets to it' : undefined}
               style={{
                 padding: '10px 20px',
                 borderRadius: '4px',
-                border: 'none',
-                backgroundColor: currentSection === 'problemdefinition' ? 'white' : 'black',
-                color: currentSection === 'problemdefinition' ? 'black' : 'white',
-                cursor: 'pointer',
-                fontWeight: currentSection === 'problemdefinition' ? 'bold' : 'normal',
+                border: isLiveSection ? '2px solid #4CAF50' : 'none',
+                backgroundColor: isActive ? 'white' : 'black',
+                color: isActive ? 'black' : locked ? '#666' : 'white',
+                cursor: locked ? 'not-allowed' : 'pointer',
+                fontWeight: isActive ? 'bold' : 'normal',
               }}
             >
-              Problem Definition
+              {locked && '🔒 '}
+              {section.navLabel || section.name}
             </button>
-            <button
-              onClick={() => setCurrentSection('mvpplanner')}
-              style={{
-                padding: '10px 20px',
-                borderRadius: '4px',
-                border: 'none',
-                backgroundColor: currentSection === 'mvpplanner' ? 'white' : 'black',
-                color: currentSection === 'mvpplanner' ? 'black' : 'white',
-                cursor: 'pointer',
-                fontWeight: currentSection === 'mvpplanner' ? 'bold' : 'normal',
-              }}
-            >
-              MVP Planner
-            </button>
-            <button
-              onClick={() => setCurrentSection('givegetfeedback')}
-              style={{
-                padding: '10px 20px',
-                borderRadius: '4px',
-                border: 'none',
-                backgroundColor: currentSection === 'givegetfeedback' ? 'white' : 'black',
-                color: currentSection === 'givegetfeedback' ? 'black' : 'white',
-                cursor: 'pointer',
-                fontWeight: currentSection === 'givegetfeedback' ? 'bold' : 'normal',
-              }}
-            >
-              Give & Get Feedback
-            </button>
-            <button
-              onClick={() => setCurrentSection('refineyourmvp')}
-              style={{
-                padding: '10px 20px',
-                borderRadius: '4px',
-                border: 'none',
-                backgroundColor: currentSection === 'refineyourmvp' ? 'white' : 'black',
-                color: currentSection === 'refineyourmvp' ? 'black' : 'white',
-                cursor: 'pointer',
-                fontWeight: currentSection === 'refineyourmvp' ? 'bold' : 'normal',
-              }}
-            >
-              Refine Your MVP
-            </button>
-            <button
-              onClick={() => setCurrentSection('startbuild')}
-              style={{
-                padding: '10px 20px',
-                borderRadius: '4px',
-                border: 'none',
-                backgroundColor: currentSection === 'startbuild' ? 'white' : 'black',
-                color: currentSection === 'startbuild' ? 'black' : 'white',
-                cursor: 'pointer',
-                fontWeight: currentSection === 'startbuild' ? 'bold' : 'normal',
-              }}
-            >
-              Start Build
-            </button>
-            <button
-              onClick={() => setCurrentSection('presentationsretro')}
-              style={{
-                padding: '10px 20px',
-                borderRadius: '4px',
-                border: 'none',
-                backgroundColor: currentSection === 'presentationsretro' ? 'white' : 'black',
-                color: currentSection === 'presentationsretro' ? 'black' : 'white',
-                cursor: 'pointer',
-                fontWeight: currentSection === 'presentationsretro' ? 'bold' : 'normal',
-              }}
-            >
-              Presentations & Retro
-            </button>
-            {/* AI Interview, Video Reflection and Review sections removed */}
-          </>
+          );
+        })}
+        {sessionId && (
+          <button
+            onClick={() => setCurrentSection('review')}
+            style={{
+              padding: '10px 20px',
+              borderRadius: '4px',
+              border: 'none',
+              backgroundColor: currentSection === 'review' ? 'white' : 'black',
+              color: currentSection === 'review' ? 'black' : 'white',
+              cursor: 'pointer',
+              fontWeight: currentSection === 'review' ? 'bold' : 'normal',
+            }}
+          >
+            Review
+          </button>
         )}
+        {/* AI Interview and Video Reflection sections removed */}
       </div>
 
+      {renderLiveBanner()}
       {renderConnectionError()}
+      {renderSyncFailures()}
+      {renderPendingSync()}
       {saving && <p>Saving...</p>}
 
-      {currentSection === 'userinfo' && (
+      {currentSection === 'user-info' && (
         <div style={{ width: '100%', maxWidth: '800px' }}>
           <form
             onSubmit={handleUserInfoSubmit}
@@ -718,6 +864,46 @@ function BuilderView() {
               }}
             />
 
+            <label htmlFor="workshop">Workshop:</label>
+            <select
+              id="workshop"
+              value={workshopId}
+              onChange={handleWorkshopChange}
+              style={{
+                marginBottom: '10px',
+                padding: '8px',
+                borderRadius: '4px',
+                border: '1px solid white',
+                backgroundColor: 'black',
+                color: 'white',
+              }}
+            >
+              <option value="">Select your workshop...</option>
+              {workshops.map((workshop) => (
+                <option key={workshop.id} value={workshop.id}>
+                  {workshop.name} ({new Date(`${workshop.workshop_date}T00:00:00`).toLocaleDateString()})
+                </option>
+              ))}
+            </select>
+
+            <label htmlFor="joinCode">Or enter a join code:</label>
+            <input
+              type="text"
+              id="joinCode"
+              value={joinCode}
+              onChange={handleJoinCodeChange}
+              placeholder="e.g., K7PX2M"
+              style={{
+                marginBottom: '10px',
+                padding: '8px',
+                borderRadius: '4px',
+                border: '1px solid white',
+                backgroundColor: 'black',
+                color: 'white',
+                textTransform: 'uppercase',
+              }}
+            />
+
             <button
               type="submit"
               style={{
@@ -733,60 +919,64 @@ function BuilderView() {
             </button>
           </form>
 
+          <TeamPanel
+            team={team}
+            sessionId={sessionId}
+            workshopId={workshopId || null}
+            builderName={presenceName}
+            curriculum={curriculum}
+            onTeamChange={setTeam}
+          />
+
           {renderSchedule()}
         </div>
       )}
 
       {/* Always render components but with display:none when not active */}
-      <div style={{ display: currentSection === 'problemdefinition' ? 'block' : 'none', width: '100%' }}>
-        <ProblemDefinition
-          onSave={handleSectionSave}
-          sessionId={sessionId}
-          key={`problem-${sessionId}`}
-        />
-      </div>
-
-      <div style={{ display: currentSection === 'mvpplanner' ? 'block' : 'none', width: '100%' }}>
-        <MVPPlanner
-          onSave={handleSectionSave}
-          sessionId={sessionId}
-          key={`mvp-${sessionId}`}
-        />
-      </div>
-
-      <div style={{ display: currentSection === 'givegetfeedback' ? 'block' : 'none', width: '100%' }}>
-        <GiveGetFeedback
-          onSave={handleSectionSave}
-          sessionId={sessionId}
-          key={`feedback-${sessionId}`}
-        />
-      </div>
-
-      <div style={{ display: currentSection === 'refineyourmvp' ? 'block' : 'none', width: '100%' }}>
-        <RefineYourMVP
-          onSave={handleSectionSave}
-          sessionId={sessionId}
-          key={`refine-${sessionId}`}
-        />
-      </div>
-
-      <div style={{ display: currentSection === 'startbuild' ? 'block' : 'none', width: '100%' }}>
-        <StartBuild
-          onSave={handleSectionSave}
-          sessionId={sessionId}
-          key={`build-${sessionId}`}
-        />
-      </div>
+      {curriculum.sections.filter((section) => !section.builtIn).map((section) => (
+        <div key={section.id} style={{ display: currentSection === section.id && !isSectionLocked(section.id) ? 'block' : 'none', width: '100%' }}>
+          <SectionForm
+            section={section}
+            sessionId={sessionId}
+            workshopId={workshopId || null}
+            curriculum={curriculum}
+            team={team}
+            builderName={presenceName}
+            onSave={handleSectionSave}
+            key={`${curriculum.id}-${section.id}-${sessionId}-${team?.id || 'solo'}`}
+          />
+        </div>
+      ))}
+      {currentSection === 'review' && sessionId && (
+        <div style={{ width: '100%', maxWidth: '800px' }}>
+          <ProjectReview
+            sessionId={sessionId}
+            workshopId={workshopId || null}
+            curriculum={curriculum}
+            teamId={team?.id || null}
+            autoGenerate
+            key={`${sessionId}-${team?.id || 'solo'}`}
+          />
+          <PortfolioSharing
+            sessionId={sessionId}
+            workshopId={workshopId || null}
+            curriculum={curriculum}
+            key={sessionId}
+          />
+        </div>
+      )}
+      {isSectionLocked(currentSection) && (
+        <p style={{ color: '#888' }}>This section opens when the workshop gets to it.</p>
+      )}
 
-      <div style={{ display: currentSection === 'presentationsretro' ? 'block' : 'none', width: '100%' }}>
-        <PresentationsRetro
-          onSave={handleSectionSave}
-          sessionId={sessionId}
-          key={`retro-${sessionId}`}
-        />
-      </div>
+      <HelpButton
+        sessionId={sessionId}
+        workshopId={workshopId || null}
+        section={getSectionById(currentSection, curriculum)}
+        builderName={presenceName}
+      />
 
-      {/* AI Interview, Video Reflection and Review sections removed */}
+      {/* AI Interview and Video Reflection sections removed */}
     </div>
   );
 }
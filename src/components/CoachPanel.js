@@ -0,0 +1,186 @@
+import React, { useState, useEffect } from 'react';
+import { coachService } from '../services/coachService';
+
+const panelStyle = {
+  marginTop: '20px',
+  padding: '20px',
+  border: '1px solid white',
+  borderRadius: '8px'
+};
+
+const buttonStyle = {
+  padding: '6px 12px',
+  borderRadius: '4px',
+  border: 'none',
+  backgroundColor: '#4CAF50',
+  color: 'white',
+  cursor: 'pointer'
+};
+
+/**
+ * One coach turn: what the draft is missing, what to try, and a question to think about
+ */
+function CoachTurn({ message, section }) {
+  const { critiques = [], suggestions = [], question } = message.feedback || {};
+  const label = (fieldName) => section.fields.find(field => field.name === fieldName)?.displayLabel;
+  const prefix = (fieldName) => (label(fieldName) ? <strong>{label(fieldName)}: </strong> : null);
+
+  return (
+    <div style={{ marginBottom: '15px', paddingLeft: '10px', borderLeft: '3px solid #4CAF50' }}>
+      {critiques.length === 0 && (
+        <p style={{ margin: '5px 0' }}>Nothing obvious is missing from this draft.</p>
+      )}
+      {critiques.length > 0 && (
+        <ul style={{ margin: '5px 0', paddingLeft: '20px' }}>
+          {critiques.map((critique, index) => (
+            <li key={index}>{prefix(critique.field)}{critique.message}</li>
+          ))}
+        </ul>
+      )}
+      {suggestions.length > 0 && (
+        <div style={{ margin: '5px 0', color: '#ccc' }}>
+          {suggestions.map((suggestion, index) => (
+            <p key={index} style={{ margin: '3px 0' }}>Try: {prefix(suggestion.field)}{suggestion.text}</p>
+          ))}
+        </div>
+      )}
+      {question && <p style={{ margin: '8px 0 0 0', fontStyle: 'italic' }}>{question}</p>}
+      {message.source === 'rules' && (
+        <div style={{ fontSize: '12px', color: '#888', marginTop: '5px' }}>Quick check (the AI coach isn't available)</div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Coach for a section draft. On request it critiques the draft against what the
+ * section is for and asks one follow-up question; the builder can answer, and
+ * the next round builds on that. It suggests changes but never writes them.
+ */
+function CoachPanel({ section, values, sessionId, workshopId = null }) {
+  const [open, setOpen] = useState(false);
+  const [messages, setMessages] = useState(null);
+  const [reply, setReply] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open || messages !== null || !sessionId) return;
+    coachService.listMessages(sessionId, section.name)
+      .then(setMessages)
+      .catch(error => {
+        console.error('Error loading coach conversation:', error);
+        setMessages([]);
+      });
+  }, [open, messages, sessionId, section.name]);
+
+  const askCoach = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const message = await coachService.requestFeedback({
+        sessionId,
+        workshopId,
+        section,
+        values,
+        messages: messages || []
+      });
+      setMessages(prev => [...(prev || []), message]);
+    } catch (error) {
+      console.error('Error asking the coach:', error);
+      setError('The coach could not respond. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const sendReply = async (event) => {
+    event.preventDefault();
+    if (!reply.trim()) return;
+    setBusy(true);
+    setError(null);
+    try {
+      const message = await coachService.reply({ sessionId, workshopId, sectionName: section.name, content: reply });
+      setMessages(prev => [...(prev || []), message]);
+      setReply('');
+    } catch (error) {
+      console.error('Error saving reply:', error);
+      setError('Your answer could not be saved. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!section.coach || !sessionId) return null;
+
+  if (!open) {
+    return (
+      <div style={panelStyle}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <span>Want a second opinion on this draft?</span>
+          <button type="button" onClick={() => setOpen(true)} style={buttonStyle}>Open coach</button>
+        </div>
+      </div>
+    );
+  }
+
+  const lastMessage = messages?.[messages.length - 1];
+
+  return (
+    <div style={panelStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+        <h3 style={{ margin: 0 }}>Coach</h3>
+        <button
+          type="button"
+          onClick={() => setOpen(false)}
+          style={{ ...buttonStyle, backgroundColor: 'black', border: '1px solid white' }}
+        >
+          Hide
+        </button>
+      </div>
+      <p style={{ color: '#888', marginTop: 0 }}>
+        The coach points out what to improve and asks questions. The writing stays yours.
+      </p>
+
+      {messages === null ? (
+        <p>Loading...</p>
+      ) : (
+        messages.map(message => (message.role === 'coach' ? (
+          <CoachTurn key={message.id} message={message} section={section} />
+        ) : (
+          <p key={message.id} style={{ margin: '0 0 15px 0', paddingLeft: '10px', borderLeft: '3px solid #888' }}>
+            <span style={{ color: '#888' }}>You: </span>{message.content}
+          </p>
+        )))
+      )}
+
+      {lastMessage?.role === 'coach' && (
+        <form onSubmit={sendReply} style={{ display: 'flex', gap: '10px', marginBottom: '10px' }}>
+          <input
+            type="text"
+            value={reply}
+            onChange={(e) => setReply(e.target.value)}
+            placeholder="Answer the coach's question (optional)"
+            style={{ flex: 1, padding: '8px', borderRadius: '4px', border: '1px solid white', backgroundColor: 'black', color: 'white' }}
+          />
+          <button type="submit" disabled={busy || !reply.trim()} style={{ ...buttonStyle, opacity: busy || !reply.trim() ? 0.7 : 1 }}>
+            Send
+          </button>
+        </form>
+      )}
+
+      {error && <p style={{ color: '#ff4444' }}>{error}</p>}
+
+      <button
+        type="button"
+        onClick={askCoach}
+        disabled={busy || messages === null}
+        style={{ ...buttonStyle, opacity: busy ? 0.7 : 1 }}
+      >
+        {busy ? 'Thinking...' : messages?.length ? 'Check my draft again' : 'Check my draft'}
+      </button>
+    </div>
+  );
+}
+
+export default CoachPanel;
@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import { helpRequestService } from '../services/helpRequestService';
+
+const buttonStyle = {
+  padding: '8px 16px',
+  borderRadius: '4px',
+  border: 'none',
+  cursor: 'pointer'
+};
+
+/**
+ * "Raise hand" button for builders. Creates a help request for the current
+ * section and shows its status, including who is on the way once claimed.
+ */
+function HelpButton({ sessionId, workshopId, section, builderName }) {
+  const [request, setRequest] = useState(null);
+  const [formOpen, setFormOpen] = useState(false);
+  const [message, setMessage] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    setRequest(null);
+    if (!sessionId) return;
+
+    helpRequestService.getActiveRequest(sessionId)
+      .then(setRequest)
+      .catch(error => console.error('Error loading help request:', error));
+
+    return helpRequestService.subscribe(`session_id=eq.${sessionId}`, (row) => {
+      if (!row?.id) return;
+      if (row.status === 'open' || row.status === 'claimed') {
+        setRequest(row);
+      } else {
+        setRequest(current => (current?.id === row.id ? null : current));
+        if (row.status === 'resolved') {
+          setNotice('Your help request was marked as resolved.');
+        }
+      }
+    });
+  }, [sessionId]);
+
+  useEffect(() => {
+    if (!notice) return;
+    const timer = setTimeout(() => setNotice(null), 5000);
+    return () => clearTimeout(timer);
+  }, [notice]);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    try {
+      const created = await helpRequestService.createRequest({
+        sessionId,
+        workshopId,
+        section,
+        builderName,
+        message
+      });
+      setRequest(created);
+      setMessage('');
+      setFormOpen(false);
+    } catch (error) {
+      console.error('Error creating help request:', error);
+      alert('Could not send your help request: ' + (error.message || 'Unknown error'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    try {
+      await helpRequestService.cancel(request.id);
+      setRequest(null);
+    } catch (error) {
+      console.error('Error cancelling help request:', error);
+      alert('Could not cancel your help request: ' + (error.message || 'Unknown error'));
+    }
+  };
+
+  if (!sessionId) return null;
+
+  return (
+    <div style={{
+      position: 'fixed',
+      right: '20px',
+      bottom: '20px',
+      width: '300px',
+      zIndex: 1000,
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'flex-end',
+      gap: '10px'
+    }}>
+      {notice && (
+        <div style={{ padding: '10px', borderRadius: '4px', backgroundColor: '#4CAF50', color: 'white', width: '100%' }}>
+          {notice}
+        </div>
+      )}
+
+      {request ? (
+        <div style={{
+          padding: '15px',
+          borderRadius: '8px',
+          backgroundColor: request.status === 'claimed' ? '#4CAF50' : '#1a1a1a',
+          border: '1px solid white',
+          color: 'white',
+          width: '100%'
+        }}>
+          <strong>
+            {request.status === 'claimed'
+              ? `${request.claimed_by_name || 'A facilitator'} is on the way!`
+              : '✋ Your hand is raised'}
+          </strong>
+          <p style={{ margin: '5px 0 10px 0', fontSize: '14px' }}>
+            {request.section_name ? `Help with ${request.section_name}` : 'Help requested'}
+            {request.message && `: "${request.message}"`}
+          </p>
+          {request.status === 'open' && (
+            <button onClick={handleCancel} style={{ ...buttonStyle, backgroundColor: '#333', color: 'white' }}>
+              Never mind
+            </button>
+          )}
+        </div>
+      ) : formOpen ? (
+        <form
+          onSubmit={handleSubmit}
+          style={{
+            padding: '15px',
+            borderRadius: '8px',
+            backgroundColor: '#1a1a1a',
+            border: '1px solid white',
+            width: '100%',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '10px'
+          }}
+        >
+          <label htmlFor="helpMessage">
+            What do you need help with{section ? ` on ${section.name}` : ''}?
+          </label>
+          <textarea
+            id="helpMessage"
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+            placeholder="Optional"
+            rows={3}
+            style={{ padding: '8px', borderRadius: '4px', border: '1px solid white', backgroundColor: 'black', color: 'white' }}
+          />
+          <div style={{ display: 'flex', gap: '10px', justifyContent: 'flex-end' }}>
+            <button type="button" onClick={() => setFormOpen(false)} style={{ ...buttonStyle, backgroundColor: '#333', color: 'white' }}>
+              Cancel
+            </button>
+            <button type="submit" disabled={submitting} style={{ ...buttonStyle, backgroundColor: 'white', color: 'black' }}>
+              {submitting ? 'Sending...' : 'Raise hand'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button
+          onClick={() => setFormOpen(true)}
+          style={{ ...buttonStyle, padding: '12px 20px', backgroundColor: 'white', color: 'black', fontWeight: 'bold' }}
+        >
+          ✋ Ask for help
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default HelpButton;
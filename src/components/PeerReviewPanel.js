@@ -0,0 +1,244 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { peerFeedbackService } from '../services/peerFeedbackService';
+import { getPeerReviewConfig } from '../curriculum';
+import SectionDataView from './SectionDataView';
+
+const textareaStyle = {
+  marginBottom: '10px',
+  padding: '8px',
+  borderRadius: '4px',
+  border: '1px solid white',
+  backgroundColor: 'black',
+  color: 'white',
+  height: '70px'
+};
+
+const panelStyle = {
+  marginTop: '20px',
+  padding: '20px',
+  border: '1px solid white',
+  borderRadius: '8px'
+};
+
+/**
+ * Rubric form for one partner: their shared sections plus scores and comments
+ */
+function PartnerReview({ assignment, given, config, curriculum, onSaved }) {
+  const [sharedInputs, setSharedInputs] = useState(null);
+  const [scores, setScores] = useState(given?.scores || {});
+  const [strengths, setStrengths] = useState(given?.strengths || '');
+  const [suggestions, setSuggestions] = useState(given?.suggestions || '');
+  const [questions, setQuestions] = useState(given?.questions || '');
+  const [saving, setSaving] = useState(false);
+  const [status, setStatus] = useState(given ? 'Submitted' : null);
+
+  useEffect(() => {
+    peerFeedbackService.getSharedInputs(assignment)
+      .then(setSharedInputs)
+      .catch(error => {
+        console.error('Error loading partner inputs:', error);
+        setSharedInputs({});
+      });
+  }, [assignment]);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const missing = config.rubric.filter(criterion => !scores[criterion.id]);
+    if (missing.length > 0) {
+      setStatus(`Please score: ${missing.map(criterion => criterion.label).join(', ')}`);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const saved = await peerFeedbackService.saveFeedback(assignment, { scores, strengths, suggestions, questions });
+      setStatus('Submitted');
+      onSaved(saved);
+    } catch (error) {
+      console.error('Error saving feedback:', error);
+      setStatus('Error saving feedback: ' + (error.message || 'Unknown error'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div style={{ ...panelStyle, borderColor: given ? '#4CAF50' : 'white' }}>
+      <h3 style={{ marginTop: 0 }}>Feedback for {assignment.reviewee_name || 'your partner'}</h3>
+
+      {sharedInputs === null ? (
+        <p>Loading their work...</p>
+      ) : (
+        (assignment.shared_sections || []).map(sectionName => (
+          <div key={sectionName} style={{ marginBottom: '15px', padding: '10px', backgroundColor: '#1a1a1a', borderRadius: '4px' }}>
+            <h4 style={{ margin: '0 0 5px 0' }}>{sectionName}</h4>
+            <SectionDataView sectionName={sectionName} data={sharedInputs[sectionName]} curriculum={curriculum} />
+          </div>
+        ))
+      )}
+
+      <form onSubmit={handleSubmit} style={{ display: 'flex', flexDirection: 'column' }}>
+        {config.rubric.map(criterion => (
+          <div key={criterion.id} style={{ marginBottom: '10px' }}>
+            <div><strong>{criterion.label}</strong></div>
+            {criterion.description && <div style={{ color: '#888', fontSize: '14px' }}>{criterion.description}</div>}
+            <div style={{ display: 'flex', gap: '5px', marginTop: '5px' }}>
+              {Array.from({ length: config.scale || 5 }, (_, index) => index + 1).map(score => (
+                <button
+                  key={score}
+                  type="button"
+                  onClick={() => setScores(prev => ({ ...prev, [criterion.id]: score }))}
+                  style={{
+                    width: '36px',
+                    height: '36px',
+                    borderRadius: '4px',
+                    border: '1px solid white',
+                    backgroundColor: scores[criterion.id] === score ? 'white' : 'black',
+                    color: scores[criterion.id] === score ? 'black' : 'white',
+                    cursor: 'pointer'
+                  }}
+                >
+                  {score}
+                </button>
+              ))}
+            </div>
+          </div>
+        ))}
+
+        <label htmlFor={`strengths-${assignment.id}`}>What works well</label>
+        <textarea id={`strengths-${assignment.id}`} value={strengths} onChange={(e) => setStrengths(e.target.value)} style={textareaStyle} />
+        <label htmlFor={`suggestions-${assignment.id}`}>Suggestions to make it stronger</label>
+        <textarea id={`suggestions-${assignment.id}`} value={suggestions} onChange={(e) => setSuggestions(e.target.value)} style={textareaStyle} />
+        <label htmlFor={`questions-${assignment.id}`}>Open questions</label>
+        <textarea id={`questions-${assignment.id}`} value={questions} onChange={(e) => setQuestions(e.target.value)} style={textareaStyle} />
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+          <button
+            type="submit"
+            disabled={saving}
+            style={{ padding: '10px 20px', borderRadius: '4px', border: 'none', backgroundColor: 'white', color: 'black', cursor: 'pointer' }}
+          >
+            {saving ? 'Saving...' : given ? 'Update feedback' : 'Submit feedback'}
+          </button>
+          {status && (
+            <span style={{ color: status === 'Submitted' ? '#4CAF50' : '#ff4444' }}>{status}</span>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+}
+
+/**
+ * Peer feedback inside a builder section. In 'exchange' mode the builder
+ * reviews their assigned partners; both modes show the feedback received.
+ */
+function PeerReviewPanel({ section, sessionId, curriculum }) {
+  const config = getPeerReviewConfig(curriculum);
+  const mode = section.peerReview?.mode;
+  const [assignments, setAssignments] = useState([]);
+  const [given, setGiven] = useState({});
+  const [received, setReceived] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Sections stay mounted all day, so received feedback is reloaded on request
+  const load = useCallback(async () => {
+    if (!sessionId || !config) return;
+
+    try {
+      const [myAssignments, myFeedback, feedbackReceived] = await Promise.all([
+        mode === 'exchange' ? peerFeedbackService.listAssignmentsForReviewer(sessionId) : [],
+        mode === 'exchange' ? peerFeedbackService.listFeedbackGiven(sessionId) : [],
+        peerFeedbackService.listFeedbackReceived(sessionId)
+      ]);
+      setAssignments(myAssignments);
+      setGiven(Object.fromEntries(myFeedback.map(feedback => [feedback.assignment_id, feedback])));
+      setReceived(feedbackReceived);
+    } catch (error) {
+      console.error('Error loading peer feedback:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [sessionId, mode, config]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  if (!sessionId || !config) return null;
+  if (loading) return <div style={panelStyle}>Loading peer feedback...</div>;
+
+  const averages = config.rubric.map(criterion => {
+    const values = received.map(feedback => feedback.scores?.[criterion.id]).filter(Number.isFinite);
+    return {
+      ...criterion,
+      average: values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+    };
+  });
+
+  return (
+    <div>
+      {mode === 'exchange' && (
+        assignments.length === 0 ? (
+          <div style={panelStyle}>
+            <h3 style={{ marginTop: 0 }}>Peer Review</h3>
+            <p style={{ color: '#888', margin: 0 }}>
+              Your facilitator hasn't paired you with anyone yet. Use the boxes above to note feedback from your
+              group, or press Refresh below once pairs are announced.
+            </p>
+          </div>
+        ) : (
+          assignments.map(assignment => (
+            <PartnerReview
+              key={assignment.id}
+              assignment={assignment}
+              given={given[assignment.id]}
+              config={config}
+              curriculum={curriculum}
+              onSaved={(saved) => setGiven(prev => ({ ...prev, [assignment.id]: saved }))}
+            />
+          ))
+        )
+      )}
+
+      <div style={panelStyle}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <h3 style={{ marginTop: 0 }}>Feedback You Received</h3>
+          <button
+            type="button"
+            onClick={load}
+            style={{ padding: '4px 10px', borderRadius: '4px', border: '1px solid white', backgroundColor: 'black', color: 'white', cursor: 'pointer' }}
+          >
+            Refresh
+          </button>
+        </div>
+        {received.length === 0 ? (
+          <p style={{ color: '#888', margin: 0 }}>No feedback yet.</p>
+        ) : (
+          <>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '15px' }}>
+              {averages.map(criterion => (
+                <div key={criterion.id} style={{ padding: '10px', backgroundColor: '#1a1a1a', borderRadius: '4px', minWidth: '140px' }}>
+                  <div style={{ fontSize: '14px', color: '#888' }}>{criterion.label}</div>
+                  <div style={{ fontSize: '20px', fontWeight: 'bold' }}>
+                    {criterion.average === null ? '–' : `${criterion.average.toFixed(1)} / ${config.scale || 5}`}
+                  </div>
+                </div>
+              ))}
+            </div>
+            {received.map(feedback => (
+              <div key={feedback.id} style={{ marginBottom: '10px', paddingLeft: '10px', borderLeft: '3px solid #4CAF50' }}>
+                <div style={{ color: '#888', fontSize: '14px' }}>From {feedback.reviewer_name || 'a peer'}</div>
+                {feedback.strengths && <p style={{ margin: '5px 0' }}><strong>Works well:</strong> {feedback.strengths}</p>}
+                {feedback.suggestions && <p style={{ margin: '5px 0' }}><strong>Suggestions:</strong> {feedback.suggestions}</p>}
+                {feedback.questions && <p style={{ margin: '5px 0' }}><strong>Questions:</strong> {feedback.questions}</p>}
+              </div>
+            ))}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PeerReviewPanel;
@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import { portfolioService } from '../services/portfolioService';
+import { videoService } from '../services/videoService';
+import { getCurriculum, getSection, getPortfolioSectionNames } from '../curriculum';
+import SectionDataView from './SectionDataView';
+import { ReviewDetails } from './ProjectReview';
+
+const pageStyle = {
+  backgroundColor: 'black',
+  color: 'white',
+  minHeight: '100vh',
+  padding: '40px 20px'
+};
+
+const cardStyle = {
+  backgroundColor: '#1a1a1a',
+  border: '1px solid #333',
+  borderRadius: '8px',
+  padding: '20px',
+  marginBottom: '20px',
+  breakInside: 'avoid'
+};
+
+// Printing (or saving as PDF) drops the dark theme, the buttons and the player
+const printStyles = `
+  @media print {
+    .portfolio-page, .portfolio-page * {
+      background: white !important;
+      color: black !important;
+      border-color: #ccc !important;
+    }
+    .portfolio-page { padding: 0 !important; }
+    .portfolio-page .no-print { display: none !important; }
+    .portfolio-page .print-only { display: block !important; }
+  }
+`;
+
+/**
+ * A builder's read-only portfolio at /portfolio/:token: their project
+ * sections, demo video and project review. Anyone with the link can open a
+ * public portfolio; a private one only opens for its owner.
+ */
+function PortfolioPage() {
+  const { token } = useParams();
+  const [portfolio, setPortfolio] = useState(null);
+  const [video, setVideo] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const data = await portfolioService.getPortfolio(token);
+        if (cancelled) return;
+        setPortfolio(data);
+
+        if (data) {
+          const recording = await videoService.getVideoRecording(data.session_id).catch(error => {
+            console.error('Error loading portfolio video:', error);
+            return null;
+          });
+          if (!cancelled) setVideo(recording);
+        }
+      } catch (error) {
+        console.error('Error loading portfolio:', error);
+        if (!cancelled) setError('This portfolio could not be loaded. Please try again later.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  if (loading) {
+    return <div style={pageStyle}>Loading...</div>;
+  }
+
+  if (error || !portfolio) {
+    return (
+      <div style={pageStyle}>
+        <p>{error || "This portfolio is private or doesn't exist."}</p>
+      </div>
+    );
+  }
+
+  const curriculum = getCurriculum(portfolio.workshop?.curriculum_id);
+  const sectionNames = getPortfolioSectionNames(curriculum).filter(name => portfolio.sections?.[name]);
+
+  return (
+    <div className="portfolio-page" style={pageStyle}>
+      <style>{printStyles}</style>
+      <div style={{ maxWidth: '800px', margin: '0 auto' }}>
+        {!portfolio.is_public && (
+          <div className="no-print" style={{
+            backgroundColor: '#FF9800',
+            color: 'black',
+            padding: '10px',
+            borderRadius: '4px',
+            marginBottom: '20px'
+          }}>
+            Only you can see this page. Turn on sharing on your Review page to let others open the link.
+          </div>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '10px', marginBottom: '30px' }}>
+          <div>
+            <h1 style={{ margin: 0 }}>{portfolio.name || 'Builder'}</h1>
+            {portfolio.workshop && (
+              <p style={{ margin: '5px 0 0 0', color: '#888' }}>
+                {portfolio.workshop.name} · {new Date(`${portfolio.workshop.workshop_date}T00:00:00`).toLocaleDateString()}
+              </p>
+            )}
+          </div>
+          <button
+            className="no-print"
+            onClick={() => window.print()}
+            style={{
+              padding: '8px 16px',
+              backgroundColor: '#4CAF50',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: 'pointer'
+            }}
+          >
+            Print / Save as PDF
+          </button>
+        </div>
+
+        {sectionNames.map(sectionName => {
+          const section = getSection(sectionName, curriculum);
+          return (
+            <div key={sectionName} style={cardStyle}>
+              <h2 style={{ marginTop: 0, color: '#4CAF50' }}>{section.title || section.name}</h2>
+              <SectionDataView sectionName={sectionName} data={portfolio.sections[sectionName]} curriculum={curriculum} />
+            </div>
+          );
+        })}
+
+        {video?.video_url && (
+          <div style={cardStyle}>
+            <h2 style={{ marginTop: 0, color: '#4CAF50' }}>Demo</h2>
+            <video className="no-print" src={video.video_url} controls style={{ width: '100%', borderRadius: '4px' }} />
+            <p className="print-only" style={{ display: 'none' }}>Video: {video.video_url}</p>
+          </div>
+        )}
+
+        {portfolio.review && (
+          <div style={cardStyle}>
+            <h2 style={{ marginTop: 0, color: '#4CAF50' }}>Project Review</h2>
+            <ReviewDetails review={portfolio.review} />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PortfolioPage;
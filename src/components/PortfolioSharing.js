@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import { useHref } from 'react-router-dom';
+import { portfolioService } from '../services/portfolioService';
+
+const buttonStyle = {
+  padding: '8px 16px',
+  borderRadius: '4px',
+  border: 'none',
+  backgroundColor: '#4CAF50',
+  color: 'white',
+  cursor: 'pointer'
+};
+
+/**
+ * The builder's portfolio: set it up, open it, and choose whether anyone with
+ * the link can see it. Portfolios start private.
+ */
+function PortfolioSharing({ sessionId, workshopId = null, curriculum }) {
+  const [settings, setSettings] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const portfolioHref = useHref(settings ? portfolioService.portfolioPath(settings.share_token) : '/portfolio');
+
+  useEffect(() => {
+    let cancelled = false;
+    portfolioService.getSettings(sessionId)
+      .then(result => {
+        if (!cancelled) setSettings(result);
+      })
+      .catch(error => {
+        console.error('Error loading portfolio settings:', error);
+        if (!cancelled) setError('Your portfolio settings could not be loaded.');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId]);
+
+  const save = async (isPublic) => {
+    setSaving(true);
+    setError(null);
+    try {
+      setSettings(await portfolioService.saveSettings({ sessionId, workshopId, curriculum, isPublic }));
+    } catch (error) {
+      console.error('Error saving portfolio settings:', error);
+      setError('Your portfolio settings could not be saved. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(new URL(portfolioHref, window.location.href).toString());
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (error) {
+      console.error('Error copying portfolio link:', error);
+    }
+  };
+
+  return (
+    <div style={{
+      backgroundColor: '#1a1a1a',
+      padding: '20px',
+      borderRadius: '8px',
+      marginBottom: '30px',
+      border: '1px solid #333'
+    }}>
+      <h3 style={{ color: '#4CAF50', marginTop: 0 }}>📁 Your Portfolio</h3>
+      <p style={{ color: '#888', marginTop: 0 }}>
+        A page with your problem, solution, build notes, demo video and project review to take with you.
+        Only you can see it unless you turn on sharing. Your email is never shown.
+      </p>
+
+      {loading && <p>Loading...</p>}
+      {error && <p style={{ color: '#ff4444' }}>{error}</p>}
+
+      {!loading && !settings && (
+        <button onClick={() => save(false)} disabled={saving} style={{ ...buttonStyle, opacity: saving ? 0.7 : 1 }}>
+          {saving ? 'Creating...' : 'Create my portfolio'}
+        </button>
+      )}
+
+      {settings && (
+        <>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '15px' }}>
+            <input
+              type="checkbox"
+              checked={settings.is_public}
+              disabled={saving}
+              onChange={(e) => save(e.target.checked)}
+            />
+            Anyone with the link can see my portfolio
+          </label>
+          <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap' }}>
+            <a
+              href={portfolioHref}
+              target="_blank"
+              rel="noopener noreferrer"
+              style={{ ...buttonStyle, textDecoration: 'none' }}
+            >
+              Open portfolio
+            </a>
+            <button
+              onClick={copyLink}
+              disabled={!settings.is_public}
+              title={settings.is_public ? '' : 'Turn on sharing first'}
+              style={{
+                ...buttonStyle,
+                backgroundColor: settings.is_public ? '#333' : '#222',
+                cursor: settings.is_public ? 'pointer' : 'not-allowed'
+              }}
+            >
+              {linkCopied ? 'Link copied' : 'Copy link'}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PortfolioSharing;
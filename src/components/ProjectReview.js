@@ -0,0 +1,188 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { projectReviewService } from '../services/projectReviewService';
+import { getReviewSection } from '../curriculum';
+import { isReadyForReview } from '../utils/projectReview';
+
+const cardStyle = {
+  backgroundColor: '#1a1a1a',
+  padding: '20px',
+  borderRadius: '8px',
+  marginBottom: '30px',
+  border: '1px solid #333'
+};
+
+const buttonStyle = {
+  padding: '8px 16px',
+  backgroundColor: '#4CAF50',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer'
+};
+
+const LISTS = [
+  { key: 'strengths', title: 'Strengths', color: '#4CAF50' },
+  { key: 'gaps', title: 'Gaps', color: '#FF9800' },
+  { key: 'nextSteps', title: 'Next steps', color: 'white' }
+];
+
+/**
+ * The lists of a review, without loading or actions (also used by the portfolio page)
+ */
+export function ReviewDetails({ review }) {
+  return (
+    <>
+      {LISTS.filter(list => review[list.key]?.length > 0).map(list => (
+        <div key={list.key} style={{ marginTop: '15px' }}>
+          <h4 style={{ margin: '0 0 5px 0', color: list.color }}>{list.title}</h4>
+          <ul style={{ margin: 0, paddingLeft: '20px', lineHeight: '1.6' }}>
+            {review[list.key].map((item, index) => <li key={index}>{item}</li>)}
+          </ul>
+        </div>
+      ))}
+      {review.resources?.length > 0 && (
+        <div style={{ marginTop: '15px' }}>
+          <h4 style={{ margin: '0 0 5px 0' }}>Suggested resources</h4>
+          <ul style={{ margin: 0, paddingLeft: '20px', lineHeight: '1.6' }}>
+            {review.resources.map((resource, index) => (
+              <li key={index}>
+                <strong>{resource.title}</strong>{resource.why && ` – ${resource.why}`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </>
+  );
+}
+
+/**
+ * A project's review: strengths, gaps, next steps and suggested resources.
+ * On the builder's review screen (autoGenerate) it writes the review the first
+ * time the project is ready; in the dashboard, facilitators (canRegenerate)
+ * can write or rewrite it. Pass sections and updatedAt when they are already
+ * loaded; otherwise the builder's answers (and teamId's shared ones) are loaded.
+ */
+function ProjectReview({
+  sessionId,
+  workshopId = null,
+  curriculum,
+  teamId = null,
+  sections = null,
+  updatedAt = null,
+  autoGenerate = false,
+  canRegenerate = false,
+  generatedBy = null
+}) {
+  const [row, setRow] = useState(null);
+  const [project, setProject] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const generate = useCallback(async (loaded) => {
+    setGenerating(true);
+    setError(null);
+    try {
+      const result = await projectReviewService.generateReview({
+        sessionId,
+        workshopId,
+        curriculum,
+        sections: loaded.sections,
+        updatedAt: loaded.updatedAt,
+        generatedBy
+      });
+      setRow(result);
+    } catch (error) {
+      console.error('Error generating project review:', error);
+      setError('The review could not be written. Please try again.');
+    } finally {
+      setGenerating(false);
+    }
+  }, [sessionId, workshopId, curriculum, generatedBy]);
+
+  useEffect(() => {
+    if (!sessionId) return;
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const [cached, loaded] = await Promise.all([
+          projectReviewService.getReview(sessionId),
+          sections ? { sections, updatedAt } : projectReviewService.loadProject(sessionId, teamId, curriculum)
+        ]);
+        if (cancelled) return;
+        setRow(cached);
+        setProject(loaded);
+        if (!cached && autoGenerate && isReadyForReview(loaded.sections, curriculum)) {
+          generate(loaded);
+        }
+      } catch (error) {
+        console.error('Error loading project review:', error);
+        if (!cancelled) setError('The review could not be loaded.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId, teamId, sections, updatedAt, curriculum, autoGenerate, generate]);
+
+  const review = row?.review;
+  const stale = projectReviewService.isStale(row, project?.updatedAt);
+  const reviewSection = getReviewSection(curriculum);
+
+  return (
+    <div style={cardStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px' }}>
+        <h3 style={{ color: '#4CAF50', margin: 0 }}>🎓 Project Review</h3>
+        {canRegenerate && project && !loading && (
+          <button
+            onClick={() => generate(project)}
+            disabled={generating}
+            style={{ ...buttonStyle, opacity: generating ? 0.7 : 1 }}
+          >
+            {generating ? 'Reviewing...' : review ? 'Regenerate' : 'Generate review'}
+          </button>
+        )}
+      </div>
+
+      {loading && <p style={{ color: '#888' }}>Loading review...</p>}
+      {!loading && generating && !review && <p style={{ color: '#888' }}>Reviewing the project...</p>}
+      {error && <p style={{ color: '#ff4444' }}>{error}</p>}
+
+      {!loading && !generating && !review && !error && (
+        <p style={{ color: '#888' }}>
+          {autoGenerate && reviewSection
+            ? `Finish ${reviewSection.navLabel || reviewSection.name} to get a review of your project.`
+            : 'No review yet.'}
+        </p>
+      )}
+
+      {review && (
+        <>
+          <ReviewDetails review={review} />
+          {stale && (
+            <p style={{ color: '#FF9800', fontSize: '14px', margin: '15px 0 0 0' }}>
+              {canRegenerate
+                ? 'The answers changed after this review was written.'
+                : 'You changed your answers after this review was written. Your facilitator can refresh it.'}
+            </p>
+          )}
+          <p style={{ fontStyle: 'italic', margin: '15px 0 0 0', color: '#888', fontSize: '12px' }}>
+            {row.source === 'rules' ? 'Written from the workshop checklists' : 'Written by AI'}
+            {' · '}
+            {new Date(row.updated_at || row.created_at).toLocaleString()}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ProjectReview;
@@ -0,0 +1,77 @@
+import React from 'react';
+import { getSection } from '../curriculum';
+import { diffWords, summarizeDiff, fieldText } from '../utils/wordDiff';
+
+const partStyles = {
+  equal: {},
+  added: { backgroundColor: '#4CAF5040', color: '#8BC34A' },
+  removed: { backgroundColor: '#ff444430', color: '#ff8888', textDecoration: 'line-through' }
+};
+
+const sectionText = (section, data) => {
+  if (!section) return data ? JSON.stringify(data, null, 2) : '';
+  return section.fields
+    .map(field => fieldText(data?.[field.name]))
+    .filter(Boolean)
+    .join('\n\n');
+};
+
+function DiffText({ parts }) {
+  return (
+    <div style={{ whiteSpace: 'pre-wrap', lineHeight: '1.6' }}>
+      {parts.map((part, index) => (
+        <span key={index} style={partStyles[part.type]}>{part.text}</span>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Word-level diff between two saved versions of section input_data. Versions
+ * of the same section are compared field by field; different sections (e.g.
+ * MVP Planner against Refine Your MVP) are compared as whole texts.
+ * Pass before=null to show the after version as entirely new.
+ */
+function RevisionDiff({ before, after, curriculum, showUnchanged = false }) {
+  const afterSection = getSection(after.sectionName, curriculum);
+  const sameSection = !before || before.sectionName === after.sectionName;
+
+  const rows = sameSection && afterSection
+    ? afterSection.fields.map(field => ({
+      key: field.name,
+      label: field.displayLabel || field.label,
+      parts: diffWords(fieldText(before?.data?.[field.name]), fieldText(after.data?.[field.name]))
+    }))
+    : [{
+      key: 'section',
+      label: sameSection ? after.sectionName : `${before.sectionName} → ${after.sectionName}`,
+      parts: diffWords(
+        sectionText(getSection(before?.sectionName, curriculum), before?.data),
+        sectionText(afterSection, after.data)
+      )
+    }];
+
+  const changed = rows.filter(row => row.parts.some(part => part.type !== 'equal'));
+  const visible = showUnchanged ? rows : changed;
+  const totals = summarizeDiff(rows.flatMap(row => row.parts));
+
+  return (
+    <div>
+      <div style={{ fontSize: '12px', color: '#888', marginBottom: '10px' }}>
+        {changed.length === 0
+          ? 'No changes between these versions'
+          : `${changed.length} ${changed.length === 1 ? 'field' : 'fields'} changed · +${totals.added} / −${totals.removed} words`}
+      </div>
+      {visible.map(row => (
+        <div key={row.key} style={{ marginBottom: '12px' }}>
+          <strong style={{ display: 'block', marginBottom: '4px' }}>{row.label}</strong>
+          {row.parts.length > 0
+            ? <DiffText parts={row.parts} />
+            : <em style={{ color: '#666' }}>Empty</em>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default RevisionDiff;
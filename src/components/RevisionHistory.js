@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { revisionService } from '../services/revisionService';
+import RevisionDiff from './RevisionDiff';
+
+const buttonStyle = {
+  padding: '6px 12px',
+  borderRadius: '4px',
+  border: 'none',
+  backgroundColor: '#333',
+  color: 'white',
+  cursor: 'pointer'
+};
+
+/**
+ * Earlier saved drafts of a section. The builder picks one on a slider, sees
+ * what changed between it and the current text, and can restore it (which
+ * autosaves like any other edit, so the current text stays in the history).
+ */
+function RevisionHistory({ section, sessionId, curriculum, values, onRestore }) {
+  const [open, setOpen] = useState(false);
+  const [revisions, setRevisions] = useState([]);
+  const [position, setPosition] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const rows = await revisionService.listRevisions(sessionId, section.name);
+      setRevisions(rows);
+      setPosition(Math.max(rows.length - 1, 0));
+    } catch (error) {
+      console.error('Error loading revisions:', error);
+      setError(error.message || 'Could not load your earlier drafts');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggle = () => {
+    if (!open) load();
+    setOpen(!open);
+  };
+
+  const selected = revisions[position];
+
+  const handleRestore = () => {
+    const when = new Date(selected.updated_at).toLocaleString();
+    if (window.confirm(`Replace this section with your draft from ${when}? Your current text stays in the history.`)) {
+      onRestore(selected.input_data);
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div style={{ marginTop: '15px' }}>
+      <button onClick={toggle} style={buttonStyle}>
+        {open ? 'Hide history' : '🕘 History'}
+      </button>
+
+      {open && (
+        <div style={{ marginTop: '10px', padding: '15px', border: '1px solid #333', borderRadius: '8px' }}>
+          {loading && <p style={{ color: '#888', margin: 0 }}>Loading earlier drafts...</p>}
+          {error && <p style={{ color: '#ff4444', margin: 0 }}>{error}</p>}
+          {!loading && !error && revisions.length === 0 && (
+            <p style={{ color: '#888', margin: 0 }}>No earlier drafts yet. They are saved as you work.</p>
+          )}
+          {!loading && selected && (
+            <>
+              <input
+                type="range"
+                min={0}
+                max={revisions.length - 1}
+                value={position}
+                onChange={(e) => setPosition(Number(e.target.value))}
+                disabled={revisions.length < 2}
+                style={{ width: '100%', accentColor: '#4CAF50' }}
+              />
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', margin: '10px 0' }}>
+                <span>
+                  Draft {position + 1} of {revisions.length} · {new Date(selected.updated_at).toLocaleString()}
+                </span>
+                <button onClick={handleRestore} style={{ ...buttonStyle, backgroundColor: '#4CAF50' }}>
+                  Restore this draft
+                </button>
+              </div>
+              <p style={{ fontSize: '12px', color: '#888', marginTop: 0 }}>
+                Changes from this draft to what you have now:
+              </p>
+              <RevisionDiff
+                before={{ sectionName: section.name, data: selected.input_data }}
+                after={{ sectionName: section.name, data: values }}
+                curriculum={curriculum}
+              />
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RevisionHistory;
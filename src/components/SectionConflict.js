@@ -0,0 +1,75 @@
+import React from 'react';
+
+const formatValue = (value) => {
+  if (Array.isArray(value)) {
+    const items = value.filter(item => item?.trim());
+    return items.length > 0 ? items.join('\n') : null;
+  }
+  return value?.trim() ? value : null;
+};
+
+const buttonStyle = {
+  padding: '8px 16px',
+  borderRadius: '4px',
+  border: 'none',
+  cursor: 'pointer',
+  color: 'white'
+};
+
+/**
+ * Shown when a section was saved from another tab or device while the builder
+ * was editing it here. Lists the fields that differ and lets the builder keep
+ * their version, take the other one, or merge both.
+ */
+function SectionConflict({ section, mine, theirs, updatedAt, onResolve }) {
+  const changedFields = section.fields.filter(
+    field => JSON.stringify(mine[field.name]) !== JSON.stringify(theirs[field.name])
+  );
+
+  return (
+    <div style={{
+      border: '1px solid #FF9800',
+      borderRadius: '8px',
+      padding: '15px',
+      marginBottom: '20px',
+      backgroundColor: '#1a1a1a'
+    }}>
+      <h3 style={{ marginTop: 0, color: '#FF9800' }}>This section was changed somewhere else</h3>
+      <p style={{ lineHeight: '1.6' }}>
+        Another tab or device saved a different version
+        {updatedAt ? ` at ${new Date(updatedAt).toLocaleTimeString()}` : ''}.
+        Autosave is paused until you choose which version to keep.
+      </p>
+
+      {changedFields.map(field => (
+        <div key={field.name} style={{ marginBottom: '15px' }}>
+          <strong>{field.displayLabel || field.label}</strong>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '10px', marginTop: '5px' }}>
+            {[['This device', mine], ['Other version', theirs]].map(([label, values]) => (
+              <div key={label} style={{ padding: '10px', border: '1px solid #333', borderRadius: '4px' }}>
+                <div style={{ color: '#888', fontSize: '12px', marginBottom: '5px' }}>{label}</div>
+                <div style={{ whiteSpace: 'pre-wrap' }}>
+                  {formatValue(values[field.name]) || <em style={{ color: '#666' }}>Empty</em>}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', gap: '10px' }}>
+        <button onClick={() => onResolve('mine')} style={{ ...buttonStyle, backgroundColor: '#333' }}>
+          Keep mine
+        </button>
+        <button onClick={() => onResolve('theirs')} style={{ ...buttonStyle, backgroundColor: '#333' }}>
+          Use other version
+        </button>
+        <button onClick={() => onResolve('merge')} style={{ ...buttonStyle, backgroundColor: '#4CAF50' }}>
+          Merge both
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SectionConflict;
@@ -0,0 +1,45 @@
+import React from 'react';
+import { getSection } from '../curriculum';
+
+/**
+ * Read-only rendering of a section's input_data using the curriculum field labels.
+ * For team sections, authors (user_inputs.field_authors) names who wrote each field.
+ */
+function SectionDataView({ sectionName, data, curriculum, authors = null }) {
+  if (!data) return <p style={{ color: '#666' }}>No data yet</p>;
+
+  const section = getSection(sectionName, curriculum);
+  if (!section) {
+    return <pre>{JSON.stringify(data, null, 2)}</pre>;
+  }
+
+  return (
+    <div>
+      {section.fields.map((field) => {
+        const label = field.displayLabel || field.label;
+        const author = authors?.[field.name] && (
+          <span style={{ fontSize: '12px', color: '#888' }}> ({authors[field.name].name || 'Unnamed'})</span>
+        );
+
+        if (field.type === 'list') {
+          return (
+            <React.Fragment key={field.name}>
+              <p><strong>{label}:</strong>{author}</p>
+              <ul>
+                {data[field.name]?.filter(Boolean).map((item, index) => (
+                  <li key={index}>{item}</li>
+                ))}
+              </ul>
+            </React.Fragment>
+          );
+        }
+
+        return (
+          <p key={field.name}><strong>{label}:</strong> {data[field.name]}{author}</p>
+        );
+      })}
+    </div>
+  );
+}
+
+export default SectionDataView;
@@ -0,0 +1,238 @@
+import React, { useState, useMemo } from 'react';
+import { validateSection, isTeamSection, toFormValues } from '../curriculum';
+import { useSectionData } from '../hooks/useSectionData';
+import { scoreSection } from '../utils/inputQuality';
+import SectionGuide from './SectionGuide';
+import SectionConflict from './SectionConflict';
+import PeerReviewPanel from './PeerReviewPanel';
+import RevisionHistory from './RevisionHistory';
+import CoachPanel from './CoachPanel';
+
+const textareaStyle = {
+  marginBottom: '10px',
+  padding: '8px',
+  borderRadius: '4px',
+  border: '1px solid white',
+  backgroundColor: 'black',
+  color: 'white',
+  height: '100px'
+};
+
+const inputStyle = {
+  marginLeft: '10px',
+  padding: '8px',
+  borderRadius: '4px',
+  border: '1px solid white',
+  backgroundColor: 'black',
+  color: 'white',
+  width: 'calc(100% - 100px)'
+};
+
+const formatAuthor = (author, sessionId) => {
+  if (!author) return null;
+  const who = author.session_id === sessionId ? 'you' : author.name || 'a teammate';
+  return `Last edited by ${who}, ${new Date(author.at).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`;
+};
+
+/**
+ * Generic builder section: renders the guide panel and form fields from a
+ * curriculum section definition and autosaves them through useSectionData.
+ * Team sections are saved under the team and show who last edited each field.
+ */
+function SectionForm({ section, onSave, sessionId, workshopId = null, curriculum, team = null, builderName = null }) {
+  const shared = !!team && isTeamSection(section);
+  const author = useMemo(
+    () => (shared ? { sessionId, name: builderName } : null),
+    [shared, sessionId, builderName]
+  );
+  const {
+    values,
+    setField,
+    setValues,
+    loading,
+    saveStatus,
+    connectionError,
+    conflict,
+    resolveConflict,
+    fieldAuthors
+  } = useSectionData(shared ? team.id : sessionId, section.name, {
+    section,
+    onSave,
+    teamId: shared ? team.id : null,
+    author
+  });
+  const [touched, setTouched] = useState(false);
+
+  // Validation doesn't block saving, so partial progress is preserved
+  const errors = useMemo(
+    () => (touched ? validateSection(section, values) : {}),
+    [touched, section, values]
+  );
+  const quality = useMemo(() => scoreSection(section, values), [section, values]);
+
+  const handleFieldChange = (fieldName, value) => {
+    setTouched(true);
+    setField(fieldName, value);
+  };
+
+  const handleListItemChange = (fieldName, index, value) => {
+    setTouched(true);
+    setValues(prev => {
+      const items = [...prev[fieldName]];
+      items[index] = value;
+      return { ...prev, [fieldName]: items };
+    });
+  };
+
+  // A restored draft is saved like any other edit
+  const handleRestore = (data) => {
+    setTouched(true);
+    setValues(toFormValues(section, data));
+  };
+
+  const renderAuthor = (field) => {
+    if (!shared || !fieldAuthors[field.name]) return null;
+    return (
+      <span style={{ fontSize: '12px', color: '#888', marginBottom: '5px' }}>
+        {formatAuthor(fieldAuthors[field.name], sessionId)}
+      </span>
+    );
+  };
+
+  // Quality hints update as the builder types; empty fields are left to validation
+  const renderHints = (field) => {
+    const hints = quality.fields[field.name]?.hints;
+    if (!hints?.length) return null;
+    return (
+      <ul style={{ margin: '0 0 10px 0', paddingLeft: '20px', fontSize: '12px', color: '#FF9800' }}>
+        {hints.map(hint => <li key={hint.type + hint.message}>{hint.message}</li>)}
+      </ul>
+    );
+  };
+
+  const renderField = (field) => {
+    if (field.type === 'list') {
+      return (
+        <React.Fragment key={field.name}>
+          {errors[field.name] && <p style={{ color: 'red' }}>{errors[field.name]}</p>}
+          <label>{field.label}</label>
+          {renderAuthor(field)}
+          {values[field.name].map((item, index) => (
+            <div key={index} style={{ marginBottom: '10px' }}>
+              <label htmlFor={`${field.name}-${index}`}>{field.itemLabel || 'Item'} {index + 1}:</label>
+              <input
+                type="text"
+                id={`${field.name}-${index}`}
+                value={item}
+                onChange={(e) => handleListItemChange(field.name, index, e.target.value)}
+                style={inputStyle}
+              />
+            </div>
+          ))}
+          {renderHints(field)}
+        </React.Fragment>
+      );
+    }
+
+    const InputTag = field.type === 'text' ? 'input' : 'textarea';
+    return (
+      <React.Fragment key={field.name}>
+        {errors[field.name] && <p style={{ color: 'red' }}>{errors[field.name]}</p>}
+        <label htmlFor={field.name}>{field.label}</label>
+        {renderAuthor(field)}
+        <InputTag
+          id={field.name}
+          value={values[field.name]}
+          onChange={(e) => handleFieldChange(field.name, e.target.value)}
+          placeholder={field.placeholder}
+          style={field.type === 'text' ? { ...textareaStyle, height: 'auto' } : textareaStyle}
+        />
+        {renderHints(field)}
+      </React.Fragment>
+    );
+  };
+
+  if (loading) {
+    return <div>Loading...</div>;
+  }
+
+  return (
+    <div style={{
+      display: 'flex',
+      gap: '20px',
+      width: '100%',
+      maxWidth: '1200px',
+      margin: '0 auto'
+    }}>
+      <SectionGuide guide={section.guide} />
+
+      <div style={{
+        flex: 1,
+        marginBottom: '20px',
+        padding: '20px',
+        border: '1px solid white',
+        borderRadius: '8px'
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px' }}>
+          <h2>{section.title || section.name}</h2>
+          {saveStatus && (
+            <div style={{
+              padding: '5px 10px',
+              borderRadius: '4px',
+              backgroundColor: saveStatus.includes('Error') ? '#ff4444' : '#4CAF50',
+              color: 'white',
+              fontSize: '14px'
+            }}>
+              {saveStatus}
+            </div>
+          )}
+        </div>
+        {shared && (
+          <p style={{ marginTop: 0, color: '#888' }}>
+            Shared with {team.name}: everyone on the team edits this one copy, and it counts once for the whole team.
+          </p>
+        )}
+        {connectionError && (
+          <div style={{
+            backgroundColor: '#ff4444',
+            color: 'white',
+            padding: '10px',
+            borderRadius: '4px',
+            marginBottom: '20px',
+            width: '100%'
+          }}>
+            <strong>Connection Error:</strong> {connectionError}
+          </div>
+        )}
+        {conflict && (
+          <SectionConflict
+            section={section}
+            mine={values}
+            theirs={conflict.values}
+            updatedAt={conflict.updatedAt}
+            onResolve={resolveConflict}
+          />
+        )}
+        <div style={{ display: 'flex', flexDirection: 'column', width: '100%' }}>
+          {section.fields.map(renderField)}
+        </div>
+        {section.footer && (
+          <p style={{ marginTop: '10px', fontStyle: 'italic' }}>{section.footer}</p>
+        )}
+        <CoachPanel section={section} values={values} sessionId={sessionId} workshopId={workshopId} />
+        <RevisionHistory
+          section={section}
+          sessionId={shared ? team.id : sessionId}
+          curriculum={curriculum}
+          values={values}
+          onRestore={handleRestore}
+        />
+        {section.peerReview && curriculum && (
+          <PeerReviewPanel section={section} sessionId={sessionId} curriculum={curriculum} />
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SectionForm;
@@ -0,0 +1,73 @@
+import React from 'react';
+
+const renderEmphasis = ({ emphasis, text }) => (
+  <>
+    {emphasis && <strong style={{ color: '#4CAF50' }}>{emphasis}</strong>}
+    {text}
+  </>
+);
+
+function GuideBlock({ block }) {
+  switch (block.type) {
+    case 'heading':
+      return <h4 style={{ color: '#4CAF50', marginTop: '30px' }}>{block.text}</h4>;
+    case 'question':
+      return (
+        <div style={{ marginBottom: '20px' }}>
+          <p style={{ color: '#4CAF50', fontWeight: 'bold', marginBottom: '5px' }}>{block.title}</p>
+          <p style={{ marginBottom: '10px', lineHeight: '1.6' }}>{block.text}</p>
+        </div>
+      );
+    case 'list':
+      if (block.plain) {
+        return (
+          <div style={{ marginLeft: '10px' }}>
+            {block.items.map((item, index) => (
+              <p key={index} style={{ marginBottom: '10px' }}>
+                {typeof item === 'string' ? item : renderEmphasis(item)}
+              </p>
+            ))}
+          </div>
+        );
+      }
+      return (
+        <ul style={{ marginBottom: '20px', lineHeight: '1.6' }}>
+          {block.items.map((item, index) => (
+            <li key={index}>{typeof item === 'string' ? item : renderEmphasis(item)}</li>
+          ))}
+        </ul>
+      );
+    case 'paragraph':
+    default:
+      return (
+        <p style={{ marginBottom: '20px', lineHeight: '1.6', fontStyle: block.italic ? 'italic' : 'normal' }}>
+          {renderEmphasis(block)}
+        </p>
+      );
+  }
+}
+
+/**
+ * Left-hand instructions panel for a curriculum section
+ */
+function SectionGuide({ guide }) {
+  if (!guide) return null;
+
+  return (
+    <div style={{
+      flex: '0 0 300px',
+      padding: '20px',
+      border: '1px solid white',
+      borderRadius: '8px',
+      backgroundColor: '#1a1a1a',
+      height: 'fit-content'
+    }}>
+      {guide.title && <h3 style={{ color: '#4CAF50', marginTop: 0 }}>{guide.title}</h3>}
+      {guide.blocks.map((block, index) => (
+        <GuideBlock key={index} block={block} />
+      ))}
+    </div>
+  );
+}
+
+export default SectionGuide;
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { teamService } from '../services/teamService';
+
+const inputStyle = {
+  padding: '8px',
+  borderRadius: '4px',
+  border: '1px solid white',
+  backgroundColor: 'black',
+  color: 'white'
+};
+
+const buttonStyle = {
+  padding: '8px 16px',
+  borderRadius: '4px',
+  border: 'none',
+  backgroundColor: 'white',
+  color: 'black',
+  cursor: 'pointer'
+};
+
+/**
+ * Team mode on the User Info step: start a team, join one with its code,
+ * or see who is on the team and leave it.
+ */
+function TeamPanel({ team, sessionId, workshopId, builderName, curriculum, onTeamChange }) {
+  const [teamName, setTeamName] = useState('');
+  const [joinCode, setJoinCode] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      onTeamChange(await action());
+    } catch (error) {
+      console.error('Error updating team:', error);
+      setError(error.message || 'Could not update your team');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = (event) => {
+    event.preventDefault();
+    if (!teamName.trim()) return;
+    run(() => teamService.createTeam({ workshopId, name: teamName, sessionId, memberName: builderName, curriculum }));
+  };
+
+  const handleJoin = (event) => {
+    event.preventDefault();
+    if (!joinCode.trim()) return;
+    const message = 'Join this team? You will work on the team\'s shared project from now on. ' +
+      'Anything you wrote that the team hasn\'t started yet is added to it.';
+    if (!window.confirm(message)) return;
+    run(() => teamService.joinTeam({ joinCode, sessionId, memberName: builderName, curriculum }));
+  };
+
+  const handleLeave = () => {
+    if (!window.confirm(`Leave ${team.name}? You keep a copy of the team's work.`)) return;
+    run(async () => {
+      await teamService.leaveTeam(team, sessionId, curriculum);
+      return null;
+    });
+  };
+
+  if (!sessionId) return null;
+
+  return (
+    <div style={{
+      marginBottom: '20px',
+      padding: '20px',
+      border: '1px solid white',
+      borderRadius: '8px'
+    }}>
+      <h3 style={{ marginTop: 0 }}>👥 Team</h3>
+
+      {error && <p style={{ color: '#ff4444' }}>{error}</p>}
+
+      {team ? (
+        <>
+          <p style={{ margin: '0 0 10px 0' }}>
+            You're on <strong>{team.name}</strong>. Teammates join with code{' '}
+            <strong style={{ letterSpacing: '2px' }}>{team.join_code}</strong>.
+          </p>
+          <p style={{ margin: '0 0 10px 0', color: '#888' }}>
+            Members: {team.members.map(member => (member.session_id === sessionId ? 'You' : member.name || 'Unnamed')).join(', ')}
+          </p>
+          <button
+            onClick={handleLeave}
+            disabled={busy}
+            style={{ ...buttonStyle, backgroundColor: '#333', color: 'white' }}
+          >
+            Leave team
+          </button>
+        </>
+      ) : (
+        <>
+          <p style={{ margin: '0 0 10px 0', color: '#888' }}>
+            Working with others? Start a team and share its code, or join your teammate's team.
+            Team members fill in the project sections together.
+          </p>
+          <form onSubmit={handleCreate} style={{ display: 'flex', gap: '10px', marginBottom: '10px' }}>
+            <input
+              type="text"
+              value={teamName}
+              onChange={(e) => setTeamName(e.target.value)}
+              placeholder="Team name"
+              style={{ ...inputStyle, flex: 1 }}
+            />
+            <button type="submit" disabled={busy || !teamName.trim()} style={buttonStyle}>Start a team</button>
+          </form>
+          <form onSubmit={handleJoin} style={{ display: 'flex', gap: '10px' }}>
+            <input
+              type="text"
+              value={joinCode}
+              onChange={(e) => setJoinCode(e.target.value)}
+              placeholder="Team code"
+              style={{ ...inputStyle, flex: 1, textTransform: 'uppercase' }}
+            />
+            <button type="submit" disabled={busy || !joinCode.trim()} style={buttonStyle}>Join team</button>
+          </form>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TeamPanel;
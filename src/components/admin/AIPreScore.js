@@ -0,0 +1,104 @@
+import React from 'react';
+
+const buttonStyle = {
+  padding: '6px 12px',
+  backgroundColor: '#333',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer'
+};
+
+const REVIEW_LABELS = {
+  pending: { text: 'Not reviewed', color: '#888' },
+  accepted: { text: 'Accepted', color: '#4CAF50' },
+  overridden: { text: 'Overridden', color: '#FF9800' }
+};
+
+const formatConfidence = (confidence) => (confidence === null || confidence === undefined
+  ? '–'
+  : `${Math.round(confidence * 100)}%`);
+
+/**
+ * The AI grader's suggested scores for one builder, with the quoted text
+ * behind each score. Judges can copy a suggestion into their own scorecard;
+ * nothing counts towards the leaderboard until a judge saves it.
+ */
+function AIPreScore({ rubric, result, running, canRun, usingModel, onRun, onUse }) {
+  const grades = result?.insights?.grades || [];
+  const review = REVIEW_LABELS[result?.review_status] || REVIEW_LABELS.pending;
+
+  return (
+    <div style={{ padding: '15px', border: '1px solid #333', borderRadius: '8px', marginTop: '20px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '10px' }}>
+        <h4 style={{ margin: 0 }}>
+          AI pre-score
+          {result && (
+            <span style={{ fontWeight: 'normal', color: '#888', fontSize: '14px' }}>
+              {' '}· {Math.round(result.insights.total ?? 0)}/100 · confidence {formatConfidence(result.confidence_score)}
+              {' '}· <span style={{ color: review.color }}>{review.text}</span>
+            </span>
+          )}
+        </h4>
+        <div style={{ display: 'flex', gap: '10px' }}>
+          {result && onUse && grades.length > 0 && (
+            <button onClick={() => onUse(grades)} style={buttonStyle}>Use these scores</button>
+          )}
+          {canRun && (
+            <button onClick={onRun} disabled={running} style={{ ...buttonStyle, opacity: running ? 0.7 : 1 }}>
+              {running ? 'Scoring...' : result ? 'Re-run' : 'Pre-score with AI'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {!usingModel && (
+        <p style={{ color: '#FF9800', fontSize: '12px', margin: '8px 0 0 0' }}>
+          No AI model configured – scores come from the offline keyword grader and are for demos only.
+        </p>
+      )}
+
+      {!result ? (
+        <p style={{ color: '#888', margin: '10px 0 0 0' }}>No AI pre-score yet.</p>
+      ) : (
+        <div style={{ marginTop: '10px' }}>
+          {result.insights.provider === 'stub' && usingModel && (
+            <p style={{ color: '#888', fontSize: '12px', marginTop: 0 }}>Scored by the offline keyword grader.</p>
+          )}
+          {rubric.criteria.map(criterion => {
+            const grade = grades.find(item => item.criterionId === criterion.id);
+            return (
+              <div key={criterion.id} style={{ marginBottom: '12px', fontSize: '14px' }}>
+                <div>
+                  <strong>{criterion.label}: {grade ? grade.score : '–'}</strong>
+                  {grade && (
+                    <span style={{ color: '#888' }}> · confidence {formatConfidence(grade.confidence)}</span>
+                  )}
+                </div>
+                {grade?.rationale && <div style={{ color: '#ccc' }}>{grade.rationale}</div>}
+                {grade?.evidence.map((item, index) => (
+                  <div key={index} style={{ color: '#888', borderLeft: '2px solid #4CAF50', paddingLeft: '8px', marginTop: '4px' }}>
+                    "{item.quote}" <code style={{ fontSize: '12px' }}>{item.ref}</code>
+                  </div>
+                ))}
+                {grade && grade.evidence.length === 0 && (
+                  <div style={{ color: '#FF9800', fontSize: '12px' }}>No supporting quote found in the builder's text.</div>
+                )}
+              </div>
+            );
+          })}
+          {result.insights.dropped_citations > 0 && (
+            <p style={{ color: '#888', fontSize: '12px', margin: 0 }}>
+              {result.insights.dropped_citations} quote(s) the model gave didn't match the builder's text and were removed.
+            </p>
+          )}
+          <p style={{ color: '#666', fontSize: '12px', margin: '5px 0 0 0' }}>
+            Generated {new Date(result.created_at).toLocaleString()}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AIPreScore;
@@ -0,0 +1,135 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { dataAggregationService } from '../../services/dataAggregationService';
+import { llmGateway } from '../../services/llm';
+
+const buttonStyle = {
+  padding: '8px 16px',
+  backgroundColor: '#333',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer'
+};
+
+const STAGE_LABELS = {
+  aggregating: 'Gathering builder data...',
+  analyzing: 'Analyzing builder data...',
+  writing: 'Writing the report...'
+};
+
+/**
+ * The AI-written report for the builders in view. The narrative streams in as
+ * it is written, and the whole run can be cancelled; finished reports are
+ * cached for a day per filter combination.
+ */
+function AIReportPanel({ workshopId, startDate, endDate }) {
+  const [report, setReport] = useState(null);
+  const [narrative, setNarrative] = useState('');
+  const [stage, setStage] = useState(null);
+  const [error, setError] = useState(null);
+  const controller = useRef(null);
+
+  // A report for other filters doesn't belong on screen
+  useEffect(() => {
+    controller.current?.abort();
+    setReport(null);
+    setNarrative('');
+    setError(null);
+  }, [workshopId, startDate, endDate]);
+
+  useEffect(() => () => controller.current?.abort(), []);
+
+  const generate = async (refresh = false) => {
+    controller.current?.abort();
+    const current = new AbortController();
+    controller.current = current;
+    setReport(null);
+    setNarrative('');
+    setError(null);
+
+    try {
+      const result = await dataAggregationService.generateReport(
+        { workshopId, startDate, endDate },
+        {
+          refresh,
+          signal: current.signal,
+          onStage: setStage,
+          onToken: (delta, textSoFar) => {
+            if (!current.signal.aborted) setNarrative(textSoFar);
+          }
+        }
+      );
+      setReport(result);
+      setNarrative(result.narrative || '');
+    } catch (error) {
+      if (error.name !== 'AbortError') setError(error.message);
+    } finally {
+      if (controller.current === current) {
+        controller.current = null;
+        setStage(null);
+      }
+    }
+  };
+
+  const running = stage !== null;
+
+  return (
+    <div style={{
+      backgroundColor: '#1a1a1a',
+      borderRadius: '8px',
+      padding: '20px',
+      marginBottom: '30px'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px' }}>
+        <h3 style={{ margin: 0, color: '#4CAF50' }}>AI Report</h3>
+        {running ? (
+          <button onClick={() => controller.current?.abort()} style={{ ...buttonStyle, backgroundColor: '#ff4444' }}>
+            Cancel
+          </button>
+        ) : (
+          <button
+            onClick={() => generate(!!report)}
+            disabled={!llmGateway.isAvailable()}
+            title={llmGateway.isAvailable() ? '' : 'Requires AI features to be turned on'}
+            style={{
+              ...buttonStyle,
+              backgroundColor: llmGateway.isAvailable() ? '#4CAF50' : '#333',
+              cursor: llmGateway.isAvailable() ? 'pointer' : 'not-allowed'
+            }}
+          >
+            {report ? 'Regenerate' : 'Generate report'}
+          </button>
+        )}
+      </div>
+
+      {running && (
+        <p style={{ color: '#888', margin: '15px 0 0 0' }}>{STAGE_LABELS[stage]}</p>
+      )}
+
+      {error && (
+        <p style={{ color: '#ff4444', margin: '15px 0 0 0' }}>{error}</p>
+      )}
+
+      {narrative && (
+        <div style={{ marginTop: '15px', whiteSpace: 'pre-wrap', lineHeight: 1.6 }}>
+          {narrative}
+          {running && <span style={{ color: '#4CAF50' }}> ▍</span>}
+        </div>
+      )}
+
+      {report && !report.narrative && (
+        <p style={{ color: '#888', margin: '15px 0 0 0' }}>
+          This cached report was made before written reports were added. Regenerate it to get one.
+        </p>
+      )}
+
+      {report && (
+        <p style={{ color: '#888', fontSize: '12px', margin: '15px 0 0 0' }}>
+          Generated {new Date(report.metadata.generated_at).toLocaleString()} from {report.metadata.data_points} builders
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default AIReportPanel;
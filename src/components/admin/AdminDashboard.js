@@ -1,14 +1,36 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { supabase } from '../../supabaseClient';
+import { workshopService } from '../../services/workshopService';
+import { teamService } from '../../services/teamService';
+import { scoreBuilder } from '../../utils/inputQuality';
 import BuilderList from './BuilderList';
 import BuilderDetails from './BuilderDetails';
+import HelpQueue from './HelpQueue';
 
-function AdminDashboard() {
+function AdminDashboard({ workshopId = null, curriculum, permissions, onSelectWorkshop, user }) {
   const [builders, setBuilders] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [selectedBuilder, setSelectedBuilder] = useState(null);
   const [error, setError] = useState(null);
   const [deleteStatus, setDeleteStatus] = useState(null);
+  const [missingSessionId, setMissingSessionId] = useState(null);
+  const lookedUpSessionId = useRef(null); // route builder whose workshop was looked up
+  const shownSessionId = useRef(null); // route builder that has been on screen
+
+  // The selected builder lives in the URL (/admin/builders/:sessionId) so it can be shared
+  const { sessionId: routeSessionId } = useParams();
+  const navigate = useNavigate();
+  // Per-person or per-team view (?view=team), kept in the URL like the other admin filters
+  const [searchParams, setSearchParams] = useSearchParams();
+  const view = searchParams.get('view') === 'team' ? 'team' : 'person';
+  // In the team view, a member's link selects their team
+  const matchesBuilder = (builder, sessionId) => (
+    builder.sessionId === sessionId || (builder.isTeam && builder.team.members.some(member => member.session_id === sessionId))
+  );
+  const selectedBuilderData = routeSessionId
+    ? builders.find(builder => matchesBuilder(builder, routeSessionId))
+    : builders[0];
+  const selectedBuilder = selectedBuilderData?.sessionId || routeSessionId || null;
 
   // Fetch all builders' data
   useEffect(() => {
@@ -33,22 +55,31 @@ function AdminDashboard() {
     return () => {
       subscription.unsubscribe();
     };
-  }, []);
+  }, [workshopId, view]);
 
   const fetchBuilders = async () => {
     try {
       setLoading(true);
       
-      // First get all unique session IDs with user info
-      const { data: sessions, error: sessionError } = await supabase
-        .from('user_inputs')
-        .select('session_id, input_data')
-        .eq('section_name', 'User Info');
+      // First get all unique session IDs with user info, scoped to the selected workshop
+      const { data: sessions, error: sessionError } = await workshopService.scopeQuery(
+        supabase
+          .from('user_inputs')
+          .select('session_id, workshop_id, input_data')
+          .eq('section_name', 'User Info'),
+        workshopId
+      );
 
       if (sessionError) throw sessionError;
 
-      // For each session, fetch all their inputs
-      const buildersData = await Promise.all(
+      const [workshops, teams] = await Promise.all([
+        workshopService.listWorkshops(),
+        teamService.listTeams(workshopId)
+      ]);
+      const workshopNames = Object.fromEntries(workshops.map(w => [w.id, w.name]));
+
+      // For each session, fetch all their inputs, plus the teams' shared inputs
+      const sessionInputs = await Promise.all(
         sessions.map(async (session) => {
           const { data: inputs, error: inputsError } = await supabase
             .from('user_inputs')
@@ -56,30 +87,63 @@ function AdminDashboard() {
             .eq('session_id', session.session_id);
 
           if (inputsError) throw inputsError;
+          return inputs;
+        })
+      );
+      const teamInputs = await teamService.listTeamInputs(teams.map(team => team.id));
+      const inputs = teamService.applyTeamView([...sessionInputs.flat(), ...teamInputs], teams, view);
+
+      const teamsById = Object.fromEntries(teams.map(team => [team.id, team]));
+      const teamBySession = {};
+      teams.forEach(team => team.members.forEach(member => {
+        teamBySession[member.session_id] = team;
+      }));
+      const sessionsById = Object.fromEntries(sessions.map(session => [session.session_id, session]));
+
+      const inputsBySession = inputs.reduce((acc, input) => {
+        (acc[input.session_id] = acc[input.session_id] || []).push(input);
+        return acc;
+      }, {});
+
+      const buildersData = Object.entries(inputsBySession)
+        .filter(([sessionId]) => sessionsById[sessionId] || teamsById[sessionId])
+        .map(([sessionId, rows]) => {
+          const team = teamsById[sessionId] || null;
+          const workshop = team ? team.workshop_id : sessionsById[sessionId].workshop_id;
+          const sections = rows.reduce((acc, input) => {
+            acc[input.section_name] = input.input_data;
+            return acc;
+          }, {});
 
           return {
-            sessionId: session.session_id,
-            userInfo: session.input_data,
-            sections: inputs.reduce((acc, input) => {
-              acc[input.section_name] = input.input_data;
+            sessionId,
+            workshopId: workshop,
+            workshopName: workshopNames[workshop] || null,
+            isTeam: !!team,
+            team: team || teamBySession[sessionId] || null,
+            userInfo: team
+              ? { name: team.name, email: team.members.map(member => member.name || 'Unnamed').join(', ') }
+              : sessionsById[sessionId].input_data,
+            sections,
+            fieldAuthors: rows.reduce((acc, input) => {
+              if (input.field_authors && Object.keys(input.field_authors).length > 0) {
+                acc[input.section_name] = input.field_authors;
+              }
               return acc;
             }, {}),
-            lastUpdate: Math.max(...inputs.map(input => new Date(input.created_at).getTime())),
+            lastUpdate: Math.max(...rows.map(input => new Date(input.updated_at || input.created_at).getTime())),
             progress: {
               total: 7, // Total number of sections
-              completed: inputs.length
-            }
+              completed: rows.length
+            },
+            quality: scoreBuilder(sections, curriculum)
           };
-        })
-      );
+        });
 
       // Sort by most recent update
       const sortedBuilders = buildersData.sort((a, b) => b.lastUpdate - a.lastUpdate);
       setBuilders(sortedBuilders);
       
-      if (!selectedBuilder && sortedBuilders.length > 0) {
-        setSelectedBuilder(sortedBuilders[0].sessionId);
-      }
     } catch (error) {
       console.error('Error fetching builders:', error);
       setError('Failed to load builders data');
@@ -93,8 +157,62 @@ function AdminDashboard() {
     // In a production app, you might want to update only the affected builder
     await fetchBuilders();
   };
+  // A shared link can point at a builder from another workshop: switch to it.
+  // Once shown, switching workshops by hand goes back to that workshop's list.
+  useEffect(() => {
+    if (loading || !routeSessionId) return;
+
+    if (builders.some(builder => matchesBuilder(builder, routeSessionId))) {
+      shownSessionId.current = routeSessionId;
+      setMissingSessionId(null);
+      return;
+    }
+    if (shownSessionId.current === routeSessionId) {
+      navigate('/admin/builders', { replace: true });
+      return;
+    }
+    if (lookedUpSessionId.current === routeSessionId) return;
+    lookedUpSessionId.current = routeSessionId;
+
+    const findBuilderWorkshop = async () => {
+      try {
+        const { data, error } = await supabase
+          .from('user_inputs')
+          .select('workshop_id')
+          .eq('session_id', routeSessionId)
+          .eq('section_name', 'User Info')
+          .maybeSingle();
+
+        if (error && error.code !== 'PGRST116') throw error;
+
+        if (data && (data.workshop_id || null) !== workshopId && onSelectWorkshop) {
+          onSelectWorkshop(data.workshop_id || null);
+        } else {
+          setMissingSessionId(routeSessionId);
+        }
+      } catch (error) {
+        console.error('Error looking up builder workshop:', error);
+        setMissingSessionId(routeSessionId);
+      }
+    };
+
+    findBuilderWorkshop();
+  }, [loading, routeSessionId, builders, workshopId, onSelectWorkshop, navigate]);
+
   const handleBuilderSelect = (sessionId) => {
-    setSelectedBuilder(sessionId);
+    navigate({ pathname: `/admin/builders/${sessionId}`, search: searchParams.toString() });
+  };
+
+  const handleViewChange = (nextView) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      if (nextView === 'team') {
+        next.set('view', 'team');
+      } else {
+        next.delete('view');
+      }
+      return next;
+    }, { replace: true });
   };
 
   const deleteBuilder = async (sessionId) => {
@@ -164,10 +282,9 @@ function AdminDashboard() {
       // Update local state
       setBuilders(prevBuilders => prevBuilders.filter(builder => builder.sessionId !== sessionId));
       
-      // If the deleted builder was selected, select another one or set to null
-      if (selectedBuilder === sessionId) {
-        const remainingBuilders = builders.filter(builder => builder.sessionId !== sessionId);
-        setSelectedBuilder(remainingBuilders.length > 0 ? remainingBuilders[0].sessionId : null);
+      // If the deleted builder was selected, fall back to the first remaining one
+      if (routeSessionId === sessionId) {
+        navigate('/admin/builders', { replace: true });
       }
 
       setDeleteStatus({ type: 'success', message: 'Builder deleted successfully' });
@@ -211,14 +328,37 @@ function AdminDashboard() {
         borderRight: '1px solid #333',
         padding: '20px'
       }}>
-        <h2>Builders</h2>
+        <HelpQueue workshopId={workshopId} user={user} permissions={permissions} />
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <h2>{view === 'team' ? 'Teams' : 'Builders'}</h2>
+          <div style={{ display: 'flex', border: '1px solid #333', borderRadius: '4px', overflow: 'hidden' }}>
+            {[['person', 'People'], ['team', 'Teams']].map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => handleViewChange(value)}
+                style={{
+                  padding: '4px 10px',
+                  border: 'none',
+                  backgroundColor: view === value ? 'white' : 'black',
+                  color: view === value ? 'black' : 'white',
+                  cursor: 'pointer'
+                }}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
         {loading ? (
           <p>Loading builders...</p>
         ) : (
           <BuilderList
             builders={builders}
+            workshopId={workshopId}
             selectedBuilder={selectedBuilder}
             onSelectBuilder={handleBuilderSelect}
+            curriculum={curriculum}
+            permissions={permissions}
           />
         )}
       </div>
@@ -240,12 +380,19 @@ function AdminDashboard() {
           </div>
         )}
         
-        {selectedBuilder ? (
+        {selectedBuilderData ? (
           <BuilderDetails
-            builder={builders.find(b => b.sessionId === selectedBuilder)}
+            builder={selectedBuilderData}
             onDeleteBuilder={deleteBuilder}
+            curriculum={curriculum}
+            user={user}
+            permissions={permissions}
           />
-        ) : (
+        ) : routeSessionId && missingSessionId === routeSessionId ? (
+          <div style={{ textAlign: 'center', color: '#666' }}>
+            This builder could not be found. They may have been deleted.
+          </div>
+        ) : !routeSessionId && (
           <div style={{ textAlign: 'center', color: '#666' }}>
             Select a builder to view their progress
           </div>
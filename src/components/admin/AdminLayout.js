@@ -1,12 +1,12 @@
 import React from 'react';
 import { Outlet, Link, useLocation } from 'react-router-dom';
+import WorkshopSelector from './WorkshopSelector';
 
-function AdminLayout() {
+function AdminLayout({ user, permissions, workshopId, onSelectWorkshop, workshopsVersion, onSignOut }) {
   const location = useLocation();
-  const basename = process.env.PUBLIC_URL || '';
 
   const NavLink = ({ to, children }) => {
-    const isActive = location.pathname === to;
+    const isActive = location.pathname === to || location.pathname.startsWith(`${to}/`);
     
     return (
       <Link
@@ -17,7 +17,8 @@ function AdminLayout() {
           color: isActive ? '#4CAF50' : 'white',
           backgroundColor: isActive ? '#1a1a1a' : 'transparent',
           borderRadius: '4px',
-          transition: 'all 0.3s ease'
+          transition: 'all 0.3s ease',
+          fontSize: '16px'
         }}
       >
         {children}
@@ -44,8 +45,36 @@ function AdminLayout() {
           gap: '20px',
           alignItems: 'center'
         }}>
-          <NavLink to={`${basename}/admin`}>Builders</NavLink>
-          <NavLink to={`${basename}/admin/reports`}>AI Reports</NavLink>
+          <NavLink to="/admin/builders">Builders</NavLink>
+          <NavLink to="/admin/live">Live</NavLink>
+          <NavLink to="/admin/room">Room</NavLink>
+          <NavLink to="/admin/feedback">Peer Feedback</NavLink>
+          <NavLink to="/admin/pairing">Pairing</NavLink>
+          <NavLink to="/admin/judging">Judging</NavLink>
+          <NavLink to="/admin/analytics">Analytics</NavLink>
+          <NavLink to="/admin/insights">Builder Insights</NavLink>
+          <NavLink to="/admin/workshops">Workshops</NavLink>
+          <WorkshopSelector
+            selectedWorkshopId={workshopId}
+            onSelectWorkshop={onSelectWorkshop}
+            refreshKey={workshopsVersion}
+          />
+          <div style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: '10px', color: '#888' }}>
+            <span>{user.email} · {permissions.label}</span>
+            <button
+              onClick={onSignOut}
+              style={{
+                padding: '6px 12px',
+                backgroundColor: 'transparent',
+                color: 'white',
+                border: '1px solid #333',
+                borderRadius: '4px',
+                cursor: 'pointer'
+              }}
+            >
+              Sign out
+            </button>
+          </div>
         </div>
       </nav>
 
@@ -61,4 +90,4 @@ function AdminLayout() {
   );
 }
 
-export default AdminLayout;
\ No newline at end of file
+export default AdminLayout;
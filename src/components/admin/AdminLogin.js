@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { authService, ADMIN_ROLES } from '../../services/authService';
+
+const inputStyle = {
+  padding: '8px',
+  borderRadius: '4px',
+  border: '1px solid #333',
+  backgroundColor: 'black',
+  color: 'white'
+};
+
+/**
+ * Admin sign-in. Shown by App until a user with an admin role is signed in;
+ * a signed-in user without a role gets the "not authorized" message instead.
+ */
+function AdminLogin({ user, onSignOut }) {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [localRole, setLocalRole] = useState('facilitator');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await authService.signInAdmin(email, password, localRole);
+    } catch (error) {
+      console.error('Error signing in admin:', error);
+      setError(error.message || 'Could not sign in');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div style={{
+      minHeight: '100vh',
+      backgroundColor: 'black',
+      color: 'white',
+      display: 'flex',
+      justifyContent: 'center',
+      alignItems: 'flex-start',
+      paddingTop: '80px'
+    }}>
+      <div style={{
+        width: '100%',
+        maxWidth: '400px',
+        padding: '30px',
+        backgroundColor: '#1a1a1a',
+        border: '1px solid #333',
+        borderRadius: '8px'
+      }}>
+        <h2 style={{ marginTop: 0 }}>Admin sign-in</h2>
+
+        {user ? (
+          <>
+            <p style={{ lineHeight: '1.6' }}>
+              {user.email || 'This account'} doesn't have access to the admin dashboard.
+              Ask a program lead to give you a role.
+            </p>
+            <button
+              onClick={onSignOut}
+              style={{
+                padding: '8px 16px',
+                backgroundColor: '#333',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer'
+              }}
+            >
+              Sign out
+            </button>
+          </>
+        ) : (
+          <form onSubmit={handleSubmit} style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+            <label style={{ display: 'flex', flexDirection: 'column', gap: '5px' }}>
+              Email
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+                style={inputStyle}
+              />
+            </label>
+            <label style={{ display: 'flex', flexDirection: 'column', gap: '5px' }}>
+              Password
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+                style={inputStyle}
+              />
+            </label>
+            {authService.isLocal && (
+              <label style={{ display: 'flex', flexDirection: 'column', gap: '5px', color: '#FF9800' }}>
+                Development role
+                <select value={localRole} onChange={(e) => setLocalRole(e.target.value)} style={inputStyle}>
+                  {Object.entries(ADMIN_ROLES).map(([role, { label }]) => (
+                    <option key={role} value={role}>{label}</option>
+                  ))}
+                </select>
+              </label>
+            )}
+            <button
+              type="submit"
+              disabled={submitting}
+              style={{
+                padding: '8px 16px',
+                backgroundColor: '#4CAF50',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: submitting ? 'not-allowed' : 'pointer',
+                opacity: submitting ? 0.7 : 1
+              }}
+            >
+              {submitting ? 'Signing in...' : 'Sign in'}
+            </button>
+            {error && <p style={{ color: '#ff4444', margin: 0 }}>{error}</p>}
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AdminLogin;
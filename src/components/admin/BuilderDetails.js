@@ -1,32 +1,84 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { useHref, Link } from 'react-router-dom';
 import { supabase } from '../../supabaseClient';
 import { builderInputAnalysis } from '../../services/builderInputAnalysis';
+import { helpRequestService } from '../../services/helpRequestService';
 import { config } from '../../config';
+import { getSectionOrder } from '../../curriculum';
+import SectionDataView from '../SectionDataView';
+import RevisionTimeline from './RevisionTimeline';
+import ScorecardPanel from './ScorecardPanel';
+import ProjectReview from '../ProjectReview';
+import JourneyExportPanel from './JourneyExportPanel';
 
-function BuilderDetails({ builder, onDeleteBuilder }) {
+function BuilderDetails({ builder, onDeleteBuilder, curriculum, user, permissions = {} }) {
   const [adminNotes, setAdminNotes] = useState('');
   const [lastUpdated, setLastUpdated] = useState(null);
   const [isSaving, setIsSaving] = useState(false);
   const [saveStatus, setSaveStatus] = useState('');
   const [aiSummary, setAiSummary] = useState('');
   const [isAIGenerated, setIsAIGenerated] = useState(false);
+  const [summaryStreaming, setSummaryStreaming] = useState(false);
+  const summaryController = useRef(null);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [helpRequests, setHelpRequests] = useState([]);
+  const builderHref = useHref(`/admin/builders/${builder?.sessionId || ''}`);
+
+  // Shareable link to this builder's page, for pasting into chat
+  const copyBuilderLink = async () => {
+    try {
+      await navigator.clipboard.writeText(new URL(builderHref, window.location.href).toString());
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (error) {
+      console.error('Error copying builder link:', error);
+    }
+  };
 
   useEffect(() => {
     if (builder) {
       fetchAdminNotes();
       generateSummary();
+      fetchHelpRequests();
     }
   }, [builder]);
 
+  // Stop a summary still being written when leaving the page
+  useEffect(() => () => summaryController.current?.abort(), []);
+
+  const fetchHelpRequests = async () => {
+    try {
+      const requests = await helpRequestService.listForSession(builder.sessionId);
+      setHelpRequests(requests.filter(request => request.status !== 'cancelled'));
+    } catch (error) {
+      console.error('Error fetching help requests:', error);
+    }
+  };
+
+  // Streams the summary in as it is written; starting again stops the previous one
   const generateSummary = async () => {
     if (!builder) return;
+    summaryController.current?.abort();
+    const controller = new AbortController();
+    summaryController.current = controller;
+    setSummaryStreaming(true);
     
     try {
-      const { summary, isAIGenerated } = await builderInputAnalysis.generateBuilderSummary(builder);
+      const { summary, isAIGenerated } = await builderInputAnalysis.generateBuilderSummary(builder, {
+        signal: controller.signal,
+        onToken: (delta, textSoFar) => {
+          if (!controller.signal.aborted) setAiSummary(textSoFar);
+        }
+      });
       setAiSummary(summary);
       setIsAIGenerated(isAIGenerated);
     } catch (error) {
-      console.error('Error generating summary:', error);
+      if (error.name !== 'AbortError') console.error('Error generating summary:', error);
+    } finally {
+      if (summaryController.current === controller) {
+        summaryController.current = null;
+        setSummaryStreaming(false);
+      }
     }
   };
 
@@ -121,93 +173,7 @@ function BuilderDetails({ builder, onDeleteBuilder }) {
 
   if (!builder) return null;
 
-  const sectionOrder = [
-    'User Info',
-    'Problem Definition',
-    'MVP Planner',
-    'Give & Get Feedback',
-    'Refine Your MVP',
-    'Start Build',
-    'Presentations & Retro'
-  ];
-
-  const formatSectionData = (sectionName, data) => {
-    if (!data) return <p style={{ color: '#666' }}>No data yet</p>;
-
-    switch (sectionName) {
-      case 'User Info':
-        return (
-          <div>
-            <p><strong>Name:</strong> {data.name}</p>
-            <p><strong>Email:</strong> {data.email}</p>
-          </div>
-        );
-      case 'Problem Definition':
-        return (
-          <div>
-            <p><strong>Summary:</strong> {data.summary}</p>
-            <p><strong>Context:</strong> {data.context}</p>
-            <p><strong>Impact:</strong> {data.impact}</p>
-            <p><strong>Root Causes:</strong> {data.rootCauses}</p>
-            <p><strong>Outcome:</strong> {data.outcome}</p>
-          </div>
-        );
-      case 'MVP Planner':
-        return (
-          <div>
-            <p><strong>Ideas:</strong></p>
-            <ul>
-              {data.aiOptions?.map((option, index) => (
-                <li key={index}>{option}</li>
-              ))}
-            </ul>
-            <p><strong>How It Works:</strong> {data.howItWorks}</p>
-            <p><strong>Data Needs:</strong> {data.dataNeeds}</p>
-            <p><strong>User Experience:</strong> {data.userExperience}</p>
-            <p><strong>Value Proposition:</strong> {data.valueProposition}</p>
-          </div>
-        );
-      case 'Give & Get Feedback':
-        return (
-          <div>
-            <p><strong>Share:</strong> {data.share}</p>
-            <p><strong>Request Feedback:</strong> {data.requestFeedback}</p>
-            <p><strong>Give Feedback:</strong> {data.giveFeedback}</p>
-            <p><strong>Capture:</strong> {data.capture}</p>
-          </div>
-        );
-      case 'Refine Your MVP':
-        return (
-          <div>
-            <p><strong>Feedback Integration:</strong> {data.feedbackIntegration}</p>
-            <p><strong>AI Enhancement:</strong> {data.aiEnhancement}</p>
-            <p><strong>Product Refinement:</strong> {data.productRefinement}</p>
-            <p><strong>Key Improvements:</strong> {data.keyImprovements}</p>
-          </div>
-        );
-      case 'Start Build':
-        return (
-          <div>
-            <p><strong>What was built:</strong> {data.whatBuilt}</p>
-            <p><strong>Functionality achieved:</strong> {data.functionality}</p>
-            <p><strong>Future additions:</strong> {data.futureAdditions}</p>
-            <p><strong>How AI helped:</strong> {data.aiHelp}</p>
-          </div>
-        );
-      case 'Presentations & Retro':
-        return (
-          <div>
-            <p><strong>Problem (20 sec):</strong> {data.problem}</p>
-            <p><strong>Solution (25 sec):</strong> {data.solution}</p>
-            <p><strong>Demo (50 sec):</strong> {data.demo}</p>
-            <p><strong>Journey (25 sec):</strong> {data.journey}</p>
-            <p><strong>Impact (10 sec):</strong> {data.impact}</p>
-          </div>
-        );
-      default:
-        return <pre>{JSON.stringify(data, null, 2)}</pre>;
-    }
-  };
+  const sectionOrder = getSectionOrder(curriculum);
 
   return (
     <div>
@@ -221,6 +187,20 @@ function BuilderDetails({ builder, onDeleteBuilder }) {
         <div>
           <h2 style={{ margin: 0 }}>{builder.userInfo.name}</h2>
           <p style={{ margin: '5px 0 0 0', color: '#888' }}>{builder.userInfo.email}</p>
+          {builder.team && (
+            <p style={{ margin: '5px 0 0 0', fontSize: '14px' }}>
+              {builder.isTeam ? 'Members: ' : `Team ${builder.team.name}: `}
+              {builder.team.members.map((member, index) => (
+                <React.Fragment key={member.session_id}>
+                  {index > 0 && ', '}
+                  <Link to={`/admin/builders/${member.session_id}`} style={{ color: '#4CAF50' }}>
+                    {member.name || 'Unnamed'}
+                  </Link>
+                </React.Fragment>
+              ))}
+              <span style={{ color: '#888' }}> · code {builder.team.join_code}</span>
+            </p>
+          )}
         </div>
         <div style={{ display: 'flex', alignItems: 'center', gap: '15px' }}>
           <div style={{
@@ -232,22 +212,46 @@ function BuilderDetails({ builder, onDeleteBuilder }) {
             {builder.progress.completed} of {builder.progress.total} sections complete
           </div>
           <button
-            onClick={() => onDeleteBuilder && onDeleteBuilder(builder.sessionId)}
+            onClick={copyBuilderLink}
             style={{
               padding: '8px 16px',
-              backgroundColor: '#ff4444',
+              backgroundColor: '#333',
               color: 'white',
               border: 'none',
               borderRadius: '4px',
               cursor: 'pointer',
-              fontSize: '14px',
-              display: 'flex',
-              alignItems: 'center',
-              gap: '5px'
+              fontSize: '14px'
             }}
           >
-            <span style={{ fontSize: '16px' }}>×</span> Delete Builder
+            {linkCopied ? 'Link copied' : 'Copy link'}
           </button>
+          {permissions.canDelete && (
+            <button
+              onClick={() => onDeleteBuilder && onDeleteBuilder(builder.sessionId)}
+              style={{
+                padding: '8px 16px',
+                backgroundColor: '#ff4444',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontSize: '14px',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '5px'
+              }}
+            >
+              <span style={{ fontSize: '16px' }}>×</span> Delete Builder
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Journey Export */}
+      <div style={{ display: 'flex', alignItems: 'center', gap: '15px', marginBottom: '30px' }}>
+        <span style={{ color: '#888', whiteSpace: 'nowrap' }}>Export journey</span>
+        <div style={{ flex: 1, maxWidth: '500px' }}>
+          <JourneyExportPanel builders={[builder]} curriculum={curriculum} permissions={permissions} />
         </div>
       </div>
 
@@ -286,7 +290,22 @@ function BuilderDetails({ builder, onDeleteBuilder }) {
             alignItems: 'center',
             marginBottom: '10px'
           }}>
-            <h4 style={{ margin: 0, color: '#888' }}>AI-Generated Summary</h4>
+            <h4 style={{ margin: 0, color: '#888', flex: 1 }}>AI-Generated Summary</h4>
+            <button
+              onClick={() => (summaryStreaming ? summaryController.current?.abort() : generateSummary())}
+              style={{
+                padding: '4px 10px',
+                marginRight: '10px',
+                backgroundColor: summaryStreaming ? '#ff4444' : '#333',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                fontSize: '12px',
+                cursor: 'pointer'
+              }}
+            >
+              {summaryStreaming ? 'Stop' : 'Regenerate'}
+            </button>
             {isAIGenerated && (
               <div style={{
                 backgroundColor: '#ff440020',
@@ -306,13 +325,15 @@ function BuilderDetails({ builder, onDeleteBuilder }) {
             lineHeight: '1.5'
           }}>
             {aiSummary || 'Generating summary...'}
+            {summaryStreaming && aiSummary && <span style={{ color: '#4CAF50' }}> ▍</span>}
           </p>
         </div>
 
         <textarea
           value={adminNotes}
           onChange={(e) => setAdminNotes(e.target.value)}
-          placeholder="Add notes about this builder..."
+          placeholder={permissions.canEdit ? 'Add notes about this builder...' : 'No notes yet'}
+          readOnly={!permissions.canEdit}
           style={{
             width: '100%',
             minHeight: '100px',
@@ -325,35 +346,59 @@ function BuilderDetails({ builder, onDeleteBuilder }) {
             resize: 'vertical'
           }}
         />
-        <div style={{
-          display: 'flex',
-          justifyContent: 'space-between',
-          alignItems: 'center'
-        }}>
-          <button
-            onClick={saveAdminNotes}
-            disabled={isSaving}
-            style={{
-              padding: '8px 16px',
-              backgroundColor: '#4CAF50',
-              color: 'white',
-              border: 'none',
-              borderRadius: '4px',
-              cursor: isSaving ? 'not-allowed' : 'pointer',
-              opacity: isSaving ? 0.7 : 1
-            }}
-          >
-            {isSaving ? 'Saving...' : 'Save Notes'}
-          </button>
-          {saveStatus && (
-            <span style={{ 
-              color: saveStatus.includes('Error') ? '#ff4444' : '#4CAF50',
-              marginLeft: '10px'
-            }}>
-              {saveStatus}
-            </span>
-          )}
-        </div>
+        {permissions.canEdit && (
+          <div style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center'
+          }}>
+            <button
+              onClick={saveAdminNotes}
+              disabled={isSaving}
+              style={{
+                padding: '8px 16px',
+                backgroundColor: '#4CAF50',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: isSaving ? 'not-allowed' : 'pointer',
+                opacity: isSaving ? 0.7 : 1
+              }}
+            >
+              {isSaving ? 'Saving...' : 'Save Notes'}
+            </button>
+            {saveStatus && (
+              <span style={{ 
+                color: saveStatus.includes('Error') ? '#ff4444' : '#4CAF50',
+                marginLeft: '10px'
+              }}>
+                {saveStatus}
+              </span>
+            )}
+          </div>
+        )}
+      </div>
+
+      <ProjectReview
+        sessionId={builder.sessionId}
+        workshopId={builder.workshopId}
+        curriculum={curriculum}
+        sections={builder.sections}
+        updatedAt={builder.lastUpdate}
+        canRegenerate={!!permissions.canEdit}
+        generatedBy={user?.id || null}
+      />
+
+      {/* Judging */}
+      <div style={{
+        marginBottom: '30px',
+        padding: '20px',
+        backgroundColor: '#1a1a1a',
+        border: '1px solid #333',
+        borderRadius: '8px'
+      }}>
+        <h3 style={{ marginTop: 0, color: '#4CAF50' }}>Judging</h3>
+        <ScorecardPanel builder={builder} curriculum={curriculum} user={user} permissions={permissions} />
       </div>
 
       {/* Sections */}
@@ -395,7 +440,12 @@ function BuilderDetails({ builder, onDeleteBuilder }) {
 
               {/* Section Content */}
               <div style={{ color: isComplete ? 'white' : '#666' }}>
-                {formatSectionData(sectionName, sectionData)}
+                <SectionDataView
+                  sectionName={sectionName}
+                  data={sectionData}
+                  curriculum={curriculum}
+                  authors={builder.fieldAuthors?.[sectionName]}
+                />
                 
                 {/* Video reflection section removed */}
               </div>
@@ -403,6 +453,54 @@ function BuilderDetails({ builder, onDeleteBuilder }) {
           );
         })}
       </div>
+
+      {/* Revision History */}
+      <div style={{
+        marginTop: '30px',
+        padding: '20px',
+        backgroundColor: '#1a1a1a',
+        border: '1px solid #333',
+        borderRadius: '8px'
+      }}>
+        <h3 style={{ marginTop: 0 }}>Revision History</h3>
+        <RevisionTimeline builder={builder} curriculum={curriculum} />
+      </div>
+
+      {/* Help Timeline */}
+      {helpRequests.length > 0 && (
+        <div style={{
+          marginTop: '30px',
+          padding: '20px',
+          backgroundColor: '#1a1a1a',
+          border: '1px solid #333',
+          borderRadius: '8px'
+        }}>
+          <h3 style={{ marginTop: 0 }}>Help Requests</h3>
+          {helpRequests.map(request => (
+            <div
+              key={request.id}
+              style={{
+                padding: '10px 0 10px 15px',
+                borderLeft: `3px solid ${request.status === 'resolved' ? '#4CAF50' : '#FF9800'}`,
+                marginBottom: '10px'
+              }}
+            >
+              <div style={{ fontSize: '12px', color: '#888' }}>
+                {new Date(request.created_at).toLocaleString()} · {request.section_name || 'No section'}
+              </div>
+              {request.message && <div>"{request.message}"</div>}
+              <div style={{ fontSize: '14px', color: '#888' }}>
+                {request.status === 'resolved'
+                  ? `Resolved${request.claimed_by_name ? ` by ${request.claimed_by_name}` : ''} ${new Date(request.resolved_at).toLocaleTimeString()}`
+                  : request.status === 'claimed'
+                    ? `${request.claimed_by_name} is on the way`
+                    : 'Waiting for help'}
+                {request.resolution_note && ` – ${request.resolution_note}`}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
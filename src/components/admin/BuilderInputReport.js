@@ -1,12 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import { supabase } from '../../supabaseClient';
+import { workshopService } from '../../services/workshopService';
+import { builderInputAnalysis } from '../../services/builderInputAnalysis';
+import { llmGateway, llmScheduler } from '../../services/llm';
+import { defaultCurriculum, getSectionOrder, getReportFields } from '../../curriculum';
 import { 
   analyzeField, 
   groupByCompletion, 
   compareFieldAnalysis 
 } from '../../utils/textAnalysis';
 
-function BuilderInputReport() {
+function BuilderInputReport({ workshopId = null, curriculum = defaultCurriculum }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [builderData, setBuilderData] = useState(null);
@@ -14,59 +18,32 @@ function BuilderInputReport() {
   const [fieldAnalysis, setFieldAnalysis] = useState({});
   const [comparisonAnalysis, setComparisonAnalysis] = useState({});
   const [activeTab, setActiveTab] = useState('overview');
+  const [summaries, setSummaries] = useState({});
+  const [summaryBatch, setSummaryBatch] = useState(null);
+  const [summaryProgress, setSummaryProgress] = useState(null);
 
-  const sectionOrder = [
-    'User Info',
-    'Problem Definition',
-    'MVP Planner',
-    'Give & Get Feedback',
-    'Refine Your MVP',
-    'Start Build',
-    'Presentations & Retro'
-  ];
+  const sectionOrder = getSectionOrder(curriculum);
 
   // Field definitions for structured analysis
-  const sectionFields = {
-    'Problem Definition': [
-      { name: 'summary', label: 'Problem Summary' },
-      { name: 'context', label: 'Problem Context' },
-      { name: 'impact', label: 'Problem Impact' },
-      { name: 'rootCauses', label: 'Root Causes' }
-    ],
-    'MVP Planner': [
-      { name: 'howItWorks', label: 'Solution Approach' },
-      { name: 'dataNeeds', label: 'Data Requirements' },
-      { name: 'userExperience', label: 'User Experience' },
-      { name: 'valueProposition', label: 'Value Proposition' }
-    ],
-    'Give & Get Feedback': [
-      { name: 'requestFeedback', label: 'Feedback Requests' },
-      { name: 'giveFeedback', label: 'Feedback Given' },
-      { name: 'capture', label: 'Feedback Capture' }
-    ],
-    'Refine Your MVP': [
-      { name: 'feedbackIntegration', label: 'Feedback Integration' },
-      { name: 'aiEnhancement', label: 'AI Enhancements' },
-      { name: 'productRefinement', label: 'Product Refinements' }
-    ],
-    'Start Build': [
-      { name: 'whatBuilt', label: 'Implementation' },
-      { name: 'functionality', label: 'Functionality' },
-      { name: 'futureAdditions', label: 'Future Plans' },
-      { name: 'aiHelp', label: 'AI Assistance' }
-    ],
-    'Presentations & Retro': [
-      { name: 'problem', label: 'Problem Statement' },
-      { name: 'solution', label: 'Solution Description' },
-      { name: 'demo', label: 'Demo Approach' },
-      { name: 'journey', label: 'Builder Journey' },
-      { name: 'impact', label: 'Impact Description' }
-    ]
-  };
+  const sectionFields = getReportFields(curriculum);
+  const reportSections = curriculum.sections.filter(section => section.reportTab && sectionFields[section.name]);
 
   useEffect(() => {
     loadBuilderData();
-  }, []);
+  }, [workshopId, curriculum]);
+
+  // Follow the running summary batch; leaving the page cancels it
+  useEffect(() => {
+    if (!summaryBatch) return undefined;
+    setSummaryProgress(llmScheduler.getProgress(summaryBatch));
+    const unsubscribe = llmScheduler.subscribe((batchId, progress) => {
+      if (batchId === summaryBatch) setSummaryProgress(progress);
+    });
+    return () => {
+      unsubscribe();
+      llmScheduler.cancelBatch(summaryBatch);
+    };
+  }, [summaryBatch]);
 
   const loadBuilderData = async () => {
     try {
@@ -74,10 +51,13 @@ function BuilderInputReport() {
       setError(null);
       
       // Fetch all user inputs
-      const { data: inputs, error } = await supabase
-        .from('user_inputs')
-        .select('*')
-        .order('created_at', { ascending: false });
+      const { data: inputs, error } = await workshopService.scopeQuery(
+        supabase
+          .from('user_inputs')
+          .select('*')
+          .order('created_at', { ascending: false }),
+        workshopId
+      );
 
       if (error) throw error;
 
@@ -145,6 +125,36 @@ function BuilderInputReport() {
     }
   };
 
+  // One summary per builder, queued as a single batch so the scheduler can pace it
+  const generateAllSummaries = async () => {
+    const bySession = {};
+    Object.values(builderData).flat().forEach(input => {
+      const sections = bySession[input.session_id] = bySession[input.session_id] || {};
+      // Inputs are newest first; keep the latest save of each section
+      if (!sections[input.section_name]) sections[input.section_name] = input.input_data;
+    });
+
+    const batchId = `summaries-${Date.now()}`;
+    setSummaries({});
+    setSummaryProgress(null);
+    setSummaryBatch(batchId);
+
+    await Promise.all(Object.entries(bySession).map(async ([sessionId, sections]) => {
+      const name = sections['User Info']?.name || 'Unnamed builder';
+      try {
+        const { summary } = await builderInputAnalysis.generateBuilderSummary(
+          { sessionId, sections },
+          { priority: 'batch', batchId }
+        );
+        setSummaries(prev => ({ ...prev, [sessionId]: { name, summary } }));
+      } catch (error) {
+        if (error.name !== 'AbortError') console.error('Error generating summary:', error);
+      }
+    }));
+  };
+
+  const summariesRunning = summaryProgress?.pending > 0;
+
   const TabButton = ({ id, label }) => (
     <button
       onClick={() => setActiveTab(id)}
@@ -261,11 +271,11 @@ function BuilderInputReport() {
       {/* Navigation Tabs */}
       <div style={{ marginBottom: '20px' }}>
         <TabButton id="overview" label="Overview" />
-        <TabButton id="problem" label="Problem Definition" />
-        <TabButton id="mvp" label="MVP Planning" />
-        <TabButton id="feedback" label="Feedback" />
-        <TabButton id="build" label="Build Progress" />
+        {reportSections.map(section => (
+          <TabButton key={section.id} id={section.id} label={section.reportTab} />
+        ))}
         <TabButton id="comparison" label="Completion Comparison" />
+        <TabButton id="summaries" label="AI Summaries" />
       </div>
 
       {/* Overview Tab */}
@@ -347,7 +357,7 @@ function BuilderInputReport() {
               <div>
                 <h4>Completion Rate</h4>
                 <div style={{ fontSize: '24px', fontWeight: 'bold' }}>
-                  {((sectionCounts['Presentations & Retro'] || 0) / (sectionCounts['User Info'] || 1) * 100).toFixed(1)}%
+                  {((sectionCounts[sectionOrder[sectionOrder.length - 1]] || 0) / (sectionCounts[sectionOrder[0]] || 1) * 100).toFixed(1)}%
                 </div>
               </div>
             </div>
@@ -355,64 +365,12 @@ function BuilderInputReport() {
         </div>
       )}
 
-      {/* Problem Definition Tab */}
-      {activeTab === 'problem' && fieldAnalysis['Problem Definition'] && (
-        <div>
-          <h3 style={{ marginBottom: '20px' }}>Problem Definition Analysis</h3>
-          
-          {sectionFields['Problem Definition'].map(field => (
-            <div key={field.name} style={{
-              backgroundColor: '#1a1a1a',
-              borderRadius: '8px',
-              padding: '20px',
-              marginBottom: '20px'
-            }}>
-              <h4 style={{ marginBottom: '15px', color: '#4CAF50' }}>{field.label}</h4>
-              {fieldAnalysis['Problem Definition'][field.name]?.length > 0 ? (
-                <PhraseList 
-                  phrases={fieldAnalysis['Problem Definition'][field.name]} 
-                  colorScale={true}
-                />
-              ) : (
-                <p>No data available</p>
-              )}
-            </div>
-          ))}
-        </div>
-      )}
-
-      {/* MVP Planning Tab */}
-      {activeTab === 'mvp' && fieldAnalysis['MVP Planner'] && (
-        <div>
-          <h3 style={{ marginBottom: '20px' }}>MVP Planning Analysis</h3>
-          
-          {sectionFields['MVP Planner'].map(field => (
-            <div key={field.name} style={{
-              backgroundColor: '#1a1a1a',
-              borderRadius: '8px',
-              padding: '20px',
-              marginBottom: '20px'
-            }}>
-              <h4 style={{ marginBottom: '15px', color: '#4CAF50' }}>{field.label}</h4>
-              {fieldAnalysis['MVP Planner'][field.name]?.length > 0 ? (
-                <PhraseList 
-                  phrases={fieldAnalysis['MVP Planner'][field.name]} 
-                  colorScale={true}
-                />
-              ) : (
-                <p>No data available</p>
-              )}
-            </div>
-          ))}
-        </div>
-      )}
-
-      {/* Feedback Tab */}
-      {activeTab === 'feedback' && fieldAnalysis['Give & Get Feedback'] && (
-        <div>
-          <h3 style={{ marginBottom: '20px' }}>Feedback Analysis</h3>
+      {/* Section Tabs */}
+      {reportSections.map(section => activeTab === section.id && fieldAnalysis[section.name] && (
+        <div key={section.id}>
+          <h3 style={{ marginBottom: '20px' }}>{section.reportTab} Analysis</h3>
           
-          {sectionFields['Give & Get Feedback'].map(field => (
+          {sectionFields[section.name].map(field => (
             <div key={field.name} style={{
               backgroundColor: '#1a1a1a',
               borderRadius: '8px',
@@ -420,9 +378,9 @@ function BuilderInputReport() {
               marginBottom: '20px'
             }}>
               <h4 style={{ marginBottom: '15px', color: '#4CAF50' }}>{field.label}</h4>
-              {fieldAnalysis['Give & Get Feedback'][field.name]?.length > 0 ? (
+              {fieldAnalysis[section.name][field.name]?.length > 0 ? (
                 <PhraseList 
-                  phrases={fieldAnalysis['Give & Get Feedback'][field.name]} 
+                  phrases={fieldAnalysis[section.name][field.name]} 
                   colorScale={true}
                 />
               ) : (
@@ -431,33 +389,8 @@ function BuilderInputReport() {
             </div>
           ))}
         </div>
-      )}
+      ))}
 
-      {/* Build Progress Tab */}
-      {activeTab === 'build' && fieldAnalysis['Start Build'] && (
-        <div>
-          <h3 style={{ marginBottom: '20px' }}>Build Progress Analysis</h3>
-          
-          {sectionFields['Start Build'].map(field => (
-            <div key={field.name} style={{
-              backgroundColor: '#1a1a1a',
-              borderRadius: '8px',
-              padding: '20px',
-              marginBottom: '20px'
-            }}>
-              <h4 style={{ marginBottom: '15px', color: '#4CAF50' }}>{field.label}</h4>
-              {fieldAnalysis['Start Build'][field.name]?.length > 0 ? (
-                <PhraseList 
-                  phrases={fieldAnalysis['Start Build'][field.name]} 
-                  colorScale={true}
-                />
-              ) : (
-                <p>No data available</p>
-              )}
-            </div>
-          ))}
-        </div>
-      )}
 
       {/* Comparison Tab */}
       {activeTab === 'comparison' && (
@@ -497,6 +430,106 @@ function BuilderInputReport() {
           )}
         </div>
       )}
+
+      {/* AI Summaries Tab */}
+      {activeTab === 'summaries' && (
+        <div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '20px' }}>
+            <h3 style={{ margin: 0, flex: 1 }}>AI Summaries</h3>
+            {summariesRunning ? (
+              <button
+                onClick={() => llmScheduler.cancelBatch(summaryBatch)}
+                style={{
+                  padding: '8px 16px',
+                  backgroundColor: '#ff4444',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '4px',
+                  cursor: 'pointer'
+                }}
+              >
+                Cancel
+              </button>
+            ) : (
+              <button
+                onClick={generateAllSummaries}
+                disabled={!llmGateway.isAvailable()}
+                title={llmGateway.isAvailable() ? '' : 'Requires AI features to be turned on'}
+                style={{
+                  padding: '8px 16px',
+                  backgroundColor: llmGateway.isAvailable() ? '#4CAF50' : '#333',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '4px',
+                  cursor: llmGateway.isAvailable() ? 'pointer' : 'not-allowed'
+                }}
+              >
+                Summarize all builders
+              </button>
+            )}
+          </div>
+
+          {summaryProgress && summaryProgress.total > 0 && (
+            <div style={{
+              backgroundColor: '#1a1a1a',
+              borderRadius: '8px',
+              padding: '20px',
+              marginBottom: '20px'
+            }}>
+              <div style={{
+                height: '20px',
+                backgroundColor: '#333',
+                borderRadius: '10px',
+                overflow: 'hidden',
+                display: 'flex'
+              }}>
+                <div style={{
+                  width: `${(summaryProgress.done / summaryProgress.total) * 100}%`,
+                  backgroundColor: '#4CAF50',
+                  transition: 'width 0.3s ease'
+                }} />
+                <div style={{
+                  width: `${(summaryProgress.failed / summaryProgress.total) * 100}%`,
+                  backgroundColor: '#ff4444',
+                  transition: 'width 0.3s ease'
+                }} />
+              </div>
+              <div style={{ marginTop: '10px', color: '#888', fontSize: '14px' }}>
+                {summaryProgress.done} of {summaryProgress.total} done
+                {summaryProgress.failed > 0 && `, ${summaryProgress.failed} fell back to a basic summary`}
+                {summaryProgress.cancelled > 0 && `, ${summaryProgress.cancelled} cancelled`}
+                {summariesRunning && summaryProgress.waitingUntil && (
+                  <span style={{ color: '#FF9800' }}>
+                    {' '}· Rate limited, retrying at {new Date(summaryProgress.waitingUntil).toLocaleTimeString()}
+                  </span>
+                )}
+              </div>
+            </div>
+          )}
+
+          {Object.entries(summaries).map(([sessionId, { name, summary }]) => (
+            <div key={sessionId} style={{
+              backgroundColor: '#1a1a1a',
+              borderRadius: '8px',
+              padding: '20px',
+              marginBottom: '20px'
+            }}>
+              <h4 style={{ margin: '0 0 10px 0', color: '#4CAF50' }}>{name}</h4>
+              <p style={{ margin: 0, whiteSpace: 'pre-wrap', lineHeight: 1.5 }}>{summary}</p>
+            </div>
+          ))}
+
+          {!summaryProgress && Object.keys(summaries).length === 0 && (
+            <div style={{
+              backgroundColor: '#1a1a1a',
+              borderRadius: '8px',
+              padding: '20px'
+            }}>
+              <p>Generate a short AI summary of every builder in this workshop. Requests are paced to stay under the AI rate limits.</p>
+            </div>
+          )}
+        </div>
+      )}
     </div>
   );
 }
@@ -1,21 +1,29 @@
 import React from 'react';
 import { exportBuildersToCSV } from '../../utils/csvExport';
+import JourneyExportPanel from './JourneyExportPanel';
+
+// Input quality score (utils/inputQuality.js) as a traffic light
+const qualityColor = (score) => (score >= 70 ? '#4CAF50' : score >= 40 ? '#FF9800' : '#ff4444');
+
+function BuilderList({ builders, selectedBuilder, onSelectBuilder, workshopId = null, curriculum, permissions = {} }) {
+  const workshopName = workshopId ? builders[0]?.workshopName : null;
 
-function BuilderList({ builders, selectedBuilder, onSelectBuilder }) {
   return (
     <div style={{ 
       display: 'flex',
       flexDirection: 'column',
       gap: '10px'
     }}>
-      {/* Export Button */}
+      {/* Export Buttons */}
       <div style={{
         marginBottom: '20px',
         display: 'flex',
-        justifyContent: 'flex-end'
+        flexDirection: 'column',
+        alignItems: 'flex-end',
+        gap: '10px'
       }}>
         <button
-          onClick={() => exportBuildersToCSV(builders)}
+          onClick={() => exportBuildersToCSV(builders, { workshopName })}
           style={{
             padding: '8px 16px',
             backgroundColor: '#4CAF50',
@@ -31,6 +39,14 @@ function BuilderList({ builders, selectedBuilder, onSelectBuilder }) {
         >
           Export to CSV
         </button>
+        <div style={{ alignSelf: 'stretch' }}>
+          <JourneyExportPanel
+            builders={builders}
+            curriculum={curriculum}
+            permissions={permissions}
+            workshopName={workshopName}
+          />
+        </div>
       </div>
 
       {builders.map((builder) => (
@@ -51,9 +67,26 @@ function BuilderList({ builders, selectedBuilder, onSelectBuilder }) {
         >
           {/* Builder Info */}
           <div style={{ marginBottom: '10px' }}>
-            <h3 style={{ margin: 0, color: '#4CAF50' }}>
-              {builder.userInfo.name}
-            </h3>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px' }}>
+              <h3 style={{ margin: 0, color: '#4CAF50' }}>
+                {builder.userInfo.name}
+              </h3>
+              {builder.quality?.score != null && (
+                <span
+                  title={Object.entries(builder.quality.sections).map(([name, score]) => `${name}: ${score}`).join('\n')}
+                  style={{
+                    padding: '2px 8px',
+                    borderRadius: '12px',
+                    fontSize: '12px',
+                    color: 'white',
+                    backgroundColor: qualityColor(builder.quality.score),
+                    whiteSpace: 'nowrap'
+                  }}
+                >
+                  Quality {builder.quality.score}
+                </span>
+              )}
+            </div>
             <p style={{ 
               margin: '5px 0 0 0',
               fontSize: '14px',
@@ -61,6 +94,24 @@ function BuilderList({ builders, selectedBuilder, onSelectBuilder }) {
             }}>
               {builder.userInfo.email}
             </p>
+            {builder.team && (
+              <p style={{ 
+                margin: '5px 0 0 0',
+                fontSize: '12px',
+                color: '#4CAF50'
+              }}>
+                {builder.isTeam ? `👥 ${builder.team.members.length} members` : `👥 ${builder.team.name}`}
+              </p>
+            )}
+            {!workshopId && builder.workshopName && (
+              <p style={{ 
+                margin: '5px 0 0 0',
+                fontSize: '12px',
+                color: '#666'
+              }}>
+                {builder.workshopName}
+              </p>
+            )}
           </div>
 
           {/* Progress Bar */}
@@ -0,0 +1,217 @@
+import React, { useState } from 'react';
+import { exportTemplateService, normalizeLayout } from '../../services/exportTemplateService';
+import { BLOCK_TYPES } from '../../utils/journeyExport';
+import { getSectionOrder } from '../../curriculum';
+
+const inputStyle = {
+  padding: '8px',
+  borderRadius: '4px',
+  border: '1px solid #333',
+  backgroundColor: 'black',
+  color: 'white'
+};
+
+const buttonStyle = {
+  padding: '8px 16px',
+  backgroundColor: '#333',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer'
+};
+
+const smallButtonStyle = { ...buttonStyle, padding: '4px 10px', fontSize: '12px' };
+
+// Every kind of block is listed (switched off if the template doesn't use it)
+// so it can be switched on again; only custom text blocks are added and removed.
+const withAllBlocks = (blocks) => [
+  ...blocks.map(block => ({ ...block })),
+  ...Object.keys(BLOCK_TYPES)
+    .filter(type => type !== 'text' && !blocks.some(block => block.type === type))
+    .map(type => ({ type, title: BLOCK_TYPES[type], enabled: false }))
+];
+
+/**
+ * Edit a journey export template: its headings, which blocks it shows, their
+ * titles and order, and which sections it includes.
+ */
+function ExportTemplateEditor({ template, curriculum, onSaved, onCancel }) {
+  const [draft, setDraft] = useState(() => {
+    const layout = normalizeLayout(template.layout);
+    return { ...template, layout: { ...layout, blocks: withAllBlocks(layout.blocks) } };
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const sectionNames = getSectionOrder(curriculum).filter(name => name !== 'User Info');
+  const { layout } = draft;
+
+  const updateLayout = (changes) => setDraft(prev => ({ ...prev, layout: { ...prev.layout, ...changes } }));
+
+  const updateBlock = (index, changes) => {
+    updateLayout({ blocks: layout.blocks.map((block, i) => (i === index ? { ...block, ...changes } : block)) });
+  };
+
+  const moveBlock = (index, offset) => {
+    const blocks = [...layout.blocks];
+    const [block] = blocks.splice(index, 1);
+    blocks.splice(index + offset, 0, block);
+    updateLayout({ blocks });
+  };
+
+  // No sections list means every section, including ones added to the curriculum later
+  const toggleSection = (index, sectionName) => {
+    const selected = layout.blocks[index].sections || sectionNames;
+    const sections = selected.includes(sectionName)
+      ? selected.filter(name => name !== sectionName)
+      : sectionNames.filter(name => name === sectionName || selected.includes(name));
+    updateBlock(index, { sections: sections.length === sectionNames.length ? undefined : sections });
+  };
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    if (!draft.name.trim()) {
+      setError('Give the template a name.');
+      return;
+    }
+    if (!layout.blocks.some(block => block.enabled !== false)) {
+      setError('Switch on at least one block.');
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      onSaved(await exportTemplateService.saveTemplate(draft));
+    } catch (error) {
+      console.error('Error saving export template:', error);
+      setError(`Error saving template: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSave} style={{ padding: '20px', backgroundColor: '#1a1a1a', borderRadius: '8px', marginBottom: '20px' }}>
+      <h3 style={{ marginTop: 0 }}>{draft.id ? 'Edit export template' : 'New export template'}</h3>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '10px', marginBottom: '15px' }}>
+        <input
+          type="text"
+          value={draft.name}
+          onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+          placeholder="Template name"
+          style={inputStyle}
+        />
+        <input
+          type="text"
+          value={layout.title}
+          onChange={(e) => updateLayout({ title: e.target.value })}
+          placeholder="Heading for each builder"
+          style={inputStyle}
+        />
+        <textarea
+          value={layout.intro}
+          onChange={(e) => updateLayout({ intro: e.target.value })}
+          placeholder="Text under each builder's heading"
+          style={{ ...inputStyle, minHeight: '60px' }}
+        />
+        <input
+          type="text"
+          value={layout.cohortTitle}
+          onChange={(e) => updateLayout({ cohortTitle: e.target.value })}
+          placeholder="Heading of a cohort export"
+          style={inputStyle}
+        />
+        <div style={{ color: '#888', fontSize: '12px' }}>
+          {'Placeholders: {{name}}, {{email}}, {{workshop}}, {{team}}, {{date}}'}
+        </div>
+      </div>
+
+      <div style={{ color: '#888', marginBottom: '5px' }}>Blocks, in order</div>
+      {layout.blocks.map((block, index) => (
+        <div key={index} style={{ border: '1px solid #333', borderRadius: '4px', padding: '10px', marginBottom: '8px' }}>
+          <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap' }}>
+            <label style={{ width: '170px' }}>
+              <input
+                type="checkbox"
+                checked={block.enabled !== false}
+                onChange={(e) => updateBlock(index, { enabled: e.target.checked })}
+              />{' '}
+              {BLOCK_TYPES[block.type]}
+            </label>
+            <input
+              type="text"
+              value={block.title || ''}
+              onChange={(e) => updateBlock(index, { title: e.target.value })}
+              placeholder="Heading (optional)"
+              style={{ ...inputStyle, flex: 1, minWidth: '150px' }}
+            />
+            <button type="button" onClick={() => moveBlock(index, -1)} disabled={index === 0} style={smallButtonStyle}>↑</button>
+            <button
+              type="button"
+              onClick={() => moveBlock(index, 1)}
+              disabled={index === layout.blocks.length - 1}
+              style={smallButtonStyle}
+            >
+              ↓
+            </button>
+            {block.type === 'text' && (
+              <button
+                type="button"
+                onClick={() => updateLayout({ blocks: layout.blocks.filter((_, i) => i !== index) })}
+                style={{ ...smallButtonStyle, backgroundColor: '#ff4444' }}
+              >
+                Remove
+              </button>
+            )}
+          </div>
+
+          {block.type === 'sections' && block.enabled !== false && (
+            <div style={{ display: 'flex', gap: '15px', flexWrap: 'wrap', marginTop: '10px', fontSize: '14px' }}>
+              {sectionNames.map(sectionName => (
+                <label key={sectionName}>
+                  <input
+                    type="checkbox"
+                    checked={!block.sections || block.sections.includes(sectionName)}
+                    onChange={() => toggleSection(index, sectionName)}
+                  />{' '}
+                  {sectionName}
+                </label>
+              ))}
+            </div>
+          )}
+
+          {block.type === 'text' && (
+            <textarea
+              value={block.text || ''}
+              onChange={(e) => updateBlock(index, { text: e.target.value })}
+              placeholder="Text, e.g. a note for the partner organization"
+              style={{ ...inputStyle, width: '100%', minHeight: '60px', marginTop: '10px', boxSizing: 'border-box' }}
+            />
+          )}
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => updateLayout({ blocks: [...layout.blocks, { type: 'text', title: '', text: '', enabled: true }] })}
+        style={{ ...buttonStyle, marginBottom: '15px' }}
+      >
+        + Add text block
+      </button>
+
+      {error && <p style={{ color: '#ff4444' }}>{error}</p>}
+
+      <div style={{ display: 'flex', gap: '10px' }}>
+        <button type="submit" disabled={saving} style={{ ...buttonStyle, backgroundColor: '#4CAF50' }}>
+          {saving ? 'Saving...' : 'Save template'}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} style={buttonStyle}>Cancel</button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+export default ExportTemplateEditor;
@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import { liveSessionService } from '../../services/liveSessionService';
+import { useLiveSession, formatCountdown } from '../../hooks/useLiveSession';
+
+const buttonStyle = {
+  padding: '10px 20px',
+  backgroundColor: '#333',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '16px'
+};
+
+/**
+ * Live control panel: start the workshop, step through the schedule and keep
+ * time. Every change reaches the builders of the selected workshop over Realtime.
+ */
+function FacilitatorPanel({ workshopId, curriculum, permissions = {} }) {
+  const { liveSession, setLiveSession, segments, currentSegment, remainingMs, isLive } =
+    useLiveSession(workshopId, curriculum);
+  const [unlockSections, setUnlockSections] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const canControl = !!permissions.canManageWorkshops;
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      setLiveSession(await action());
+    } catch (error) {
+      console.error('Error updating live session:', error);
+      setError(error.message || 'Could not update the live session');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!workshopId) {
+    return (
+      <div style={{ padding: '20px', textAlign: 'center', color: '#888' }}>
+        Select a workshop to run it live.
+      </div>
+    );
+  }
+
+  const index = liveSession?.segment_index ?? -1;
+  const isOvertime = isLive && liveSession.status === 'running' && remainingMs === 0;
+
+  return (
+    <div style={{ color: 'white' }}>
+      <h2 style={{ marginTop: 0 }}>Live Session</h2>
+
+      {/* Current segment and countdown */}
+      <div style={{
+        padding: '30px',
+        marginBottom: '20px',
+        backgroundColor: '#1a1a1a',
+        borderRadius: '8px',
+        border: `1px solid ${isOvertime ? '#ff4444' : '#333'}`,
+        textAlign: 'center'
+      }}>
+        {isLive ? (
+          <>
+            <div style={{ color: '#888', marginBottom: '10px' }}>
+              Segment {index + 1} of {segments.length}
+              {liveSession.status === 'paused' && ' · Paused'}
+            </div>
+            <div style={{ fontSize: '28px', fontWeight: 'bold', marginBottom: '10px' }}>
+              {currentSegment.name}
+            </div>
+            <div style={{
+              fontSize: '64px',
+              fontVariantNumeric: 'tabular-nums',
+              color: isOvertime ? '#ff4444' : '#4CAF50'
+            }}>
+              {formatCountdown(remainingMs)}
+            </div>
+            {isOvertime && <div style={{ color: '#ff4444' }}>Time's up, move on when ready</div>}
+          </>
+        ) : (
+          <div style={{ fontSize: '20px', color: '#888' }}>
+            {liveSession?.status === 'ended' ? 'The workshop has ended.' : "The workshop hasn't started yet."}
+          </div>
+        )}
+      </div>
+
+      {/* Controls */}
+      {canControl ? (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '20px', alignItems: 'center' }}>
+          {!isLive ? (
+            <>
+              <button
+                disabled={busy}
+                onClick={() => run(() => liveSessionService.start(workshopId, curriculum, { unlockSections }))}
+                style={{ ...buttonStyle, backgroundColor: '#4CAF50' }}
+              >
+                {liveSession?.status === 'ended' ? 'Restart workshop' : 'Start workshop'}
+              </button>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                <input
+                  type="checkbox"
+                  checked={unlockSections}
+                  onChange={(e) => setUnlockSections(e.target.checked)}
+                />
+                Unlock sections as the workshop reaches them
+              </label>
+            </>
+          ) : (
+            <>
+              <button
+                disabled={busy || index === 0}
+                onClick={() => run(() => liveSessionService.goToSegment(liveSession, index - 1, curriculum))}
+                style={buttonStyle}
+              >
+                ← Previous
+              </button>
+              <button
+                disabled={busy || index >= segments.length - 1}
+                onClick={() => run(() => liveSessionService.goToSegment(liveSession, index + 1, curriculum))}
+                style={{ ...buttonStyle, backgroundColor: '#4CAF50' }}
+              >
+                Next →
+              </button>
+              {liveSession.status === 'paused' ? (
+                <button disabled={busy} onClick={() => run(() => liveSessionService.resume(liveSession))} style={buttonStyle}>
+                  Resume
+                </button>
+              ) : (
+                <button disabled={busy} onClick={() => run(() => liveSessionService.pause(liveSession))} style={buttonStyle}>
+                  Pause
+                </button>
+              )}
+              <button disabled={busy} onClick={() => run(() => liveSessionService.extend(liveSession, 5))} style={buttonStyle}>
+                +5 min
+              </button>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                <input
+                  type="checkbox"
+                  checked={!!liveSession.unlock_sections}
+                  disabled={busy}
+                  onChange={(e) => run(() => liveSessionService.setUnlockSections(liveSession, e.target.checked))}
+                />
+                Unlock sections as the workshop reaches them
+              </label>
+              <button
+                disabled={busy}
+                onClick={() => {
+                  if (window.confirm('End the workshop for everyone?')) {
+                    run(() => liveSessionService.end(liveSession));
+                  }
+                }}
+                style={{ ...buttonStyle, backgroundColor: '#ff4444', marginLeft: 'auto' }}
+              >
+                End workshop
+              </button>
+            </>
+          )}
+        </div>
+      ) : (
+        <p style={{ color: '#888' }}>Observers can follow the session but not change it.</p>
+      )}
+
+      {error && <p style={{ color: '#ff4444' }}>{error}</p>}
+
+      {/* Schedule */}
+      <div style={{ backgroundColor: '#1a1a1a', borderRadius: '8px', padding: '10px' }}>
+        {segments.map((segment, segmentIndex) => {
+          const isCurrent = isLive && segmentIndex === index;
+          return (
+            <div
+              key={segment.key}
+              style={{
+                display: 'grid',
+                gridTemplateColumns: '1fr 100px auto',
+                alignItems: 'center',
+                gap: '10px',
+                padding: '10px',
+                borderRadius: '4px',
+                backgroundColor: isCurrent ? '#4CAF50' : 'transparent',
+                color: isLive && segmentIndex < index ? '#666' : 'white'
+              }}
+            >
+              <span style={{ fontWeight: isCurrent ? 'bold' : 'normal' }}>{segment.name}</span>
+              <span style={{ color: isCurrent ? 'white' : '#888', textAlign: 'center' }}>{segment.minutes} min</span>
+              {canControl && isLive && !isCurrent ? (
+                <button
+                  disabled={busy}
+                  onClick={() => run(() => liveSessionService.goToSegment(liveSession, segmentIndex, curriculum))}
+                  style={{ ...buttonStyle, padding: '4px 10px', fontSize: '14px' }}
+                >
+                  Jump here
+                </button>
+              ) : <span />}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default FacilitatorPanel;
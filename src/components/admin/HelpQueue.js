@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { helpRequestService } from '../../services/helpRequestService';
+
+const waitingFor = (timestamp) => {
+  const minutes = Math.floor((Date.now() - new Date(timestamp).getTime()) / 60000);
+  return minutes < 1 ? 'just now' : `${minutes} min`;
+};
+
+/**
+ * Live queue of raised hands, oldest first. Facilitators claim a request
+ * (the builder sees who is coming) and resolve it once they've helped.
+ */
+function HelpQueue({ workshopId, user, permissions = {} }) {
+  const [requests, setRequests] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [, setTick] = useState(0);
+
+  useEffect(() => {
+    const loadQueue = async () => {
+      try {
+        setRequests(await helpRequestService.listQueue(workshopId));
+      } catch (error) {
+        console.error('Error loading help queue:', error);
+      }
+    };
+
+    loadQueue();
+    const unsubscribe = helpRequestService.subscribe(
+      workshopId ? `workshop_id=eq.${workshopId}` : null,
+      () => loadQueue()
+    );
+    // Keep the waiting times current
+    const timer = setInterval(() => setTick(tick => tick + 1), 30000);
+
+    return () => {
+      unsubscribe();
+      clearInterval(timer);
+    };
+  }, [workshopId]);
+
+  const handle = async (requestId, action) => {
+    setBusyId(requestId);
+    try {
+      const updated = await action();
+      setRequests(previous => (
+        updated.status === 'resolved'
+          ? previous.filter(request => request.id !== requestId)
+          : previous.map(request => (request.id === requestId ? updated : request))
+      ));
+    } catch (error) {
+      console.error('Error updating help request:', error);
+      alert('Could not update the help request: ' + (error.message || 'Unknown error'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (requests.length === 0) {
+    return (
+      <div style={{ marginBottom: '20px', color: '#888' }}>
+        <h3 style={{ margin: '0 0 10px 0', color: 'white' }}>Help Queue</h3>
+        No raised hands.
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ marginBottom: '20px' }}>
+      <h3 style={{ margin: '0 0 10px 0' }}>Help Queue ({requests.length})</h3>
+      {requests.map(request => (
+        <div
+          key={request.id}
+          style={{
+            marginBottom: '10px',
+            padding: '10px',
+            borderRadius: '4px',
+            backgroundColor: '#1a1a1a',
+            border: `1px solid ${request.status === 'claimed' ? '#4CAF50' : '#FF9800'}`
+          }}
+        >
+          <Link to={`/admin/builders/${request.session_id}`} style={{ color: 'white', fontWeight: 'bold' }}>
+            {request.builder_name || 'Unnamed builder'}
+          </Link>
+          <div style={{ fontSize: '12px', color: '#888' }}>
+            {request.section_name || 'No section'} · waiting {waitingFor(request.created_at)}
+          </div>
+          {request.message && <p style={{ margin: '5px 0', fontSize: '14px' }}>"{request.message}"</p>}
+          {request.status === 'claimed' && (
+            <div style={{ fontSize: '12px', color: '#4CAF50' }}>Claimed by {request.claimed_by_name}</div>
+          )}
+          {permissions.canEdit && (
+            <div style={{ display: 'flex', gap: '5px', marginTop: '5px' }}>
+              {request.status === 'open' && (
+                <button
+                  disabled={busyId === request.id}
+                  onClick={() => handle(request.id, () => helpRequestService.claim(request.id, user))}
+                  style={{ padding: '4px 10px', backgroundColor: '#4CAF50', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+                >
+                  On my way
+                </button>
+              )}
+              <button
+                disabled={busyId === request.id}
+                onClick={() => {
+                  const note = window.prompt('What did you help with? (optional)');
+                  if (note !== null) {
+                    handle(request.id, () => helpRequestService.resolve(request.id, note));
+                  }
+                }}
+                style={{ padding: '4px 10px', backgroundColor: '#333', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+              >
+                Resolve
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default HelpQueue;
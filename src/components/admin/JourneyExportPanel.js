@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from 'react';
+import { exportTemplateService, normalizeLayout } from '../../services/exportTemplateService';
+import {
+  DEFAULT_EXPORT_TEMPLATE,
+  buildJourneyMarkdown,
+  buildCohortMarkdown,
+  exportMarkdown,
+  exportPDF
+} from '../../utils/journeyExport';
+import ExportTemplateEditor from './ExportTemplateEditor';
+
+const buttonStyle = {
+  padding: '8px 16px',
+  backgroundColor: '#333',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '14px'
+};
+
+const selectStyle = {
+  padding: '8px',
+  borderRadius: '4px',
+  border: '1px solid #333',
+  backgroundColor: 'black',
+  color: 'white',
+  flex: 1,
+  minWidth: 0
+};
+
+const DEFAULT_ID = 'default';
+
+/**
+ * Export builders' full workshop journeys (answers, notes, summaries,
+ * interview and project review) as Markdown or PDF, laid out by an export
+ * template. One builder exports on its own; several export as a cohort with
+ * a page per builder. Program leads (canManageTemplates) manage the templates.
+ */
+function JourneyExportPanel({ builders, curriculum, permissions = {}, workshopName = null }) {
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState(DEFAULT_ID);
+  const [editing, setEditing] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    exportTemplateService.listTemplates()
+      .then(rows => {
+        if (!cancelled) setTemplates(rows);
+      })
+      .catch(error => console.error('Error loading export templates:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const selected = templates.find(template => template.id === templateId);
+  const isCohort = builders.length !== 1;
+
+  const handleExport = async (format) => {
+    setExporting(true);
+    setError(null);
+    const printWindow = format === 'pdf' ? window.open('', '_blank') : null;
+    try {
+      const journeys = await exportTemplateService.loadJourneys(builders);
+      const layout = selected ? normalizeLayout(selected.layout) : DEFAULT_EXPORT_TEMPLATE;
+      const markdown = isCohort
+        ? buildCohortMarkdown(journeys, layout, curriculum, { workshopName })
+        : buildJourneyMarkdown(journeys[0], layout, curriculum);
+      const title = isCohort ? `${workshopName || 'builders'} journeys` : `${journeys[0].name} journey`;
+
+      if (format === 'pdf') {
+        if (!exportPDF(markdown, title, printWindow)) setError('Allow pop-ups for this site to export a PDF.');
+      } else {
+        exportMarkdown(markdown, title);
+      }
+    } catch (error) {
+      printWindow?.close();
+      console.error('Error exporting journeys:', error);
+      setError('The export could not be created. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleSaved = (saved) => {
+    setTemplates(prev => [...prev.filter(template => template.id !== saved.id), saved]
+      .sort((a, b) => a.name.localeCompare(b.name)));
+    setTemplateId(saved.id);
+    setEditing(null);
+  };
+
+  const handleDelete = async () => {
+    if (!selected || !window.confirm(`Delete the export template "${selected.name}"?`)) return;
+    try {
+      await exportTemplateService.deleteTemplate(selected.id);
+      setTemplates(prev => prev.filter(template => template.id !== selected.id));
+      setTemplateId(DEFAULT_ID);
+    } catch (error) {
+      console.error('Error deleting export template:', error);
+      setError(`Error deleting template: ${error.message}`);
+    }
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+        <select value={templateId} onChange={(e) => setTemplateId(e.target.value)} style={selectStyle}>
+          <option value={DEFAULT_ID}>Standard layout</option>
+          {templates.map(template => (
+            <option key={template.id} value={template.id}>{template.name}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => handleExport('markdown')}
+          disabled={exporting || builders.length === 0}
+          title={isCohort ? 'Every builder in this list, in one file' : ''}
+          style={buttonStyle}
+        >
+          Markdown
+        </button>
+        <button
+          onClick={() => handleExport('pdf')}
+          disabled={exporting || builders.length === 0}
+          title={isCohort ? 'Every builder in this list, a page each' : ''}
+          style={buttonStyle}
+        >
+          PDF
+        </button>
+      </div>
+
+      {permissions.canManageTemplates && (
+        <div style={{ display: 'flex', gap: '8px', fontSize: '12px' }}>
+          <button
+            onClick={() => setEditing({ name: '', layout: DEFAULT_EXPORT_TEMPLATE })}
+            style={{ ...buttonStyle, padding: '4px 10px', fontSize: '12px' }}
+          >
+            New template
+          </button>
+          {selected && (
+            <>
+              <button onClick={() => setEditing(selected)} style={{ ...buttonStyle, padding: '4px 10px', fontSize: '12px' }}>
+                Edit
+              </button>
+              <button
+                onClick={handleDelete}
+                style={{ ...buttonStyle, padding: '4px 10px', fontSize: '12px', backgroundColor: '#ff4444' }}
+              >
+                Delete
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {exporting && <span style={{ color: '#888', fontSize: '12px' }}>Preparing export...</span>}
+      {error && <span style={{ color: '#ff4444', fontSize: '12px' }}>{error}</span>}
+
+      {editing && (
+        <div style={{
+          position: 'fixed',
+          inset: 0,
+          zIndex: 1000,
+          backgroundColor: 'rgba(0, 0, 0, 0.8)',
+          overflowY: 'auto',
+          padding: '40px 20px'
+        }}>
+          <div style={{ maxWidth: '800px', margin: '0 auto' }}>
+            <ExportTemplateEditor
+              template={editing}
+              curriculum={curriculum}
+              onSaved={handleSaved}
+              onCancel={() => setEditing(null)}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default JourneyExportPanel;
@@ -0,0 +1,309 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { rubricService, DEFAULT_RUBRIC } from '../../services/rubricService';
+import { peerFeedbackService } from '../../services/peerFeedbackService';
+import { teamService } from '../../services/teamService';
+import { workshopService } from '../../services/workshopService';
+import { aiGraderService } from '../../services/aiGraderService';
+import { summarizeEntries, rankLeaderboard, agreementStats, judgeSummaries } from '../../utils/rubricStats';
+import { exportScoresToCSV } from '../../utils/csvExport';
+import RubricEditor from './RubricEditor';
+
+const buttonStyle = {
+  padding: '8px 16px',
+  backgroundColor: '#333',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer'
+};
+
+const cardStyle = {
+  flex: 1,
+  minWidth: '160px',
+  padding: '15px',
+  backgroundColor: '#1a1a1a',
+  borderRadius: '8px'
+};
+
+const cellStyle = { padding: '8px', textAlign: 'left' };
+
+// A spread (standard deviation between judges' totals) above this is worth a conversation
+const DISAGREEMENT_SPREAD = 15;
+
+const formatNumber = (value, digits = 0) => (value === null || value === undefined ? '–' : value.toFixed(digits));
+const formatPercent = (value) => (value === null || value === undefined ? '–' : `${Math.round(value * 100)}%`);
+
+const describeAlpha = (alpha) => {
+  if (alpha === null) return 'not enough overlapping scores yet';
+  if (alpha >= 0.8) return 'judges agree well';
+  if (alpha >= 0.667) return 'judges roughly agree';
+  return 'judges disagree a lot – worth calibrating';
+};
+
+/**
+ * Demo-day judging round: set up the workshop's rubric, then follow the
+ * leaderboard, judge agreement and each judge's tendencies as scores come in.
+ * AI pre-scores are shown next to the judges' scores but never count towards them.
+ */
+function JudgingBoard({ workshopId, curriculum, permissions = {} }) {
+  const [rubric, setRubric] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [entities, setEntities] = useState([]);
+  const [workshopName, setWorkshopName] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [aiResults, setAiResults] = useState({});
+  const [aiProgress, setAiProgress] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const canManage = !!permissions.canManageWorkshops;
+
+  const load = useCallback(async () => {
+    setError(null);
+    try {
+      const [workshopRubric, participants, teams, workshop] = await Promise.all([
+        rubricService.getRubric(workshopId),
+        peerFeedbackService.listParticipants(workshopId),
+        teamService.listTeams(workshopId),
+        workshopService.getWorkshop(workshopId)
+      ]);
+
+      // Teams are judged as one entry; everyone else on their own
+      setEntities([
+        ...teams.map(team => ({ id: team.id, name: team.name, isTeam: true })),
+        ...participants
+          .filter(builder => !builder.teamId)
+          .map(builder => ({ id: builder.sessionId, name: builder.name, isTeam: false }))
+      ]);
+      setWorkshopName(workshop?.name || null);
+      setRubric(workshopRubric);
+      setRows(workshopRubric ? await rubricService.listScores(workshopRubric.id) : []);
+      setAiResults(workshopRubric ? await aiGraderService.listLatest(workshopRubric.id) : {});
+    } catch (error) {
+      console.error('Error loading judging:', error);
+      setError(error.message || 'Could not load judging results');
+    } finally {
+      setLoading(false);
+    }
+  }, [workshopId]);
+
+  useEffect(() => {
+    setLoading(true);
+    setEditing(false);
+    load();
+  }, [load]);
+
+  // Pre-score everyone who doesn't have an AI pre-score yet, one at a time
+  const handlePreScoreAll = async () => {
+    const pending = entities.filter(entity => !aiResults[entity.id]);
+    if (pending.length === 0) return;
+
+    setAiProgress({ done: 0, total: pending.length });
+    setError(null);
+    try {
+      const sections = await aiGraderService.loadSections(pending.map(entity => entity.id), rubric.sections);
+      for (const [index, entity] of pending.entries()) {
+        const result = await aiGraderService.gradeBuilder({
+          rubric,
+          sessionId: entity.id,
+          sections: sections[entity.id] || {},
+          curriculum
+        });
+        setAiResults(prev => ({ ...prev, [entity.id]: result }));
+        setAiProgress({ done: index + 1, total: pending.length });
+      }
+    } catch (error) {
+      console.error('Error pre-scoring with AI:', error);
+      setError(`AI pre-scoring stopped: ${error.message}`);
+    } finally {
+      setAiProgress(null);
+    }
+  };
+
+  const handleSaved = (saved) => {
+    setRubric(saved);
+    setEditing(false);
+  };
+
+  if (loading) {
+    return <div style={{ padding: '20px', textAlign: 'center' }}>Loading judging...</div>;
+  }
+
+  if (!rubric || editing) {
+    return (
+      <div style={{ color: 'white' }}>
+        <h2 style={{ marginTop: 0 }}>Judging</h2>
+        {error && <p style={{ color: '#ff4444' }}>{error}</p>}
+        {canManage ? (
+          <RubricEditor
+            rubric={rubric || DEFAULT_RUBRIC}
+            workshopId={workshopId}
+            curriculum={curriculum}
+            hasScores={rows.length > 0}
+            onSaved={handleSaved}
+            onCancel={rubric ? () => setEditing(false) : null}
+          />
+        ) : (
+          <p style={{ color: '#888' }}>No judging rubric has been set up for this workshop yet.</p>
+        )}
+      </div>
+    );
+  }
+
+  const entries = rubricService.toEntries(rows);
+  const leaderboard = rankLeaderboard(summarizeEntries(rubric, entries));
+  const agreement = agreementStats(rubric, entries);
+  const judges = judgeSummaries(rubric, entries).sort((a, b) => b.count - a.count);
+  const byId = Object.fromEntries(entities.map(entity => [entity.id, entity]));
+  const names = Object.fromEntries(entities.map(entity => [entity.id, entity.name]));
+  const scoredIds = new Set(leaderboard.map(row => row.sessionId));
+  const unscored = entities.filter(entity => !scoredIds.has(entity.id));
+
+  const builderLink = (sessionId) => (byId[sessionId]?.isTeam
+    ? `/admin/builders/${sessionId}?view=team`
+    : `/admin/builders/${sessionId}`);
+
+  return (
+    <div style={{ color: 'white' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '10px' }}>
+        <h2 style={{ margin: 0 }}>Judging · {rubric.name}</h2>
+        <div style={{ display: 'flex', gap: '10px' }}>
+          <button onClick={load} style={buttonStyle}>Refresh</button>
+          {permissions.canScore && (
+            <button onClick={handlePreScoreAll} disabled={!!aiProgress} style={buttonStyle}>
+              {aiProgress ? `AI pre-scoring ${aiProgress.done}/${aiProgress.total}...` : 'AI pre-score the rest'}
+            </button>
+          )}
+          <button
+            onClick={() => exportScoresToCSV(leaderboard, rubric, { names, workshopName })}
+            disabled={leaderboard.length === 0}
+            style={buttonStyle}
+          >
+            Export CSV
+          </button>
+          {canManage && (
+            <button onClick={() => setEditing(true)} style={buttonStyle}>Edit rubric</button>
+          )}
+        </div>
+      </div>
+      <p style={{ color: '#888' }}>
+        {rubric.criteria.map(criterion => `${criterion.label} ×${criterion.weight}`).join(' · ')} ·{' '}
+        {rubric.scale_min}–{rubric.scale_max} scale. Judges score from each builder's page.
+      </p>
+
+      {error && <p style={{ color: '#ff4444' }}>{error}</p>}
+
+      <div style={{ display: 'flex', gap: '15px', flexWrap: 'wrap', marginBottom: '20px' }}>
+        <div style={cardStyle}>
+          <div style={{ color: '#888', fontSize: '14px' }}>Scored</div>
+          <div style={{ fontSize: '24px' }}>{leaderboard.length} / {entities.length}</div>
+        </div>
+        <div style={cardStyle}>
+          <div style={{ color: '#888', fontSize: '14px' }}>Scorecards</div>
+          <div style={{ fontSize: '24px' }}>{rows.length}</div>
+        </div>
+        <div style={cardStyle}>
+          <div style={{ color: '#888', fontSize: '14px' }}>Krippendorff's alpha</div>
+          <div style={{ fontSize: '24px' }}>{formatNumber(agreement.alpha, 2)}</div>
+          <div style={{ color: '#888', fontSize: '12px' }}>{describeAlpha(agreement.alpha)}</div>
+        </div>
+        <div style={cardStyle}>
+          <div style={{ color: '#888', fontSize: '14px' }}>Same score / within 1 point</div>
+          <div style={{ fontSize: '24px' }}>{formatPercent(agreement.exact)} / {formatPercent(agreement.adjacent)}</div>
+          <div style={{ color: '#888', fontSize: '12px' }}>{agreement.comparisons} judge pairs compared</div>
+        </div>
+      </div>
+
+      <h3>Leaderboard</h3>
+      {leaderboard.length === 0 ? (
+        <p style={{ color: '#888' }}>No scores yet.</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ color: '#888' }}>
+                <th style={cellStyle}>#</th>
+                <th style={cellStyle}>Builder</th>
+                <th style={cellStyle}>Score</th>
+                {rubric.criteria.map(criterion => (
+                  <th key={criterion.id} style={cellStyle}>{criterion.label}</th>
+                ))}
+                <th style={cellStyle}>Judges</th>
+                <th style={cellStyle}>Spread</th>
+                <th style={cellStyle}>AI</th>
+              </tr>
+            </thead>
+            <tbody>
+              {leaderboard.map(row => (
+                <tr key={row.sessionId} style={{ borderTop: '1px solid #333' }}>
+                  <td style={cellStyle}>{row.rank ?? '–'}</td>
+                  <td style={cellStyle}>
+                    <Link to={builderLink(row.sessionId)} style={{ color: 'white' }}>
+                      {names[row.sessionId] || 'Unknown builder'}
+                    </Link>
+                    {byId[row.sessionId]?.isTeam && <span style={{ color: '#888', fontSize: '12px' }}> team</span>}
+                  </td>
+                  <td style={{ ...cellStyle, color: '#4CAF50', fontWeight: 'bold' }}>{formatNumber(row.score)}</td>
+                  {rubric.criteria.map(criterion => (
+                    <td key={criterion.id} style={cellStyle}>{formatNumber(row.criteria[criterion.id], 1)}</td>
+                  ))}
+                  <td style={cellStyle}>{row.judgeCount}</td>
+                  <td style={{ ...cellStyle, color: row.spread > DISAGREEMENT_SPREAD ? '#FF9800' : 'white' }}>
+                    ±{formatNumber(row.spread)}
+                  </td>
+                  <td style={{ ...cellStyle, color: '#888' }}>{formatNumber(aiResults[row.sessionId]?.insights.total)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {unscored.length > 0 && (
+        <p style={{ color: '#888' }}>
+          Not scored yet:{' '}
+          {unscored.map((entity, index) => (
+            <React.Fragment key={entity.id}>
+              {index > 0 && ', '}
+              <Link to={builderLink(entity.id)} style={{ color: '#888' }}>{entity.name}</Link>
+              {aiResults[entity.id] && ` (AI ${formatNumber(aiResults[entity.id].insights.total)})`}
+            </React.Fragment>
+          ))}
+        </p>
+      )}
+
+      {judges.length > 0 && (
+        <>
+          <h3>Judges</h3>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ color: '#888' }}>
+                <th style={cellStyle}>Judge</th>
+                <th style={cellStyle}>Scored</th>
+                <th style={cellStyle}>Average total</th>
+                <th style={cellStyle}>Compared with other judges</th>
+              </tr>
+            </thead>
+            <tbody>
+              {judges.map(judge => (
+                <tr key={judge.judgeId} style={{ borderTop: '1px solid #333' }}>
+                  <td style={cellStyle}>{judge.judgeName || 'Judge'}</td>
+                  <td style={cellStyle}>{judge.count}</td>
+                  <td style={cellStyle}>{formatNumber(judge.mean)}</td>
+                  <td style={cellStyle}>
+                    {judge.bias === null
+                      ? '–'
+                      : `${judge.bias >= 0 ? '+' : ''}${formatNumber(judge.bias)} points ${judge.bias >= 0 ? 'more generous' : 'stricter'}`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default JudgingBoard;
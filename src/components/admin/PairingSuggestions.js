@@ -0,0 +1,245 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { peerFeedbackService } from '../../services/peerFeedbackService';
+import { pairingService } from '../../services/pairingService';
+import { getPeerReviewConfig } from '../../curriculum';
+
+const buttonStyle = {
+  padding: '8px 16px',
+  backgroundColor: '#333',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer'
+};
+
+const selectStyle = {
+  padding: '8px',
+  borderRadius: '4px',
+  border: '1px solid white',
+  backgroundColor: 'black',
+  color: 'white'
+};
+
+const formatScore = (score) => `${Math.round(score * 100)}%`;
+
+function BuilderLink({ builder }) {
+  return (
+    <Link to={`/admin/builders/${builder.sessionId}`} style={{ color: 'white', fontWeight: 'bold' }}>
+      {builder.name}
+    </Link>
+  );
+}
+
+/**
+ * Suggests feedback pairs, teams and "working on similar problems" matches
+ * from the similarity of builders' Problem Definitions.
+ */
+function PairingSuggestions({ workshopId, curriculum, permissions = {} }) {
+  const navigate = useNavigate();
+  const [participants, setParticipants] = useState([]);
+  const [analysis, setAnalysis] = useState(null);
+  const [view, setView] = useState('pairs');
+  const [teamSize, setTeamSize] = useState(3);
+  const [useEmbeddings, setUseEmbeddings] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [applying, setApplying] = useState(false);
+  const [error, setError] = useState(null);
+
+  const feedbackConfig = getPeerReviewConfig(curriculum);
+  const canApply = !!permissions.canManageWorkshops && !!feedbackConfig;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const builders = await peerFeedbackService.listParticipants(workshopId);
+        if (cancelled) return;
+        setParticipants(builders);
+      } catch (error) {
+        console.error('Error loading builders for pairing:', error);
+        if (!cancelled) setError(error.message || 'Could not load builders');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [workshopId]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    pairingService.analyze(participants, { useEmbeddings }).then(result => {
+      if (cancelled) return;
+      setAnalysis(result);
+      if (result.error) {
+        setError(`Embeddings unavailable (${result.error}); showing keyword similarity instead.`);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [participants, useEmbeddings]);
+
+  const groups = analysis && view !== 'similar'
+    ? pairingService.proposeGroups(analysis, view === 'pairs' ? 2 : teamSize)
+    : [];
+
+  const handleApply = async () => {
+    const message = 'Replace the current peer feedback assignments with these groups? ' +
+      'Feedback already given on the old assignments will be deleted.';
+    if (!window.confirm(message)) return;
+
+    setApplying(true);
+    setError(null);
+    try {
+      const rows = peerFeedbackService.groupsToAssignments(
+        groups.map(group => group.members),
+        workshopId,
+        'similarity',
+        feedbackConfig.sharedSections
+      );
+      await peerFeedbackService.replaceAssignments(workshopId, rows);
+      navigate('/admin/feedback');
+    } catch (error) {
+      console.error('Error applying pairs:', error);
+      setError(error.message || 'Could not save the assignments');
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  if (loading) {
+    return <div style={{ padding: '20px', textAlign: 'center' }}>Loading builders...</div>;
+  }
+
+  const withProblem = participants.filter(builder => pairingService.problemText(builder));
+
+  return (
+    <div style={{ color: 'white' }}>
+      <h2 style={{ marginTop: 0 }}>Pairing Suggestions</h2>
+      <p style={{ color: '#888' }}>
+        Based on what builders wrote in Problem Definition (summary, context and impact).{' '}
+        {withProblem.length} of {participants.length} builders have written one.
+      </p>
+
+      {error && (
+        <div style={{ padding: '10px', marginBottom: '15px', backgroundColor: '#ff4444', borderRadius: '4px' }}>{error}</div>
+      )}
+
+      <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '20px' }}>
+        <select value={view} onChange={(e) => setView(e.target.value)} style={selectStyle}>
+          <option value="pairs">Feedback pairs</option>
+          <option value="teams">Teams</option>
+          <option value="similar">Similar problems</option>
+        </select>
+        {view === 'teams' && (
+          <label>
+            Team size{' '}
+            <select value={teamSize} onChange={(e) => setTeamSize(Number(e.target.value))} style={selectStyle}>
+              {[3, 4, 5].map(size => <option key={size} value={size}>{size}</option>)}
+            </select>
+          </label>
+        )}
+        <label
+          style={{ color: pairingService.canUseEmbeddings() ? 'white' : '#888' }}
+          title={pairingService.canUseEmbeddings() ? '' : 'Requires AI features to be turned on'}
+        >
+          <input
+            type="checkbox"
+            checked={useEmbeddings}
+            disabled={!pairingService.canUseEmbeddings()}
+            onChange={(e) => setUseEmbeddings(e.target.checked)}
+          />{' '}
+          Use AI embeddings
+        </label>
+        {analysis && (
+          <span style={{ fontSize: '12px', color: '#888' }}>
+            {analysis.method === 'embeddings' ? 'Semantic similarity' : 'Keyword similarity (TF-IDF)'}
+          </span>
+        )}
+        {canApply && view !== 'similar' && groups.length > 0 && (
+          <button
+            onClick={handleApply}
+            disabled={applying}
+            style={{ ...buttonStyle, backgroundColor: '#4CAF50', marginLeft: 'auto' }}
+          >
+            {applying ? 'Saving...' : 'Use for peer feedback'}
+          </button>
+        )}
+      </div>
+
+      {!analysis ? (
+        <p>Comparing problems...</p>
+      ) : participants.length < 2 ? (
+        <p style={{ color: '#888' }}>At least two builders are needed for suggestions.</p>
+      ) : view === 'similar' ? (
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ textAlign: 'left', borderBottom: '1px solid #333' }}>
+              <th style={{ padding: '8px' }}>Builder</th>
+              <th style={{ padding: '8px' }}>Working on similar problems</th>
+            </tr>
+          </thead>
+          <tbody>
+            {participants.map(builder => {
+              const matches = pairingService.findSimilar(analysis, builder.sessionId);
+              return (
+                <tr key={builder.sessionId} style={{ borderBottom: '1px solid #333', verticalAlign: 'top' }}>
+                  <td style={{ padding: '8px' }}><BuilderLink builder={builder} /></td>
+                  <td style={{ padding: '8px' }}>
+                    {matches.length === 0 ? (
+                      <span style={{ color: '#888' }}>No close matches</span>
+                    ) : (
+                      matches.map(match => (
+                        <div key={match.builder.sessionId}>
+                          <BuilderLink builder={match.builder} />{' '}
+                          <span style={{ color: '#888', fontSize: '14px' }}>
+                            {formatScore(match.score)}
+                            {match.terms.length > 0 && ` · ${match.terms.join(', ')}`}
+                          </span>
+                        </div>
+                      ))
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      ) : (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(260px, 1fr))', gap: '15px' }}>
+          {groups.map((group, index) => (
+            <div key={index} style={{ padding: '15px', backgroundColor: '#1a1a1a', borderRadius: '8px' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '10px' }}>
+                <strong>{view === 'pairs' ? 'Pair' : 'Team'} {index + 1}</strong>
+                <span style={{ color: group.score > 0 ? '#4CAF50' : '#888' }}>{formatScore(group.score)} match</span>
+              </div>
+              {group.members.map(member => (
+                <div key={member.sessionId}>
+                  <BuilderLink builder={member} />
+                  {member.problem?.summary && (
+                    <div style={{ fontSize: '12px', color: '#888', marginBottom: '5px' }}>{member.problem.summary}</div>
+                  )}
+                </div>
+              ))}
+              {group.terms.length > 0 && (
+                <div style={{ marginTop: '10px', fontSize: '12px' }}>Shared: {group.terms.join(', ')}</div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PairingSuggestions;
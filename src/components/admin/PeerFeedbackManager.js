@@ -0,0 +1,253 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { peerFeedbackService } from '../../services/peerFeedbackService';
+import { getPeerReviewConfig } from '../../curriculum';
+
+const buttonStyle = {
+  padding: '8px 16px',
+  backgroundColor: '#333',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer'
+};
+
+const selectStyle = {
+  padding: '8px',
+  borderRadius: '4px',
+  border: '1px solid white',
+  backgroundColor: 'black',
+  color: 'white'
+};
+
+/**
+ * Set up the peer feedback exchange: generate groups (randomly or by problem
+ * similarity), add pairs by hand and track which reviews have been submitted.
+ */
+function PeerFeedbackManager({ workshopId, curriculum, permissions = {} }) {
+  const config = getPeerReviewConfig(curriculum);
+  const [participants, setParticipants] = useState([]);
+  const [assignments, setAssignments] = useState([]);
+  const [submitted, setSubmitted] = useState(new Set());
+  const [strategy, setStrategy] = useState('random');
+  const [groupSize, setGroupSize] = useState(3);
+  const [reviewerId, setReviewerId] = useState('');
+  const [revieweeId, setRevieweeId] = useState('');
+  const [bothWays, setBothWays] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const canManage = !!permissions.canManageWorkshops;
+
+  const load = useCallback(async () => {
+    setError(null);
+    try {
+      const [builders, rows, feedback] = await Promise.all([
+        peerFeedbackService.listParticipants(workshopId),
+        peerFeedbackService.listAssignments(workshopId),
+        peerFeedbackService.listFeedbackForWorkshop(workshopId)
+      ]);
+      setParticipants(builders);
+      setAssignments(rows);
+      setSubmitted(new Set(feedback.map(item => item.assignment_id)));
+    } catch (error) {
+      console.error('Error loading peer feedback:', error);
+      setError(error.message || 'Could not load peer feedback');
+    } finally {
+      setLoading(false);
+    }
+  }, [workshopId]);
+
+  useEffect(() => {
+    setLoading(true);
+    load();
+  }, [load]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      await load();
+    } catch (error) {
+      console.error('Error updating assignments:', error);
+      setError(error.message || 'Could not update assignments');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleGenerate = () => {
+    if (participants.length < 2) {
+      setError('At least two builders with a name are needed to form groups.');
+      return;
+    }
+    if (assignments.length > 0 && !window.confirm('Replace the current groups? Feedback already given on them will be deleted.')) {
+      return;
+    }
+
+    run(() => {
+      const groups = peerFeedbackService.formGroups(participants, strategy, groupSize);
+      const rows = peerFeedbackService.groupsToAssignments(groups, workshopId, strategy, config?.sharedSections);
+      return peerFeedbackService.replaceAssignments(workshopId, rows);
+    });
+  };
+
+  const handleAdd = (event) => {
+    event.preventDefault();
+    if (!reviewerId || !revieweeId || reviewerId === revieweeId) {
+      setError('Pick two different builders.');
+      return;
+    }
+
+    const reviewer = participants.find(builder => builder.sessionId === reviewerId);
+    const reviewee = participants.find(builder => builder.sessionId === revieweeId);
+    const pair = [reviewer, reviewee];
+    const rows = peerFeedbackService.groupsToAssignments([pair], workshopId, 'manual', config?.sharedSections)
+      .filter(row => bothWays || row.reviewer_session_id === reviewerId)
+      .map(row => ({ ...row, group_number: null }));
+
+    run(async () => {
+      await peerFeedbackService.addAssignments(rows);
+      setReviewerId('');
+      setRevieweeId('');
+    });
+  };
+
+  const handleRemove = (assignment) => {
+    const message = submitted.has(assignment.id)
+      ? `Remove ${assignment.reviewer_name} → ${assignment.reviewee_name}? The feedback already given will be deleted.`
+      : `Remove ${assignment.reviewer_name} → ${assignment.reviewee_name}?`;
+    if (window.confirm(message)) {
+      run(() => peerFeedbackService.removeAssignment(assignment.id));
+    }
+  };
+
+  if (!config) {
+    return (
+      <div style={{ padding: '20px', textAlign: 'center', color: '#888' }}>
+        This workshop's curriculum has no peer feedback exercise.
+      </div>
+    );
+  }
+
+  if (loading) {
+    return <div style={{ padding: '20px', textAlign: 'center' }}>Loading peer feedback...</div>;
+  }
+
+  const groups = assignments.reduce((acc, assignment) => {
+    const key = assignment.group_number ? `Group ${assignment.group_number}` : 'Assigned by hand';
+    (acc[key] = acc[key] || []).push(assignment);
+    return acc;
+  }, {});
+  const submittedCount = assignments.filter(assignment => submitted.has(assignment.id)).length;
+
+  return (
+    <div style={{ color: 'white' }}>
+      <h2 style={{ marginTop: 0 }}>Peer Feedback</h2>
+      <p style={{ color: '#888' }}>
+        Reviewers see their partner's {config.sharedSections.join(' and ')} and score it on{' '}
+        {config.rubric.map(criterion => criterion.label).join(', ')}.
+      </p>
+
+      {error && (
+        <div style={{ padding: '10px', marginBottom: '15px', backgroundColor: '#ff4444', borderRadius: '4px' }}>{error}</div>
+      )}
+
+      {canManage && (
+        <div style={{ display: 'flex', gap: '20px', flexWrap: 'wrap', marginBottom: '20px' }}>
+          <div style={{ flex: 1, minWidth: '280px', padding: '15px', backgroundColor: '#1a1a1a', borderRadius: '8px' }}>
+            <h3 style={{ marginTop: 0 }}>Generate groups</h3>
+            <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap' }}>
+              <select value={strategy} onChange={(e) => setStrategy(e.target.value)} style={selectStyle}>
+                <option value="random">Random</option>
+                <option value="similarity">Similar problems</option>
+              </select>
+              <label>
+                Group size{' '}
+                <select value={groupSize} onChange={(e) => setGroupSize(Number(e.target.value))} style={selectStyle}>
+                  {[2, 3, 4, 5].map(size => <option key={size} value={size}>{size}</option>)}
+                </select>
+              </label>
+              <button onClick={handleGenerate} disabled={busy} style={{ ...buttonStyle, backgroundColor: '#4CAF50' }}>
+                {busy ? 'Working...' : 'Generate'}
+              </button>
+            </div>
+            <div style={{ marginTop: '10px', fontSize: '14px', color: '#888' }}>
+              {participants.length} builders · everyone reviews everyone else in their group ·{' '}
+              <Link to="/admin/pairing" style={{ color: '#888' }}>preview similar-problem pairs</Link>
+            </div>
+          </div>
+
+          <form
+            onSubmit={handleAdd}
+            style={{ flex: 1, minWidth: '280px', padding: '15px', backgroundColor: '#1a1a1a', borderRadius: '8px' }}
+          >
+            <h3 style={{ marginTop: 0 }}>Add a pair</h3>
+            <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap' }}>
+              <select value={reviewerId} onChange={(e) => setReviewerId(e.target.value)} style={selectStyle}>
+                <option value="">Reviewer...</option>
+                {participants.map(builder => (
+                  <option key={builder.sessionId} value={builder.sessionId}>{builder.name}</option>
+                ))}
+              </select>
+              <span>→</span>
+              <select value={revieweeId} onChange={(e) => setRevieweeId(e.target.value)} style={selectStyle}>
+                <option value="">Reviewee...</option>
+                {participants.map(builder => (
+                  <option key={builder.sessionId} value={builder.sessionId}>{builder.name}</option>
+                ))}
+              </select>
+              <label>
+                <input type="checkbox" checked={bothWays} onChange={(e) => setBothWays(e.target.checked)} /> Both ways
+              </label>
+              <button type="submit" disabled={busy} style={buttonStyle}>Add</button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <h3>Assignments ({submittedCount}/{assignments.length} submitted)</h3>
+      {assignments.length === 0 ? (
+        <p style={{ color: '#888' }}>No assignments yet.</p>
+      ) : (
+        Object.entries(groups).map(([groupName, rows]) => (
+          <div key={groupName} style={{ marginBottom: '15px', padding: '15px', border: '1px solid #333', borderRadius: '8px' }}>
+            <h4 style={{ margin: '0 0 10px 0' }}>
+              {groupName}
+              {rows[0].strategy !== 'manual' && (
+                <span style={{ marginLeft: '10px', fontSize: '12px', color: '#888' }}>{rows[0].strategy}</span>
+              )}
+            </h4>
+            {rows.map(assignment => (
+              <div key={assignment.id} style={{ display: 'flex', alignItems: 'center', gap: '10px', padding: '5px 0' }}>
+                <Link to={`/admin/builders/${assignment.reviewer_session_id}`} style={{ color: 'white' }}>
+                  {assignment.reviewer_name || 'Unnamed'}
+                </Link>
+                <span>→</span>
+                <Link to={`/admin/builders/${assignment.reviewee_session_id}`} style={{ color: 'white' }}>
+                  {assignment.reviewee_name || 'Unnamed'}
+                </Link>
+                <span style={{ color: submitted.has(assignment.id) ? '#4CAF50' : '#888', fontSize: '14px' }}>
+                  {submitted.has(assignment.id) ? '✓ submitted' : 'pending'}
+                </span>
+                {canManage && (
+                  <button
+                    onClick={() => handleRemove(assignment)}
+                    disabled={busy}
+                    style={{ ...buttonStyle, padding: '2px 8px', marginLeft: 'auto', backgroundColor: '#ff4444' }}
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
+
+export default PeerFeedbackManager;
@@ -1,28 +1,33 @@
 import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import {
   BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer
 } from 'recharts';
 import { analyticsService } from '../../services/analyticsService';
+import AIReportPanel from './AIReportPanel';
 
-function ReportDashboard() {
+function ReportDashboard({ workshopId = null }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [data, setData] = useState(null);
-  const [filters, setFilters] = useState({
-    startDate: null,
-    endDate: null,
-    filterCompleted: false
-  });
+  // The date range lives in the URL (?from=...&to=...) so a filtered view can be shared
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = {
+    startDate: searchParams.get('from') || null,
+    endDate: searchParams.get('to') || null,
+    filterCompleted: false,
+    view: searchParams.get('view') === 'team' ? 'team' : 'person'
+  };
 
   useEffect(() => {
     loadData();
-  }, []);
+  }, [workshopId, filters.startDate, filters.endDate, filters.view]);
 
   const loadData = async () => {
     try {
       setLoading(true);
       setError(null);
-      const result = await analyticsService.getBuilderData(filters);
+      const result = await analyticsService.getBuilderData({ ...filters, workshopId });
       setData(result);
     } catch (error) {
       console.error('Error loading data:', error);
@@ -33,8 +38,19 @@ function ReportDashboard() {
   };
 
   const handleFilterChange = (newFilters) => {
-    setFilters(prev => ({ ...prev, ...newFilters }));
-    loadData();
+    const params = { startDate: 'from', endDate: 'to', view: 'view' };
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      Object.entries(newFilters).forEach(([key, value]) => {
+        if (!params[key]) return;
+        if (value) {
+          next.set(params[key], value);
+        } else {
+          next.delete(params[key]);
+        }
+      });
+      return next;
+    }, { replace: true });
   };
 
   const MetricCard = ({ title, value, description }) => (
@@ -86,6 +102,20 @@ function ReportDashboard() {
       }}>
         <h2 style={{ margin: 0 }}>Builder Analytics</h2>
         <div style={{ display: 'flex', gap: '10px' }}>
+          <select
+            value={filters.view}
+            onChange={(e) => handleFilterChange({ view: e.target.value === 'team' ? 'team' : null })}
+            style={{
+              padding: '8px',
+              backgroundColor: '#1a1a1a',
+              border: '1px solid #333',
+              borderRadius: '4px',
+              color: 'white'
+            }}
+          >
+            <option value="person">Per person</option>
+            <option value="team">Per team</option>
+          </select>
           <input
             type="date"
             value={filters.startDate || ''}
@@ -137,9 +167,11 @@ function ReportDashboard() {
         marginBottom: '30px'
       }}>
         <MetricCard
-          title="Total Builders"
+          title={filters.view === 'team' ? 'Total Teams' : 'Total Builders'}
           value={data.metrics.totalBuilders}
-          description="Number of builders in selected period"
+          description={filters.view === 'team'
+            ? 'Teams (and builders working alone) in selected period'
+            : 'Number of builders in selected period'}
         />
         <MetricCard
           title="Completion Rate"
@@ -148,6 +180,8 @@ function ReportDashboard() {
         />
       </div>
 
+      <AIReportPanel workshopId={workshopId} startDate={filters.startDate} endDate={filters.endDate} />
+
       {/* Charts */}
       <div style={{
         marginBottom: '30px'
@@ -0,0 +1,156 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { revisionService } from '../../services/revisionService';
+import { getSectionOrder } from '../../curriculum';
+import RevisionDiff from '../RevisionDiff';
+
+const selectStyle = {
+  padding: '6px',
+  borderRadius: '4px',
+  border: '1px solid #333',
+  backgroundColor: 'black',
+  color: 'white'
+};
+
+const describe = (revision, number) =>
+  `#${number} ${revision.section_name} · ${new Date(revision.updated_at).toLocaleString()}`;
+
+const editors = (revision) => {
+  const names = [...new Set(Object.values(revision.field_authors || {}).map(author => author.name || 'Unnamed'))];
+  return names.length > 0 ? ` · edited by ${names.join(', ')}` : '';
+};
+
+/**
+ * Step through every saved version of a builder's sections on a timeline and
+ * compare any two of them word by word.
+ */
+function RevisionTimeline({ builder, curriculum }) {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [sectionFilter, setSectionFilter] = useState('');
+  const [position, setPosition] = useState(0);
+  const [compareId, setCompareId] = useState('previous');
+
+  const sessionIds = useMemo(
+    () => [builder.sessionId, builder.team?.id].filter(Boolean),
+    [builder.sessionId, builder.team?.id]
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    revisionService.listRevisions([...new Set(sessionIds)])
+      .then(rows => {
+        if (!cancelled) setRevisions(rows);
+      })
+      .catch(error => {
+        console.error('Error loading revisions:', error);
+        if (!cancelled) setError(error.message || 'Could not load revision history');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionIds]);
+
+  const timeline = useMemo(
+    () => revisions.filter(revision => !sectionFilter || revision.section_name === sectionFilter),
+    [revisions, sectionFilter]
+  );
+
+  // Start on the newest version whenever the timeline changes
+  useEffect(() => {
+    setPosition(Math.max(timeline.length - 1, 0));
+    setCompareId('previous');
+  }, [timeline]);
+
+  if (loading) {
+    return <p style={{ color: '#888' }}>Loading revision history...</p>;
+  }
+
+  if (error) {
+    return <p style={{ color: '#ff4444' }}>{error}</p>;
+  }
+
+  if (revisions.length === 0) {
+    return <p style={{ color: '#888' }}>No saved versions yet.</p>;
+  }
+
+  const sectionNames = getSectionOrder(curriculum).filter(name =>
+    revisions.some(revision => revision.section_name === name)
+  );
+  const current = timeline[position];
+  const previous = current && revisions
+    .slice(0, revisions.indexOf(current))
+    .reverse()
+    .find(revision => revision.section_name === current.section_name);
+  const compareWith = compareId === 'previous'
+    ? previous
+    : revisions.find(revision => revision.id === compareId);
+  const numberOf = revision => revisions.indexOf(revision) + 1;
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '15px' }}>
+        <select value={sectionFilter} onChange={(e) => setSectionFilter(e.target.value)} style={selectStyle}>
+          <option value="">All sections</option>
+          {sectionNames.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <span style={{ color: '#888', fontSize: '14px' }}>
+          {timeline.length} {timeline.length === 1 ? 'version' : 'versions'}
+        </span>
+      </div>
+
+      {current && (
+        <>
+          <input
+            type="range"
+            min={0}
+            max={Math.max(timeline.length - 1, 0)}
+            value={position}
+            onChange={(e) => setPosition(Number(e.target.value))}
+            disabled={timeline.length < 2}
+            style={{ width: '100%', accentColor: '#4CAF50' }}
+          />
+          <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', color: '#888', marginBottom: '15px' }}>
+            <span>{new Date(timeline[0].updated_at).toLocaleString()}</span>
+            <span>{new Date(timeline[timeline.length - 1].updated_at).toLocaleString()}</span>
+          </div>
+
+          <div style={{ marginBottom: '10px' }}>
+            <strong>{describe(current, numberOf(current))}</strong>
+            <span style={{ color: '#888', fontSize: '14px' }}>{editors(current)}</span>
+          </div>
+
+          <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginBottom: '15px', fontSize: '14px' }}>
+            <label htmlFor="revision-compare">Compare with</label>
+            <select
+              id="revision-compare"
+              value={compareId}
+              onChange={(e) => setCompareId(e.target.value)}
+              style={{ ...selectStyle, flex: 1 }}
+            >
+              <option value="previous">Previous version of {current.section_name}</option>
+              <option value="">Nothing (show the full text)</option>
+              {revisions.filter(revision => revision !== current).map(revision => (
+                <option key={revision.id} value={revision.id}>{describe(revision, numberOf(revision))}</option>
+              ))}
+            </select>
+          </div>
+
+          <RevisionDiff
+            before={compareWith ? { sectionName: compareWith.section_name, data: compareWith.input_data } : null}
+            after={{ sectionName: current.section_name, data: current.input_data }}
+            curriculum={curriculum}
+            showUnchanged={!compareWith}
+          />
+        </>
+      )}
+    </div>
+  );
+}
+
+export default RevisionTimeline;
@@ -0,0 +1,272 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { supabase } from '../../supabaseClient';
+import { workshopService } from '../../services/workshopService';
+import { roomPresenceService } from '../../services/roomPresenceService';
+import { teamService } from '../../services/teamService';
+import { useLiveSession } from '../../hooks/useLiveSession';
+
+const IDLE_OPTIONS = [5, 10, 15];
+const OFFLINE_COLUMN = 'offline';
+
+const minutesSince = (timestamp, now) => (
+  timestamp ? Math.floor((now - new Date(timestamp).getTime()) / 60000) : null
+);
+
+const latest = (a, b) => (!a || (b && b > a) ? b : a);
+
+/**
+ * Live board of the room: one column per section with a card for every
+ * builder, built from Realtime presence (where builders are, last keystroke)
+ * and the user_inputs change feed (what they've saved). Team members are
+ * credited with their team's shared sections.
+ */
+function RoomBoard({ workshopId, curriculum }) {
+  const [saves, setSaves] = useState({}); // sessionId or team ID -> { name, isTeam, sections: {sectionName: updatedAt}, lastSaveAt }
+  const [teams, setTeams] = useState([]);
+  const [present, setPresent] = useState({}); // sessionId -> presence state
+  const [idleMinutes, setIdleMinutes] = useState(IDLE_OPTIONS[0]);
+  const [now, setNow] = useState(Date.now());
+  const [error, setError] = useState(null);
+  const { currentSegment: liveSegment } = useLiveSession(workshopId, curriculum);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 15000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Saved inputs, kept current by the change feed
+  useEffect(() => {
+    setSaves({});
+    setTeams([]);
+    if (!workshopId) return;
+
+    const emptySaves = { name: null, isTeam: false, sections: {}, lastSaveAt: null };
+
+    // Team rows (stored under the team ID) count as a save by each member who edited them
+    const applyRow = (previous, row) => {
+      const builder = previous[row.session_id] || emptySaves;
+      const savedAt = row.updated_at || row.created_at;
+      const next = {
+        ...previous,
+        [row.session_id]: {
+          name: row.section_name === 'User Info' ? row.input_data?.name || builder.name : builder.name,
+          isTeam: builder.isTeam || !!row.team_id,
+          sections: { ...builder.sections, [row.section_name]: savedAt },
+          lastSaveAt: latest(builder.lastSaveAt, savedAt)
+        }
+      };
+      if (row.team_id) {
+        Object.values(row.field_authors || {}).forEach(author => {
+          if (!author?.session_id || !author.at) return;
+          const member = next[author.session_id] || emptySaves;
+          next[author.session_id] = { ...member, lastSaveAt: latest(member.lastSaveAt, author.at) };
+        });
+      }
+      return next;
+    };
+
+    const loadSaves = async () => {
+      try {
+        const [{ data, error }, workshopTeams] = await Promise.all([
+          workshopService.scopeQuery(
+            supabase
+              .from('user_inputs')
+              .select('session_id, section_name, input_data, team_id, field_authors, created_at, updated_at'),
+            workshopId
+          ),
+          teamService.listTeams(workshopId)
+        ]);
+
+        if (error) throw error;
+        setSaves((data || []).reduce(applyRow, {}));
+        setTeams(workshopTeams);
+        setError(null);
+      } catch (error) {
+        console.error('Error loading room inputs:', error);
+        setError('Failed to load builder inputs');
+      }
+    };
+
+    loadSaves();
+
+    const subscription = supabase
+      .channel(`room_inputs_changes:${workshopId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'user_inputs',
+          filter: `workshop_id=eq.${workshopId}`
+        },
+        (payload) => {
+          if (payload.eventType === 'DELETE') {
+            loadSaves();
+          } else {
+            setSaves(previous => applyRow(previous, payload.new));
+          }
+        }
+      )
+      .subscribe();
+
+    const stopWatching = roomPresenceService.watch(workshopId, setPresent);
+
+    return () => {
+      subscription.unsubscribe();
+      stopWatching();
+      setPresent({});
+    };
+  }, [workshopId]);
+
+  const columns = useMemo(() => [
+    ...curriculum.sections.map(section => ({ id: section.id, title: section.navLabel || section.name })),
+    { id: OFFLINE_COLUMN, title: 'Not online' }
+  ], [curriculum]);
+
+  const cards = useMemo(() => {
+    const teamIds = new Set(teams.map(team => team.id));
+    const teamBySession = {};
+    teams.forEach(team => team.members.forEach(member => {
+      teamBySession[member.session_id] = team.id;
+    }));
+    const sessionIds = new Set(
+      [...Object.keys(saves), ...Object.keys(present)].filter(id => !teamIds.has(id) && !saves[id]?.isTeam)
+    );
+    const liveSection = liveSegment?.sectionId
+      ? curriculum.sections.find(section => section.id === liveSegment.sectionId)
+      : null;
+
+    return [...sessionIds].map(sessionId => {
+      const own = saves[sessionId] || { name: null, sections: {}, lastSaveAt: null };
+      const teamSaves = saves[teamBySession[sessionId]];
+      const saved = teamSaves ? { ...own, sections: { ...own.sections, ...teamSaves.sections } } : own;
+      const presence = present[sessionId];
+      const lastActiveAt = [presence?.lastActivityAt, saved.lastSaveAt].filter(Boolean).sort().pop();
+      const idleFor = minutesSince(lastActiveAt, now);
+
+      return {
+        sessionId,
+        name: presence?.name || saved.name || 'Unnamed builder',
+        column: presence && columns.some(column => column.id === presence.sectionId)
+          ? presence.sectionId
+          : OFFLINE_COLUMN,
+        inSectionFor: presence ? minutesSince(presence.sectionEnteredAt, now) : null,
+        idleFor,
+        isIdle: !!presence && idleFor !== null && idleFor >= idleMinutes,
+        notStarted: !!liveSection &&
+          !saved.sections[liveSection.name] &&
+          presence?.sectionId !== liveSection.id
+      };
+    }).sort((a, b) => (
+      (b.isIdle - a.isIdle) || (b.notStarted - a.notStarted) || ((b.inSectionFor || 0) - (a.inSectionFor || 0))
+    ));
+  }, [saves, teams, present, columns, curriculum, liveSegment, idleMinutes, now]);
+
+  if (!workshopId) {
+    return (
+      <div style={{ padding: '20px', textAlign: 'center', color: '#888' }}>
+        Select a workshop to see the room.
+      </div>
+    );
+  }
+
+  const onlineCount = cards.filter(card => card.column !== OFFLINE_COLUMN).length;
+  const idleCount = cards.filter(card => card.isIdle).length;
+  const notStartedCount = cards.filter(card => card.notStarted).length;
+
+  return (
+    <div style={{ color: 'white' }}>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: '20px'
+      }}>
+        <div>
+          <h2 style={{ margin: 0 }}>Room</h2>
+          <p style={{ margin: '5px 0 0 0', color: '#888' }}>
+            {onlineCount} online · {idleCount} idle
+            {liveSegment?.sectionId && ` · ${notStartedCount} not started on ${liveSegment.name}`}
+          </p>
+        </div>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          Idle after
+          <select
+            value={idleMinutes}
+            onChange={(e) => setIdleMinutes(Number(e.target.value))}
+            style={{
+              padding: '8px',
+              backgroundColor: '#1a1a1a',
+              border: '1px solid #333',
+              borderRadius: '4px',
+              color: 'white'
+            }}
+          >
+            {IDLE_OPTIONS.map(minutes => (
+              <option key={minutes} value={minutes}>{minutes} min</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {error && <p style={{ color: '#ff4444' }}>{error}</p>}
+
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: `repeat(${columns.length}, minmax(160px, 1fr))`,
+        gap: '10px',
+        overflowX: 'auto'
+      }}>
+        {columns.map(column => {
+          const columnCards = cards.filter(card => card.column === column.id);
+          const isLiveColumn = liveSegment?.sectionId === column.id;
+          return (
+            <div
+              key={column.id}
+              style={{
+                backgroundColor: '#1a1a1a',
+                borderRadius: '8px',
+                padding: '10px',
+                border: `1px solid ${isLiveColumn ? '#4CAF50' : '#333'}`,
+                minHeight: '200px'
+              }}
+            >
+              <h4 style={{ margin: '0 0 10px 0', color: isLiveColumn ? '#4CAF50' : 'white' }}>
+                {column.title} ({columnCards.length})
+              </h4>
+              {columnCards.map(card => (
+                <Link
+                  key={card.sessionId}
+                  to={`/admin/builders/${card.sessionId}`}
+                  style={{
+                    display: 'block',
+                    marginBottom: '8px',
+                    padding: '8px',
+                    borderRadius: '4px',
+                    textDecoration: 'none',
+                    color: 'white',
+                    backgroundColor: card.isIdle ? '#5c1f1f' : '#0a0a0a',
+                    border: `1px solid ${card.isIdle ? '#ff4444' : card.notStarted ? '#FF9800' : '#333'}`
+                  }}
+                >
+                  <div style={{ fontWeight: 'bold' }}>{card.name}</div>
+                  <div style={{ fontSize: '12px', color: '#aaa' }}>
+                    {card.inSectionFor !== null && `${card.inSectionFor} min here`}
+                    {card.isIdle && ` · idle ${card.idleFor} min`}
+                    {card.column === OFFLINE_COLUMN && card.idleFor !== null && `Last save ${card.idleFor} min ago`}
+                  </div>
+                  {card.notStarted && (
+                    <div style={{ fontSize: '12px', color: '#FF9800' }}>Hasn't started {liveSegment.name}</div>
+                  )}
+                </Link>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default RoomBoard;
@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import { rubricService } from '../../services/rubricService';
+import { getSectionOrder } from '../../curriculum';
+
+const inputStyle = {
+  padding: '8px',
+  borderRadius: '4px',
+  border: '1px solid #333',
+  backgroundColor: 'black',
+  color: 'white'
+};
+
+const buttonStyle = {
+  padding: '8px 16px',
+  backgroundColor: '#333',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer'
+};
+
+// Criterion IDs are the keys of saved scores, so they never change once created
+const newCriterionId = () => `criterion-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 6)}`;
+
+/**
+ * Edit a judging rubric: its name, scale, the sections judges look at and the
+ * weighted criteria.
+ */
+function RubricEditor({ rubric, workshopId, curriculum, hasScores = false, onSaved, onCancel }) {
+  const [draft, setDraft] = useState(() => ({
+    ...rubric,
+    workshop_id: rubric.workshop_id ?? workshopId ?? null,
+    criteria: rubric.criteria.map(criterion => ({ ...criterion }))
+  }));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const sectionNames = getSectionOrder(curriculum).filter(name => name !== 'User Info');
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const updateCriterion = (index, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      criteria: prev.criteria.map((criterion, i) => (i === index ? { ...criterion, ...changes } : criterion))
+    }));
+  };
+
+  const toggleSection = (sectionName) => {
+    update({
+      sections: draft.sections.includes(sectionName)
+        ? draft.sections.filter(name => name !== sectionName)
+        : sectionNames.filter(name => name === sectionName || draft.sections.includes(name))
+    });
+  };
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    const criteria = draft.criteria.filter(criterion => criterion.label.trim());
+    if (!draft.name.trim() || criteria.length === 0) {
+      setError('Give the rubric a name and at least one criterion.');
+      return;
+    }
+    if (Number(draft.scale_max) <= Number(draft.scale_min)) {
+      setError('The top of the scale must be higher than the bottom.');
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      onSaved(await rubricService.saveRubric({ ...draft, criteria }));
+    } catch (error) {
+      console.error('Error saving rubric:', error);
+      setError(`Error saving rubric: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSave} style={{ padding: '20px', backgroundColor: '#1a1a1a', borderRadius: '8px', marginBottom: '20px' }}>
+      <h3 style={{ marginTop: 0 }}>{draft.id ? 'Edit rubric' : 'New rubric'}</h3>
+
+      <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '15px' }}>
+        <input
+          type="text"
+          value={draft.name}
+          onChange={(e) => update({ name: e.target.value })}
+          placeholder="Rubric name"
+          style={{ ...inputStyle, flex: 1, minWidth: '200px' }}
+        />
+        <label>
+          Scale{' '}
+          <input
+            type="number"
+            value={draft.scale_min}
+            onChange={(e) => update({ scale_min: e.target.value })}
+            style={{ ...inputStyle, width: '60px' }}
+          />
+          {' '}to{' '}
+          <input
+            type="number"
+            value={draft.scale_max}
+            onChange={(e) => update({ scale_max: e.target.value })}
+            style={{ ...inputStyle, width: '60px' }}
+          />
+        </label>
+      </div>
+      {hasScores && (
+        <p style={{ color: '#FF9800', fontSize: '14px', marginTop: 0 }}>
+          Judges have already scored on this rubric. Changing the scale or removing criteria changes their totals.
+        </p>
+      )}
+
+      <div style={{ marginBottom: '15px' }}>
+        <div style={{ color: '#888', marginBottom: '5px' }}>Sections judges see</div>
+        <div style={{ display: 'flex', gap: '15px', flexWrap: 'wrap' }}>
+          {sectionNames.map(sectionName => (
+            <label key={sectionName}>
+              <input
+                type="checkbox"
+                checked={draft.sections.includes(sectionName)}
+                onChange={() => toggleSection(sectionName)}
+              />{' '}
+              {sectionName}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div style={{ color: '#888', marginBottom: '5px' }}>Criteria</div>
+      {draft.criteria.map((criterion, index) => (
+        <div key={criterion.id} style={{ display: 'flex', gap: '10px', marginBottom: '8px', flexWrap: 'wrap' }}>
+          <input
+            type="text"
+            value={criterion.label}
+            onChange={(e) => updateCriterion(index, { label: e.target.value })}
+            placeholder="Criterion"
+            style={{ ...inputStyle, width: '180px' }}
+          />
+          <input
+            type="text"
+            value={criterion.description || ''}
+            onChange={(e) => updateCriterion(index, { description: e.target.value })}
+            placeholder="What judges should look for"
+            style={{ ...inputStyle, flex: 1, minWidth: '200px' }}
+          />
+          <label>
+            Weight{' '}
+            <input
+              type="number"
+              min="0"
+              step="0.5"
+              value={criterion.weight}
+              onChange={(e) => updateCriterion(index, { weight: e.target.value })}
+              style={{ ...inputStyle, width: '70px' }}
+            />
+          </label>
+          <button
+            type="button"
+            onClick={() => update({ criteria: draft.criteria.filter((_, i) => i !== index) })}
+            style={{ ...buttonStyle, backgroundColor: '#ff4444' }}
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => update({ criteria: [...draft.criteria, { id: newCriterionId(), label: '', description: '', weight: 1 }] })}
+        style={{ ...buttonStyle, marginBottom: '15px' }}
+      >
+        + Add criterion
+      </button>
+
+      {error && <p style={{ color: '#ff4444' }}>{error}</p>}
+
+      <div style={{ display: 'flex', gap: '10px' }}>
+        <button type="submit" disabled={saving} style={{ ...buttonStyle, backgroundColor: '#4CAF50' }}>
+          {saving ? 'Saving...' : 'Save rubric'}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} style={buttonStyle}>Cancel</button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+export default RubricEditor;
@@ -0,0 +1,286 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { rubricService } from '../../services/rubricService';
+import { aiGraderService } from '../../services/aiGraderService';
+import { weightedScore, summarizeEntries, agreementStats } from '../../utils/rubricStats';
+import SectionDataView from '../SectionDataView';
+import AIPreScore from './AIPreScore';
+
+const buttonStyle = {
+  padding: '8px 16px',
+  backgroundColor: '#333',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer'
+};
+
+const formatScore = (score) => (score === null || score === undefined ? '–' : Math.round(score));
+
+/**
+ * Judge a builder (or their team) on the workshop's rubric: the judged
+ * sections next to the scoring form, and every judge's scores with how far
+ * apart they are. An AI pre-score can be copied into the judge's scorecard;
+ * saving records whether it was accepted as is or overridden.
+ */
+function ScorecardPanel({ builder, curriculum, user, permissions = {} }) {
+  const [rubric, setRubric] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [scores, setScores] = useState({});
+  const [comment, setComment] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [aiResult, setAiResult] = useState(null);
+  const [aiRunning, setAiRunning] = useState(false);
+
+  // Team members are judged together on their team's project
+  const sessionId = builder.team?.id || builder.sessionId;
+  const judgedName = builder.team?.name || builder.userInfo.name;
+
+  const load = useCallback(async () => {
+    setStatus(null);
+    try {
+      const workshopRubric = await rubricService.getRubric(builder.workshopId);
+      setRubric(workshopRubric);
+      if (!workshopRubric) {
+        setRows([]);
+        setAiResult(null);
+        return;
+      }
+
+      const [scoreRows, aiResults] = await Promise.all([
+        rubricService.listScores(workshopRubric.id, sessionId),
+        aiGraderService.listLatest(workshopRubric.id, sessionId)
+      ]);
+      setRows(scoreRows);
+      setAiResult(aiResults[sessionId] || null);
+      const mine = scoreRows.find(row => row.judge_id === user?.id);
+      setScores(mine?.scores || {});
+      setComment(mine?.comment || '');
+    } catch (error) {
+      console.error('Error loading scores:', error);
+      setStatus({ type: 'error', message: 'Could not load the scorecard' });
+    } finally {
+      setLoading(false);
+    }
+  }, [builder.workshopId, sessionId, user?.id]);
+
+  useEffect(() => {
+    setLoading(true);
+    load();
+  }, [load]);
+
+  const setScore = (criterionId, value) => {
+    setScores(prev => {
+      const next = { ...prev };
+      if (next[criterionId] === value) {
+        delete next[criterionId];
+      } else {
+        next[criterionId] = value;
+      }
+      return next;
+    });
+  };
+
+  const runAIPreScore = async () => {
+    setAiRunning(true);
+    setStatus(null);
+    try {
+      setAiResult(await aiGraderService.gradeBuilder({ rubric, sessionId, sections: builder.sections, curriculum }));
+    } catch (error) {
+      console.error('Error pre-scoring with AI:', error);
+      setStatus({ type: 'error', message: `AI pre-score failed: ${error.message}` });
+    } finally {
+      setAiRunning(false);
+    }
+  };
+
+  const applyAIScores = (grades) => {
+    setScores(Object.fromEntries(grades.map(grade => [grade.criterionId, grade.score])));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setStatus(null);
+    try {
+      await rubricService.saveScore({
+        rubric,
+        sessionId,
+        judge: { id: user.id, name: user.email },
+        scores,
+        comment
+      });
+      if (aiResult?.review_status === 'pending') {
+        await aiGraderService.recordReview(aiResult, scores, user.id);
+      }
+      await load();
+      setStatus({ type: 'success', message: 'Scores saved' });
+    } catch (error) {
+      console.error('Error saving scores:', error);
+      setStatus({ type: 'error', message: `Error saving scores: ${error.message}` });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <p style={{ color: '#888' }}>Loading scorecard...</p>;
+  }
+
+  if (!rubric) {
+    return (
+      <p style={{ color: '#888', margin: 0 }}>
+        This workshop has no judging rubric yet.{' '}
+        {permissions.canManageWorkshops && <Link to="/admin/judging" style={{ color: '#4CAF50' }}>Set one up</Link>}
+      </p>
+    );
+  }
+
+  const entries = rubricService.toEntries(rows);
+  const [summary] = summarizeEntries(rubric, entries);
+  const agreement = agreementStats(rubric, entries);
+  const scale = [];
+  for (let value = rubric.scale_min; value <= rubric.scale_max; value++) scale.push(value);
+  const myTotal = weightedScore(rubric, scores);
+
+  return (
+    <div>
+      <p style={{ marginTop: 0, color: '#888' }}>
+        {rubric.name} · scoring {judgedName} on {rubric.sections.join(' and ')} · {rubric.scale_min}–{rubric.scale_max} scale
+      </p>
+
+      <div style={{ display: 'flex', gap: '20px', flexWrap: 'wrap' }}>
+        <div style={{ flex: 1, minWidth: '280px', fontSize: '14px' }}>
+          {rubric.sections.map(sectionName => (
+            <div key={sectionName} style={{ marginBottom: '15px' }}>
+              <h4 style={{ margin: '0 0 5px 0' }}>{sectionName}</h4>
+              <SectionDataView sectionName={sectionName} data={builder.sections[sectionName]} curriculum={curriculum} />
+            </div>
+          ))}
+        </div>
+
+        {permissions.canScore && (
+          <div style={{ flex: 1, minWidth: '280px' }}>
+            <h4 style={{ margin: '0 0 10px 0' }}>Your scores</h4>
+            {rubric.criteria.map(criterion => (
+              <div key={criterion.id} style={{ marginBottom: '12px' }}>
+                <div>
+                  <strong>{criterion.label}</strong>
+                  <span style={{ color: '#888', fontSize: '12px' }}> ×{criterion.weight}</span>
+                </div>
+                {criterion.description && (
+                  <div style={{ color: '#888', fontSize: '12px', marginBottom: '5px' }}>{criterion.description}</div>
+                )}
+                <div style={{ display: 'flex', gap: '5px' }}>
+                  {scale.map(value => (
+                    <button
+                      key={value}
+                      onClick={() => setScore(criterion.id, value)}
+                      style={{
+                        ...buttonStyle,
+                        padding: '6px 12px',
+                        backgroundColor: scores[criterion.id] === value ? '#4CAF50' : '#333'
+                      }}
+                    >
+                      {value}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ))}
+            <textarea
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              placeholder="Comments for the other judges (optional)"
+              style={{
+                width: '100%',
+                minHeight: '60px',
+                padding: '8px',
+                backgroundColor: 'black',
+                color: 'white',
+                border: '1px solid #333',
+                borderRadius: '4px',
+                marginBottom: '10px'
+              }}
+            />
+            <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+              <button
+                onClick={handleSave}
+                disabled={saving || Object.keys(scores).length === 0}
+                style={{ ...buttonStyle, backgroundColor: '#4CAF50', opacity: saving ? 0.7 : 1 }}
+              >
+                {saving ? 'Saving...' : 'Save scores'}
+              </button>
+              <span style={{ color: '#888' }}>Your total: {formatScore(myTotal)}/100</span>
+              {status && (
+                <span style={{ color: status.type === 'error' ? '#ff4444' : '#4CAF50' }}>{status.message}</span>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+
+      <AIPreScore
+        rubric={rubric}
+        result={aiResult}
+        running={aiRunning}
+        canRun={permissions.canScore}
+        usingModel={aiGraderService.canUseModel()}
+        onRun={runAIPreScore}
+        onUse={permissions.canScore ? applyAIScores : null}
+      />
+
+      {status?.type === 'error' && !permissions.canScore && <p style={{ color: '#ff4444' }}>{status.message}</p>}
+
+      <h4 style={{ marginBottom: '10px' }}>
+        All judges ({rows.length})
+        {summary && (
+          <span style={{ fontWeight: 'normal', color: '#888' }}>
+            {' '}· average {formatScore(summary.score)}/100 · spread ±{formatScore(summary.spread)}
+            {agreement.exact !== null && ` · ${Math.round(agreement.exact * 100)}% identical scores`}
+          </span>
+        )}
+      </h4>
+      {rows.length === 0 ? (
+        <p style={{ color: '#888', margin: 0 }}>Nobody has scored {judgedName} yet.</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+            <thead>
+              <tr style={{ color: '#888', textAlign: 'left' }}>
+                <th style={{ padding: '6px' }}>Judge</th>
+                {rubric.criteria.map(criterion => (
+                  <th key={criterion.id} style={{ padding: '6px' }}>{criterion.label}</th>
+                ))}
+                <th style={{ padding: '6px' }}>Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <React.Fragment key={entry.judgeId}>
+                  <tr style={{ borderTop: '1px solid #333' }}>
+                    <td style={{ padding: '6px' }}>{entry.judgeId === user?.id ? 'You' : entry.judgeName || 'Judge'}</td>
+                    {rubric.criteria.map(criterion => (
+                      <td key={criterion.id} style={{ padding: '6px' }}>{entry.scores[criterion.id] ?? '–'}</td>
+                    ))}
+                    <td style={{ padding: '6px' }}>{formatScore(weightedScore(rubric, entry.scores))}</td>
+                  </tr>
+                  {entry.comment && (
+                    <tr>
+                      <td colSpan={rubric.criteria.length + 2} style={{ padding: '0 6px 6px 6px', color: '#888' }}>
+                        "{entry.comment}"
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ScorecardPanel;
@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from 'react';
+import { workshopService } from '../../services/workshopService';
+import { listCurricula } from '../../curriculum';
+
+const inputStyle = {
+  padding: '8px',
+  borderRadius: '4px',
+  border: '1px solid #333',
+  backgroundColor: 'black',
+  color: 'white'
+};
+
+function WorkshopManager({ selectedWorkshopId, onSelectWorkshop, onWorkshopsChanged, permissions = {} }) {
+  const [workshops, setWorkshops] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [name, setName] = useState('');
+  const [workshopDate, setWorkshopDate] = useState(new Date().toISOString().split('T')[0]);
+  const [facilitator, setFacilitator] = useState('');
+  const [curriculumId, setCurriculumId] = useState('default');
+  const curricula = listCurricula();
+
+  const loadWorkshops = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setWorkshops(await workshopService.listWorkshops());
+    } catch (error) {
+      console.error('Error loading workshops:', error);
+      setError('Failed to load workshops');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadWorkshops();
+  }, []);
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+
+    try {
+      const workshop = await workshopService.createWorkshop({ name, workshopDate, facilitator, curriculumId });
+      setStatus({ type: 'success', message: `Created ${workshop.name} – join code ${workshop.join_code}` });
+      setName('');
+      setFacilitator('');
+      await loadWorkshops();
+      onWorkshopsChanged && onWorkshopsChanged();
+      onSelectWorkshop && onSelectWorkshop(workshop.id);
+    } catch (error) {
+      console.error('Error creating workshop:', error);
+      setStatus({ type: 'error', message: `Error creating workshop: ${error.message}` });
+    }
+  };
+
+  const toggleActive = async (workshop) => {
+    try {
+      await workshopService.updateWorkshop(workshop.id, { is_active: !workshop.is_active });
+      await loadWorkshops();
+      onWorkshopsChanged && onWorkshopsChanged();
+    } catch (error) {
+      console.error('Error updating workshop:', error);
+      setStatus({ type: 'error', message: `Error updating workshop: ${error.message}` });
+    }
+  };
+
+  return (
+    <div style={{ color: 'white' }}>
+      <h2 style={{ marginBottom: '30px' }}>Workshops</h2>
+
+      {/* Create Workshop */}
+      {permissions.canManageWorkshops && (
+        <form
+          onSubmit={handleCreate}
+          style={{
+            display: 'grid',
+            gridTemplateColumns: '2fr 1fr 1fr 1fr auto',
+            gap: '10px',
+            alignItems: 'end',
+            padding: '20px',
+            marginBottom: '30px',
+            backgroundColor: '#1a1a1a',
+            border: '1px solid #333',
+            borderRadius: '8px'
+          }}
+        >
+          <label style={{ display: 'flex', flexDirection: 'column', gap: '5px' }}>
+            Name
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g., Build Workshop – Week 12"
+              required
+              style={inputStyle}
+            />
+          </label>
+          <label style={{ display: 'flex', flexDirection: 'column', gap: '5px' }}>
+            Date
+            <input
+              type="date"
+              value={workshopDate}
+              onChange={(e) => setWorkshopDate(e.target.value)}
+              required
+              style={inputStyle}
+            />
+          </label>
+          <label style={{ display: 'flex', flexDirection: 'column', gap: '5px' }}>
+            Facilitator
+            <input
+              type="text"
+              value={facilitator}
+              onChange={(e) => setFacilitator(e.target.value)}
+              style={inputStyle}
+            />
+          </label>
+          <label style={{ display: 'flex', flexDirection: 'column', gap: '5px' }}>
+            Format
+            <select
+              value={curriculumId}
+              onChange={(e) => setCurriculumId(e.target.value)}
+              style={inputStyle}
+            >
+              {curricula.map((curriculum) => (
+                <option key={curriculum.id} value={curriculum.id}>{curriculum.name}</option>
+              ))}
+            </select>
+          </label>
+          <button
+            type="submit"
+            style={{
+              padding: '8px 16px',
+              backgroundColor: '#4CAF50',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: 'pointer'
+            }}
+          >
+            Create
+          </button>
+        </form>
+      )}
+
+      {status && (
+        <div style={{
+          padding: '10px 15px',
+          marginBottom: '20px',
+          borderRadius: '4px',
+          backgroundColor: status.type === 'error' ? '#ff4444' : '#4CAF50',
+          color: 'white'
+        }}>
+          {status.message}
+        </div>
+      )}
+
+      {/* Workshop List */}
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+      {loading ? (
+        <p>Loading workshops...</p>
+      ) : (
+        <div style={{ display: 'grid', gap: '10px' }}>
+          {workshops.length === 0 && (
+            <p style={{ color: '#666' }}>No workshops yet. Create one above to get a join code.</p>
+          )}
+          {workshops.map((workshop) => (
+            <div
+              key={workshop.id}
+              style={{
+                display: 'grid',
+                gridTemplateColumns: '2fr 1fr 1fr 100px auto auto',
+                gap: '10px',
+                alignItems: 'center',
+                padding: '15px',
+                backgroundColor: selectedWorkshopId === workshop.id ? '#1a1a1a' : 'transparent',
+                border: '1px solid #333',
+                borderRadius: '8px'
+              }}
+            >
+              <strong style={{ color: '#4CAF50' }}>{workshop.name}</strong>
+              <span>{new Date(`${workshop.workshop_date}T00:00:00`).toLocaleDateString()}</span>
+              <span style={{ color: '#888' }}>{workshop.facilitator || '—'}</span>
+              <code style={{ fontSize: '16px', letterSpacing: '2px' }}>{workshop.join_code}</code>
+              {permissions.canManageWorkshops ? (
+                <button
+                  onClick={() => toggleActive(workshop)}
+                  style={{
+                    padding: '6px 12px',
+                    backgroundColor: workshop.is_active ? '#333' : '#4CAF50',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '4px',
+                    cursor: 'pointer'
+                  }}
+                >
+                  {workshop.is_active ? 'Close' : 'Reopen'}
+                </button>
+              ) : (
+                <span style={{ color: '#888' }}>{workshop.is_active ? 'Open' : 'Closed'}</span>
+              )}
+              <button
+                onClick={() => onSelectWorkshop && onSelectWorkshop(workshop.id)}
+                style={{
+                  padding: '6px 12px',
+                  backgroundColor: 'transparent',
+                  color: '#4CAF50',
+                  border: '1px solid #4CAF50',
+                  borderRadius: '4px',
+                  cursor: 'pointer'
+                }}
+              >
+                View
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default WorkshopManager;
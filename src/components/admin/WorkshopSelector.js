@@ -0,0 +1,43 @@
+import React, { useState, useEffect } from 'react';
+import { workshopService } from '../../services/workshopService';
+
+function WorkshopSelector({ selectedWorkshopId, onSelectWorkshop, refreshKey }) {
+  const [workshops, setWorkshops] = useState([]);
+
+  useEffect(() => {
+    const loadWorkshops = async () => {
+      try {
+        setWorkshops(await workshopService.listWorkshops());
+      } catch (error) {
+        console.error('Error loading workshops:', error);
+      }
+    };
+
+    loadWorkshops();
+  }, [refreshKey]);
+
+  return (
+    <select
+      value={selectedWorkshopId || ''}
+      onChange={(e) => onSelectWorkshop(e.target.value || null)}
+      style={{
+        marginLeft: 'auto',
+        padding: '8px',
+        borderRadius: '4px',
+        border: '1px solid #333',
+        backgroundColor: 'black',
+        color: 'white',
+        fontSize: '14px'
+      }}
+    >
+      <option value="">All workshops</option>
+      {workshops.map((workshop) => (
+        <option key={workshop.id} value={workshop.id}>
+          {workshop.name} – {new Date(`${workshop.workshop_date}T00:00:00`).toLocaleDateString()}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+export default WorkshopSelector;
@@ -1,10 +1,43 @@
 // Initialize window._env_ if it doesn't exist
 window._env_ = window._env_ || {};
 
+const env = (name) => window._env_?.[name] || process.env[name];
+
+const parseJSON = (value, fallback) => {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    console.error('Invalid JSON in configuration:', value);
+    return fallback;
+  }
+};
+
 export const config = {
   supabase: {
-    url: window._env_?.REACT_APP_SUPABASE_URL || process.env.REACT_APP_SUPABASE_URL,
-    anonKey: window._env_?.REACT_APP_SUPABASE_ANON_KEY || process.env.REACT_APP_SUPABASE_ANON_KEY
+    url: env('REACT_APP_SUPABASE_URL'),
+    anonKey: env('REACT_APP_SUPABASE_ANON_KEY')
+  },
+  llm: {
+    // 'proxy' runs AI requests in the ai-chat Edge Function, which holds the provider keys;
+    // 'mock' answers offline for demos; 'off' (the default) turns AI features off
+    transport: env('REACT_APP_LLM_TRANSPORT') || 'off',
+    functionName: env('REACT_APP_LLM_FUNCTION') || 'ai-chat',
+    // AI requests in flight at once, and per-model limits, e.g.
+    // {"default": {"requestsPerMinute": 20, "burst": 5}, "gpt-4o": {"requestsPerMinute": 60, "burst": 10}}
+    concurrency: Number(env('REACT_APP_LLM_CONCURRENCY')) || 3,
+    limits: parseJSON(env('REACT_APP_LLM_RATE_LIMITS'), {})
+  },
+  auth: {
+    // 'supabase' (magic link / join code) or 'local' for development without Supabase Auth.
+    // The local provider talks to Supabase as anon, so it only works against a
+    // development database that still has the open anonymous policies.
+    provider: env('REACT_APP_AUTH_PROVIDER') || 'supabase'
+  },
+  router: {
+    // 'hash' (/#/builder/...) works on static hosts like GitHub Pages without
+    // server rewrites; 'browser' needs every path served index.html
+    mode: env('REACT_APP_ROUTER_MODE') || 'hash',
+    basename: env('REACT_APP_ROUTER_BASENAME') || ''
   }
 };
 
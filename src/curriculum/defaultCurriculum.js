@@ -0,0 +1,552 @@
+/**
+ * Default workshop curriculum: the one-day AI build workshop.
+ *
+ * A curriculum describes everything the builder flow and the admin analytics need
+ * to know about a workshop format:
+ * - sections: rendered by SectionForm in order, each with a guide panel and fields
+ * - fields: name (key in user_inputs.input_data), label, placeholder, type
+ *   ('textarea' | 'text' | 'list'), validation and the labels used by admin views
+ *   (displayLabel for builder details, reportLabel for input analysis)
+ * - reportTab: optional label for the section's tab in the builder input report
+ * - peerReview: optional peer feedback panel. 'exchange' lets builders review their
+ *   assigned partners' shared sections against the rubric; 'received' only shows
+ *   the feedback a builder got
+ * - scope: 'team' for sections a team fills in together (one shared copy per team,
+ *   with per-field attribution); other sections stay personal to each builder
+ * - coach: optional coaching panel. intent is what a good draft achieves (the AI
+ *   coach critiques against it); checks are the rule-based hints used without AI,
+ *   each a field with minWords, minItems, pattern (case-insensitive regex source)
+ *   or differsFrom (another field), plus the critique message, a follow-up
+ *   question and a suggestion of what to add
+ * - startsReview: true on the section whose completion triggers the AI project
+ *   review (strengths, gaps, next steps and resources across the whole project)
+ * - portfolio: true on the sections shown on a builder's shareable portfolio page
+ * - quality: optional per-field settings for the offline quality checker
+ *   (utils/inputQuality.js): minWords overrides the length target, and expects
+ *   lists patterns a good answer matches, each with the hint shown when it doesn't
+ * - schedule: the timed agenda shown on the User Info step
+ */
+
+// Words that name who is affected: people, roles and groups
+const AFFECTED_GROUP = '\\b(people|person|users?|students?|workers?|employees?|parents?|kids|children|teens?|teachers?|families|customers?|patients?|seniors|adults|women|men|residents?|commuters?|drivers?|renters?|shoppers?|travell?ers?|learners?|caregivers?|freelancers?|clients?|members?|staff|teams?|developers?|managers?|owners?|companies|businesses|communit(y|ies)|everyone|anyone|someone)\\b';
+
+// Something you could count or observe: numbers, amounts, rates and time frames
+const MEASURABLE = '\\d|\\b(more|less|fewer|faster|within|every|per|minutes?|hours?|days?|weeks?)\\b';
+
+// Concrete places data comes from
+const DATA_SOURCE = '\\b(surveys?|interviews?|databases?|datasets?|data sets?|apis?|records?|logs?|spreadsheets?|csv|calendars?|sensors?|gps|forms?|transcripts?|receipts?|photos?|images?|reviews?|emails?|messages?|history|public data|open data|census)\\b';
+
+export const defaultCurriculum = {
+  id: 'default',
+  name: 'AI Build Workshop',
+  schedule: [
+    { id: 0, name: 'Welcome & Intro: Pursuit & AI', duration: '0:10', start: '11:30 AM', end: '11:40 AM' },
+    { id: 1, name: 'Daily Standup', duration: '0:15', start: '11:40 AM', end: '11:55 AM' },
+    {
+      id: 2,
+      name: 'Workshop',
+      items: [
+        { name: 'Introducing the workshop', duration: '0:10', start: '11:55 AM', end: '12:05 PM' },
+        { name: 'Analyze & Research', duration: '0:35', start: '12:05 PM', end: '12:40 PM', sectionId: 'problem-definition' },
+        { name: 'Develop the MVP Product Idea', duration: '0:20', start: '12:40 PM', end: '1:00 PM', sectionId: 'mvp-planner' },
+        { name: 'Lunch!', duration: '0:30', start: '1:00 PM', end: '1:30 PM', highlight: true },
+        { name: 'Give & Get Feedback', duration: '0:35', start: '1:30 PM', end: '2:05 PM', sectionId: 'give-get-feedback' },
+        { name: 'Refine your product MVP', duration: '0:15', start: '2:05 PM', end: '2:20 PM', sectionId: 'refine-your-mvp' },
+        { name: 'Build!', duration: '1:00', start: '2:20 PM', end: '3:20 PM', sectionId: 'start-build' },
+        { name: 'Break + Prep', duration: '0:15', start: '3:20 PM', end: '3:35 PM' },
+      ]
+    },
+    { id: 3, name: 'Presentation + Retro', duration: '0:45', start: '3:35 PM', end: '4:20 PM', sectionId: 'presentations-retro' },
+    { id: 4, name: 'Closing', duration: '0:15', start: '4:20 PM', end: '4:30 PM' }
+  ],
+  sections: [
+    {
+      id: 'user-info',
+      name: 'User Info',
+      // Rendered by BuilderView itself (name, email, workshop), not by SectionForm
+      builtIn: true,
+      fields: [
+        { name: 'name', label: 'Name', displayLabel: 'Name', type: 'text', required: true },
+        { name: 'email', label: 'Email', displayLabel: 'Email', type: 'text', required: true }
+      ]
+    },
+    {
+      id: 'problem-definition',
+      name: 'Problem Definition',
+      portfolio: true,
+      scope: 'team',
+      reportTab: 'Problem Definition',
+      guide: {
+        title: 'Problem Solving Framework',
+        blocks: [
+          { type: 'paragraph', text: "It's critical to learn how to think about problems and solve them conceptually. This will be even more important in a future where AI does the coding. You'll need to decide on the best option and how to actually solve the problem." },
+          { type: 'paragraph', text: "There are many problem solving frameworks. Today, we'll use: P.A.I.N." },
+          {
+            type: 'list',
+            plain: true,
+            items: [
+              { emphasis: 'P', text: 'roblem: State and define the problem' },
+              { emphasis: 'A', text: 'nalyze: Identify root causes and constraints' },
+              { emphasis: 'I', text: 'deate: Brainstorm solutions' },
+              { emphasis: 'N', text: 'ext Steps: Define the implementation' }
+            ]
+          }
+        ]
+      },
+      coach: {
+        intent: 'A problem statement a stranger could act on: what the problem is, who has it and what it costs them, why it happens, and what success would look like.',
+        checks: [
+          {
+            field: 'summary',
+            minWords: 6,
+            message: 'Your summary is too short to stand on its own.',
+            question: 'If someone read only this sentence, would they know who is struggling and with what?',
+            suggestion: 'Name the problem and the people who have it in one sentence.'
+          },
+          {
+            field: 'impact',
+            pattern: AFFECTED_GROUP,
+            message: 'Your impact field names no affected group.',
+            question: 'Who feels this problem most? Can you picture one specific person?',
+            suggestion: 'Say who is affected, then what it costs them.'
+          },
+          {
+            field: 'rootCauses',
+            differsFrom: 'context',
+            message: 'Your root causes repeat your context.',
+            question: 'Why do those things keep happening? What is underneath them?',
+            suggestion: 'Dig one level deeper than the symptoms in your context.'
+          },
+          {
+            field: 'outcome',
+            pattern: MEASURABLE,
+            message: "Your outcome doesn't say how you'd notice success.",
+            question: 'What would you see or measure if this problem were solved?',
+            suggestion: 'Add something observable or measurable to your outcome.'
+          }
+        ]
+      },
+      fields: [
+        {
+          name: 'summary',
+          label: 'Summary (One-sentence description)',
+          displayLabel: 'Summary',
+          reportLabel: 'Problem Summary',
+          placeholder: 'e.g., Chaotic mornings cause stress and lateness',
+          required: true,
+          requiredMessage: 'Summary is required'
+        },
+        {
+          name: 'context',
+          label: 'Context (Why it happens)',
+          displayLabel: 'Context',
+          reportLabel: 'Problem Context',
+          placeholder: 'e.g., No planning, hitting snooze, rushing through breakfast',
+          required: true,
+          requiredMessage: 'Context is required'
+        },
+        {
+          name: 'impact',
+          label: 'Impact (Who it affects and consequences)',
+          displayLabel: 'Impact',
+          reportLabel: 'Problem Impact',
+          placeholder: 'e.g., Students/workers have less energy and focus',
+          required: true,
+          requiredMessage: 'Impact is required',
+          quality: {
+            expects: [{ pattern: AFFECTED_GROUP, hint: 'Say who is affected.' }]
+          }
+        },
+        {
+          name: 'rootCauses',
+          label: 'Root Causes (Main reasons behind the problem)',
+          displayLabel: 'Root Causes',
+          reportLabel: 'Root Causes',
+          placeholder: 'e.g., Poor planning, no structure, distractions',
+          required: true,
+          requiredMessage: 'Root Causes is required'
+        },
+        {
+          name: 'outcome',
+          label: 'Outcome (What success looks like)',
+          displayLabel: 'Outcome',
+          placeholder: 'e.g., People follow routines and start days energized',
+          required: true,
+          requiredMessage: 'Outcome is required',
+          quality: {
+            expects: [{ pattern: MEASURABLE, hint: 'Make it measurable: a number, a rate or a time frame.' }]
+          }
+        }
+      ]
+    },
+    {
+      id: 'mvp-planner',
+      name: 'MVP Planner',
+      portfolio: true,
+      scope: 'team',
+      reportTab: 'MVP Planning',
+      guide: {
+        title: 'Guiding Questions',
+        blocks: [
+          { type: 'question', title: 'Ideas:', text: 'What are the different ways AI could solve this problem? What are the pros and cons of each? Which is the best option?' },
+          { type: 'question', title: 'Implementation:', text: 'How exactly would AI solve this problem?' },
+          { type: 'question', title: 'Data Requirements:', text: 'What data or inputs would it need?' },
+          { type: 'question', title: 'User Experience:', text: "What would a user's experience look like?" }
+        ]
+      },
+      coach: {
+        intent: 'A first version that AI makes possible: options weighed against each other, a concrete explanation of how the AI works and on what data, and what the user sees and gains.',
+        checks: [
+          {
+            field: 'aiOptions',
+            minItems: 2,
+            message: "You've listed only one idea, so there is nothing to compare it with.",
+            question: 'What is a completely different way AI could attack this problem?',
+            suggestion: 'Add a second option with its pros and cons.'
+          },
+          {
+            field: 'howItWorks',
+            minWords: 25,
+            message: 'How It Works is too short to show what the AI actually does.',
+            question: 'What goes into the model, and what comes out?',
+            suggestion: 'Walk through one request from input to output.'
+          },
+          {
+            field: 'dataNeeds',
+            minWords: 5,
+            message: "You haven't said what data the AI needs.",
+            question: 'Where would that data come from on day one?',
+            suggestion: 'List the inputs and where you would get them.'
+          },
+          {
+            field: 'valueProposition',
+            pattern: AFFECTED_GROUP,
+            message: "Your value proposition doesn't say who it is for.",
+            question: 'Why would your user pick this over what they do today?',
+            suggestion: 'Name the user and what they gain.'
+          }
+        ]
+      },
+      fields: [
+        {
+          name: 'aiOptions',
+          type: 'list',
+          count: 3,
+          label: 'Ideas (List possibilities, pros/cons of each)',
+          itemLabel: 'Option',
+          displayLabel: 'Ideas',
+          required: true,
+          requiredMessage: 'At least one idea is required'
+        },
+        {
+          name: 'howItWorks',
+          label: 'How It Works (Implementation details)',
+          displayLabel: 'How It Works',
+          reportLabel: 'Solution Approach',
+          required: true,
+          requiredMessage: 'How It Works is required'
+        },
+        {
+          name: 'dataNeeds',
+          label: 'Data Needs (Required inputs and sources)',
+          displayLabel: 'Data Needs',
+          reportLabel: 'Data Requirements',
+          quality: {
+            minWords: 8,
+            expects: [{ pattern: DATA_SOURCE, hint: 'Name where the data comes from, e.g. a survey, a calendar or a public dataset.' }]
+          }
+        },
+        {
+          name: 'userExperience',
+          label: 'User Experience (Interface and interactions)',
+          displayLabel: 'User Experience',
+          reportLabel: 'User Experience'
+        },
+        {
+          name: 'valueProposition',
+          label: 'Value Proposition',
+          displayLabel: 'Value Proposition',
+          reportLabel: 'Value Proposition',
+          quality: {
+            expects: [{ pattern: AFFECTED_GROUP, hint: 'Say who it is for.' }]
+          }
+        }
+      ]
+    },
+    {
+      id: 'give-get-feedback',
+      name: 'Give & Get Feedback',
+      reportTab: 'Feedback',
+      peerReview: {
+        mode: 'exchange',
+        sharedSections: ['Problem Definition', 'MVP Planner'],
+        scale: 5,
+        rubric: [
+          { id: 'clarity', label: 'Problem clarity', description: 'Is it clear who has the problem and why it matters?' },
+          { id: 'rootCause', label: 'Addresses the root cause', description: 'Does the MVP tackle the cause rather than a symptom?' },
+          { id: 'aiFit', label: 'AI fit', description: 'Is AI the right tool, and is it clear how it would work?' },
+          { id: 'feasibility', label: 'Feasibility', description: 'Could a first version be built today?' }
+        ]
+      },
+      guide: {
+        title: 'Group Exercise',
+        blocks: [
+          { type: 'paragraph', text: 'In your group, go around and share:' },
+          {
+            type: 'list',
+            items: [
+              'Your problem statement and why you chose to solve this',
+              'Your product MVP and why you chose this idea',
+              'Ask about clarity, confusion, weaknesses, alternatives'
+            ]
+          },
+          { type: 'paragraph', emphasis: 'Give Feedback:', text: ' Start positive, ask questions about users, challenges, specific situations' },
+          { type: 'paragraph', emphasis: 'Capture:', text: ' Note best suggestions, new ideas, improvements' },
+          { type: 'paragraph', italic: true, text: 'Remember: Goal is making ideas stronger through different perspectives and work as a team!' },
+          { type: 'heading', text: 'Example Questions' },
+          {
+            type: 'list',
+            items: [
+              'Does this solution truly address the root cause of the problem?',
+              'How exactly would AI solve this problem?',
+              'What data or inputs would it need?',
+              "What would a user's experience look like?",
+              'Are there any unintended consequences of implementing this AI solution?',
+              'How well does this idea integrate with existing workflows?',
+              'How might this idea scale to handle larger or more complex problems?',
+              'What additional features or improvements could make this solution more impactful?'
+            ]
+          }
+        ]
+      },
+      fields: [
+        {
+          name: 'share',
+          label: 'Share Your Solution',
+          displayLabel: 'Share',
+          placeholder: 'Explain your problem statement and chosen solution',
+          required: true,
+          requiredMessage: 'Share is required'
+        },
+        {
+          name: 'requestFeedback',
+          label: 'Request Feedback',
+          displayLabel: 'Request Feedback',
+          reportLabel: 'Feedback Requests',
+          placeholder: 'What specific aspects would you like feedback on?',
+          required: true,
+          requiredMessage: 'Request Feedback is required'
+        },
+        {
+          name: 'giveFeedback',
+          label: 'Give Feedback',
+          displayLabel: 'Give Feedback',
+          reportLabel: 'Feedback Given',
+          placeholder: 'What feedback did you give to others?',
+          required: true,
+          requiredMessage: 'Give Feedback is required'
+        },
+        {
+          name: 'capture',
+          label: 'Capture Insights',
+          displayLabel: 'Capture',
+          reportLabel: 'Feedback Capture',
+          placeholder: 'Note the most valuable feedback and insights received',
+          required: true,
+          requiredMessage: 'Capture is required'
+        }
+      ]
+    },
+    {
+      id: 'refine-your-mvp',
+      name: 'Refine Your MVP',
+      scope: 'team',
+      peerReview: { mode: 'received' },
+      guide: {
+        title: 'Refine Your MVP (20 min)',
+        blocks: [
+          { type: 'paragraph', text: 'By the end of this part, your goal is to have a refined product idea based on the feedback you received.' },
+          { type: 'heading', text: 'Exercise: Refine your product MVP based on feedback' },
+          {
+            type: 'list',
+            items: [
+              { emphasis: 'Feedback Integration:', text: ' "Most helpful feedback and how I used it..."' },
+              { emphasis: 'AI Enhancement:', text: ' "How I made the AI solution more practical..."' },
+              { emphasis: 'Product Refinement:', text: ' "Key changes that improved my original idea..."' },
+              { emphasis: 'Key Improvements:', text: ' Updates to functionality, experience, technology, audience' }
+            ]
+          },
+          { type: 'paragraph', italic: true, text: 'Remember: Show how feedback transformed your concept into something better!' }
+        ]
+      },
+      coach: {
+        intent: 'A clear account of how feedback changed the idea: which feedback mattered, what changed because of it, and why the new version is better.',
+        checks: [
+          {
+            field: 'feedbackIntegration',
+            pattern: '\\b(said|suggested|asked|pointed|told|mentioned|felt|thought|noticed)\\b',
+            message: "Your feedback integration doesn't say what feedback you got.",
+            question: 'Which piece of feedback surprised you most?',
+            suggestion: 'Quote or paraphrase the feedback, then say what you did about it.'
+          },
+          {
+            field: 'productRefinement',
+            pattern: '\\b(instead|now|changed|switched|dropped|added|removed|replaced|narrowed|focus(ed)?)\\b',
+            message: "Your product refinement doesn't describe a change.",
+            question: 'What does your idea do now that it did not do this morning?',
+            suggestion: 'Describe the change as before and after.'
+          },
+          {
+            field: 'keyImprovements',
+            minWords: 10,
+            message: 'Key Improvements is too short to show what got better.',
+            question: 'Which improvement matters most to your user, and why?',
+            suggestion: 'Name each improvement and who it helps.'
+          }
+        ]
+      },
+      fields: [
+        {
+          name: 'feedbackIntegration',
+          label: 'Feedback Integration',
+          displayLabel: 'Feedback Integration',
+          reportLabel: 'Feedback Integration',
+          placeholder: 'What was the most helpful feedback and how did you use it?',
+          required: true,
+          requiredMessage: 'Feedback Integration is required'
+        },
+        {
+          name: 'aiEnhancement',
+          label: 'AI Enhancement',
+          displayLabel: 'AI Enhancement',
+          reportLabel: 'AI Enhancements',
+          placeholder: 'How did you make the AI solution more practical?',
+          required: true,
+          requiredMessage: 'AI Enhancement is required'
+        },
+        {
+          name: 'productRefinement',
+          label: 'Product Refinement',
+          displayLabel: 'Product Refinement',
+          reportLabel: 'Product Refinements',
+          placeholder: 'What key changes improved your original idea?',
+          required: true,
+          requiredMessage: 'Product Refinement is required'
+        },
+        {
+          name: 'keyImprovements',
+          label: 'Key Improvements',
+          displayLabel: 'Key Improvements',
+          placeholder: 'What updates did you make to functionality, experience, technology, or audience?',
+          required: true,
+          requiredMessage: 'Key Improvements is required'
+        }
+      ]
+    },
+    {
+      id: 'start-build',
+      name: 'Start Build',
+      portfolio: true,
+      scope: 'team',
+      reportTab: 'Build Progress',
+      title: 'Build Progress',
+      guide: {
+        title: '⏱️ 60-Minute Build Sprint',
+        blocks: [
+          { type: 'paragraph', emphasis: 'Exercise:', text: '' },
+          { type: 'paragraph', text: 'Use AI to build a website that displays your problem statement. This can be as simple or as complex as you want. You can use AI to add style (color, fonts, etc) to the website. Feel free to be creative. Do not write any code/syntax. Use AI to troubleshoot.' },
+          { type: 'paragraph', text: 'If you complete part 1, feel free to explore. Try building a simple demo or generate mockups of your MVP. You can start to build your MVP or create a compelling way to present the solution.' }
+        ]
+      },
+      fields: [
+        {
+          name: 'whatBuilt',
+          label: 'What did you build?',
+          displayLabel: 'What was built',
+          reportLabel: 'Implementation',
+          required: true,
+          requiredMessage: 'What you built is required'
+        },
+        {
+          name: 'functionality',
+          label: 'What functionality did you get in your product?',
+          displayLabel: 'Functionality achieved',
+          reportLabel: 'Functionality',
+          required: true,
+          requiredMessage: 'Functionality is required'
+        },
+        {
+          name: 'futureAdditions',
+          label: 'What would you try to do if you had more time?',
+          displayLabel: 'Future additions',
+          reportLabel: 'Future Plans',
+          required: true,
+          requiredMessage: 'Future additions is required'
+        },
+        {
+          name: 'aiHelp',
+          label: 'How did AI help you build?',
+          displayLabel: 'How AI helped',
+          reportLabel: 'AI Assistance',
+          required: true,
+          requiredMessage: 'AI help description is required'
+        }
+      ]
+    },
+    {
+      id: 'presentations-retro',
+      name: 'Presentations & Retro',
+      scope: 'team',
+      startsReview: true,
+      portfolio: true,
+      footer: '👉 Remember: Practice timing and focus on showing, not just telling!',
+      fields: [
+        {
+          name: 'problem',
+          label: '🎯 Problem (20 sec)',
+          displayLabel: 'Problem (20 sec)',
+          reportLabel: 'Problem Statement',
+          placeholder: 'State the issue and why it matters',
+          required: true,
+          requiredMessage: 'Problem statement is required'
+        },
+        {
+          name: 'solution',
+          label: '💡 Solution (25 sec)',
+          displayLabel: 'Solution (25 sec)',
+          reportLabel: 'Solution Description',
+          placeholder: 'Explain your product and what makes it unique',
+          required: true,
+          requiredMessage: 'Solution explanation is required'
+        },
+        {
+          name: 'demo',
+          label: '🚀 Demo (50 sec)',
+          displayLabel: 'Demo (50 sec)',
+          reportLabel: 'Demo Approach',
+          placeholder: 'Show your solution in action with key features',
+          required: true,
+          requiredMessage: 'Demo description is required'
+        },
+        {
+          name: 'journey',
+          label: '📈 Journey (25 sec)',
+          displayLabel: 'Journey (25 sec)',
+          reportLabel: 'Builder Journey',
+          placeholder: 'Share biggest challenge and what you learned',
+          required: true,
+          requiredMessage: 'Journey reflection is required'
+        },
+        {
+          name: 'impact',
+          label: '✨ Impact (10 sec)',
+          displayLabel: 'Impact (10 sec)',
+          reportLabel: 'Impact Description',
+          placeholder: 'End with how your solution helps people',
+          required: true,
+          requiredMessage: 'Impact statement is required'
+        }
+      ]
+    }
+  ]
+};
@@ -0,0 +1,309 @@
+/**
+ * Curriculum registry and helpers shared by the builder flow and admin analytics
+ */
+import { defaultCurriculum } from './defaultCurriculum';
+
+const curricula = {
+  [defaultCurriculum.id]: defaultCurriculum
+};
+
+/**
+ * Register an additional workshop format
+ * @param {Object} curriculum - Curriculum definition (see defaultCurriculum.js)
+ */
+export function registerCurriculum(curriculum) {
+  if (!curriculum?.id || !Array.isArray(curriculum.sections)) {
+    throw new Error('A curriculum needs an id and a sections array');
+  }
+  curricula[curriculum.id] = curriculum;
+}
+
+/**
+ * Get a curriculum by ID, falling back to the default workshop format
+ * @param {string} curriculumId - Curriculum ID (workshops.curriculum_id)
+ * @returns {Object} The curriculum definition
+ */
+export function getCurriculum(curriculumId) {
+  return curricula[curriculumId] || defaultCurriculum;
+}
+
+/**
+ * List registered curricula
+ * @returns {Array} Array of {id, name} objects
+ */
+export function listCurricula() {
+  return Object.values(curricula).map(({ id, name }) => ({ id, name }));
+}
+
+/**
+ * Get section names in workshop order (matches user_inputs.section_name)
+ * @param {Object} curriculum - Curriculum definition
+ * @returns {string[]} Ordered section names
+ */
+export function getSectionOrder(curriculum = defaultCurriculum) {
+  return curriculum.sections.map(section => section.name);
+}
+
+/**
+ * Find a section by its user_inputs.section_name
+ * @param {string} sectionName - Section name
+ * @param {Object} curriculum - Curriculum definition
+ * @returns {Object|undefined} The section definition
+ */
+export function getSection(sectionName, curriculum = defaultCurriculum) {
+  return curriculum.sections.find(section => section.name === sectionName);
+}
+
+/**
+ * Find a section by its ID (URL-friendly slug)
+ * @param {string} sectionId - Section ID
+ * @param {Object} curriculum - Curriculum definition
+ * @returns {Object|undefined} The section definition
+ */
+export function getSectionById(sectionId, curriculum = defaultCurriculum) {
+  return curriculum.sections.find(section => section.id === sectionId);
+}
+
+/**
+ * Get the ID of the section after the given one, or 'review' after the last one
+ * @param {string} sectionId - Current section ID
+ * @param {Object} curriculum - Curriculum definition
+ * @returns {string} Next section ID
+ */
+export function getNextSectionId(sectionId, curriculum = defaultCurriculum) {
+  const index = curriculum.sections.findIndex(section => section.id === sectionId);
+  if (index === -1) return curriculum.sections[0].id;
+  return curriculum.sections[index + 1]?.id || 'review';
+}
+
+/**
+ * Get the peer feedback exchange settings (shared sections, rubric, scale)
+ * @param {Object} curriculum - Curriculum definition
+ * @returns {Object|null} The exchange section's peerReview, or null if the curriculum has none
+ */
+export function getPeerReviewConfig(curriculum = defaultCurriculum) {
+  const section = curriculum.sections.find(item => item.peerReview?.mode === 'exchange');
+  return section ? section.peerReview : null;
+}
+
+/**
+ * Get the section whose completion triggers the project review
+ * @param {Object} curriculum - Curriculum definition
+ * @returns {Object|null} The section marked startsReview, or null if the curriculum has none
+ */
+export function getReviewSection(curriculum = defaultCurriculum) {
+  return curriculum.sections.find(section => section.startsReview) || null;
+}
+
+/**
+ * Get the names of the sections shown on a builder's portfolio
+ * @param {Object} curriculum - Curriculum definition
+ * @returns {string[]} Section names in workshop order
+ */
+export function getPortfolioSectionNames(curriculum = defaultCurriculum) {
+  return curriculum.sections.filter(section => section.portfolio).map(section => section.name);
+}
+
+/**
+ * Whether a section is filled in once per team (shared by all members)
+ * @param {Object} section - Section definition
+ * @returns {boolean}
+ */
+export function isTeamSection(section) {
+  return section?.scope === 'team';
+}
+
+/**
+ * Get the names of the sections a team shares
+ * @param {Object} curriculum - Curriculum definition
+ * @returns {string[]} Section names in workshop order
+ */
+export function getTeamSectionNames(curriculum = defaultCurriculum) {
+  return curriculum.sections.filter(isTeamSection).map(section => section.name);
+}
+
+/**
+ * Parse a schedule duration like '0:35' or '1:00' into minutes
+ * @param {string} duration - Duration as h:mm
+ * @returns {number} Minutes (0 when missing or malformed)
+ */
+export function parseDuration(duration) {
+  const match = /^(\d+):(\d{2})$/.exec(duration || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : 0;
+}
+
+/**
+ * Flatten the schedule into the timed segments a facilitator steps through.
+ * Groups with sub-items (like 'Workshop') contribute their items instead of themselves.
+ * @param {Object} curriculum - Curriculum definition
+ * @returns {Array} Segments as {key, name, minutes, sectionId}
+ */
+export function getScheduleSegments(curriculum = defaultCurriculum) {
+  return (curriculum.schedule || []).flatMap(item => {
+    if (item.items) {
+      return item.items.map((subItem, index) => ({
+        key: `${item.id}.${index}`,
+        name: subItem.name,
+        minutes: parseDuration(subItem.duration),
+        sectionId: subItem.sectionId || null
+      }));
+    }
+    return [{
+      key: `${item.id}`,
+      name: item.name,
+      minutes: parseDuration(item.duration),
+      sectionId: item.sectionId || null
+    }];
+  });
+}
+
+/**
+ * Get the fields the admin input analysis reports on, keyed by section name
+ * @param {Object} curriculum - Curriculum definition
+ * @returns {Object} Map of section name to array of {name, label}
+ */
+export function getReportFields(curriculum = defaultCurriculum) {
+  const reportFields = {};
+
+  curriculum.sections.forEach(section => {
+    const fields = (section.fields || [])
+      .filter(field => field.reportLabel)
+      .map(field => ({ name: field.name, label: field.reportLabel }));
+
+    if (fields.length > 0) {
+      reportFields[section.name] = fields;
+    }
+  });
+
+  return reportFields;
+}
+
+/**
+ * Build the empty input_data object for a section
+ * @param {Object} section - Section definition
+ * @returns {Object} Field values keyed by field name
+ */
+export function getEmptyValues(section) {
+  return Object.fromEntries(
+    section.fields.map(field => [
+      field.name,
+      field.type === 'list' ? Array(field.count || 1).fill('') : ''
+    ])
+  );
+}
+
+/**
+ * Merge stored input_data over a section's empty values
+ * @param {Object} section - Section definition
+ * @param {Object} data - Stored input_data
+ * @returns {Object} Field values keyed by field name
+ */
+export function toFormValues(section, data) {
+  const values = getEmptyValues(section);
+
+  section.fields.forEach(field => {
+    const stored = data?.[field.name];
+    if (field.type === 'list') {
+      if (Array.isArray(stored)) {
+        values[field.name] = values[field.name].map((empty, index) => stored[index] || empty);
+      }
+    } else if (typeof stored === 'string') {
+      values[field.name] = stored;
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Check whether a field value is filled in. For list fields only the first
+ * item counts, matching the "at least one idea" rule.
+ * @param {Object} field - Field definition
+ * @param {*} value - Field value
+ * @returns {boolean} Whether the field has content
+ */
+export function isFieldFilled(field, value) {
+  if (field.type === 'list') {
+    return Array.isArray(value) && !!value[0]?.trim();
+  }
+  return typeof value === 'string' && !!value.trim();
+}
+
+/**
+ * Validate section values against the curriculum's rules
+ * @param {Object} section - Section definition
+ * @param {Object} values - Field values
+ * @returns {Object} Error messages keyed by field name (empty when valid)
+ */
+export function validateSection(section, values) {
+  const errors = {};
+
+  section.fields.forEach(field => {
+    const value = values[field.name];
+
+    if (field.required && !isFieldFilled(field, value)) {
+      errors[field.name] = field.requiredMessage || `${field.displayLabel || field.name} is required`;
+    } else if (field.minLength && typeof value === 'string' && value.trim() && value.trim().length < field.minLength) {
+      errors[field.name] = `${field.displayLabel || field.name} should be at least ${field.minLength} characters`;
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Check whether any field in a section has content
+ * @param {Object} section - Section definition
+ * @param {Object} values - Field values
+ * @returns {boolean} Whether there is anything worth saving
+ */
+export function hasContent(section, values) {
+  return section.fields.some(field => {
+    const value = values[field.name];
+    if (field.type === 'list') {
+      return Array.isArray(value) && value.some(item => item?.trim());
+    }
+    return isFieldFilled(field, value);
+  });
+}
+
+/**
+ * Combine two versions of a section edited in different places. Fields only
+ * filled in on one side keep that value, differing text is kept from both
+ * sides, and list fields keep the distinct items from both up to their count.
+ * @param {Object} section - Section definition
+ * @param {Object} mine - Local field values
+ * @param {Object} theirs - Field values saved elsewhere
+ * @returns {Object} Merged field values
+ */
+export function mergeSectionValues(section, mine, theirs) {
+  const merged = {};
+
+  section.fields.forEach(field => {
+    const local = mine[field.name];
+    const remote = theirs[field.name];
+
+    if (field.type === 'list') {
+      const items = [...local, ...remote]
+        .map(item => item.trim())
+        .filter((item, index, all) => item && all.indexOf(item) === index);
+      const size = Math.max(field.count || 1, items.length);
+      merged[field.name] = items.concat(Array(size - items.length).fill(''));
+      return;
+    }
+
+    const localText = local.trim();
+    const remoteText = remote.trim();
+    if (!localText || localText === remoteText || remoteText.includes(localText)) {
+      merged[field.name] = remote;
+    } else if (!remoteText || localText.includes(remoteText)) {
+      merged[field.name] = local;
+    } else {
+      merged[field.name] = `${local}\n\n${remote}`;
+    }
+  });
+
+  return merged;
+}
+
+export { defaultCurriculum };
@@ -0,0 +1,73 @@
+import { useState, useEffect, useMemo } from 'react';
+import { liveSessionService } from '../services/liveSessionService';
+import { getScheduleSegments } from '../curriculum';
+
+/**
+ * Follow a workshop's live session: loads the saved state, applies changes to
+ * it from Realtime and ticks the countdown once a second while a segment is running.
+ *
+ * @param {string} workshopId - The workshop to follow (nothing happens without one)
+ * @param {Object} curriculum - The workshop's curriculum
+ * @returns {Object} { liveSession, setLiveSession, segments, currentSegment, remainingMs, isLive }
+ */
+export function useLiveSession(workshopId, curriculum) {
+  const [liveSession, setLiveSession] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const segments = useMemo(() => getScheduleSegments(curriculum), [curriculum]);
+
+  useEffect(() => {
+    setLiveSession(null);
+    if (!workshopId) return;
+
+    let cancelled = false;
+    liveSessionService.getLiveSession(workshopId)
+      .then(state => {
+        // A change may have arrived while loading; keep the newer state
+        if (!cancelled) {
+          setLiveSession(current => (
+            current && state && current.updated_at > state.updated_at ? current : state
+          ));
+        }
+      })
+      .catch(error => console.error('Error loading live session:', error));
+
+    const unsubscribe = liveSessionService.subscribe(workshopId, state => {
+      if (!cancelled) setLiveSession(state);
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [workshopId]);
+
+  const isRunning = liveSession?.status === 'running';
+  useEffect(() => {
+    if (!isRunning) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [isRunning]);
+
+  const currentSegment = liveSessionService.getCurrentSegment(liveSession, segments);
+
+  return {
+    liveSession,
+    setLiveSession,
+    segments,
+    currentSegment,
+    remainingMs: liveSessionService.getRemainingMs(liveSession, now),
+    isLive: !!currentSegment
+  };
+}
+
+/**
+ * Format a countdown as m:ss
+ * @param {number} ms - Milliseconds
+ * @returns {string} The formatted time
+ */
+export function formatCountdown(ms) {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
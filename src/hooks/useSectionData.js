@@ -0,0 +1,431 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { supabase, withRetry } from '../supabaseClient';
+import { offlineQueue, isNetworkError } from '../services/offlineQueue';
+import {
+  getSection,
+  getEmptyValues,
+  toFormValues,
+  hasContent,
+  mergeSectionValues
+} from '../curriculum';
+
+const serialize = (values) => JSON.stringify(values);
+
+/**
+ * Load and autosave one section of a builder's user_inputs.
+ *
+ * Saves are debounced while the builder types and written with an upsert on
+ * (session_id, section_name). The row's updated_at is kept as the version we
+ * last synced; if it has moved when we save (or when the tab regains focus),
+ * the section was edited from another tab or device and a conflict is raised
+ * instead of overwriting it.
+ *
+ * When Supabase can't be reached, saves go to the offline queue and later saves
+ * for the section keep queuing behind them until the queue has been replayed.
+ *
+ * For a team's shared sections, sessionId is the team ID; pass teamId and the
+ * editing member as author so each changed field is attributed to them.
+ *
+ * @param {string} sessionId - Builder session ID
+ * @param {string} sectionName - user_inputs.section_name
+ * @param {Object} options
+ * @param {Object} options.section - Section definition (defaults to the default curriculum's)
+ * @param {Function} options.onSave - Called with (sectionName, values) after each save
+ * @param {number} options.debounceMs - Autosave delay after the last change
+ * @param {string} options.teamId - Team that owns the section, if it is shared
+ * @param {Object} options.author - Editing member as { sessionId, name }, for field attribution
+ * @returns {Object} Section values, setters, save status, field authors and conflict state
+ */
+export function useSectionData(sessionId, sectionName, { section: sectionDefinition, onSave, debounceMs = 1000, teamId = null, author = null } = {}) {
+  const section = sectionDefinition || getSection(sectionName);
+  const [values, setValues] = useState(() => getEmptyValues(section));
+  const [loading, setLoading] = useState(true);
+  const [saveStatus, setSaveStatus] = useState(null);
+  const [connectionError, setConnectionError] = useState(null);
+  const [conflict, setConflict] = useState(null);
+  const [fieldAuthors, setFieldAuthors] = useState({});
+  const isMounted = useRef(true);
+  const authorsRef = useRef({});
+  const baseUpdatedAt = useRef(null);
+  const lastSynced = useRef(serialize(values));
+  const statusTimer = useRef(null);
+  const pendingSave = useRef(Promise.resolve());
+
+  const isDirty = serialize(values) !== lastSynced.current;
+  const queueKey = `${sessionId}:${sectionName}`;
+
+  // Debug logging function
+  const debugLog = useCallback((message, data = null) => {
+    const logMessage = `[${sectionName} Debug ${new Date().toISOString()}] ${message}`;
+
+    if (data) {
+      console.log(logMessage, data);
+    } else {
+      console.log(logMessage);
+    }
+  }, [sectionName]);
+
+  const showStatus = useCallback((status, clearAfterMs) => {
+    clearTimeout(statusTimer.current);
+    setSaveStatus(status);
+    if (clearAfterMs) {
+      statusTimer.current = setTimeout(() => {
+        if (isMounted.current) {
+          setSaveStatus(null);
+        }
+      }, clearAfterMs);
+    }
+  }, []);
+
+  const fetchRemote = useCallback(async () => {
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('user_inputs')
+        .select('input_data, updated_at, field_authors')
+        .eq('session_id', sessionId)
+        .eq('section_name', sectionName)
+        .maybeSingle();
+    }, 3, 2000);
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  }, [sessionId, sectionName]);
+
+  // Take a version saved elsewhere as the new local state
+  const adoptRemote = useCallback((remote) => {
+    const remoteValues = toFormValues(section, remote?.input_data);
+    baseUpdatedAt.current = remote?.updated_at || null;
+    lastSynced.current = serialize(remoteValues);
+    authorsRef.current = remote?.field_authors || {};
+    setFieldAuthors(authorsRef.current);
+    setValues(remoteValues);
+  }, [section]);
+
+  // The row to write: attribute the fields that changed since the last sync to the author
+  const buildRow = useCallback((valuesToSave) => {
+    const row = {
+      session_id: sessionId,
+      section_name: sectionName,
+      input_data: valuesToSave
+    };
+    if (!teamId) return row;
+
+    if (author) {
+      const previous = JSON.parse(lastSynced.current);
+      const at = new Date().toISOString();
+      section.fields
+        .filter(field => serialize(previous[field.name]) !== serialize(valuesToSave[field.name]))
+        .forEach(field => {
+          authorsRef.current = {
+            ...authorsRef.current,
+            [field.name]: { session_id: author.sessionId, name: author.name || null, at }
+          };
+        });
+    }
+    return { ...row, team_id: teamId, field_authors: authorsRef.current };
+  }, [sessionId, sectionName, section, teamId, author]);
+
+  const handleError = useCallback((error) => {
+    console.error(`Error syncing ${sectionName}:`, error);
+
+    if (error instanceof TypeError && error.message.includes('Failed to fetch')) {
+      setConnectionError('Network error: Could not connect to the database. Please check your internet connection.');
+      showStatus('Error: Failed to connect to database', 5000);
+    } else {
+      setConnectionError(`Database error: ${error.message}`);
+      showStatus(`Error: ${error.message || 'Failed to save'}`, 5000);
+    }
+  }, [sectionName, showStatus]);
+
+  // Add a timeout to prevent infinite loading
+  useEffect(() => {
+    if (!loading) return;
+
+    const loadingTimeout = setTimeout(() => {
+      if (isMounted.current) {
+        debugLog('Loading timeout reached, forcing loading state to false');
+        setLoading(false);
+      }
+    }, 5000);
+
+    return () => clearTimeout(loadingTimeout);
+  }, [loading, debugLog]);
+
+  // Load existing data
+  useEffect(() => {
+    isMounted.current = true;
+
+    const load = async () => {
+      if (!sessionId) {
+        debugLog('No sessionId provided, skipping data load');
+        setLoading(false);
+        return;
+      }
+
+      debugLog(`Loading existing data for session ${sessionId}`);
+      setConnectionError(null);
+      let remote = null;
+      try {
+        remote = await fetchRemote();
+        if (isMounted.current) {
+          adoptRemote(remote);
+        }
+      } catch (error) {
+        if (isMounted.current) {
+          handleError(error);
+        }
+      }
+
+      try {
+        // Changes that haven't synced yet are newer than anything in the database
+        const draft = await offlineQueue.getDraft('user_inputs', queueKey);
+        if (draft && isMounted.current) {
+          debugLog('Restoring unsynced draft from the offline queue');
+          const draftValues = toFormValues(section, draft.row.input_data);
+          baseUpdatedAt.current = remote?.updated_at || null;
+          lastSynced.current = serialize(draftValues);
+          setValues(draftValues);
+        }
+      } catch (error) {
+        console.error('Error reading offline drafts:', error);
+      } finally {
+        if (isMounted.current) {
+          setLoading(false);
+        }
+      }
+    };
+
+    load();
+
+    return () => {
+      isMounted.current = false;
+      clearTimeout(statusTimer.current);
+    };
+  }, [sessionId, section, queueKey, fetchRemote, adoptRemote, handleError, debugLog]);
+
+  const queueWrite = useCallback(async (valuesToSave) => {
+    await offlineQueue.enqueue({
+      table: 'user_inputs',
+      key: queueKey,
+      row: buildRow(valuesToSave),
+      onConflict: 'session_id,section_name'
+    });
+
+    lastSynced.current = serialize(valuesToSave);
+    debugLog('Saved to offline queue');
+    if (isMounted.current) {
+      setConnectionError(null);
+      setFieldAuthors(authorsRef.current);
+      showStatus('Saved offline', 3000);
+    }
+  }, [queueKey, buildRow, showStatus, debugLog]);
+
+  /**
+   * Save values, checking first that nobody else saved since our last sync
+   * @param {Object} valuesToSave - Field values
+   * @param {boolean} force - Overwrite without checking for a newer version
+   */
+  const persist = useCallback(async (valuesToSave, force = false) => {
+    if (!sessionId) {
+      debugLog('No sessionId available, cannot save');
+      return;
+    }
+
+    if (!hasContent(section, valuesToSave)) {
+      debugLog('No content to save, all fields are empty');
+      return;
+    }
+
+    showStatus('Saving...');
+    setConnectionError(null);
+    try {
+      // Keep queuing behind unsynced writes so they can't overwrite this one later
+      if (await offlineQueue.hasPending('user_inputs', queueKey)) {
+        await queueWrite(valuesToSave);
+        return;
+      }
+
+      if (!force) {
+        const remote = await fetchRemote();
+        if (remote && remote.updated_at !== baseUpdatedAt.current) {
+          const remoteValues = toFormValues(section, remote.input_data);
+
+          if (serialize(remoteValues) !== serialize(valuesToSave)) {
+            debugLog('Section was changed elsewhere since it was loaded', remote.updated_at);
+            if (isMounted.current) {
+              setConflict({ values: remoteValues, updatedAt: remote.updated_at, authors: remote.field_authors });
+              showStatus(null);
+            }
+            return;
+          }
+
+          // Same content on both sides, nothing to resolve
+          baseUpdatedAt.current = remote.updated_at;
+          lastSynced.current = serialize(valuesToSave);
+          showStatus('Saved', 3000);
+          return;
+        }
+      }
+
+      const row = buildRow(valuesToSave);
+      const { data, error } = await withRetry(async () => {
+        return await supabase
+          .from('user_inputs')
+          .upsert(row, { onConflict: 'session_id,section_name' })
+          .select('updated_at')
+          .single();
+      }, 3, 2000);
+
+      if (error) throw error;
+
+      baseUpdatedAt.current = data?.updated_at || null;
+      lastSynced.current = serialize(valuesToSave);
+      debugLog('Save successful', data?.updated_at);
+
+      if (isMounted.current) {
+        setFieldAuthors(authorsRef.current);
+        showStatus('Saved', 3000);
+      }
+      if (onSave) {
+        onSave(sectionName, valuesToSave);
+      }
+    } catch (error) {
+      if (isNetworkError(error)) {
+        try {
+          await queueWrite(valuesToSave);
+          return;
+        } catch (queueError) {
+          console.error('Error queuing offline write:', queueError);
+        }
+      }
+
+      if (isMounted.current) {
+        handleError(error);
+      }
+    }
+  }, [sessionId, section, sectionName, queueKey, onSave, fetchRemote, buildRow, queueWrite, handleError, showStatus, debugLog]);
+
+  // Run saves one at a time so a slow save can't look like an edit from elsewhere
+  const save = useCallback((valuesToSave, force = false) => {
+    pendingSave.current = pendingSave.current.then(() => persist(valuesToSave, force));
+    return pendingSave.current;
+  }, [persist]);
+
+  // Debounce save after the builder stops typing
+  useEffect(() => {
+    if (loading || conflict || !isDirty) return;
+
+    const timer = setTimeout(() => {
+      save(values);
+    }, debounceMs);
+
+    return () => clearTimeout(timer);
+  }, [values, loading, conflict, isDirty, save, debounceMs]);
+
+  // Pick up edits made on another device when the builder comes back to this tab
+  useEffect(() => {
+    if (!sessionId || loading || conflict) return;
+
+    const checkForRemoteChanges = async () => {
+      if (document.visibilityState === 'hidden') return;
+
+      try {
+        // Our unsynced writes are newer than whatever the database has
+        if (await offlineQueue.hasPending('user_inputs', queueKey)) return;
+
+        const remote = await fetchRemote();
+        if (!isMounted.current || !remote || remote.updated_at === baseUpdatedAt.current) return;
+
+        if (isDirty) {
+          setConflict({
+            values: toFormValues(section, remote.input_data),
+            updatedAt: remote.updated_at,
+            authors: remote.field_authors
+          });
+        } else {
+          debugLog('Loading newer version saved elsewhere', remote.updated_at);
+          adoptRemote(remote);
+        }
+      } catch (error) {
+        console.error(`Error checking ${sectionName} for remote changes:`, error);
+      }
+    };
+
+    window.addEventListener('focus', checkForRemoteChanges);
+    document.addEventListener('visibilitychange', checkForRemoteChanges);
+
+    return () => {
+      window.removeEventListener('focus', checkForRemoteChanges);
+      document.removeEventListener('visibilitychange', checkForRemoteChanges);
+    };
+  }, [sessionId, section, sectionName, queueKey, loading, conflict, isDirty, fetchRemote, adoptRemote, debugLog]);
+
+  // Once the offline queue has replayed our writes, their updated_at is our new base
+  useEffect(() => {
+    if (!sessionId) return;
+
+    return offlineQueue.subscribe(async ({ synced, failed }) => {
+      // The queue dropped our write because the database rejected it, so those
+      // values were never saved: count them as unsaved again and let autosave retry
+      if (failed?.some(entry => entry.table === 'user_inputs' && entry.key === queueKey)) {
+        lastSynced.current = null;
+        if (isMounted.current) showStatus('Error: Offline changes could not be saved', 5000);
+        return;
+      }
+
+      if (!synced || await offlineQueue.hasPending('user_inputs', queueKey)) return;
+
+      try {
+        const remote = await fetchRemote();
+        if (remote && serialize(toFormValues(section, remote.input_data)) === lastSynced.current) {
+          baseUpdatedAt.current = remote.updated_at;
+        }
+      } catch (error) {
+        console.error(`Error refreshing ${sectionName} after sync:`, error);
+      }
+    });
+  }, [sessionId, section, sectionName, queueKey, fetchRemote, showStatus]);
+
+  /**
+   * Resolve a conflict with a version saved elsewhere
+   * @param {'mine'|'theirs'|'merge'} resolution - Which version to keep
+   */
+  const resolveConflict = useCallback((resolution) => {
+    if (!conflict) return;
+
+    baseUpdatedAt.current = conflict.updatedAt;
+    // Fields we change on top of their version are attributed to us when saved
+    authorsRef.current = conflict.authors || authorsRef.current;
+    setFieldAuthors(authorsRef.current);
+    setConflict(null);
+
+    if (resolution === 'theirs') {
+      lastSynced.current = serialize(conflict.values);
+      setValues(conflict.values);
+    } else if (resolution === 'merge') {
+      // The remote version is now our base, the merged values save as a normal edit
+      lastSynced.current = serialize(conflict.values);
+      setValues(mergeSectionValues(section, values, conflict.values));
+    } else {
+      save(values, true);
+    }
+  }, [conflict, section, values, save]);
+
+  const setField = useCallback((fieldName, value) => {
+    setValues(prev => ({ ...prev, [fieldName]: value }));
+  }, []);
+
+  return {
+    values,
+    setValues,
+    setField,
+    loading,
+    saveStatus,
+    connectionError,
+    conflict,
+    resolveConflict,
+    fieldAuthors,
+    isDirty,
+    saveNow: () => save(values)
+  };
+}
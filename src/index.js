@@ -1,13 +1,19 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
+import { BrowserRouter, HashRouter } from 'react-router-dom';
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
+import { config } from './config';
+
+const Router = config.router.mode === 'browser' ? BrowserRouter : HashRouter;
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   // Temporarily removing StrictMode to debug mounting/unmounting issues
-  <App />
+  <Router basename={config.router.mode === 'browser' ? config.router.basename : undefined}>
+    <App />
+  </Router>
 );
 
 // If you want to start measuring performance in your app, pass a function
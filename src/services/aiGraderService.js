@@ -0,0 +1,172 @@
+import { supabase, withRetry } from '../supabaseClient';
+import { openaiService } from './openaiService';
+import { llmGateway, LLMConfigError } from './llm';
+import { getSection } from '../curriculum';
+import { weightedScore } from '../utils/rubricStats';
+import {
+  collectEvidenceFields,
+  verifyCitations,
+  normalizeGrades,
+  overallConfidence,
+  stubGrade
+} from '../utils/rubricGrading';
+
+const ANALYSIS_TYPE = 'rubric_grade';
+
+class AIGraderService {
+  /**
+   * Whether grading goes to a model; without a provider the offline stub is used
+   * @returns {boolean}
+   */
+  canUseModel() {
+    return llmGateway.isAvailable();
+  }
+
+  /**
+   * Pre-score a builder (or team) on a rubric and store the result for review
+   * @param {Object} params
+   * @param {Object} params.rubric - The rubric
+   * @param {string} params.sessionId - Builder session or team ID
+   * @param {Object} params.sections - Section name -> input_data
+   * @param {Object} params.curriculum - Curriculum definition
+   * @param {boolean} params.useStub - Force the offline stub even when AI features are on
+   * @returns {Promise<Object>} - The analysis_results row
+   */
+  async gradeBuilder({ rubric, sessionId, sections, curriculum, useStub = false }) {
+    const sectionDefinitions = rubric.sections
+      .map(sectionName => getSection(sectionName, curriculum))
+      .filter(Boolean);
+    const fields = collectEvidenceFields(sections, sectionDefinitions);
+
+    let provider = 'stub';
+    let rawGrades = null;
+    if (!useStub && this.canUseModel() && fields.length > 0) {
+      try {
+        const result = await openaiService.gradeWithRubric(rubric, fields);
+        rawGrades = result.grades;
+        provider = result.provider;
+      } catch (error) {
+        // The AI service has no model for grading; use the stub like when AI is off
+        if (!(error instanceof LLMConfigError)) throw error;
+      }
+    }
+    if (!rawGrades) {
+      rawGrades = stubGrade(rubric, fields);
+    }
+
+    const { grades, dropped } = verifyCitations(normalizeGrades(rubric, rawGrades), fields);
+    const scores = Object.fromEntries(grades.map(grade => [grade.criterionId, grade.score]));
+
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('analysis_results')
+        .insert({
+          analysis_type: ANALYSIS_TYPE,
+          input_data: { rubric_id: rubric.id, session_id: sessionId, fields },
+          insights: {
+            provider,
+            grades,
+            total: weightedScore(rubric, scores),
+            dropped_citations: dropped
+          },
+          confidence_score: overallConfidence(grades),
+          session_ids: [sessionId]
+        })
+        .select()
+        .single();
+    }, 3, 2000);
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Latest pre-score per builder or team on a rubric
+   * @param {string} rubricId - The rubric ID
+   * @param {string} sessionId - Optional builder session or team ID to limit to
+   * @returns {Promise<Object>} - Session or team ID -> analysis_results row
+   */
+  async listLatest(rubricId, sessionId = null) {
+    const { data, error } = await withRetry(async () => {
+      let query = supabase
+        .from('analysis_results')
+        .select('*')
+        .eq('analysis_type', ANALYSIS_TYPE)
+        .eq('input_data->>rubric_id', rubricId)
+        .order('created_at', { ascending: false });
+
+      if (sessionId) {
+        query = query.contains('session_ids', [sessionId]);
+      }
+
+      return await query;
+    }, 3, 2000);
+
+    if (error) throw error;
+
+    const latest = {};
+    (data || []).forEach(row => {
+      const id = row.input_data?.session_id;
+      if (id && !latest[id]) latest[id] = row;
+    });
+    return latest;
+  }
+
+  /**
+   * Record a facilitator's decision on a pre-score
+   * @param {Object} result - The analysis_results row
+   * @param {Object} scores - The scores the facilitator saved (criterion ID -> score)
+   * @param {string} reviewerId - Auth user ID of the facilitator
+   * @returns {Promise<Object>} - The updated row
+   */
+  async recordReview(result, scores, reviewerId) {
+    const suggested = result.insights.grades || [];
+    const accepted = suggested.length > 0 &&
+      Object.keys(scores).length === suggested.length &&
+      suggested.every(grade => scores[grade.criterionId] === grade.score);
+
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('analysis_results')
+        .update({
+          review_status: accepted ? 'accepted' : 'overridden',
+          reviewed_by: reviewerId,
+          reviewed_at: new Date().toISOString()
+        })
+        .eq('id', result.id)
+        .select()
+        .single();
+    }, 3, 2000);
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Load the judged sections of several builders or teams
+   * @param {Array<string>} sessionIds - Builder session or team IDs
+   * @param {Array<string>} sectionNames - Sections to load
+   * @returns {Promise<Object>} - Session or team ID -> (section name -> input_data)
+   */
+  async loadSections(sessionIds, sectionNames) {
+    if (sessionIds.length === 0) return {};
+
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('user_inputs')
+        .select('session_id, section_name, input_data')
+        .in('session_id', sessionIds)
+        .in('section_name', sectionNames);
+    }, 3, 2000);
+
+    if (error) throw error;
+
+    return (data || []).reduce((acc, row) => {
+      acc[row.session_id] = acc[row.session_id] || {};
+      acc[row.session_id][row.section_name] = row.input_data;
+      return acc;
+    }, {});
+  }
+}
+
+export const aiGraderService = new AIGraderService();
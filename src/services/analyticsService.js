@@ -1,23 +1,20 @@
 import { supabase } from '../supabaseClient';
+import { workshopService } from './workshopService';
+import { teamService } from './teamService';
+import { defaultCurriculum, getSectionOrder } from '../curriculum';
 
 class AnalyticsService {
   constructor() {
-    this.sectionOrder = [
-      'User Info',
-      'Problem Definition',
-      'MVP Planner',
-      'Give & Get Feedback',
-      'Refine Your MVP',
-      'Start Build',
-      'Presentations & Retro'
-    ];
+    this.sectionOrder = getSectionOrder(defaultCurriculum);
   }
 
   async getBuilderData(filters = {}) {
     const {
       startDate,
       endDate,
-      filterCompleted = false
+      workshopId,
+      filterCompleted = false,
+      view = 'person'
     } = filters;
 
     try {
@@ -27,6 +24,7 @@ class AnalyticsService {
         .select('*')
         .order('created_at', { ascending: false });
 
+      query = workshopService.scopeQuery(query, workshopId);
       if (startDate) {
         query = query.gte('created_at', startDate);
       }
@@ -37,8 +35,12 @@ class AnalyticsService {
       const { data: inputs, error } = await query;
       if (error) throw error;
 
+      // Count team projects once per member ('person') or once per team ('team')
+      const teams = await teamService.listTeams(workshopId);
+      const grouped = teamService.applyTeamView(inputs, teams, view);
+
       // Group by session
-      const sessions = this.groupBySession(inputs);
+      const sessions = this.groupBySession(grouped);
       
       // Apply filters
       const filteredSessions = filterCompleted
@@ -0,0 +1,445 @@
+import { supabase, withRetry } from '../supabaseClient';
+import { config } from '../config';
+import { workshopService } from './workshopService';
+import { offlineQueue } from './offlineQueue';
+
+const LOCAL_USER_KEY = 'localAuthUser';
+const LOCAL_SESSIONS_KEY = 'localBuilderSessions';
+const LOCAL_ADMIN_ROLE_KEY = 'localAdminRole';
+
+/**
+ * Admin roles (admin_roles.role) and what each one may do in the dashboard.
+ * The database policies enforce the same rules; this only decides what to show.
+ */
+export const ADMIN_ROLES = {
+  facilitator: {
+    label: 'Facilitator',
+    canEdit: true,
+    canDelete: false,
+    canManageWorkshops: true,
+    canScore: true,
+    canManageTemplates: false
+  },
+  program_lead: {
+    label: 'Program Lead',
+    canEdit: true,
+    canDelete: true,
+    canManageWorkshops: true,
+    canScore: true,
+    canManageTemplates: true
+  },
+  observer: {
+    label: 'Observer',
+    canEdit: false,
+    canDelete: false,
+    canManageWorkshops: false,
+    canScore: false,
+    canManageTemplates: false
+  },
+  judge: {
+    label: 'Judge',
+    canEdit: false,
+    canDelete: false,
+    canManageWorkshops: false,
+    canScore: true,
+    canManageTemplates: false
+  }
+};
+
+const newId = () => {
+  try {
+    return crypto.randomUUID();
+  } catch (error) {
+    return `local-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+  }
+};
+
+/**
+ * Supabase Auth: email magic links, plus anonymous sign-in for builders who
+ * join with a workshop code only
+ */
+class SupabaseAuthProvider {
+  async getUser() {
+    const { data, error } = await supabase.auth.getSession();
+    if (error) throw error;
+    return data.session?.user || null;
+  }
+
+  onAuthStateChange(callback) {
+    const { data } = supabase.auth.onAuthStateChange((event, session) => {
+      callback(session?.user || null, event);
+    });
+    return () => data.subscription.unsubscribe();
+  }
+
+  async signInWithMagicLink(email) {
+    const { error } = await supabase.auth.signInWithOtp({
+      email,
+      options: {
+        emailRedirectTo: `${window.location.origin}${window.location.pathname}`
+      }
+    });
+    if (error) throw error;
+    return { user: null, emailSent: true };
+  }
+
+  async signInAnonymously() {
+    const { data, error } = await supabase.auth.signInAnonymously();
+    if (error) throw error;
+    return data.user;
+  }
+
+  async signInWithPassword(email, password) {
+    const { data, error } = await supabase.auth.signInWithPassword({ email, password });
+    if (error) throw error;
+    return data.user;
+  }
+
+  async getAdminRole(userId) {
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('admin_roles')
+        .select('role')
+        .eq('user_id', userId)
+        .maybeSingle();
+    }, 3, 2000);
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data?.role || null;
+  }
+
+  async linkEmail(email) {
+    const { data, error } = await supabase.auth.updateUser({ email });
+    if (error) throw error;
+    return data.user;
+  }
+
+  async signOut() {
+    const { error } = await supabase.auth.signOut();
+    if (error) throw error;
+  }
+
+  async listSessions(userId) {
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('builder_sessions')
+        .select('*')
+        .eq('user_id', userId)
+        .order('last_active_at', { ascending: false });
+    }, 3, 2000);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async saveSession(row) {
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('builder_sessions')
+        .upsert(row, { onConflict: 'session_id' })
+        .select()
+        .single();
+    }, 3, 2000);
+
+    if (error) throw error;
+    return data;
+  }
+}
+
+/**
+ * Development provider that keeps the user and their sessions in localStorage.
+ * No emails are sent; "signing in" with an email just switches to that user.
+ */
+class LocalAuthProvider {
+  constructor() {
+    this.listeners = new Set();
+  }
+
+  readSessions() {
+    try {
+      return JSON.parse(localStorage.getItem(LOCAL_SESSIONS_KEY)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  setUser(user) {
+    if (user) {
+      localStorage.setItem(LOCAL_USER_KEY, JSON.stringify(user));
+    } else {
+      localStorage.removeItem(LOCAL_USER_KEY);
+    }
+    this.listeners.forEach(listener => listener(user, user ? 'SIGNED_IN' : 'SIGNED_OUT'));
+    return user;
+  }
+
+  async getUser() {
+    try {
+      return JSON.parse(localStorage.getItem(LOCAL_USER_KEY));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  onAuthStateChange(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  async signInWithMagicLink(email) {
+    // Reuse the ID from an earlier sign-in with the same email so its sessions come back
+    const existing = this.readSessions().find(session => session.email === email);
+    const user = this.setUser({ id: existing?.user_id || newId(), email, is_anonymous: false });
+    return { user, emailSent: false };
+  }
+
+  async signInAnonymously() {
+    return this.setUser({ id: newId(), email: null, is_anonymous: true });
+  }
+
+  async signInWithPassword(email, password, role = 'facilitator') {
+    localStorage.setItem(LOCAL_ADMIN_ROLE_KEY, role);
+    return this.setUser({ id: `local-admin-${email}`, email, is_anonymous: false });
+  }
+
+  async getAdminRole(userId) {
+    return userId?.startsWith('local-admin-') ? localStorage.getItem(LOCAL_ADMIN_ROLE_KEY) : null;
+  }
+
+  async linkEmail(email) {
+    const user = { ...(await this.getUser()), email, is_anonymous: false };
+    localStorage.setItem(
+      LOCAL_SESSIONS_KEY,
+      JSON.stringify(this.readSessions().map(session => (
+        session.user_id === user.id ? { ...session, email } : session
+      )))
+    );
+    return this.setUser(user);
+  }
+
+  async signOut() {
+    localStorage.removeItem(LOCAL_ADMIN_ROLE_KEY);
+    this.setUser(null);
+  }
+
+  async listSessions(userId) {
+    return this.readSessions()
+      .filter(session => session.user_id === userId)
+      .sort((a, b) => new Date(b.last_active_at) - new Date(a.last_active_at));
+  }
+
+  async saveSession(row) {
+    const user = await this.getUser();
+    const sessions = this.readSessions();
+    const existing = sessions.find(session => session.session_id === row.session_id);
+    const saved = {
+      created_at: new Date().toISOString(),
+      ...existing,
+      ...row,
+      email: user?.email || null
+    };
+
+    localStorage.setItem(
+      LOCAL_SESSIONS_KEY,
+      JSON.stringify([...sessions.filter(session => session.session_id !== row.session_id), saved])
+    );
+    return saved;
+  }
+}
+
+class AuthService {
+  constructor() {
+    this.provider = config.auth.provider === 'local'
+      ? new LocalAuthProvider()
+      : new SupabaseAuthProvider();
+  }
+
+  /**
+   * Whether the development (localStorage) provider is in use
+   * @returns {boolean}
+   */
+  get isLocal() {
+    return this.provider instanceof LocalAuthProvider;
+  }
+
+  /**
+   * Get the signed-in builder
+   * @returns {Promise<Object|null>} - The auth user or null when signed out
+   */
+  async getUser() {
+    return this.provider.getUser();
+  }
+
+  /**
+   * Subscribe to sign-in / sign-out
+   * @param {Function} callback - Called with (user, event)
+   * @returns {Function} - Unsubscribe function
+   */
+  onAuthStateChange(callback) {
+    return this.provider.onAuthStateChange(callback);
+  }
+
+  /**
+   * Send a magic sign-in link (signs in immediately with the local provider)
+   * @param {string} email - Builder email
+   * @returns {Promise<Object>} - { user, emailSent }
+   */
+  async signInWithMagicLink(email) {
+    if (!email || !email.includes('@')) {
+      throw new Error('Please enter a valid email address');
+    }
+    return this.provider.signInWithMagicLink(email.trim().toLowerCase());
+  }
+
+  /**
+   * Sign in with a workshop join code only. The builder gets an anonymous
+   * account tied to this browser until they add an email.
+   * @param {string} joinCode - Workshop join code
+   * @returns {Promise<Object>} - { user, workshop }
+   */
+  async signInWithJoinCode(joinCode) {
+    const workshop = await workshopService.getWorkshopByJoinCode(joinCode);
+    if (!workshop) {
+      throw new Error(`No active workshop found for join code "${workshopService.normalizeJoinCode(joinCode)}"`);
+    }
+
+    const user = await this.provider.signInAnonymously();
+    return { user, workshop };
+  }
+
+  /**
+   * Attach an email to an anonymous (join code) account so it can be resumed
+   * from another device
+   * @param {string} email - Builder email
+   * @returns {Promise<Object>} - The updated user
+   */
+  async linkEmail(email) {
+    if (!email || !email.includes('@')) {
+      throw new Error('Please enter a valid email address');
+    }
+    return this.provider.linkEmail(email.trim().toLowerCase());
+  }
+
+  /**
+   * Sign in an admin with email and password
+   * @param {string} email - Admin email
+   * @param {string} password - Password (ignored by the local provider)
+   * @param {string} localRole - Role to sign in as with the local provider
+   * @returns {Promise<Object>} - The auth user
+   */
+  async signInAdmin(email, password, localRole) {
+    if (!email || !password) {
+      throw new Error('Email and password are required');
+    }
+    return this.provider.signInWithPassword(email.trim().toLowerCase(), password, localRole);
+  }
+
+  /**
+   * Get the admin role of a user
+   * @param {string} userId - Auth user ID
+   * @returns {Promise<string|null>} - 'facilitator', 'program_lead', 'observer', 'judge' or null
+   */
+  async getAdminRole(userId) {
+    if (!userId) return null;
+    const role = await this.provider.getAdminRole(userId);
+    return ADMIN_ROLES[role] ? role : null;
+  }
+
+  /**
+   * Get what an admin role is allowed to do
+   * @param {string} role - Admin role
+   * @returns {Object} - { role, label, canEdit, canDelete, canManageWorkshops, canScore, canManageTemplates }
+   */
+  getPermissions(role) {
+    const permissions = ADMIN_ROLES[role] || ADMIN_ROLES.observer;
+    return { role, ...permissions };
+  }
+
+  /**
+   * Sign out and forget the local session ID
+   * @returns {Promise<void>}
+   */
+  async signOut() {
+    await this.provider.signOut();
+    // Unsynced writes belong to this builder; don't replay them as the next one
+    await offlineQueue.clear();
+    localStorage.removeItem('sessionId');
+    localStorage.removeItem('workshopId');
+  }
+
+  /**
+   * List the workshop sessions owned by a builder, most recently active first
+   * @param {string} userId - Auth user ID
+   * @returns {Promise<Array>} - builder_sessions rows
+   */
+  async listSessions(userId) {
+    return this.provider.listSessions(userId);
+  }
+
+  /**
+   * Claim a session for a builder (or update its workshop). Claiming is what
+   * lets the builder read and write the session's user_inputs rows.
+   * @param {string} userId - Auth user ID
+   * @param {string} sessionId - user_inputs.session_id
+   * @param {string} workshopId - Optional workshop the session belongs to
+   * @returns {Promise<Object>} - The builder_sessions row
+   */
+  async claimSession(userId, sessionId, workshopId) {
+    return this.provider.saveSession({
+      user_id: userId,
+      session_id: sessionId,
+      ...(workshopId !== undefined ? { workshop_id: workshopId || null } : {}),
+      last_active_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Pick the session a builder should continue with: the one stored in this
+   * browser if they own it (or it is not claimed yet), otherwise their most
+   * recently active session, otherwise a brand new one.
+   * @param {string} userId - Auth user ID
+   * @returns {Promise<Object>} - { sessionId, sessions }
+   */
+  async resolveSession(userId) {
+    let sessions = await this.listSessions(userId);
+    const storedSessionId = localStorage.getItem('sessionId');
+
+    let sessionId;
+    if (storedSessionId && sessions.some(session => session.session_id === storedSessionId)) {
+      sessionId = storedSessionId;
+    } else if (sessions.length > 0) {
+      sessionId = sessions[0].session_id;
+    } else {
+      // First sign-in: keep the work done in this browser before signing in
+      sessionId = storedSessionId || newId();
+    }
+
+    try {
+      await this.claimSession(userId, sessionId);
+    } catch (error) {
+      // The stored session belongs to someone else; start fresh
+      console.error('Error claiming session, starting a new one:', error);
+      sessionId = newId();
+      await this.claimSession(userId, sessionId);
+    }
+
+    sessions = await this.listSessions(userId);
+    localStorage.setItem('sessionId', sessionId);
+    return { sessionId, sessions };
+  }
+
+  /**
+   * Start a new session for a builder, e.g. for another workshop
+   * @param {string} userId - Auth user ID
+   * @param {string} workshopId - Optional workshop ID
+   * @returns {Promise<string>} - The new session ID
+   */
+  async startNewSession(userId, workshopId) {
+    const sessionId = newId();
+    await this.claimSession(userId, sessionId, workshopId);
+    localStorage.setItem('sessionId', sessionId);
+    return sessionId;
+  }
+}
+
+export const authService = new AuthService();
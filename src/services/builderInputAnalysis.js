@@ -1,27 +1,24 @@
 import { supabase } from '../supabaseClient';
+import { workshopService } from './workshopService';
 import { openaiService } from './openaiService';
-import { config } from '../config';
+import { llmGateway } from './llm';
+import { defaultCurriculum, getSectionOrder } from '../curriculum';
 
 class BuilderInputAnalysis {
   constructor() {
-    this.sectionOrder = [
-      'User Info',
-      'Problem Definition',
-      'MVP Planner',
-      'Give & Get Feedback',
-      'Refine Your MVP',
-      'Start Build',
-      'Presentations & Retro'
-    ];
+    this.sectionOrder = getSectionOrder(defaultCurriculum);
   }
 
-  async analyzeSectionInputs() {
+  async analyzeSectionInputs({ workshopId } = {}) {
     try {
-      // Fetch all user inputs
-      const { data: inputs, error } = await supabase
-        .from('user_inputs')
-        .select('*')
-        .order('created_at', { ascending: true });
+      // Fetch all user inputs for the selected workshop
+      const { data: inputs, error } = await workshopService.scopeQuery(
+        supabase
+          .from('user_inputs')
+          .select('*')
+          .order('created_at', { ascending: true }),
+        workshopId
+      );
 
       if (error) throw error;
 
@@ -277,66 +274,35 @@ class BuilderInputAnalysis {
     return recommendations;
   }
 
-  async generateBuilderSummary(builder) {
+  /**
+   * Summarize a builder's work, falling back to a rule-based summary without AI
+   * @param {Object} builder - { sections }
+   * @param {Object} options - { onToken(delta, textSoFar), priority, batchId, signal }; a cancelled
+   *   request rejects with an AbortError
+   * @returns {Promise<Object>} - { summary, isAIGenerated }
+   */
+  async generateBuilderSummary(builder, options = {}) {
     try {
       const sections = builder.sections;
-      const apiKey = config.openai.apiKey;
-      
-      if (!apiKey) {
-        console.warn('OpenAI API key not found. Using fallback summary generation.');
+      if (!llmGateway.isAvailable()) {
+        console.warn('AI features are turned off. Using fallback summary generation.');
         return this.generateFallbackSummary(sections);
       }
       
-      // Initialize OpenAI
-      openaiService.initializeOpenAI(apiKey);
-      
-      // Create a prompt for OpenAI to generate a summary
-      const prompt = `
-        I need a 4-sentence summary of a builder's journey through a workshop, based on the following data:
-        ${JSON.stringify(sections, null, 2)}
-        
-        The 4 sentences should cover:
-        1. What they did (based on Problem Definition and MVP Planner sections)
-        2. What they learned (based on Give & Get Feedback section)
-        3. What they tried (based on Start Build section)
-        4. What they took away (based on Presentations & Retro section)
-        
-        If any of these sections are missing or incomplete, create a reasonable summary based on available data.
-        If no data is available for a particular aspect, indicate that section wasn't completed.
-        
-        Format the response as plain text with 4 sentences, without numbering.
-      `;
-      
       try {
-        const completion = await openaiService.queueRequest(async () => {
-          const response = await openaiService.openai.chat.completions.create({
-            model: "gpt-4-turbo-preview",
-            messages: [
-              {
-                role: "system",
-                content: "You are an expert at summarizing user journeys and learning experiences in clear, concise language."
-              },
-              {
-                role: "user",
-                content: prompt
-              }
-            ],
-            temperature: 0.7,
-            max_tokens: 500
-          });
-          
-          return response.choices[0].message.content.trim();
-        });
+        const summary = await openaiService.summarizeBuilder(sections, options);
         
         return {
-          summary: completion,
+          summary,
           isAIGenerated: this.detectAIGenerated(sections)
         };
       } catch (error) {
-        console.error('Error calling OpenAI:', error);
+        if (error.name === 'AbortError') throw error;
+        console.error('Error generating AI summary:', error);
         return this.generateFallbackSummary(sections);
       }
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
       console.error('Error generating builder summary:', error);
       return {
         summary: "Unable to generate summary due to an error.",
@@ -0,0 +1,120 @@
+import { supabase, withRetry } from '../supabaseClient';
+import { openaiService } from './openaiService';
+import { llmGateway } from './llm';
+import { ruleBasedFeedback } from '../utils/coachHints';
+
+// Earlier turns sent to the AI coach so it can build on the conversation
+const HISTORY_TURNS = 8;
+
+// What a coach turn said, as one line of conversation history
+const describeTurn = (message) => {
+  if (message.role !== 'coach' || !message.feedback) return message.content;
+  const critiques = (message.feedback.critiques || []).map(critique => critique.message);
+  return [...critiques, message.feedback.question].filter(Boolean).join(' ');
+};
+
+class CoachService {
+  /**
+   * A builder's conversation with the coach about one section, oldest first
+   * @param {string} sessionId - Builder session ID
+   * @param {string} sectionName - Section name
+   * @returns {Promise<Array>} - coach_messages rows
+   */
+  async listMessages(sessionId, sectionName) {
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('coach_messages')
+        .select('*')
+        .eq('session_id', sessionId)
+        .eq('section_name', sectionName)
+        .order('created_at', { ascending: true });
+    }, 3, 2000);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Store one turn of a conversation
+   * @param {Object} message - { sessionId, workshopId, sectionName, role, content, feedback, draft, source }
+   * @returns {Promise<Object>} - The coach_messages row
+   */
+  async addMessage({ sessionId, workshopId, sectionName, role, content, feedback = null, draft = null, source = null }) {
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('coach_messages')
+        .insert({
+          session_id: sessionId,
+          workshop_id: workshopId || null,
+          section_name: sectionName,
+          role,
+          content,
+          feedback,
+          draft,
+          source
+        })
+        .select()
+        .single();
+    }, 3, 2000);
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Ask the coach about the current draft. Uses the AI coach when a model is
+   * available and the section's rule-based checks otherwise, or if it fails.
+   * @param {Object} request
+   * @param {string} request.sessionId - Builder session ID
+   * @param {string} request.workshopId - Workshop ID
+   * @param {Object} request.section - Section definition with coach settings
+   * @param {Object} request.values - The draft
+   * @param {Array} request.messages - The conversation so far (listMessages)
+   * @returns {Promise<Object>} - The coach's coach_messages row
+   */
+  async requestFeedback({ sessionId, workshopId, section, values, messages = [] }) {
+    let feedback = null;
+    let source = 'ai';
+
+    if (llmGateway.isAvailable()) {
+      try {
+        const history = messages
+          .slice(-HISTORY_TURNS)
+          .map(message => ({ role: message.role, content: describeTurn(message) }));
+        feedback = await openaiService.coachSection(section, values, history);
+      } catch (error) {
+        console.error('Error getting AI coaching, using the rule-based coach:', error);
+      }
+    }
+
+    if (!feedback) {
+      source = 'rules';
+      const asked = messages
+        .filter(message => message.role === 'coach')
+        .map(message => message.feedback?.question);
+      feedback = ruleBasedFeedback(section, values, asked);
+    }
+
+    return this.addMessage({
+      sessionId,
+      workshopId,
+      sectionName: section.name,
+      role: 'coach',
+      content: feedback.question,
+      feedback,
+      draft: values,
+      source
+    });
+  }
+
+  /**
+   * Record the builder's answer to the coach's question
+   * @param {Object} reply - { sessionId, workshopId, sectionName, content }
+   * @returns {Promise<Object>} - The builder's coach_messages row
+   */
+  async reply({ sessionId, workshopId, sectionName, content }) {
+    return this.addMessage({ sessionId, workshopId, sectionName, role: 'builder', content: content.trim() });
+  }
+}
+
+export const coachService = new CoachService();
@@ -1,24 +1,19 @@
 import { supabase } from '../supabaseClient';
+import { workshopService } from './workshopService';
 import { openaiService } from './openaiService';
-import { config } from '../config';
+import { llmGateway } from './llm';
+import { defaultCurriculum, getSectionOrder } from '../curriculum';
 
 class DataAggregationService {
   constructor() {
-    this.sectionOrder = [
-      'User Info',
-      'Problem Definition',
-      'MVP Planner',
-      'Give & Get Feedback',
-      'Refine Your MVP',
-      'Start Build',
-      'Presentations & Retro'
-    ];
+    this.sectionOrder = getSectionOrder(defaultCurriculum);
   }
 
   async aggregateBuilderData(options = {}) {
     const {
       startDate,
       endDate,
+      workshopId,
       filterCompleted = false,
       problemCategories = [],
       limit
@@ -30,6 +25,7 @@ class DataAggregationService {
         .select('*')
         .order('created_at', { ascending: false });
 
+      query = workshopService.scopeQuery(query, workshopId);
       if (startDate) {
         query = query.gte('created_at', startDate);
       }
@@ -175,11 +171,17 @@ class DataAggregationService {
     return metrics;
   }
 
-  async generateReport(options = {}) {
+  /**
+   * Build the AI report for a set of builders, cached for a day
+   * @param {Object} options - Aggregation filters; also the cache key
+   * @param {Object} progress - { onStage(stage), onToken(delta, textSoFar) for the narrative, signal, refresh (skip the cache) }
+   * @returns {Promise<Object>} - { metadata, metrics, analysis, narrative, summary, improvements }
+   */
+  async generateReport(options = {}, { onStage = () => {}, onToken, signal, refresh = false } = {}) {
     try {
       // Check cache first
       const cacheKey = JSON.stringify(options);
-      const { data: cachedReport } = await supabase
+      const { data: cachedReport } = refresh ? { data: null } : await supabase
         .from('report_cache')
         .select('*')
         .eq('report_type', 'builder_analysis')
@@ -191,23 +193,25 @@ class DataAggregationService {
         return cachedReport.report_data;
       }
 
-      // Get API key from config
-      const apiKey = config.openai.apiKey;
-      if (!apiKey) {
-        throw new Error('OpenAI API key not found in environment variables');
+      if (!llmGateway.isAvailable()) {
+        throw new Error('AI features are turned off (set REACT_APP_LLM_TRANSPORT)');
       }
 
       // Aggregate fresh data
+      onStage('aggregating');
       const aggregatedData = await this.aggregateBuilderData(options);
       
       // Get AI analysis
-      const analysis = await openaiService.analyzeBuilderData(aggregatedData, apiKey);
+      onStage('analyzing');
+      const analysis = await openaiService.analyzeBuilderData(aggregatedData, { signal });
       
-      // Generate summary
-      const summary = await openaiService.generateSummaryReport(analysis, apiKey);
-      
-      // Get improvement suggestions
-      const improvements = await openaiService.suggestImprovements(aggregatedData, apiKey);
+      // Write the narrative, streamed to the caller, while the structured parts are generated
+      onStage('writing');
+      const [narrative, summary, improvements] = await Promise.all([
+        openaiService.writeReportNarrative(analysis, { onToken, signal }),
+        openaiService.generateSummaryReport(analysis, { signal }),
+        openaiService.suggestImprovements(aggregatedData, { signal })
+      ]);
 
       // Compile full report
       const report = {
@@ -218,6 +222,7 @@ class DataAggregationService {
         },
         metrics: aggregatedData.metrics,
         analysis,
+        narrative,
         summary,
         improvements
       };
@@ -248,6 +253,7 @@ class DataAggregationService {
 
       return report;
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
       console.error('Error generating report:', error);
       throw new Error('Failed to generate builder analysis report');
     }
@@ -0,0 +1,134 @@
+import { supabase, withRetry } from '../supabaseClient';
+import { DEFAULT_EXPORT_TEMPLATE, BLOCK_TYPES } from '../utils/journeyExport';
+
+/**
+ * Fill in a saved layout so older or hand-edited templates still render
+ * @param {Object} layout - export_templates.layout
+ * @returns {Object} - An export template (see utils/journeyExport)
+ */
+export const normalizeLayout = (layout = {}) => ({
+  title: typeof layout.title === 'string' ? layout.title : DEFAULT_EXPORT_TEMPLATE.title,
+  intro: typeof layout.intro === 'string' ? layout.intro : DEFAULT_EXPORT_TEMPLATE.intro,
+  cohortTitle: typeof layout.cohortTitle === 'string' ? layout.cohortTitle : DEFAULT_EXPORT_TEMPLATE.cohortTitle,
+  blocks: Array.isArray(layout.blocks)
+    ? layout.blocks.filter(block => BLOCK_TYPES[block?.type])
+    : DEFAULT_EXPORT_TEMPLATE.blocks
+});
+
+class ExportTemplateService {
+  /**
+   * List the saved export templates
+   * @returns {Promise<Array>} - export_templates rows, by name
+   */
+  async listTemplates() {
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('export_templates')
+        .select('*')
+        .order('name', { ascending: true });
+    }, 3, 2000);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Create or update an export template
+   * @param {Object} template - { id?, name, layout }
+   * @returns {Promise<Object>} - The saved row
+   */
+  async saveTemplate(template) {
+    const row = {
+      name: template.name.trim(),
+      layout: normalizeLayout(template.layout),
+      updated_at: new Date().toISOString()
+    };
+
+    const { data, error } = await withRetry(async () => {
+      const query = template.id
+        ? supabase.from('export_templates').update(row).eq('id', template.id)
+        : supabase.from('export_templates').insert(row);
+      return await query.select().single();
+    }, 3, 2000);
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Delete an export template
+   * @param {string} templateId - The template ID
+   * @returns {Promise<void>}
+   */
+  async deleteTemplate(templateId) {
+    const { error } = await withRetry(async () => {
+      return await supabase
+        .from('export_templates')
+        .delete()
+        .eq('id', templateId);
+    }, 3, 2000);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Gather everything an export shows about each builder: their answers,
+   * facilitator notes and summary, interview and project review
+   * @param {Array} builders - Builder records from the admin dashboard
+   * @returns {Promise<Array>} - Journeys for utils/journeyExport, in the same order
+   */
+  async loadJourneys(builders) {
+    const ids = builders.map(builder => builder.sessionId.toString());
+    if (ids.length === 0) return [];
+
+    const [notes, interviews, reviews] = await Promise.all([
+      withRetry(async () => {
+        return await supabase
+          .from('admin_notes')
+          .select('session_id, notes, ai_summary')
+          .in('session_id', ids);
+      }, 3, 2000),
+      withRetry(async () => {
+        return await supabase
+          .from('interview_sessions')
+          .select('session_id, ai_summary, transcript')
+          .in('session_id', ids);
+      }, 3, 2000),
+      withRetry(async () => {
+        return await supabase
+          .from('project_reviews')
+          .select('session_id, review')
+          .in('session_id', ids);
+      }, 3, 2000)
+    ]);
+
+    [notes, interviews, reviews].forEach(({ error }) => {
+      if (error) throw error;
+    });
+
+    const bySession = (rows) => new Map((rows || []).map(row => [row.session_id.toString(), row]));
+    const notesBySession = bySession(notes.data);
+    const interviewsBySession = bySession(interviews.data);
+    const reviewsBySession = bySession(reviews.data);
+
+    return builders.map(builder => {
+      const id = builder.sessionId.toString();
+      const note = notesBySession.get(id);
+      const interview = interviewsBySession.get(id);
+      return {
+        name: builder.userInfo.name,
+        email: builder.userInfo.email,
+        workshopName: builder.workshopName || '',
+        teamName: builder.team?.name || '',
+        sections: builder.sections || {},
+        review: reviewsBySession.get(id)?.review || null,
+        aiSummary: note?.ai_summary || '',
+        adminNotes: note?.notes || '',
+        interviewSummary: interview?.ai_summary || null,
+        transcript: interview?.transcript || ''
+      };
+    });
+  }
+}
+
+export const exportTemplateService = new ExportTemplateService();
@@ -0,0 +1,183 @@
+import { supabase, withRetry } from '../supabaseClient';
+
+const ACTIVE_STATUSES = ['open', 'claimed'];
+
+class HelpRequestService {
+  /**
+   * Raise a hand: ask a facilitator for help with the current section
+   * @param {Object} request - The request
+   * @param {string} request.sessionId - Builder session ID
+   * @param {string} request.workshopId - Workshop ID
+   * @param {Object} request.section - Curriculum section the builder is on
+   * @param {string} request.builderName - Builder name shown in the queue
+   * @param {string} request.message - Optional message
+   * @returns {Promise<Object>} - The help_requests row
+   */
+  async createRequest({ sessionId, workshopId, section, builderName, message }) {
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('help_requests')
+        .insert({
+          session_id: sessionId,
+          workshop_id: workshopId || null,
+          section_id: section?.id || null,
+          section_name: section?.name || null,
+          builder_name: builderName || null,
+          message: message?.trim() || null
+        })
+        .select()
+        .single();
+    }, 3, 2000);
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new Error('You already have a help request waiting');
+      }
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * Get a builder's open or claimed request
+   * @param {string} sessionId - Builder session ID
+   * @returns {Promise<Object|null>} - The request or null
+   */
+  async getActiveRequest(sessionId) {
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('help_requests')
+        .select('*')
+        .eq('session_id', sessionId)
+        .in('status', ACTIVE_STATUSES)
+        .maybeSingle();
+    }, 3, 2000);
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  }
+
+  /**
+   * List a builder's requests, newest first
+   * @param {string} sessionId - Builder session ID
+   * @returns {Promise<Array>} - The help_requests rows
+   */
+  async listForSession(sessionId) {
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('help_requests')
+        .select('*')
+        .eq('session_id', sessionId)
+        .order('created_at', { ascending: false });
+    }, 3, 2000);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * List the open and claimed requests, oldest first
+   * @param {string} workshopId - Optional workshop to scope to
+   * @returns {Promise<Array>} - The help_requests rows
+   */
+  async listQueue(workshopId) {
+    const { data, error } = await withRetry(async () => {
+      let query = supabase
+        .from('help_requests')
+        .select('*')
+        .in('status', ACTIVE_STATUSES)
+        .order('created_at', { ascending: true });
+
+      if (workshopId) {
+        query = query.eq('workshop_id', workshopId);
+      }
+
+      return await query;
+    }, 3, 2000);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Claim a request: the builder is told who is on the way
+   * @param {string} requestId - Request ID
+   * @param {Object} admin - The signed-in admin ({ id, email })
+   * @returns {Promise<Object>} - The updated row
+   */
+  async claim(requestId, admin) {
+    const { data: { session } } = await supabase.auth.getSession();
+    return this.update(requestId, {
+      status: 'claimed',
+      claimed_by: session?.user?.id || null,
+      claimed_by_name: admin?.email?.split('@')[0] || 'A facilitator',
+      claimed_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Mark a request as handled
+   * @param {string} requestId - Request ID
+   * @param {string} note - Optional note on what was done
+   * @returns {Promise<Object>} - The updated row
+   */
+  async resolve(requestId, note) {
+    return this.update(requestId, {
+      status: 'resolved',
+      resolved_at: new Date().toISOString(),
+      resolution_note: note?.trim() || null
+    });
+  }
+
+  /**
+   * Withdraw a request (builder)
+   * @param {string} requestId - Request ID
+   * @returns {Promise<Object>} - The updated row
+   */
+  async cancel(requestId) {
+    return this.update(requestId, {
+      status: 'cancelled',
+      resolved_at: new Date().toISOString()
+    });
+  }
+
+  async update(requestId, changes) {
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('help_requests')
+        .update(changes)
+        .eq('id', requestId)
+        .select()
+        .single();
+    }, 3, 2000);
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Follow changes to help requests
+   * @param {string} filter - Realtime filter, e.g. 'workshop_id=eq.<id>' (optional)
+   * @param {Function} callback - Called with the changed row
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(filter, callback) {
+    const subscription = supabase
+      .channel(`help_requests_changes:${filter || 'all'}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'help_requests',
+          ...(filter ? { filter } : {})
+        },
+        (payload) => callback(payload.new)
+      )
+      .subscribe();
+
+    return () => subscription.unsubscribe();
+  }
+}
+
+export const helpRequestService = new HelpRequestService();
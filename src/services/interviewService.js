@@ -1,6 +1,6 @@
 import { supabase, withRetry } from '../supabaseClient';
 import { openaiService } from './openaiService';
-import { config } from '../config';
+import { llmGateway } from './llm';
 
 class InterviewService {
   constructor() {
@@ -234,7 +234,7 @@ class InterviewService {
       // In development mode with placeholder Supabase URL, use mock data
       if (process.env.NODE_ENV === 'development' &&
           (supabase.supabaseUrl.includes('example.supabase.co') ||
-           !config.openai?.apiKey)) {
+           !llmGateway.isAvailable())) {
         this.debugLog('Using mock data in development mode');
         return this.getDefaultQuestions();
       }
@@ -264,20 +264,18 @@ class InterviewService {
         return this.getDefaultQuestions();
       }
 
-      // Get OpenAI API key from config
-      const apiKey = config.openai?.apiKey;
-      if (!apiKey) {
-        this.debugLog('OpenAI API key is not available, using default questions');
+      if (!llmGateway.isAvailable()) {
+        this.debugLog('AI features are turned off, using default questions');
         return this.getDefaultQuestions();
       }
 
-      // Generate questions using OpenAI
+      // Generate questions with the configured model
       try {
-        const result = await openaiService.generateInterviewQuestions(userData, apiKey);
+        const result = await openaiService.generateInterviewQuestions(userData);
         this.debugLog('Questions generated successfully', result);
-        return result.questions;
+        return result.questions || this.getDefaultQuestions();
       } catch (error) {
-        this.debugLog('Error generating questions with OpenAI', error);
+        this.debugLog('Error generating questions with AI', error);
         return this.getDefaultQuestions();
       }
     } catch (error) {
@@ -314,20 +312,18 @@ class InterviewService {
     }
 
     try {
-      // Get OpenAI API key from config
-      const apiKey = config.openai?.apiKey;
-      if (!apiKey) {
-        this.debugLog('OpenAI API key is not available, using default summary');
+      if (!llmGateway.isAvailable()) {
+        this.debugLog('AI features are turned off, using default summary');
         return this.getDefaultSummary(interviewData);
       }
 
-      // Generate summary using OpenAI
+      // Generate summary with the configured model
       try {
-        const summary = await openaiService.generateInterviewSummary(interviewData, apiKey);
+        const summary = await openaiService.generateInterviewSummary(interviewData);
         this.debugLog('Summary generated successfully', summary);
         return summary;
       } catch (error) {
-        this.debugLog('Error generating summary with OpenAI', error);
+        this.debugLog('Error generating summary with AI', error);
         return this.getDefaultSummary(interviewData);
       }
     } catch (error) {
@@ -355,9 +351,10 @@ class InterviewService {
    * Adapt a question based on previous answer
    * @param {string} question - The original question
    * @param {string} previousAnswer - The previous answer
+   * @param {Object} options - { onToken(delta, textSoFar), signal }; cancelling keeps the original question
    * @returns {Promise<string>} - The adapted question
    */
-  async adaptQuestion(question, previousAnswer) {
+  async adaptQuestion(question, previousAnswer, options = {}) {
     this.debugLog('Adapting question', { question, previousAnswer });
     
     if (!question) {
@@ -370,20 +367,18 @@ class InterviewService {
     }
 
     try {
-      // Get OpenAI API key from config
-      const apiKey = config.openai?.apiKey;
-      if (!apiKey) {
-        this.debugLog('OpenAI API key is not available, using original question');
+      if (!llmGateway.isAvailable()) {
+        this.debugLog('AI features are turned off, using original question');
         return question;
       }
 
-      // Adapt question using OpenAI
+      // Adapt question with the configured model
       try {
-        const adaptedQuestion = await openaiService.adaptQuestion(question, previousAnswer, apiKey);
+        const adaptedQuestion = await openaiService.adaptQuestion(question, previousAnswer, options);
         this.debugLog('Question adapted successfully', { original: question, adapted: adaptedQuestion });
         return adaptedQuestion;
       } catch (error) {
-        this.debugLog('Error adapting question with OpenAI', error);
+        this.debugLog('Error adapting question with AI', error);
         return question;
       }
     } catch (error) {
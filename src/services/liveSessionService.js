@@ -0,0 +1,257 @@
+import { supabase, withRetry } from '../supabaseClient';
+import { getScheduleSegments } from '../curriculum';
+
+/**
+ * Live pacing of a running workshop. The state is a live_sessions row:
+ * { workshop_id, status: 'running' | 'paused' | 'ended', segment_index,
+ *   segment_ends_at, remaining_ms, unlock_sections, started_at, updated_at }
+ *
+ * Facilitators change it through this service, which saves the row. Builders
+ * load the row once and then follow its changes over Realtime. Only
+ * facilitators can write the row, so builders never act on state sent by
+ * anyone else.
+ */
+class LiveSessionService {
+  constructor() {
+    // workshopId -> { channel, listeners }
+    this.channels = new Map();
+  }
+
+  /**
+   * Time left on the active segment
+   * @param {Object} state - Live session state
+   * @param {number} now - Current time in ms
+   * @returns {number} - Milliseconds left (0 when over or not running)
+   */
+  getRemainingMs(state, now = Date.now()) {
+    if (!state || state.status === 'ended') return 0;
+    if (state.status === 'paused') return Math.max(0, state.remaining_ms || 0);
+    if (!state.segment_ends_at) return 0;
+    return Math.max(0, new Date(state.segment_ends_at).getTime() - now);
+  }
+
+  /**
+   * Get the active schedule segment
+   * @param {Object} state - Live session state
+   * @param {Array} segments - Segments from getScheduleSegments
+   * @returns {Object|null} - The segment, or null when no workshop is live
+   */
+  getCurrentSegment(state, segments) {
+    if (!state || state.status === 'ended') return null;
+    return segments[state.segment_index] || null;
+  }
+
+  /**
+   * Whether a builder section is still locked because the workshop hasn't
+   * reached it. Only applies while a session with unlock_sections is live;
+   * sections that no segment points at are never locked.
+   * @param {Object} state - Live session state
+   * @param {Array} segments - Segments from getScheduleSegments
+   * @param {string} sectionId - Curriculum section ID
+   * @returns {boolean} - Whether the section is locked
+   */
+  isSectionLocked(state, segments, sectionId) {
+    if (!state || state.status === 'ended' || !state.unlock_sections) return false;
+    const firstIndex = segments.findIndex(segment => segment.sectionId === sectionId);
+    return firstIndex !== -1 && firstIndex > state.segment_index;
+  }
+
+  /**
+   * Load the live session of a workshop
+   * @param {string} workshopId - The workshop ID
+   * @returns {Promise<Object|null>} - The state or null if the workshop hasn't started
+   */
+  async getLiveSession(workshopId) {
+    if (!workshopId) return null;
+
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('live_sessions')
+        .select('*')
+        .eq('workshop_id', workshopId)
+        .maybeSingle();
+    }, 3, 2000);
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  }
+
+  /**
+   * Start (or restart) a workshop at its first segment
+   * @param {string} workshopId - The workshop ID
+   * @param {Object} curriculum - The workshop's curriculum
+   * @param {Object} options - Start options
+   * @param {boolean} options.unlockSections - Lock sections until the workshop reaches them
+   * @returns {Promise<Object>} - The new state
+   */
+  async start(workshopId, curriculum, { unlockSections = false } = {}) {
+    const segments = getScheduleSegments(curriculum);
+    return this.save(workshopId, {
+      status: 'running',
+      segment_index: 0,
+      segment_ends_at: this.endsAt(segments[0]),
+      remaining_ms: null,
+      unlock_sections: unlockSections,
+      started_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Make another segment the active one, with its full duration
+   * @param {Object} state - Current state
+   * @param {number} index - Segment index
+   * @param {Object} curriculum - The workshop's curriculum
+   * @returns {Promise<Object>} - The new state
+   */
+  async goToSegment(state, index, curriculum) {
+    const segments = getScheduleSegments(curriculum);
+    if (index < 0 || index >= segments.length) {
+      throw new Error('There is no segment to move to');
+    }
+
+    const durationMs = segments[index].minutes * 60000;
+    return this.save(state.workshop_id, {
+      status: state.status === 'paused' ? 'paused' : 'running',
+      segment_index: index,
+      segment_ends_at: state.status === 'paused' ? null : this.endsAt(segments[index]),
+      remaining_ms: state.status === 'paused' ? durationMs : null
+    });
+  }
+
+  /**
+   * Stop the countdown, keeping the time left
+   * @param {Object} state - Current state
+   * @returns {Promise<Object>} - The new state
+   */
+  async pause(state) {
+    return this.save(state.workshop_id, {
+      status: 'paused',
+      remaining_ms: this.getRemainingMs(state),
+      segment_ends_at: null
+    });
+  }
+
+  /**
+   * Continue the countdown from where it was paused
+   * @param {Object} state - Current state
+   * @returns {Promise<Object>} - The new state
+   */
+  async resume(state) {
+    return this.save(state.workshop_id, {
+      status: 'running',
+      segment_ends_at: new Date(Date.now() + (state.remaining_ms || 0)).toISOString(),
+      remaining_ms: null
+    });
+  }
+
+  /**
+   * Add time to the active segment
+   * @param {Object} state - Current state
+   * @param {number} minutes - Minutes to add
+   * @returns {Promise<Object>} - The new state
+   */
+  async extend(state, minutes) {
+    const extraMs = minutes * 60000;
+    if (state.status === 'paused') {
+      return this.save(state.workshop_id, { remaining_ms: (state.remaining_ms || 0) + extraMs });
+    }
+    return this.save(state.workshop_id, {
+      segment_ends_at: new Date(Date.now() + this.getRemainingMs(state) + extraMs).toISOString()
+    });
+  }
+
+  /**
+   * Turn section locking on or off
+   * @param {Object} state - Current state
+   * @param {boolean} unlockSections - Lock sections until the workshop reaches them
+   * @returns {Promise<Object>} - The new state
+   */
+  async setUnlockSections(state, unlockSections) {
+    return this.save(state.workshop_id, { unlock_sections: unlockSections });
+  }
+
+  /**
+   * End the workshop. Builders go back to the static schedule with every section open.
+   * @param {Object} state - Current state
+   * @returns {Promise<Object>} - The new state
+   */
+  async end(state) {
+    return this.save(state.workshop_id, {
+      status: 'ended',
+      segment_ends_at: null,
+      remaining_ms: null
+    });
+  }
+
+  /**
+   * Follow the live session of a workshop
+   * @param {string} workshopId - The workshop ID
+   * @param {Function} listener - Called with each new state
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(workshopId, listener) {
+    const entry = this.getChannel(workshopId);
+    entry.listeners.add(listener);
+
+    return () => {
+      entry.listeners.delete(listener);
+      if (entry.listeners.size === 0) {
+        supabase.removeChannel(entry.channel);
+        this.channels.delete(workshopId);
+      }
+    };
+  }
+
+  getChannel(workshopId) {
+    if (!this.channels.has(workshopId)) {
+      const entry = { listeners: new Set() };
+      entry.channel = supabase
+        .channel(`live-session:${workshopId}`)
+        .on(
+          'postgres_changes',
+          {
+            event: '*',
+            schema: 'public',
+            table: 'live_sessions',
+            filter: `workshop_id=eq.${workshopId}`
+          },
+          (payload) => {
+            const state = payload.eventType === 'DELETE' ? null : payload.new;
+            entry.listeners.forEach(listener => listener(state));
+          }
+        )
+        .subscribe();
+      this.channels.set(workshopId, entry);
+    }
+    return this.channels.get(workshopId);
+  }
+
+  endsAt(segment) {
+    return new Date(Date.now() + (segment?.minutes || 0) * 60000).toISOString();
+  }
+
+  async save(workshopId, changes) {
+    const { data: { session } } = await supabase.auth.getSession();
+
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('live_sessions')
+        .upsert({
+          workshop_id: workshopId,
+          ...changes,
+          updated_by: session?.user?.id || null,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'workshop_id' })
+        .select()
+        .single();
+    }, 3, 2000);
+
+    if (error) throw error;
+
+    // Don't wait for the change to come back over Realtime to update this screen
+    this.getChannel(workshopId).listeners.forEach(listener => listener(data));
+    return data;
+  }
+}
+
+export const liveSessionService = new LiveSessionService();
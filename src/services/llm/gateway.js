@@ -0,0 +1,127 @@
+import { UsageTracker, estimateTokens } from './usage';
+import { LLMConfigError } from './errors';
+import { RequestScheduler } from './scheduler';
+
+/**
+ * The one place the app talks to language models. Services run a named prompt
+ * template with its variables; the transport decides where it runs. In
+ * production that is the ai-chat Edge Function, which holds the provider keys
+ * and picks the provider and model for each template, so nothing here knows
+ * which vendor answers. Every request goes through the scheduler, which
+ * limits, retries and prioritises them.
+ */
+export class LLMGateway {
+  /**
+   * @param {Object|null} transport - { chat, embed }; null when AI is turned off
+   * @param {RequestScheduler} scheduler - Shared request scheduler
+   */
+  constructor(transport = null, scheduler = new RequestScheduler()) {
+    this.transport = transport;
+    this.scheduler = scheduler;
+    this.usage = new UsageTracker();
+    // Rate limits are per model; learn each template's model from its answers
+    this.models = {};
+  }
+
+  /**
+   * Whether AI features are turned on
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return !!this.transport;
+  }
+
+  requireTransport(template) {
+    if (!this.transport) {
+      throw new LLMConfigError('AI features are turned off', { feature: template });
+    }
+    return this.transport;
+  }
+
+  schedule(template, send, { priority = 'interactive', batchId = null, signal = null } = {}) {
+    const transport = this.requireTransport(template);
+    return this.scheduler.schedule(
+      async (scheduledSignal) => {
+        const result = await send(transport, scheduledSignal);
+        if (result.model) this.models[template] = result.model;
+        return result;
+      },
+      { priority, bucket: this.models[template] || 'default', batchId, signal }
+    );
+  }
+
+  /**
+   * Run a prompt template
+   * @param {string} template - Template name, e.g. 'summary'
+   * @param {Object} variables - The template's variables
+   * @param {Object} options - { priority: 'interactive' | 'batch', batchId, signal }
+   * @returns {Promise<Object>} - { text, data (parsed JSON for JSON templates), usage, provider, model }
+   */
+  async run(template, variables = {}, options = {}) {
+    const result = await this.schedule(
+      template,
+      (transport, signal) => transport.chat({ template, variables, signal }),
+      options
+    );
+    const usage = this.recordUsage(template, result, JSON.stringify(variables), result.text);
+    return { ...result, usage };
+  }
+
+  /**
+   * Run a plain-text prompt template, receiving the answer as it is written.
+   * A retried request starts over, so render textSoFar rather than appending deltas.
+   * @param {string} template - Template name
+   * @param {Object} variables - The template's variables
+   * @param {Object} options - { onToken(delta, textSoFar), priority, batchId, signal }
+   * @returns {Promise<Object>} - As run(), once the answer is complete
+   */
+  async stream(template, variables = {}, { onToken = () => {}, ...options } = {}) {
+    const result = await this.schedule(
+      template,
+      async (transport, signal) => {
+        if (transport.stream) return transport.stream({ template, variables, signal, onToken });
+        // Transports that can't stream deliver the answer in one piece
+        const answer = await transport.chat({ template, variables, signal });
+        onToken(answer.text, answer.text);
+        return answer;
+      },
+      options
+    );
+    const usage = this.recordUsage(template, result, JSON.stringify(variables), result.text);
+    return { ...result, usage };
+  }
+
+  /**
+   * Embed texts
+   * @param {string[]} input - Texts to embed
+   * @param {Object} options - { priority, batchId, signal }
+   * @returns {Promise<Object>} - { vectors, usage, provider, model }
+   */
+  async embed(input, options = {}) {
+    const result = await this.schedule(
+      'embeddings',
+      (transport, signal) => transport.embed({ input, signal }),
+      options
+    );
+    const usage = this.recordUsage('embeddings', result, input, '');
+    return { ...result, usage };
+  }
+
+  // The server reports usage (estimated when its provider doesn't); estimate locally otherwise
+  recordUsage(template, result, prompt, completion) {
+    const usage = result.usage
+      ? { promptTokens: result.usage.promptTokens || 0, completionTokens: result.usage.completionTokens || 0, estimated: !!result.usage.estimated }
+      : { promptTokens: estimateTokens(prompt), completionTokens: estimateTokens(completion), estimated: true };
+
+    this.usage.record({ feature: template, provider: result.provider, model: result.model, ...usage });
+    return usage;
+  }
+
+  /**
+   * Token totals since the page loaded
+   * @returns {Object} - { total, byFeature, byModel }
+   */
+  getUsage() {
+    return this.usage.summary();
+  }
+}
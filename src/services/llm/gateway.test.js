@@ -0,0 +1,144 @@
+import { LLMGateway } from './gateway';
+import { createMockTransport } from './transports/mock';
+import { createProxyTransport, parseRetryAfter } from './transports/proxy';
+import { LLMConfigError, LLMRateLimitError, LLMResponseError } from './errors';
+
+describe('LLMGateway with the mock transport', () => {
+  test('answers templates from fixtures', async () => {
+    const gateway = new LLMGateway(createMockTransport({
+      fixtures: {
+        summary: 'They built a thing.',
+        grading: (request) => ({ grades: [], criteria: request.variables.rubric.criteria.length })
+      }
+    }));
+
+    const summary = await gateway.run('summary', { sections: {} });
+    expect(summary).toMatchObject({ text: 'They built a thing.', provider: 'mock', model: 'mock', data: null });
+
+    const grading = await gateway.run('grading', { rubric: { criteria: [{ id: 'a' }, { id: 'b' }] } });
+    expect(grading.data).toEqual({ grades: [], criteria: 2 });
+  });
+
+  test('counts tokens per template, estimating when none are reported', async () => {
+    const gateway = new LLMGateway(createMockTransport({ fixtures: { report: 'x'.repeat(40) } }));
+    await gateway.run('report', { analysis: 'y'.repeat(60) });
+    await gateway.run('report', { analysis: 'y'.repeat(60) });
+    await gateway.embed(['first text', 'second text']);
+
+    const usage = gateway.getUsage();
+    // {"analysis":"yyy…"} is 75 characters
+    expect(usage.byFeature.report).toEqual({ requests: 2, promptTokens: 38, completionTokens: 20, estimated: true });
+    expect(usage.byModel['mock/mock'].requests).toBe(3);
+    expect(usage.total.requests).toBe(3);
+  });
+
+  test('streams answers word by word and can be cancelled', async () => {
+    const gateway = new LLMGateway(createMockTransport({ fixtures: { summary: 'They built a thing.' } }));
+    const seen = [];
+    const result = await gateway.stream('summary', {}, { onToken: (delta, textSoFar) => seen.push(textSoFar) });
+
+    expect(seen).toEqual(['They ', 'They built ', 'They built a ', 'They built a thing.']);
+    expect(result.text).toBe('They built a thing.');
+    expect(gateway.getUsage().byFeature.summary.requests).toBe(1);
+
+    const controller = new AbortController();
+    controller.abort();
+    await expect(gateway.stream('summary', {}, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  test('is unavailable without a transport and embeds deterministically with the mock', async () => {
+    const off = new LLMGateway(null);
+    expect(off.isAvailable()).toBe(false);
+    await expect(off.run('summary')).rejects.toThrow(LLMConfigError);
+
+    const gateway = new LLMGateway(createMockTransport());
+    const { vectors } = await gateway.embed(['same words', 'same words', 'other']);
+    expect(vectors[0]).toEqual(vectors[1]);
+    expect(vectors[0]).not.toEqual(vectors[2]);
+  });
+});
+
+describe('proxy transport', () => {
+  const originalFetch = global.fetch;
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  const respond = (status, body, headers = {}) => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: status < 400,
+      status,
+      json: async () => body,
+      headers: { get: (name) => headers[name.toLowerCase()] || null }
+    });
+  };
+
+  const transport = createProxyTransport({
+    url: 'https://project.supabase.co/functions/v1/ai-chat',
+    anonKey: 'anon',
+    getAccessToken: async () => 'user-token'
+  });
+
+  test('sends the template and the user token', async () => {
+    respond(200, { text: 'hi', data: null, usage: { promptTokens: 3, completionTokens: 1 }, provider: 'openai', model: 'gpt' });
+    const gateway = new LLMGateway(transport);
+
+    const result = await gateway.run('sentiment', { text: 'great' });
+    expect(result).toMatchObject({ text: 'hi', provider: 'openai', usage: { promptTokens: 3, completionTokens: 1, estimated: false } });
+
+    const [url, request] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://project.supabase.co/functions/v1/ai-chat');
+    expect(request.headers.Authorization).toBe('Bearer user-token');
+    expect(JSON.parse(request.body)).toEqual({ template: 'sentiment', variables: { text: 'great' } });
+  });
+
+  test('reads streamed answers from server-sent events', async () => {
+    const chunks = [
+      'data: {"type":"token","text":"Hel"}\n\ndata: {"type":"tok',
+      'en","text":"lo"}\n\n',
+      'data: {"type":"done","text":"Hello","data":null,"usage":{"promptTokens":4,"completionTokens":2},"provider":"openai","model":"gpt"}\n\n'
+    ].map(chunk => new TextEncoder().encode(chunk));
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      body: {
+        getReader: () => ({
+          read: async () => (chunks.length ? { value: chunks.shift(), done: false } : { done: true }),
+          releaseLock: () => {}
+        })
+      }
+    });
+
+    const seen = [];
+    const result = await new LLMGateway(transport).stream('summary', { sections: {} }, {
+      onToken: (delta, textSoFar) => seen.push(textSoFar)
+    });
+
+    expect(seen).toEqual(['Hel', 'Hello']);
+    expect(result).toMatchObject({ text: 'Hello', model: 'gpt', usage: { promptTokens: 4, completionTokens: 2 } });
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toMatchObject({ template: 'summary', stream: true });
+  });
+
+  test('turns error responses back into gateway errors', async () => {
+    respond(429, { error: { type: 'rate_limit', message: 'Slow down' } }, { 'retry-after': '12' });
+    await expect(transport.chat({ template: 'summary' })).rejects.toMatchObject({
+      name: 'LLMRateLimitError',
+      retryAfter: 12
+    });
+
+    respond(502, { error: { type: 'response', message: 'Bad JSON', content: 'not json' } });
+    const error = await transport.chat({ template: 'report' }).catch(e => e);
+    expect(error).toBeInstanceOf(LLMResponseError);
+    expect(error.content).toBe('not json');
+
+    respond(503, { error: { type: 'config', message: 'No model for grading' } });
+    await expect(transport.chat({ template: 'grading' })).rejects.toThrow(LLMConfigError);
+  });
+
+  test('parses Retry-After seconds and dates', () => {
+    expect(parseRetryAfter('5')).toBe(5);
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter(new Date(Date.now() + 10000).toUTCString())).toBeGreaterThan(8);
+    expect(new LLMRateLimitError('x').retryAfter).toBeNull();
+  });
+});
@@ -0,0 +1,43 @@
+import { supabase } from '../../supabaseClient';
+import { config } from '../../config';
+import { LLMGateway } from './gateway';
+import { RequestScheduler } from './scheduler';
+import { createProxyTransport } from './transports/proxy';
+import { createMockTransport } from './transports/mock';
+
+function createTransport(settings = {}) {
+  if (settings.transport === 'proxy') {
+    return createProxyTransport({
+      url: `${config.supabase.url}/functions/v1/${settings.functionName}`,
+      anonKey: config.supabase.anonKey,
+      getAccessToken: async () => {
+        const { data } = await supabase.auth.getSession();
+        return data.session?.access_token || null;
+      }
+    });
+  }
+  if (settings.transport === 'mock') {
+    // Stream slowly enough to see the answer being written
+    return createMockTransport({ fixtures: settings.fixtures, tokenDelay: 30 });
+  }
+  return null;
+}
+
+export const llmScheduler = new RequestScheduler({
+  concurrency: config.llm.concurrency,
+  limits: config.llm.limits,
+  storage: window.localStorage
+});
+
+export const llmGateway = new LLMGateway(createTransport(config.llm), llmScheduler);
+
+export { LLMGateway } from './gateway';
+export { RequestScheduler } from './scheduler';
+export {
+  LLMError,
+  LLMConfigError,
+  LLMAuthError,
+  LLMRateLimitError,
+  LLMProviderError,
+  LLMResponseError
+} from './errors';
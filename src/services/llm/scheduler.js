@@ -0,0 +1,344 @@
+import { LLMRateLimitError, LLMProviderError } from './errors';
+
+export const PRIORITIES = ['interactive', 'batch'];
+
+const DEFAULT_LIMIT = { requestsPerMinute: 20, burst: 5 };
+
+const abortError = () => {
+  const error = new Error('The AI request was cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Whether an error is worth retrying: rate limits, network failures and 5xx
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isRetryable(error) {
+  if (error instanceof LLMRateLimitError) return true;
+  return error instanceof LLMProviderError && (error.status === null || error.status >= 500);
+}
+
+/**
+ * Milliseconds to wait before a retry: what the server asked for, otherwise
+ * exponential backoff with full jitter
+ * @param {Error} error - The failure
+ * @param {number} attempt - 1 for the first retry
+ * @param {Object} options - { baseDelay, maxDelay, random }
+ * @returns {number}
+ */
+export function retryDelay(error, attempt, { baseDelay = 1000, maxDelay = 30000, random = Math.random } = {}) {
+  if (error instanceof LLMRateLimitError && error.retryAfter !== null && error.retryAfter !== undefined) {
+    return Math.min(error.retryAfter * 1000, maxDelay * 4);
+  }
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + random() * ceiling / 2);
+}
+
+/**
+ * Runs AI requests with a cap on how many are in flight, a token bucket per
+ * model, retries with backoff, and two lanes: interactive requests (someone is
+ * waiting on the answer) always go before batch ones. Batch requests are taken
+ * round-robin across batches, so one long batch can't starve another.
+ *
+ * Bucket levels are saved to storage, so reloading the page doesn't hand out a
+ * fresh burst the server would just reject.
+ */
+export class RequestScheduler {
+  /**
+   * @param {Object} options
+   * @param {number} options.concurrency - Requests in flight at once
+   * @param {Object} options.limits - Bucket key (model) -> { requestsPerMinute, burst }; 'default' for the rest
+   * @param {number} options.maxRetries - Retries per request
+   * @param {Object} options.storage - localStorage-like store for bucket levels, or null
+   * @param {Function} options.now - Clock (for tests)
+   * @param {Function} options.random - Jitter source (for tests)
+   */
+  constructor({
+    concurrency = 3,
+    limits = {},
+    maxRetries = 4,
+    baseDelay = 1000,
+    maxDelay = 30000,
+    storage = null,
+    storageKey = 'llm-rate-buckets',
+    now = () => Date.now(),
+    random = Math.random
+  } = {}) {
+    this.concurrency = concurrency;
+    this.limits = { default: DEFAULT_LIMIT, ...limits };
+    this.maxRetries = maxRetries;
+    this.backoff = { baseDelay, maxDelay, random };
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.now = now;
+
+    this.lanes = { interactive: [], batch: [] };
+    this.batchOrder = [];
+    this.active = 0;
+    this.batches = {};
+    this.listeners = new Set();
+    this.timer = null;
+    this.buckets = this.loadBuckets();
+  }
+
+  /**
+   * Queue a request
+   * @param {Function} task - (signal) => Promise; receives an AbortSignal for cancellation
+   * @param {Object} options
+   * @param {string} options.priority - 'interactive' or 'batch'
+   * @param {string} options.bucket - Rate limit bucket, normally the model name
+   * @param {string} options.batchId - Groups batch requests for progress and cancelBatch()
+   * @param {AbortSignal} options.signal - Cancels this request
+   * @returns {Promise} - The task's result
+   */
+  schedule(task, { priority = 'batch', bucket = 'default', batchId = null, signal = null } = {}) {
+    const lane = PRIORITIES.includes(priority) ? priority : 'batch';
+
+    return new Promise((resolve, reject) => {
+      const job = {
+        task,
+        bucket,
+        batchId,
+        lane,
+        attempt: 0,
+        notBefore: 0,
+        controller: new AbortController(),
+        resolve,
+        reject,
+        settled: false
+      };
+
+      if (signal) {
+        if (signal.aborted) {
+          reject(abortError());
+          return;
+        }
+        signal.addEventListener('abort', () => this.cancelJob(job), { once: true });
+      }
+
+      if (batchId) {
+        const batch = this.batches[batchId] || this.createBatch(batchId);
+        batch.total += 1;
+        batch.jobs.add(job);
+      }
+
+      this.enqueue(job);
+      this.emit(batchId);
+      this.pump();
+    });
+  }
+
+  createBatch(batchId) {
+    this.batches[batchId] = { total: 0, done: 0, failed: 0, cancelled: 0, waitingUntil: null, jobs: new Set() };
+    return this.batches[batchId];
+  }
+
+  enqueue(job) {
+    this.lanes[job.lane].push(job);
+    if (job.lane === 'batch' && !this.batchOrder.includes(job.batchId)) {
+      this.batchOrder.push(job.batchId);
+    }
+  }
+
+  /**
+   * Cancel every queued and running request in a batch
+   * @param {string} batchId
+   */
+  cancelBatch(batchId) {
+    const batch = this.batches[batchId];
+    if (!batch) return;
+    [...batch.jobs].forEach(job => this.cancelJob(job));
+  }
+
+  cancelJob(job) {
+    if (job.settled) return;
+    job.controller.abort();
+    this.lanes[job.lane] = this.lanes[job.lane].filter(queued => queued !== job);
+    this.settle(job, 'cancelled', abortError());
+    this.pump();
+  }
+
+  /**
+   * Listen for progress: (batchId, { total, done, failed, cancelled, pending, waitingUntil })
+   * @param {Function} listener
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Progress of a batch
+   * @param {string} batchId
+   * @returns {Object|null} - { total, done, failed, cancelled, pending, waitingUntil }
+   */
+  getProgress(batchId) {
+    const batch = this.batches[batchId];
+    if (!batch) return null;
+    const { total, done, failed, cancelled, waitingUntil } = batch;
+    return { total, done, failed, cancelled, pending: total - done - failed - cancelled, waitingUntil };
+  }
+
+  emit(batchId) {
+    if (!batchId) return;
+    const progress = this.getProgress(batchId);
+    this.listeners.forEach(listener => listener(batchId, progress));
+  }
+
+  settle(job, outcome, value) {
+    if (job.settled) return;
+    job.settled = true;
+
+    const batch = job.batchId && this.batches[job.batchId];
+    if (batch) {
+      batch[outcome] += 1;
+      batch.jobs.delete(job);
+      if (batch.jobs.size === 0) batch.waitingUntil = null;
+    }
+
+    if (outcome === 'done') {
+      job.resolve(value);
+    } else {
+      job.reject(value);
+    }
+    this.emit(job.batchId);
+  }
+
+  // Token buckets: each model refills at requestsPerMinute, holding at most burst requests
+  limitFor(bucket) {
+    return this.limits[bucket] || this.limits.default;
+  }
+
+  bucketState(bucket) {
+    const limit = this.limitFor(bucket);
+    const now = this.now();
+    const state = this.buckets[bucket] || { tokens: limit.burst, updatedAt: now, blockedUntil: 0 };
+    const refill = ((now - state.updatedAt) / 60000) * limit.requestsPerMinute;
+    state.tokens = Math.min(limit.burst, state.tokens + Math.max(0, refill));
+    state.updatedAt = now;
+    this.buckets[bucket] = state;
+    return state;
+  }
+
+  // Milliseconds until the bucket can hand out a request (0 = now)
+  waitTime(bucket) {
+    const state = this.bucketState(bucket);
+    const blocked = Math.max(0, state.blockedUntil - this.now());
+    if (state.tokens >= 1) return blocked;
+    const refill = ((1 - state.tokens) / this.limitFor(bucket).requestsPerMinute) * 60000;
+    return Math.max(blocked, Math.ceil(refill));
+  }
+
+  takeToken(bucket) {
+    this.bucketState(bucket).tokens -= 1;
+    this.saveBuckets();
+  }
+
+  // The server said slow down: nothing more for this model until retry-after passes
+  blockBucket(bucket, until) {
+    const state = this.bucketState(bucket);
+    state.tokens = 0;
+    state.blockedUntil = Math.max(state.blockedUntil, until);
+    this.saveBuckets();
+  }
+
+  loadBuckets() {
+    if (!this.storage) return {};
+    try {
+      return JSON.parse(this.storage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  saveBuckets() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify(this.buckets));
+    } catch (error) {
+      // Storage full or blocked; limits still apply for this page
+    }
+  }
+
+  // Next job that may run now, interactive first, then batches in turn
+  nextJob() {
+    const now = this.now();
+    const ready = (job) => job.notBefore <= now && this.waitTime(job.bucket) === 0;
+
+    const interactive = this.lanes.interactive.find(ready);
+    if (interactive) return interactive;
+
+    for (let i = 0; i < this.batchOrder.length; i++) {
+      const batchId = this.batchOrder[i];
+      const job = this.lanes.batch.find(queued => queued.batchId === batchId && ready(queued));
+      if (job) {
+        // This batch goes to the back of the line
+        this.batchOrder.splice(i, 1);
+        this.batchOrder.push(batchId);
+        return job;
+      }
+    }
+    return null;
+  }
+
+  pump() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    while (this.active < this.concurrency) {
+      const job = this.nextJob();
+      if (!job) break;
+      this.lanes[job.lane] = this.lanes[job.lane].filter(queued => queued !== job);
+      this.run(job);
+    }
+
+    this.batchOrder = this.batchOrder.filter(batchId => this.lanes.batch.some(job => job.batchId === batchId));
+
+    // Wake up when the earliest waiting job may run
+    const waiting = [...this.lanes.interactive, ...this.lanes.batch];
+    if (waiting.length > 0 && this.active < this.concurrency) {
+      const now = this.now();
+      const delay = Math.min(...waiting.map(job => Math.max(job.notBefore - now, this.waitTime(job.bucket))));
+      this.timer = setTimeout(() => this.pump(), Math.max(delay, 10));
+    }
+  }
+
+  async run(job) {
+    this.active += 1;
+    this.takeToken(job.bucket);
+    job.attempt += 1;
+
+    const batch = job.batchId && this.batches[job.batchId];
+    if (batch?.waitingUntil && batch.waitingUntil <= this.now()) {
+      batch.waitingUntil = null;
+      this.emit(job.batchId);
+    }
+
+    try {
+      const result = await job.task(job.controller.signal);
+      this.settle(job, 'done', result);
+    } catch (error) {
+      if (job.settled) {
+        // Cancelled while running
+      } else if (isRetryable(error) && job.attempt <= this.maxRetries) {
+        const delay = retryDelay(error, job.attempt, this.backoff);
+        job.notBefore = this.now() + delay;
+        if (error instanceof LLMRateLimitError) this.blockBucket(job.bucket, job.notBefore);
+
+        if (batch) batch.waitingUntil = job.notBefore;
+        this.enqueue(job);
+        this.emit(job.batchId);
+      } else {
+        this.settle(job, 'failed', error);
+      }
+    } finally {
+      this.active -= 1;
+      this.pump();
+    }
+  }
+}
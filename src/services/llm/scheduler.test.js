@@ -0,0 +1,134 @@
+import { RequestScheduler, retryDelay } from './scheduler';
+import { LLMRateLimitError, LLMProviderError, LLMResponseError } from './errors';
+
+// Let resolved tasks and the scheduler's follow-up work run
+const flush = async () => {
+  for (let i = 0; i < 10; i++) await Promise.resolve();
+};
+
+// A task that stays in flight until released
+const deferred = (log, name) => {
+  let release;
+  const task = (signal) => {
+    log.push(name);
+    return new Promise((resolve, reject) => {
+      release = () => resolve(name);
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+  };
+  return { task, release: () => release() };
+};
+
+const roomy = { default: { requestsPerMinute: 600, burst: 100 } };
+
+describe('RequestScheduler', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('keeps at most `concurrency` requests in flight', async () => {
+    const scheduler = new RequestScheduler({ concurrency: 2, limits: roomy });
+    const log = [];
+    const jobs = ['a', 'b', 'c', 'd'].map(name => deferred(log, name));
+    jobs.forEach(job => scheduler.schedule(job.task));
+
+    await flush();
+    expect(log).toEqual(['a', 'b']);
+
+    jobs[0].release();
+    await flush();
+    expect(log).toEqual(['a', 'b', 'c']);
+  });
+
+  test('runs interactive requests first and takes batches in turn', async () => {
+    const scheduler = new RequestScheduler({ concurrency: 1, limits: roomy });
+    const log = [];
+    const run = (name, options) => scheduler.schedule(async () => log.push(name), options);
+
+    const blocker = deferred(log, 'blocker');
+    scheduler.schedule(blocker.task, { priority: 'interactive' });
+    ['a1', 'a2', 'a3'].forEach(name => run(name, { batchId: 'a' }));
+    ['b1', 'b2'].forEach(name => run(name, { batchId: 'b' }));
+    run('turn', { priority: 'interactive' });
+
+    blocker.release();
+    await flush();
+    expect(log).toEqual(['blocker', 'turn', 'a1', 'b1', 'a2', 'b2', 'a3']);
+  });
+
+  test('retries rate limits after retry-after and gives up on other errors', async () => {
+    const scheduler = new RequestScheduler({ limits: roomy });
+    let calls = 0;
+    const result = scheduler.schedule(async () => {
+      calls += 1;
+      if (calls === 1) throw new LLMRateLimitError('Slow down', { retryAfter: 5 });
+      return 'ok';
+    }, { batchId: 'report' });
+
+    await flush();
+    expect(calls).toBe(1);
+    expect(scheduler.getProgress('report').waitingUntil).toBe(Date.now() + 5000);
+
+    jest.advanceTimersByTime(4900);
+    await flush();
+    expect(calls).toBe(1);
+
+    jest.advanceTimersByTime(200);
+    await flush();
+    await expect(result).resolves.toBe('ok');
+    expect(scheduler.getProgress('report')).toMatchObject({ done: 1, pending: 0, waitingUntil: null });
+
+    const bad = jest.fn().mockRejectedValue(new LLMResponseError('Not JSON'));
+    await expect(scheduler.schedule(bad)).rejects.toThrow(LLMResponseError);
+    expect(bad).toHaveBeenCalledTimes(1);
+  });
+
+  test('backs off exponentially without retry-after', () => {
+    const error = new LLMProviderError('Bad gateway', { status: 502 });
+    const options = { baseDelay: 1000, maxDelay: 8000, random: () => 1 };
+    expect([1, 2, 3, 4, 5].map(attempt => retryDelay(error, attempt, options))).toEqual([1000, 2000, 4000, 8000, 8000]);
+    expect(retryDelay(error, 1, { ...options, random: () => 0 })).toBe(500);
+    expect(retryDelay(new LLMRateLimitError('x', { retryAfter: 3 }), 1, options)).toBe(3000);
+  });
+
+  test('cancels a batch, including the request in flight', async () => {
+    const scheduler = new RequestScheduler({ concurrency: 1, limits: roomy });
+    const log = [];
+    const progress = [];
+    scheduler.subscribe((batchId, update) => progress.push(update));
+
+    const results = ['a', 'b', 'c'].map(name =>
+      scheduler.schedule(deferred(log, name).task, { batchId: 'summaries' }).catch(error => error.name)
+    );
+    await flush();
+    expect(log).toEqual(['a']);
+
+    scheduler.cancelBatch('summaries');
+    expect(await Promise.all(results)).toEqual(['AbortError', 'AbortError', 'AbortError']);
+    await flush();
+    expect(log).toEqual(['a']);
+    expect(progress[progress.length - 1]).toMatchObject({ total: 3, cancelled: 3, pending: 0 });
+  });
+
+  test('remembers spent requests across page loads', async () => {
+    const saved = {};
+    const storage = { getItem: key => saved[key] || null, setItem: (key, value) => { saved[key] = value; } };
+    const limits = { default: { requestsPerMinute: 60, burst: 2 } };
+
+    const scheduler = new RequestScheduler({ limits, storage });
+    const log = [];
+    ['a', 'b', 'c'].forEach(name => scheduler.schedule(async () => log.push(name)));
+    await flush();
+    expect(log).toEqual(['a', 'b']);
+
+    jest.advanceTimersByTime(1000);
+    await flush();
+    expect(log).toEqual(['a', 'b', 'c']);
+
+    const reloaded = new RequestScheduler({ limits, storage });
+    expect(reloaded.waitTime('default')).toBeGreaterThan(0);
+  });
+});
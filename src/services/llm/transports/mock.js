@@ -0,0 +1,76 @@
+const EMBEDDING_SIZE = 64;
+
+// Same text, same vector: hash each word into a bucket
+const hashEmbedding = (text) => {
+  const vector = new Array(EMBEDDING_SIZE).fill(0);
+  (String(text).toLowerCase().match(/[a-z0-9]+/g) || []).forEach(word => {
+    let hash = 0;
+    for (let i = 0; i < word.length; i++) hash = (hash * 31 + word.charCodeAt(i)) >>> 0;
+    vector[hash % EMBEDDING_SIZE] += 1;
+  });
+  return vector;
+};
+
+/**
+ * Offline transport for demos and tests. Answers come from fixtures keyed by
+ * template: a string, an object (returned as parsed JSON) or a function of the
+ * request returning either. Every request is kept in calls for inspection.
+ * stream() replays the same answer a word at a time.
+ * @param {Object} settings - { fixtures, tokenDelay } (ms between streamed words)
+ * @returns {Object} - Transport with chat(), stream(), embed() and calls
+ */
+export function createMockTransport({ fixtures = {}, tokenDelay = 0 } = {}) {
+  const calls = [];
+
+  const transport = {
+    name: 'mock',
+    calls,
+
+    async chat(request) {
+      calls.push(request);
+      let answer = fixtures[request.template];
+      if (typeof answer === 'function') answer = await answer(request);
+
+      let text;
+      let data = {};
+      if (answer === undefined) {
+        text = `Mock response for ${request.template}`;
+      } else if (typeof answer === 'string') {
+        text = answer;
+        try {
+          data = JSON.parse(answer);
+        } catch (error) {
+          data = null;
+        }
+      } else {
+        text = JSON.stringify(answer);
+        data = answer;
+      }
+
+      return { text, data, usage: null, provider: 'mock', model: 'mock' };
+    },
+
+    async stream({ onToken = () => {}, ...request }) {
+      const result = await transport.chat(request);
+      let text = '';
+      for (const word of result.text.match(/\S+\s*/g) || []) {
+        if (tokenDelay) await new Promise(resolve => setTimeout(resolve, tokenDelay));
+        if (request.signal?.aborted) {
+          const error = new Error('The AI request was cancelled');
+          error.name = 'AbortError';
+          throw error;
+        }
+        text += word;
+        onToken(word, text);
+      }
+      return result;
+    },
+
+    async embed(request) {
+      calls.push(request);
+      return { vectors: request.input.map(hashEmbedding), usage: null, provider: 'mock', model: 'mock' };
+    }
+  };
+
+  return transport;
+}
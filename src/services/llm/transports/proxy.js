@@ -0,0 +1,144 @@
+import {
+  LLMError,
+  LLMConfigError,
+  LLMAuthError,
+  LLMRateLimitError,
+  LLMProviderError,
+  LLMResponseError
+} from '../errors';
+
+/**
+ * Seconds to wait according to a Retry-After header (seconds or an HTTP date)
+ * @param {string|null} header - The header value
+ * @returns {number|null}
+ */
+export function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, (date - Date.now()) / 1000);
+}
+
+/**
+ * Rebuild the gateway's error classes from the function's { type, message } errors
+ * @param {Object} error - The error body from ai-chat
+ * @param {number} status - HTTP status
+ * @param {number|null} retryAfter - Seconds from the Retry-After header
+ * @returns {LLMError}
+ */
+export function toLLMError(error = {}, status, retryAfter = null) {
+  const message = error.message || `AI service error (${status})`;
+  switch (error.type) {
+    case 'config':
+      return new LLMConfigError(message);
+    case 'auth':
+      return new LLMAuthError(message);
+    case 'rate_limit':
+      return new LLMRateLimitError(message, { retryAfter: error.retryAfter ?? retryAfter });
+    case 'response':
+      return new LLMResponseError(message, { content: error.content });
+    case 'invalid_request':
+      return new LLMError(message);
+    default:
+      return new LLMProviderError(message, { status });
+  }
+}
+
+/**
+ * Read the function's server-sent events
+ * @param {ReadableStream} body - The response body
+ * @yields {Object} - Each event's parsed data
+ */
+export async function* readEvents(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop();
+      for (const block of blocks) {
+        const data = block
+          .split(/\r?\n/)
+          .filter(line => line.startsWith('data:'))
+          .map(line => line.slice(5).trim())
+          .join('\n');
+        if (data) yield JSON.parse(data);
+      }
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Sends AI requests to the ai-chat Edge Function as the signed-in user
+ * @param {Object} settings - { url, anonKey, getAccessToken }
+ * @returns {Object} - Transport with chat(), stream() and embed()
+ */
+export function createProxyTransport({ url, anonKey, getAccessToken }) {
+  const send = async (body, signal) => {
+    const accessToken = await getAccessToken();
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          apikey: anonKey,
+          Authorization: `Bearer ${accessToken || anonKey}`
+        },
+        body: JSON.stringify(body),
+        signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      throw new LLMProviderError(`Could not reach the AI service: ${error.message}`, { cause: error });
+    }
+
+    if (response.ok) return response;
+
+    let payload = {};
+    try {
+      payload = await response.json();
+    } catch (error) {
+      // Not JSON (e.g. a gateway error page); handled by the status below
+    }
+
+    throw toLLMError(payload.error, response.status, parseRetryAfter(response.headers.get('retry-after')));
+  };
+
+  const call = async (body, signal) => (await send(body, signal)).json();
+
+  // Calls onToken(delta, textSoFar) as the answer arrives; resolves with the full result
+  const stream = async ({ template, variables, signal, onToken = () => {} }) => {
+    const response = await send({ template, variables, stream: true }, signal);
+    let text = '';
+
+    for await (const event of readEvents(response.body)) {
+      if (event.type === 'token') {
+        text += event.text;
+        onToken(event.text, text);
+      } else if (event.type === 'done') {
+        return event;
+      } else if (event.type === 'error') {
+        throw toLLMError(event.error, 502);
+      }
+    }
+    throw new LLMProviderError('The AI answer was cut off', { status: null });
+  };
+
+  return {
+    name: 'proxy',
+    chat: ({ template, variables, signal }) => call({ template, variables }, signal),
+    stream,
+    embed: ({ input, signal }) => call({ action: 'embed', input }, signal)
+  };
+}
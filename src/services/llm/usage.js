@@ -0,0 +1,61 @@
+// Rough English average, used when a provider doesn't report token counts
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate tokens for text or chat messages
+ * @param {string|Array} input - Text, texts or { content } messages
+ * @returns {number}
+ */
+export function estimateTokens(input) {
+  const text = Array.isArray(input)
+    ? input.map(item => (typeof item === 'string' ? item : item.content || '')).join('\n')
+    : String(input || '');
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Running token totals per feature and per model for this browser session
+ */
+export class UsageTracker {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.requests = [];
+  }
+
+  /**
+   * @param {Object} entry - { feature, provider, model, promptTokens, completionTokens, estimated }
+   */
+  record(entry) {
+    this.requests.push({ ...entry, at: new Date().toISOString() });
+  }
+
+  /**
+   * @returns {Object} - { total, byFeature, byModel }, each as { requests, promptTokens, completionTokens, estimated }
+   */
+  summary() {
+    const empty = () => ({ requests: 0, promptTokens: 0, completionTokens: 0, estimated: false });
+    const add = (bucket, entry) => {
+      bucket.requests += 1;
+      bucket.promptTokens += entry.promptTokens;
+      bucket.completionTokens += entry.completionTokens;
+      bucket.estimated = bucket.estimated || entry.estimated;
+    };
+
+    const total = empty();
+    const byFeature = {};
+    const byModel = {};
+    this.requests.forEach(entry => {
+      const modelKey = `${entry.provider}/${entry.model}`;
+      byFeature[entry.feature] = byFeature[entry.feature] || empty();
+      byModel[modelKey] = byModel[modelKey] || empty();
+      add(total, entry);
+      add(byFeature[entry.feature], entry);
+      add(byModel[modelKey], entry);
+    });
+
+    return { total, byFeature, byModel };
+  }
+}
@@ -0,0 +1,307 @@
+import { supabase, testSupabaseConnection } from '../supabaseClient';
+
+const DB_NAME = 'workshop-offline';
+const DB_VERSION = 1;
+const STORE_NAME = 'pendingWrites';
+
+/**
+ * Check whether an error means the database could not be reached at all, as
+ * opposed to the database rejecting the request
+ * @param {Object} error - Error thrown by fetch or returned by supabase-js
+ * @returns {boolean} - Whether the write should be queued for later
+ */
+export function isNetworkError(error) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+  if (!error) return false;
+
+  // supabase-js returns fetch failures as { message: 'TypeError: Failed to fetch', status: 0 }
+  const message = `${error.name || ''} ${error.message || ''}`;
+  return /Failed to fetch|NetworkError|Load failed|FetchError|Network request failed/i.test(message);
+}
+
+/**
+ * Whether the database rejected a write for good: a policy violation (42501),
+ * a constraint violation (23xxx) or invalid data (22xxx). Anything else, such
+ * as a gateway error, an expired session or a timeout, may pass on a retry.
+ * @param {Object} error - Error from a Supabase query
+ * @returns {boolean}
+ */
+export function isPermanentError(error) {
+  const code = String(error?.code || '');
+  return code === '42501' || /^2[23][0-9A-Z]{3}$/.test(code);
+}
+
+/**
+ * Write-ahead queue for builder inputs. Writes that can't reach Supabase are
+ * kept in IndexedDB (or memory when IndexedDB isn't available) and replayed in
+ * the order they were made once the connection is back.
+ *
+ * Writes for the same row are coalesced: a newer write replaces the queued one
+ * in place, so the row keeps its position in the queue with the latest values.
+ */
+class OfflineQueue {
+  constructor() {
+    this.debugMode = process.env.NODE_ENV === 'development';
+    this.dbPromise = null;
+    this.memoryStore = [];
+    this.nextMemoryId = 1;
+    this.listeners = new Set();
+    this.flushing = null;
+    this.pendingCount = 0;
+  }
+
+  // Debug logging function
+  debugLog(message, data = null) {
+    if (!this.debugMode) return;
+
+    const timestamp = new Date().toISOString();
+    const logMessage = `[OfflineQueue Debug ${timestamp}] ${message}`;
+
+    if (data) {
+      console.log(logMessage, data);
+    } else {
+      console.log(logMessage);
+    }
+  }
+
+  /**
+   * Open the IndexedDB database, or resolve null when it isn't available
+   * @returns {Promise<IDBDatabase|null>}
+   */
+  openDatabase() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+
+      try {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE_NAME)) {
+            const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('key', 'key', { unique: false });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('IndexedDB unavailable, keeping offline writes in memory:', request.error);
+          resolve(null);
+        };
+      } catch (error) {
+        console.warn('IndexedDB unavailable, keeping offline writes in memory:', error);
+        resolve(null);
+      }
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request against the queue store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Receives the object store, returns an IDBRequest
+   * @returns {Promise<*>} - The request result
+   */
+  async withStore(mode, callback) {
+    const db = await this.openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = callback(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Get all queued writes, oldest first
+   * @returns {Promise<Array>} - Queued writes
+   */
+  async getPending() {
+    const db = await this.openDatabase();
+    if (!db) return [...this.memoryStore];
+
+    const entries = await this.withStore('readonly', store => store.getAll());
+    return (entries || []).sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Get the queued (not yet synced) values for a row
+   * @param {string} table - Table name
+   * @param {string} key - Row key, e.g. `${sessionId}:${sectionName}`
+   * @returns {Promise<Object|null>} - The queued write, if any
+   */
+  async getDraft(table, key) {
+    const pending = await this.getPending();
+    return pending.find(entry => entry.table === table && entry.key === key) || null;
+  }
+
+  /**
+   * Queue a write to replay when the connection is back
+   * @param {Object} write - The write
+   * @param {string} write.table - Table to write to
+   * @param {string} write.key - Row key used to coalesce writes to the same row
+   * @param {Object} write.row - Row to upsert
+   * @param {string} write.onConflict - Upsert conflict columns
+   * @returns {Promise<void>}
+   */
+  async enqueue({ table, key, row, onConflict }) {
+    const existing = await this.getDraft(table, key);
+    const entry = {
+      ...(existing ? { id: existing.id } : {}),
+      table,
+      key,
+      row,
+      onConflict,
+      queuedAt: existing?.queuedAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    const db = await this.openDatabase();
+    if (db) {
+      await this.withStore('readwrite', store => store.put(entry));
+    } else if (existing) {
+      this.memoryStore = this.memoryStore.map(item => (item.id === existing.id ? entry : item));
+    } else {
+      this.memoryStore.push({ ...entry, id: this.nextMemoryId++ });
+    }
+
+    this.debugLog(`Queued write for ${table} ${key}`);
+    await this.notify();
+  }
+
+  /**
+   * Remove a queued write
+   * @param {number} id - Queue entry ID
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    const db = await this.openDatabase();
+    if (db) {
+      await this.withStore('readwrite', store => store.delete(id));
+    } else {
+      this.memoryStore = this.memoryStore.filter(item => item.id !== id);
+    }
+  }
+
+  /**
+   * Drop every queued write, e.g. when the builder signs out so their writes
+   * can't replay under whoever signs in next on this device
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const db = await this.openDatabase();
+    if (db) {
+      await this.withStore('readwrite', store => store.clear());
+    } else {
+      this.memoryStore = [];
+    }
+    await this.notify();
+  }
+
+  /**
+   * Check whether a row has writes waiting to sync
+   * @param {string} table - Table name
+   * @param {string} key - Row key
+   * @returns {Promise<boolean>}
+   */
+  async hasPending(table, key) {
+    return !!(await this.getDraft(table, key));
+  }
+
+  /**
+   * Replay queued writes in order. Stops at the first write that fails and
+   * keeps it, so later writes never overtake an earlier one. A write the
+   * database rejects for good (see isPermanentError) would fail forever and
+   * hold up every later write, so it is dropped and reported to listeners as
+   * failed.
+   * @returns {Promise<Object>} - { synced, failed, remaining }
+   */
+  flush() {
+    if (this.flushing) return this.flushing;
+
+    this.flushing = (async () => {
+      let synced = 0;
+      const failed = [];
+      try {
+        const pending = await this.getPending();
+        for (const entry of pending) {
+          const { error } = await supabase
+            .from(entry.table)
+            .upsert(entry.row, { onConflict: entry.onConflict });
+
+          if (error && !isPermanentError(error)) {
+            console.error(`Error replaying queued write for ${entry.key}:`, error);
+            break;
+          }
+
+          if (error) {
+            console.error(`Queued write for ${entry.key} was rejected, dropping it:`, error);
+            await this.remove(entry.id);
+            failed.push({
+              table: entry.table,
+              key: entry.key,
+              sectionName: entry.row?.section_name || null,
+              message: error.message
+            });
+            continue;
+          }
+
+          // A newer write may have replaced this entry while it was in flight
+          const current = await this.getDraft(entry.table, entry.key);
+          if (current && current.updatedAt === entry.updatedAt) {
+            await this.remove(entry.id);
+          }
+          synced += 1;
+        }
+      } catch (error) {
+        console.error('Error replaying offline writes:', error);
+      }
+
+      await this.notify({ synced, failed });
+      return { synced, failed, remaining: this.pendingCount };
+    })();
+
+    return this.flushing.finally(() => {
+      this.flushing = null;
+    });
+  }
+
+  /**
+   * Replay queued writes if Supabase is reachable again
+   * @returns {Promise<Object>} - { synced, remaining }
+   */
+  async syncIfOnline() {
+    const pending = await this.getPending();
+    if (pending.length === 0) return { synced: 0, failed: [], remaining: 0 };
+
+    const result = await testSupabaseConnection();
+    if (!result.success) {
+      return { synced: 0, failed: [], remaining: pending.length };
+    }
+
+    return this.flush();
+  }
+
+  /**
+   * Subscribe to queue changes
+   * @param {Function} listener - Called with { pending, synced, failed }
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    this.getPending().then(pending => listener({ pending: pending.length, synced: 0, failed: [] }));
+    return () => this.listeners.delete(listener);
+  }
+
+  async notify({ synced = 0, failed = [] } = {}) {
+    const pending = await this.getPending();
+    this.pendingCount = pending.length;
+    this.listeners.forEach(listener => listener({ pending: pending.length, synced, failed }));
+  }
+}
+
+export const offlineQueue = new OfflineQueue();
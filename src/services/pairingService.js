@@ -0,0 +1,140 @@
+import { openaiService } from './openaiService';
+import { llmGateway } from './llm';
+import {
+  buildTfIdfVectors,
+  similarityMatrix,
+  sharedTerms,
+  topMatches,
+  clusterBySimilarity
+} from '../utils/similarity';
+
+// Problem Definition fields compared when pairing builders
+const PROBLEM_FIELDS = ['summary', 'context', 'impact'];
+
+class PairingService {
+  /**
+   * Combine a builder's Problem Definition fields into one text
+   * @param {Object} builder - Builder with a problem object
+   * @returns {string} - The problem text
+   */
+  problemText(builder) {
+    return PROBLEM_FIELDS
+      .map(field => builder.problem?.[field])
+      .filter(value => typeof value === 'string' && value.trim())
+      .join('\n');
+  }
+
+  /**
+   * Whether embeddings can be used instead of TF-IDF
+   * @returns {boolean}
+   */
+  canUseEmbeddings() {
+    return llmGateway.isAvailable();
+  }
+
+  /**
+   * Compare builders' problems with TF-IDF cosine similarity
+   * @param {Array} builders - Builders as { sessionId, name, problem }
+   * @returns {Object} - Analysis: { builders, vectors, matrix, method }
+   */
+  analyzeLocal(builders) {
+    const vectors = buildTfIdfVectors(builders.map(builder => this.problemText(builder)));
+    return { builders, vectors, matrix: this.withoutTeammates(similarityMatrix(vectors), builders), method: 'tfidf' };
+  }
+
+  // Teammates share one problem, so never suggest pairing them with each other
+  withoutTeammates(matrix, builders) {
+    builders.forEach((a, i) => {
+      builders.forEach((b, j) => {
+        if (i !== j && a.teamId && a.teamId === b.teamId) matrix[i][j] = 0;
+      });
+    });
+    return matrix;
+  }
+
+  /**
+   * Compare builders' problems, using embeddings when requested and available.
+   * Falls back to TF-IDF if the embeddings request fails.
+   * @param {Array} builders - Builders as { sessionId, name, problem }
+   * @param {Object} options - { useEmbeddings }
+   * @returns {Promise<Object>} - Analysis: { builders, vectors, matrix, method, error }
+   */
+  async analyze(builders, { useEmbeddings = false } = {}) {
+    const local = this.analyzeLocal(builders);
+    if (!useEmbeddings || !this.canUseEmbeddings()) return local;
+
+    // Builders without a problem yet keep an empty vector (similarity 0)
+    const texts = builders.map(builder => this.problemText(builder));
+    const withText = texts.map((text, index) => (text ? index : null)).filter(index => index !== null);
+    if (withText.length < 2) return local;
+
+    try {
+      const embeddings = await openaiService.createEmbeddings(withText.map(index => texts[index]));
+      const vectors = builders.map(() => []);
+      withText.forEach((builderIndex, position) => {
+        vectors[builderIndex] = embeddings[position];
+      });
+      // Keep the TF-IDF vectors for explaining matches
+      return { ...local, matrix: this.withoutTeammates(similarityMatrix(vectors), builders), method: 'embeddings' };
+    } catch (error) {
+      console.error('Error creating embeddings, using TF-IDF instead:', error);
+      return { ...local, error: error.message };
+    }
+  }
+
+  /**
+   * Propose groups of similar builders
+   * @param {Object} analysis - Result of analyze/analyzeLocal
+   * @param {number} groupSize - Builders per group (2 for feedback pairs)
+   * @returns {Array} - Groups as { members, score, terms }, where score is the average pairwise similarity
+   */
+  proposeGroups(analysis, groupSize = 2) {
+    const { builders, vectors, matrix } = analysis;
+
+    return clusterBySimilarity(matrix, groupSize).map(indexes => {
+      let total = 0;
+      let pairs = 0;
+      indexes.forEach((i, position) => {
+        indexes.slice(position + 1).forEach(j => {
+          total += matrix[i][j];
+          pairs += 1;
+        });
+      });
+
+      // Terms everyone in the group mentions
+      const terms = indexes.length > 1
+        ? indexes.slice(2).reduce(
+          (shared, index) => shared.filter(term => vectors[index][term] !== undefined),
+          sharedTerms(vectors[indexes[0]], vectors[indexes[1]], 10)
+        ).slice(0, 5)
+        : [];
+
+      return {
+        members: indexes.map(index => builders[index]),
+        score: pairs > 0 ? total / pairs : 0,
+        terms
+      };
+    });
+  }
+
+  /**
+   * Builders working on problems similar to one builder's
+   * @param {Object} analysis - Result of analyze/analyzeLocal
+   * @param {string} sessionId - The builder to find matches for
+   * @param {number} limit - Maximum number of matches
+   * @returns {Array} - Matches as { builder, score, terms }
+   */
+  findSimilar(analysis, sessionId, limit = 3) {
+    const { builders, vectors, matrix } = analysis;
+    const index = builders.findIndex(builder => builder.sessionId === sessionId);
+    if (index === -1) return [];
+
+    return topMatches(matrix, index, limit).map(match => ({
+      builder: builders[match.index],
+      score: match.score,
+      terms: sharedTerms(vectors[index], vectors[match.index], 3)
+    }));
+  }
+}
+
+export const pairingService = new PairingService();
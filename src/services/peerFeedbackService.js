@@ -0,0 +1,332 @@
+import { supabase, withRetry } from '../supabaseClient';
+import { workshopService } from './workshopService';
+import { pairingService } from './pairingService';
+import { teamService } from './teamService';
+
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+class PeerFeedbackService {
+  /**
+   * List the builders of a workshop that can take part in the exchange
+   * @param {string} workshopId - The workshop ID
+   * @returns {Promise<Array>} - Builders as { sessionId, name, problem, teamId }
+   */
+  async listParticipants(workshopId) {
+    const { data, error } = await withRetry(async () => {
+      return await workshopService.scopeQuery(
+        supabase
+          .from('user_inputs')
+          .select('session_id, section_name, input_data')
+          .in('section_name', ['User Info', 'Problem Definition']),
+        workshopId
+      );
+    }, 3, 2000);
+
+    if (error) throw error;
+
+    // Team members share their team's Problem Definition
+    const teams = await teamService.listTeams(workshopId);
+    const teamBySession = {};
+    teams.forEach(team => team.members.forEach(member => {
+      teamBySession[member.session_id] = team.id;
+    }));
+
+    const builders = {};
+    teamService.applyTeamView(data || [], teams, 'person').forEach(row => {
+      const builder = builders[row.session_id] || {
+        sessionId: row.session_id,
+        name: null,
+        problem: {},
+        teamId: teamBySession[row.session_id] || null
+      };
+      if (row.section_name === 'User Info') {
+        builder.name = row.input_data?.name || null;
+      } else {
+        builder.problem = row.input_data || {};
+      }
+      builders[row.session_id] = builder;
+    });
+
+    return Object.values(builders)
+      .filter(builder => builder.name)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Split builders into feedback groups
+   * @param {Array} builders - Builders from listParticipants
+   * @param {string} strategy - 'random' or 'similarity'
+   * @param {number} groupSize - Builders per group (a leftover builder joins the closest or last group)
+   * @param {Object} analysis - pairingService analysis of the builders for the 'similarity' strategy;
+   *   TF-IDF is computed when omitted
+   * @returns {Array<Array>} - Groups of builders
+   */
+  formGroups(builders, strategy = 'random', groupSize = 2, analysis = null) {
+    if (strategy === 'similarity') {
+      const similarity = analysis || pairingService.analyzeLocal(builders);
+      return pairingService.proposeGroups(similarity, groupSize).map(group => group.members);
+    }
+
+    const size = Math.max(2, groupSize);
+    let remaining = shuffle(builders);
+    const groups = [];
+
+    while (remaining.length >= size) {
+      groups.push(remaining.slice(0, size));
+      remaining = remaining.slice(size);
+    }
+
+    if (remaining.length > 0) {
+      if (groups.length > 0) {
+        groups[groups.length - 1].push(...remaining);
+      } else {
+        groups.push(remaining);
+      }
+    }
+
+    return groups;
+  }
+
+  /**
+   * Turn groups into assignment rows: everyone reviews everyone else in their group
+   * @param {Array<Array>} groups - Groups from formGroups
+   * @param {string} workshopId - The workshop ID
+   * @param {string} strategy - Strategy used to form the groups
+   * @param {Array<string>} sharedSections - Sections reviewers may read
+   * @returns {Array} - feedback_assignments rows
+   */
+  groupsToAssignments(groups, workshopId, strategy, sharedSections) {
+    return groups.flatMap((group, index) => (
+      group.flatMap(reviewer => group
+        .filter(reviewee => reviewee !== reviewer)
+        .map(reviewee => ({
+          workshop_id: workshopId || null,
+          reviewer_session_id: reviewer.sessionId,
+          reviewee_session_id: reviewee.sessionId,
+          reviewer_name: reviewer.name,
+          reviewee_name: reviewee.name,
+          strategy,
+          group_number: index + 1,
+          ...(sharedSections ? { shared_sections: sharedSections } : {})
+        })))
+    ));
+  }
+
+  /**
+   * List a workshop's assignments
+   * @param {string} workshopId - The workshop ID
+   * @returns {Promise<Array>} - feedback_assignments rows
+   */
+  async listAssignments(workshopId) {
+    const { data, error } = await withRetry(async () => {
+      return await workshopService.scopeQuery(
+        supabase
+          .from('feedback_assignments')
+          .select('*')
+          .order('group_number', { ascending: true, nullsFirst: false })
+          .order('reviewer_name', { ascending: true }),
+        workshopId
+      );
+    }, 3, 2000);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Replace a workshop's assignments, e.g. after generating new groups.
+   * Feedback already given on the old assignments is deleted with them.
+   * @param {string} workshopId - The workshop ID
+   * @param {Array} assignments - New feedback_assignments rows
+   * @returns {Promise<Array>} - The saved rows
+   */
+  async replaceAssignments(workshopId, assignments) {
+    const { error: deleteError } = await withRetry(async () => {
+      let query = supabase.from('feedback_assignments').delete();
+      query = workshopId ? query.eq('workshop_id', workshopId) : query.is('workshop_id', null);
+      return await query;
+    }, 3, 2000);
+
+    if (deleteError) throw deleteError;
+    if (assignments.length === 0) return [];
+
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('feedback_assignments')
+        .insert(assignments)
+        .select();
+    }, 3, 2000);
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Add assignments by hand (facilitator-assigned pairs)
+   * @param {Array} assignments - feedback_assignments rows
+   * @returns {Promise<Array>} - The saved rows
+   */
+  async addAssignments(assignments) {
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('feedback_assignments')
+        .upsert(assignments, { onConflict: 'reviewer_session_id,reviewee_session_id' })
+        .select();
+    }, 3, 2000);
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Remove an assignment and any feedback given on it
+   * @param {string} assignmentId - Assignment ID
+   * @returns {Promise<void>}
+   */
+  async removeAssignment(assignmentId) {
+    const { error } = await withRetry(async () => {
+      return await supabase
+        .from('feedback_assignments')
+        .delete()
+        .eq('id', assignmentId);
+    }, 3, 2000);
+
+    if (error) throw error;
+  }
+
+  /**
+   * List the builders a reviewer has been asked to give feedback to
+   * @param {string} sessionId - Reviewer session ID
+   * @returns {Promise<Array>} - feedback_assignments rows
+   */
+  async listAssignmentsForReviewer(sessionId) {
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('feedback_assignments')
+        .select('*')
+        .eq('reviewer_session_id', sessionId)
+        .order('reviewee_name', { ascending: true });
+    }, 3, 2000);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Load the sections a reviewee shares with their reviewer
+   * @param {Object} assignment - feedback_assignments row
+   * @returns {Promise<Object>} - input_data keyed by section name
+   */
+  async getSharedInputs(assignment) {
+    // A reviewee on a team shares the team's copy of its sections. Reviewers
+    // can't read team_members, so reviewee_team_id looks the team up for them.
+    const { data: teamId, error: teamError } = await withRetry(async () => {
+      return await supabase.rpc('reviewee_team_id', { p_session_id: assignment.reviewee_session_id });
+    }, 3, 2000);
+
+    if (teamError) throw teamError;
+    const sessionIds = teamId ? [assignment.reviewee_session_id, teamId] : [assignment.reviewee_session_id];
+
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('user_inputs')
+        .select('session_id, section_name, input_data')
+        .in('session_id', sessionIds)
+        .in('section_name', assignment.shared_sections || []);
+    }, 3, 2000);
+
+    if (error) throw error;
+    const rows = [...(data || [])].sort((a, b) => (a.session_id === teamId) - (b.session_id === teamId));
+    return Object.fromEntries(rows.map(row => [row.section_name, row.input_data]));
+  }
+
+  /**
+   * Save (or update) the feedback for an assignment
+   * @param {Object} assignment - feedback_assignments row
+   * @param {Object} feedback - { scores, strengths, suggestions, questions }
+   * @returns {Promise<Object>} - The peer_feedback row
+   */
+  async saveFeedback(assignment, { scores, strengths, suggestions, questions }) {
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('peer_feedback')
+        .upsert({
+          assignment_id: assignment.id,
+          workshop_id: assignment.workshop_id,
+          reviewer_session_id: assignment.reviewer_session_id,
+          reviewee_session_id: assignment.reviewee_session_id,
+          scores: scores || {},
+          strengths: strengths?.trim() || null,
+          suggestions: suggestions?.trim() || null,
+          questions: questions?.trim() || null,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'assignment_id' })
+        .select()
+        .single();
+    }, 3, 2000);
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * List the feedback a builder has given
+   * @param {string} sessionId - Reviewer session ID
+   * @returns {Promise<Array>} - peer_feedback rows
+   */
+  async listFeedbackGiven(sessionId) {
+    return this.listFeedback('reviewer_session_id', sessionId);
+  }
+
+  /**
+   * List the feedback a builder has received, with the reviewer's name
+   * @param {string} sessionId - Reviewee session ID
+   * @returns {Promise<Array>} - peer_feedback rows with reviewer_name
+   */
+  async listFeedbackReceived(sessionId) {
+    return this.listFeedback('reviewee_session_id', sessionId);
+  }
+
+  /**
+   * List all feedback given in a workshop
+   * @param {string} workshopId - The workshop ID
+   * @returns {Promise<Array>} - peer_feedback rows
+   */
+  async listFeedbackForWorkshop(workshopId) {
+    const { data, error } = await withRetry(async () => {
+      return await workshopService.scopeQuery(
+        supabase.from('peer_feedback').select('*'),
+        workshopId
+      );
+    }, 3, 2000);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async listFeedback(column, sessionId) {
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('peer_feedback')
+        .select('*, feedback_assignments(reviewer_name, reviewee_name)')
+        .eq(column, sessionId)
+        .order('created_at', { ascending: true });
+    }, 3, 2000);
+
+    if (error) throw error;
+    return (data || []).map(({ feedback_assignments: assignment, ...feedback }) => ({
+      ...feedback,
+      reviewer_name: assignment?.reviewer_name || null,
+      reviewee_name: assignment?.reviewee_name || null
+    }));
+  }
+}
+
+export const peerFeedbackService = new PeerFeedbackService();
@@ -0,0 +1,77 @@
+import { supabase, withRetry } from '../supabaseClient';
+import { getPortfolioSectionNames } from '../curriculum';
+
+class PortfolioService {
+  /**
+   * A builder's portfolio settings
+   * @param {string} sessionId - Builder session ID
+   * @returns {Promise<Object|null>} - The portfolios row, or null before it is set up
+   */
+  async getSettings(sessionId) {
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('portfolios')
+        .select('*')
+        .eq('session_id', sessionId)
+        .maybeSingle();
+    }, 3, 2000);
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  /**
+   * Set up a builder's portfolio (private at first), or update who can see it.
+   * The shown sections follow the curriculum each time.
+   * @param {Object} params
+   * @param {string} params.sessionId - Builder session ID
+   * @param {string} params.workshopId - Workshop ID
+   * @param {Object} params.curriculum - Curriculum definition
+   * @param {boolean} params.isPublic - Whether anyone with the link can see it
+   * @returns {Promise<Object>} - The portfolios row
+   */
+  async saveSettings({ sessionId, workshopId, curriculum, isPublic = false }) {
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('portfolios')
+        .upsert({
+          session_id: sessionId,
+          workshop_id: workshopId || null,
+          is_public: isPublic,
+          sections: getPortfolioSectionNames(curriculum),
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'session_id' })
+        .select()
+        .single();
+    }, 3, 2000);
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * The portfolio page's data (see get_portfolio in the portfolios migration)
+   * @param {string} token - The portfolio's share token
+   * @returns {Promise<Object|null>} - { session_id, is_public, name, workshop, sections, review },
+   *   or null if there is no such portfolio or it is private to someone else
+   */
+  async getPortfolio(token) {
+    const { data, error } = await withRetry(async () => {
+      return await supabase.rpc('get_portfolio', { p_token: token });
+    }, 3, 2000);
+
+    if (error) throw error;
+    return data || null;
+  }
+
+  /**
+   * Path of a portfolio page
+   * @param {string} token - The portfolio's share token
+   * @returns {string}
+   */
+  portfolioPath(token) {
+    return `/portfolio/${token}`;
+  }
+}
+
+export const portfolioService = new PortfolioService();
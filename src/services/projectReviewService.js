@@ -0,0 +1,146 @@
+import { supabase, withRetry } from '../supabaseClient';
+import { openaiService } from './openaiService';
+import { llmGateway } from './llm';
+import { isTeamSection } from '../curriculum';
+import { reviewInput, ruleBasedReview } from '../utils/projectReview';
+
+class ProjectReviewService {
+  constructor() {
+    // Reviews being generated, by session, so repeated saves don't start another
+    this.pending = new Map();
+  }
+
+  /**
+   * The cached review of a builder's project
+   * @param {string} sessionId - Builder session (or team) ID
+   * @returns {Promise<Object|null>} - The project_reviews row, or null if there is none yet
+   */
+  async getReview(sessionId) {
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('project_reviews')
+        .select('*')
+        .eq('session_id', sessionId)
+        .maybeSingle();
+    }, 3, 2000);
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  /**
+   * Load what a builder has written, with their team's copy of team sections
+   * @param {string} sessionId - Builder session ID
+   * @param {string} teamId - The builder's team ID, if they are on one
+   * @param {Object} curriculum - Curriculum definition
+   * @returns {Promise<Object>} - { sections: section name -> input_data, updatedAt } (updatedAt in ms)
+   */
+  async loadProject(sessionId, teamId, curriculum) {
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('user_inputs')
+        .select('session_id, section_name, input_data, created_at, updated_at')
+        .in('session_id', teamId ? [sessionId, teamId] : [sessionId]);
+    }, 3, 2000);
+
+    if (error) throw error;
+
+    const teamSections = new Set(curriculum.sections.filter(isTeamSection).map(section => section.name));
+    const sections = {};
+    let updatedAt = null;
+    (data || []).forEach(row => {
+      const fromTeam = row.session_id === teamId;
+      if (teamId && teamSections.has(row.section_name) !== fromTeam) return;
+      sections[row.section_name] = row.input_data;
+      updatedAt = Math.max(updatedAt || 0, new Date(row.updated_at || row.created_at).getTime());
+    });
+    return { sections, updatedAt };
+  }
+
+  /**
+   * Review a project and cache the result, replacing any earlier review. Uses
+   * the AI review when a model is available and the offline review otherwise,
+   * or if it fails.
+   * @param {Object} params
+   * @param {string} params.sessionId - Builder session (or team) ID the review is stored under
+   * @param {string} params.workshopId - Workshop ID
+   * @param {Object} params.curriculum - Curriculum definition
+   * @param {Object} params.sections - Section name -> input_data; loaded (with teamId) when omitted
+   * @param {number} params.updatedAt - When the answers were last saved (ms), with sections
+   * @param {string} params.teamId - The builder's team ID, used when loading
+   * @param {string} params.generatedBy - Auth user ID of the facilitator regenerating it
+   * @returns {Promise<Object>} - The project_reviews row
+   */
+  async generateReview({ sessionId, workshopId, curriculum, sections = null, updatedAt = null, teamId = null, generatedBy = null }) {
+    if (this.pending.has(sessionId)) return this.pending.get(sessionId);
+
+    const run = (async () => {
+      const project = sections
+        ? { sections, updatedAt }
+        : await this.loadProject(sessionId, teamId, curriculum);
+
+      let review = null;
+      let source = 'ai';
+      if (llmGateway.isAvailable()) {
+        try {
+          review = await openaiService.reviewProject(reviewInput(project.sections, curriculum), { priority: 'batch' });
+        } catch (error) {
+          console.error('Error getting the AI project review, using the offline review:', error);
+        }
+      }
+      if (!review) {
+        source = 'rules';
+        review = ruleBasedReview(project.sections, curriculum);
+      }
+
+      const { data, error } = await withRetry(async () => {
+        return await supabase
+          .from('project_reviews')
+          .upsert({
+            session_id: sessionId,
+            workshop_id: workshopId || null,
+            review,
+            source,
+            inputs_updated_at: project.updatedAt ? new Date(project.updatedAt).toISOString() : null,
+            generated_by: generatedBy,
+            updated_at: new Date().toISOString()
+          }, { onConflict: 'session_id' })
+          .select()
+          .single();
+      }, 3, 2000);
+
+      if (error) throw error;
+      return data;
+    })();
+
+    this.pending.set(sessionId, run);
+    try {
+      return await run;
+    } finally {
+      this.pending.delete(sessionId);
+    }
+  }
+
+  /**
+   * The cached review, generating it the first time
+   * @param {Object} params - As for generateReview()
+   * @returns {Promise<Object>} - The project_reviews row
+   */
+  async ensureReview(params) {
+    const cached = await this.getReview(params.sessionId);
+    return cached || this.generateReview(params);
+  }
+
+  /**
+   * Whether the answers changed after the review was written
+   * @param {Object} row - The project_reviews row
+   * @param {number} updatedAt - When the answers were last saved (ms)
+   * @returns {boolean}
+   */
+  isStale(row, updatedAt) {
+    if (!row?.inputs_updated_at || !updatedAt) return false;
+    return updatedAt > new Date(row.inputs_updated_at).getTime();
+  }
+}
+
+export const projectReviewService = new ProjectReviewService();
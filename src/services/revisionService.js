@@ -0,0 +1,46 @@
+import { supabase, withRetry } from '../supabaseClient';
+
+class RevisionService {
+  /**
+   * List saved versions of section inputs, oldest first. Rows are appended by
+   * a trigger on user_inputs; bursts of autosaves collapse into one revision.
+   * @param {string|Array<string>} sessionIds - Builder session ID(s); include the team ID for shared sections
+   * @param {string} sectionName - Optional section to limit to
+   * @returns {Promise<Array>} - The user_input_revisions rows
+   */
+  async listRevisions(sessionIds, sectionName = null) {
+    const ids = (Array.isArray(sessionIds) ? sessionIds : [sessionIds]).filter(Boolean);
+    if (ids.length === 0) return [];
+
+    const { data, error } = await withRetry(async () => {
+      let query = supabase
+        .from('user_input_revisions')
+        .select('*')
+        .in('session_id', ids)
+        .order('updated_at', { ascending: true });
+
+      if (sectionName) {
+        query = query.eq('section_name', sectionName);
+      }
+
+      return await query;
+    }, 3, 2000);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Group revisions by section name, keeping each section's order
+   * @param {Array} revisions - Rows from listRevisions
+   * @returns {Object} - Section name -> revisions
+   */
+  groupBySection(revisions) {
+    return revisions.reduce((acc, revision) => {
+      (acc[revision.section_name] = acc[revision.section_name] || []).push(revision);
+      return acc;
+    }, {});
+  }
+}
+
+export const revisionService = new RevisionService();
@@ -0,0 +1,73 @@
+import { supabase } from '../supabaseClient';
+
+/**
+ * Realtime presence for the workshop room. Each builder tracks where they are
+ * on the channel room:<workshopId>, keyed by their session ID:
+ * { sessionId, name, sectionId, sectionEnteredAt, lastActivityAt }
+ * The admin room board watches the same channel without tracking anything.
+ */
+class RoomPresenceService {
+  /**
+   * Join a workshop room as a builder
+   * @param {string} workshopId - The workshop ID
+   * @param {string} sessionId - The builder's session ID (presence key)
+   * @param {Object} state - Initial presence state
+   * @returns {Object} - { update(changes), leave() }
+   */
+  join(workshopId, sessionId, state) {
+    let current = { ...state, sessionId };
+    let subscribed = false;
+
+    const channel = supabase.channel(`room:${workshopId}`, {
+      config: { presence: { key: sessionId } }
+    });
+
+    channel.subscribe(async (status) => {
+      if (status === 'SUBSCRIBED') {
+        subscribed = true;
+        await channel.track(current);
+      }
+    });
+
+    return {
+      update: async (changes) => {
+        current = { ...current, ...changes };
+        if (subscribed) {
+          await channel.track(current);
+        }
+      },
+      leave: () => {
+        subscribed = false;
+        supabase.removeChannel(channel);
+      }
+    };
+  }
+
+  /**
+   * Watch who is in a workshop room
+   * @param {string} workshopId - The workshop ID
+   * @param {Function} callback - Called with a map of sessionId to presence state on every change
+   * @returns {Function} - Unsubscribe function
+   */
+  watch(workshopId, callback) {
+    const channel = supabase.channel(`room:${workshopId}`);
+
+    channel
+      .on('presence', { event: 'sync' }, () => {
+        const present = {};
+        Object.entries(channel.presenceState()).forEach(([key, metas]) => {
+          // A builder with several tabs open shows up once, with their latest state
+          const latest = metas.reduce((a, b) => (
+            (b.lastActivityAt || '') > (a.lastActivityAt || '') ? b : a
+          ));
+          present[key] = latest;
+        });
+        callback(present);
+      })
+      .subscribe();
+
+    return () => supabase.removeChannel(channel);
+  }
+}
+
+export const roomPresenceService = new RoomPresenceService();
@@ -0,0 +1,157 @@
+import { supabase, withRetry } from '../supabaseClient';
+
+/**
+ * Starting point for a new workshop's demo-day rubric
+ */
+export const DEFAULT_RUBRIC = {
+  name: 'Demo Day',
+  sections: ['Start Build', 'Presentations & Retro'],
+  scale_min: 1,
+  scale_max: 5,
+  criteria: [
+    { id: 'problem', label: 'Problem & user', description: 'Is it clear who has the problem and why it matters?', weight: 1 },
+    { id: 'solution', label: 'Working product', description: 'How much of the MVP actually works in the demo?', weight: 2 },
+    { id: 'ai', label: 'Use of AI', description: 'Is AI used where it adds real value?', weight: 1 },
+    { id: 'iteration', label: 'Iteration', description: 'Did feedback visibly shape the product?', weight: 1 },
+    { id: 'presentation', label: 'Presentation', description: 'Was the story clear and the demo easy to follow?', weight: 1 }
+  ]
+};
+
+class RubricService {
+  /**
+   * Get the rubric of a workshop (the most recently created one if there are several)
+   * @param {string} workshopId - The workshop ID, or null for the rubric used without a workshop
+   * @returns {Promise<Object|null>} - The rubric or null
+   */
+  async getRubric(workshopId) {
+    const { data, error } = await withRetry(async () => {
+      let query = supabase
+        .from('rubrics')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      query = workshopId ? query.eq('workshop_id', workshopId) : query.is('workshop_id', null);
+      return await query.maybeSingle();
+    }, 3, 2000);
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  }
+
+  /**
+   * Create or update a rubric
+   * @param {Object} rubric - { id?, workshop_id, name, sections, criteria, scale_min, scale_max }
+   * @returns {Promise<Object>} - The saved rubric
+   */
+  async saveRubric(rubric) {
+    const row = {
+      workshop_id: rubric.workshop_id || null,
+      name: rubric.name.trim(),
+      sections: rubric.sections,
+      criteria: rubric.criteria.map(criterion => ({
+        ...criterion,
+        label: criterion.label.trim(),
+        weight: Number(criterion.weight) || 0
+      })),
+      scale_min: Number(rubric.scale_min),
+      scale_max: Number(rubric.scale_max),
+      updated_at: new Date().toISOString()
+    };
+
+    const { data, error } = await withRetry(async () => {
+      const query = rubric.id
+        ? supabase.from('rubrics').update(row).eq('id', rubric.id)
+        : supabase.from('rubrics').insert(row);
+      return await query.select().single();
+    }, 3, 2000);
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * List the scores given on a rubric
+   * @param {string} rubricId - The rubric ID
+   * @param {string} sessionId - Optional builder session or team ID to limit to
+   * @returns {Promise<Array>} - The rubric_scores rows
+   */
+  async listScores(rubricId, sessionId = null) {
+    const { data, error } = await withRetry(async () => {
+      let query = supabase
+        .from('rubric_scores')
+        .select('*')
+        .eq('rubric_id', rubricId)
+        .order('created_at', { ascending: true });
+
+      if (sessionId) {
+        query = query.eq('session_id', sessionId);
+      }
+
+      return await query;
+    }, 3, 2000);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Save the signed-in judge's scores for a builder or team
+   * @param {Object} params - { rubric, sessionId, judge: { id, name }, scores, comment }
+   * @returns {Promise<Object>} - The rubric_scores row
+   */
+  async saveScore({ rubric, sessionId, judge, scores, comment }) {
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('rubric_scores')
+        .upsert({
+          rubric_id: rubric.id,
+          session_id: sessionId,
+          workshop_id: rubric.workshop_id || null,
+          judge_id: judge.id,
+          judge_name: judge.name || null,
+          scores,
+          comment: comment?.trim() || null,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'rubric_id,session_id,judge_id' })
+        .select()
+        .single();
+    }, 3, 2000);
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Delete a judge's scores for a builder
+   * @param {string} scoreId - The rubric_scores ID
+   * @returns {Promise<void>}
+   */
+  async deleteScore(scoreId) {
+    const { error } = await withRetry(async () => {
+      return await supabase
+        .from('rubric_scores')
+        .delete()
+        .eq('id', scoreId);
+    }, 3, 2000);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Convert rubric_scores rows to the entries used by utils/rubricStats
+   * @param {Array} rows - rubric_scores rows
+   * @returns {Array} - { sessionId, judgeId, judgeName, scores, comment }
+   */
+  toEntries(rows) {
+    return rows.map(row => ({
+      sessionId: row.session_id,
+      judgeId: row.judge_id,
+      judgeName: row.judge_name,
+      scores: row.scores || {},
+      comment: row.comment
+    }));
+  }
+}
+
+export const rubricService = new RubricService();
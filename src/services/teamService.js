@@ -0,0 +1,278 @@
+import { supabase, withRetry } from '../supabaseClient';
+import { workshopService } from './workshopService';
+import { getTeamSectionNames } from '../curriculum';
+
+class TeamService {
+  /**
+   * Get the team a builder session belongs to
+   * @param {string} sessionId - Builder session ID
+   * @returns {Promise<Object|null>} - The team with its members, or null if the builder works alone
+   */
+  async getTeamForSession(sessionId) {
+    const teamId = await this.getTeamIdForSession(sessionId);
+    return teamId ? this.getTeam(teamId) : null;
+  }
+
+  /**
+   * Get the ID of the team a builder session belongs to. Memberships are only
+   * readable by the builder's teammates and admins; peer reviewers use the
+   * reviewee_team_id RPC instead.
+   * @param {string} sessionId - Builder session ID
+   * @returns {Promise<string|null>} - The team ID, or null if the builder works alone
+   */
+  async getTeamIdForSession(sessionId) {
+    if (!sessionId) return null;
+
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('team_members')
+        .select('team_id')
+        .eq('session_id', sessionId)
+        .maybeSingle();
+    }, 3, 2000);
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data?.team_id || null;
+  }
+
+  /**
+   * Get a team with its members
+   * @param {string} teamId - The team ID
+   * @returns {Promise<Object|null>} - The team with a members array, or null if not found
+   */
+  async getTeam(teamId) {
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('teams')
+        .select('*, team_members(session_id, name, joined_at)')
+        .eq('id', teamId)
+        .maybeSingle();
+    }, 3, 2000);
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data ? this.withMembers(data) : null;
+  }
+
+  /**
+   * List a workshop's teams with their members
+   * @param {string} workshopId - The workshop ID, or null for all workshops
+   * @returns {Promise<Array>} - Teams with a members array
+   */
+  async listTeams(workshopId) {
+    const { data, error } = await withRetry(async () => {
+      return await workshopService.scopeQuery(
+        supabase
+          .from('teams')
+          .select('*, team_members(session_id, name, joined_at)')
+          .order('name', { ascending: true }),
+        workshopId
+      );
+    }, 3, 2000);
+
+    if (error) throw error;
+    return (data || []).map(team => this.withMembers(team));
+  }
+
+  withMembers({ team_members: members, ...team }) {
+    return {
+      ...team,
+      members: [...(members || [])].sort((a, b) => new Date(a.joined_at) - new Date(b.joined_at))
+    };
+  }
+
+  /**
+   * Load the shared section rows of some teams
+   * @param {Array<string>} teamIds - Team IDs
+   * @returns {Promise<Array>} - user_inputs rows stored under the teams
+   */
+  async listTeamInputs(teamIds) {
+    if (teamIds.length === 0) return [];
+
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('user_inputs')
+        .select('*')
+        .in('session_id', teamIds);
+    }, 3, 2000);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Start a team. The creator's team-section inputs become the team's.
+   * @param {Object} params - { workshopId, name, sessionId, memberName, curriculum }
+   * @returns {Promise<Object>} - The team with its members
+   */
+  async createTeam({ workshopId, name, sessionId, memberName, curriculum }) {
+    const { data: team, error } = await withRetry(async () => {
+      return await supabase
+        .from('teams')
+        .insert({
+          workshop_id: workshopId || null,
+          name: name.trim(),
+          join_code: workshopService.generateJoinCode(),
+          created_by_session_id: sessionId
+        })
+        .select()
+        .single();
+    }, 3, 2000);
+
+    if (error) throw error;
+
+    await this.addMember(team.join_code, sessionId, memberName);
+    await this.copySections(sessionId, team.id, curriculum, { onlyMissing: true, toTeam: true });
+    return this.getTeam(team.id);
+  }
+
+  /**
+   * Join a team with its join code. Sections the team hasn't started yet are
+   * filled with the joining builder's own inputs.
+   * @param {Object} params - { joinCode, sessionId, memberName, curriculum }
+   * @returns {Promise<Object>} - The team with its members
+   */
+  async joinTeam({ joinCode, sessionId, memberName, curriculum }) {
+    const code = workshopService.normalizeJoinCode(joinCode);
+    const teamId = await this.addMember(code, sessionId, memberName);
+    if (!teamId) {
+      throw new Error(`No team found with code ${code}`);
+    }
+
+    await this.copySections(sessionId, teamId, curriculum, { onlyMissing: true, toTeam: true });
+    return this.getTeam(teamId);
+  }
+
+  /**
+   * Add a session to the team with a join code (join_team checks the code,
+   * since builders can't read other teams' codes or add members themselves)
+   * @param {string} joinCode - The team's join code
+   * @param {string} sessionId - Builder session ID
+   * @param {string} name - Member name shown to the team
+   * @returns {Promise<string|null>} - The team ID, or null if no team has the code
+   */
+  async addMember(joinCode, sessionId, name) {
+    const { data, error } = await withRetry(async () => {
+      return await supabase.rpc('join_team', { p_code: joinCode, p_session_id: sessionId, p_name: name || null });
+    }, 3, 2000);
+
+    if (error?.code === '23505') {
+      throw new Error('You are already on a team. Leave it first to join another one.');
+    }
+    if (error) throw error;
+    return data || null;
+  }
+
+  /**
+   * Leave a team. The builder keeps a personal copy of the team's inputs;
+   * leave_team deletes the team (and its shared inputs) with its last member.
+   * @param {Object} team - The team with its members
+   * @param {string} sessionId - Builder session ID
+   * @param {Object} curriculum - Curriculum definition
+   * @returns {Promise<void>}
+   */
+  async leaveTeam(team, sessionId, curriculum) {
+    await this.copySections(team.id, sessionId, curriculum);
+
+    const { error } = await withRetry(async () => {
+      return await supabase.rpc('leave_team', { p_session_id: sessionId });
+    }, 3, 2000);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Copy team-section rows between a builder session and a team
+   * @param {string} fromSessionId - Session (or team) ID to copy from
+   * @param {string} toSessionId - Session (or team) ID to copy to
+   * @param {Object} curriculum - Curriculum definition
+   * @param {Object} options - { onlyMissing: skip sections the target already has, toTeam: the target is a team }
+   */
+  async copySections(fromSessionId, toSessionId, curriculum, { onlyMissing = false, toTeam = false } = {}) {
+    const sectionNames = getTeamSectionNames(curriculum);
+    if (sectionNames.length === 0) return;
+
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('user_inputs')
+        .select('session_id, section_name, input_data, field_authors')
+        .in('session_id', [fromSessionId, toSessionId])
+        .in('section_name', sectionNames);
+    }, 3, 2000);
+
+    if (error) throw error;
+
+    const existing = new Set(
+      (data || []).filter(row => row.session_id === toSessionId).map(row => row.section_name)
+    );
+    const rows = (data || [])
+      .filter(row => row.session_id === fromSessionId)
+      .filter(row => !onlyMissing || !existing.has(row.section_name))
+      .map(row => ({
+        session_id: toSessionId,
+        section_name: row.section_name,
+        input_data: row.input_data,
+        // Team rows carry the team ID; personal rows inherit their workshop from User Info
+        team_id: toTeam ? toSessionId : null,
+        field_authors: toTeam ? row.field_authors || {} : {}
+      }));
+
+    if (rows.length === 0) return;
+
+    const { error: upsertError } = await withRetry(async () => {
+      return await supabase
+        .from('user_inputs')
+        .upsert(rows, { onConflict: 'session_id,section_name' });
+    }, 3, 2000);
+
+    if (upsertError) throw upsertError;
+  }
+
+  /**
+   * Regroup user_inputs rows for a per-person or per-team view.
+   * 'person': each member gets a copy of their team's shared rows (replacing their own).
+   * 'team': members' personal rows move under the team ID, so a team counts once.
+   * @param {Array} inputs - user_inputs rows, including the teams' shared rows
+   * @param {Array} teams - Teams with members (from listTeams)
+   * @param {'person'|'team'} view - How to group
+   * @returns {Array} - Regrouped rows
+   */
+  applyTeamView(inputs, teams, view = 'person') {
+    const teamBySession = {};
+    teams.forEach(team => {
+      team.members.forEach(member => {
+        teamBySession[member.session_id] = team;
+      });
+    });
+    const teamIds = new Set(teams.map(team => team.id));
+    const sharedSections = new Set(
+      inputs.filter(row => teamIds.has(row.session_id)).map(row => `${row.session_id}:${row.section_name}`)
+    );
+
+    if (view === 'team') {
+      const latest = {};
+      inputs.forEach(row => {
+        const team = teamBySession[row.session_id];
+        const regrouped = team ? { ...row, session_id: team.id } : row;
+        const key = `${regrouped.session_id}:${regrouped.section_name}`;
+        // The shared copy wins; otherwise keep the most recently saved member's row
+        if (team && sharedSections.has(key)) return;
+        if (!latest[key] || new Date(regrouped.updated_at || regrouped.created_at) > new Date(latest[key].updated_at || latest[key].created_at)) {
+          latest[key] = regrouped;
+        }
+      });
+      return Object.values(latest);
+    }
+
+    return inputs.flatMap(row => {
+      if (teamIds.has(row.session_id)) {
+        const team = teams.find(item => item.id === row.session_id);
+        return team.members.map(member => ({ ...row, session_id: member.session_id }));
+      }
+      const team = teamBySession[row.session_id];
+      if (team && sharedSections.has(`${team.id}:${row.section_name}`)) return [];
+      return [row];
+    });
+  }
+}
+
+export const teamService = new TeamService();
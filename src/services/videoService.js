@@ -1,6 +1,6 @@
 import { supabase, withRetry } from '../supabaseClient';
-import { openaiService } from './openaiService';
 import { config } from '../config';
+import { llmGateway } from './llm';
 
 class VideoService {
   constructor() {
@@ -111,42 +111,40 @@ class VideoService {
     }
 
     try {
-      // Initialize OpenAI with API key from config
-      const apiKey = config.openai.apiKey;
-      if (!apiKey) {
-        this.debugLog('OpenAI API key is not available, skipping transcription');
-        return "Transcription not available (API key missing)";
+      if (!llmGateway.isAvailable()) {
+        this.debugLog('AI features are turned off, skipping transcription');
+        return "Transcription not available (AI features are turned off)";
       }
       
       try {
-        openaiService.initializeOpenAI(apiKey);
-        
         // Create a form data object with the audio file
         const formData = new FormData();
         formData.append('file', audioBlob, 'audio.webm');
-        formData.append('model', 'whisper-1');
-        formData.append('language', 'en');
         
-        // Make a direct fetch request to OpenAI API
-        const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
+        // The transcribe Edge Function holds the OpenAI key. Called with fetch
+        // rather than functions.invoke, which would send the client's JSON
+        // Content-Type instead of the form's multipart one.
+        const { data: { session } } = await supabase.auth.getSession();
+        const response = await fetch(`${config.supabase.url}/functions/v1/transcribe`, {
           method: 'POST',
           headers: {
-            'Authorization': `Bearer ${apiKey}`
+            apikey: config.supabase.anonKey,
+            Authorization: `Bearer ${session?.access_token || config.supabase.anonKey}`
           },
           body: formData
         });
+        const data = await response.json().catch(() => null);
         
-        if (!response.ok) {
-          const errorData = await response.json();
-          throw new Error(`OpenAI API error: ${errorData.error?.message || response.statusText}`);
+        if (!response.ok || data?.error) {
+          const message = data?.error?.message || data?.error || `status ${response.status}`;
+          throw new Error(`Transcription service error: ${message}`);
         }
         
-        const data = await response.json();
         this.debugLog('Transcription successful', data);
         
         return data.text;
       } catch (error) {
-        this.debugLog('Error in OpenAI transcription', error);
+        this.debugLog('Error in transcription', error);
         return `Transcription failed: ${error.message}`;
       }
     } catch (error) {
@@ -0,0 +1,159 @@
+import { supabase, withRetry } from '../supabaseClient';
+
+// Unambiguous characters only (no 0/O, 1/I/L) so codes can be read off a projector
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+
+class WorkshopService {
+  /**
+   * Normalize a join code typed by a builder
+   * @param {string} code - The raw join code
+   * @returns {string} - The upper-cased code without whitespace
+   */
+  normalizeJoinCode(code) {
+    return (code || '').replace(/\s+/g, '').toUpperCase();
+  }
+
+  /**
+   * Generate a random join code
+   * @returns {string} - A new join code
+   */
+  generateJoinCode() {
+    let code = '';
+    for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+      code += JOIN_CODE_ALPHABET[Math.floor(Math.random() * JOIN_CODE_ALPHABET.length)];
+    }
+    return code;
+  }
+
+  /**
+   * List workshops, most recent first
+   * @param {Object} options - Query options
+   * @param {boolean} options.activeOnly - Only return workshops builders can still join
+   * @returns {Promise<Array>} - The workshops
+   */
+  async listWorkshops({ activeOnly = false } = {}) {
+    const { data, error } = await withRetry(async () => {
+      let query = supabase
+        .from('workshops')
+        .select('*')
+        .order('workshop_date', { ascending: false });
+
+      if (activeOnly) {
+        query = query.eq('is_active', true);
+      }
+
+      return await query;
+    }, 3, 2000);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Get a single workshop by ID
+   * @param {string} workshopId - The workshop ID
+   * @returns {Promise<Object|null>} - The workshop or null if not found
+   */
+  async getWorkshop(workshopId) {
+    if (!workshopId) return null;
+
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('workshops')
+        .select('*')
+        .eq('id', workshopId)
+        .maybeSingle();
+    }, 3, 2000);
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  }
+
+  /**
+   * Look up an active workshop by the join code builders enter
+   * @param {string} joinCode - The join code
+   * @returns {Promise<Object|null>} - The workshop or null if the code is unknown
+   */
+  async getWorkshopByJoinCode(joinCode) {
+    const code = this.normalizeJoinCode(joinCode);
+    if (!code) return null;
+
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('workshops')
+        .select('*')
+        .eq('join_code', code)
+        .eq('is_active', true)
+        .maybeSingle();
+    }, 3, 2000);
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  }
+
+  /**
+   * Create a workshop run
+   * @param {Object} workshop - The workshop details
+   * @param {string} workshop.name - Display name, e.g. "Build Workshop – Week 12"
+   * @param {string} workshop.workshopDate - ISO date the workshop runs
+   * @param {string} workshop.facilitator - Facilitator name
+   * @param {string} workshop.joinCode - Optional join code, generated when omitted
+   * @param {string} workshop.curriculumId - Curriculum (workshop format) ID, defaults to 'default'
+   * @returns {Promise<Object>} - The created workshop
+   */
+  async createWorkshop({ name, workshopDate, facilitator, joinCode, curriculumId }) {
+    if (!name) {
+      throw new Error('Workshop name is required');
+    }
+
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('workshops')
+        .insert({
+          name,
+          workshop_date: workshopDate || new Date().toISOString().split('T')[0],
+          facilitator: facilitator || null,
+          join_code: this.normalizeJoinCode(joinCode) || this.generateJoinCode(),
+          curriculum_id: curriculumId || 'default'
+        })
+        .select()
+        .single();
+    }, 3, 2000);
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Update a workshop run
+   * @param {string} workshopId - The workshop ID
+   * @param {Object} updates - Columns to update
+   * @returns {Promise<Object>} - The updated workshop
+   */
+  async updateWorkshop(workshopId, updates) {
+    const { data, error } = await withRetry(async () => {
+      return await supabase
+        .from('workshops')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', workshopId)
+        .select()
+        .single();
+    }, 3, 2000);
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Apply a workshop scope to a user_inputs query
+   * @param {Object} query - A Supabase query builder on user_inputs
+   * @param {string} workshopId - The workshop ID, or null for all workshops
+   * @returns {Object} - The scoped query
+   */
+  scopeQuery(query, workshopId) {
+    return workshopId ? query.eq('workshop_id', workshopId) : query;
+  }
+}
+
+export const workshopService = new WorkshopService();
@@ -32,7 +32,11 @@ try {
 
 export const supabase = createClient(validatedSupabaseUrl, supabaseAnonKey, {
   auth: {
-    persistSession: false
+    // Keep builders signed in across reloads; magic links come back with a ?code= to exchange
+    persistSession: true,
+    autoRefreshToken: true,
+    detectSessionInUrl: true,
+    flowType: 'pkce'
   },
   global: {
     headers: {
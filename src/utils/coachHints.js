@@ -0,0 +1,109 @@
+/**
+ * Coaching for a builder's section draft. Without an AI model, the rule-based
+ * coach here runs the section's coach.checks (see defaultCurriculum.js). Both
+ * coaches give feedback in the same shape:
+ *
+ * { critiques: [{ field, message }], question, suggestions: [{ field, text }] }
+ *
+ * Suggestions say what to add or change. Neither coach writes the builder's text.
+ */
+
+import { fieldText } from './wordDiff';
+
+const DEFAULT_QUESTION = "What would you test first to find out whether you're right?";
+
+const words = (text) => text.toLowerCase().match(/[a-z0-9']+/g) || [];
+
+// Share of the words in text that also appear in other
+const overlap = (text, other) => {
+  const mine = words(text);
+  if (mine.length === 0) return 0;
+  const theirs = new Set(words(other));
+  return mine.filter(word => theirs.has(word)).length / mine.length;
+};
+
+/**
+ * Whether a value passes one coach check
+ * @param {Object} check - { field, minWords, minItems, pattern, differsFrom }
+ * @param {Object} values - Section values
+ * @returns {boolean}
+ */
+export function passesCheck(check, values = {}) {
+  const value = values[check.field];
+  if (check.minItems) {
+    const items = Array.isArray(value) ? value.filter(item => String(item || '').trim()) : [];
+    return items.length >= check.minItems;
+  }
+
+  const text = fieldText(value).trim();
+  if (!text) return false;
+  if (check.minWords && words(text).length < check.minWords) return false;
+  if (check.pattern && !new RegExp(check.pattern, 'i').test(text)) return false;
+  if (check.differsFrom && overlap(text, fieldText(values[check.differsFrom])) >= 0.7) return false;
+  return true;
+}
+
+/**
+ * The section's coach checks a draft fails, in the curriculum's order
+ * @param {Object} section - Section definition with coach.checks
+ * @param {Object} values - Section values
+ * @returns {Array} - { field, message, question, suggestion } per failed check
+ */
+export function reviewDraft(section, values = {}) {
+  return (section.coach?.checks || [])
+    .filter(check => !passesCheck(check, values))
+    .map(check => {
+      const field = section.fields.find(candidate => candidate.name === check.field);
+      const empty = !fieldText(values[check.field]).trim();
+      return {
+        field: check.field,
+        message: empty ? `${field?.displayLabel || check.field} is still empty.` : check.message,
+        question: check.question,
+        suggestion: check.suggestion
+      };
+    });
+}
+
+/**
+ * Rule-based coaching: critiques from the failed checks and one follow-up
+ * question, preferring one the coach hasn't asked yet
+ * @param {Object} section - Section definition with coach.checks
+ * @param {Object} values - Section values
+ * @param {Array} askedQuestions - Questions already asked in this conversation
+ * @returns {Object} - Feedback (see above)
+ */
+export function ruleBasedFeedback(section, values = {}, askedQuestions = []) {
+  const failed = reviewDraft(section, values);
+  const asked = new Set(askedQuestions);
+  const next = failed.find(item => item.question && !asked.has(item.question)) || failed[0];
+
+  return {
+    critiques: failed.map(({ field, message }) => ({ field, message })),
+    question: next?.question || section.coach?.closingQuestion || DEFAULT_QUESTION,
+    suggestions: failed
+      .filter(item => item.suggestion)
+      .map(({ field, suggestion }) => ({ field, text: suggestion }))
+  };
+}
+
+/**
+ * Tidy a model's coaching answer into the feedback shape, dropping entries
+ * for fields the section doesn't have
+ * @param {Object} data - The model's parsed JSON
+ * @param {Object} section - Section definition
+ * @returns {Object} - Feedback (see above)
+ */
+export function normalizeFeedback(data, section) {
+  const fieldNames = new Set(section.fields.map(field => field.name));
+  const entries = (list, key) => (Array.isArray(list) ? list : [])
+    .filter(item => item && typeof item[key] === 'string' && item[key].trim())
+    .map(item => ({ field: fieldNames.has(item.field) ? item.field : null, [key]: item[key].trim() }));
+
+  return {
+    critiques: entries(data?.critiques, 'message'),
+    question: typeof data?.question === 'string' && data.question.trim()
+      ? data.question.trim()
+      : section.coach?.closingQuestion || DEFAULT_QUESTION,
+    suggestions: entries(data?.suggestions, 'text')
+  };
+}
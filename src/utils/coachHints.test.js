@@ -0,0 +1,64 @@
+import { passesCheck, reviewDraft, ruleBasedFeedback, normalizeFeedback } from './coachHints';
+import { defaultCurriculum, getSection } from '../curriculum';
+
+const problem = getSection('Problem Definition', defaultCurriculum);
+const mvp = getSection('MVP Planner', defaultCurriculum);
+
+const strongDraft = {
+  summary: 'Students miss the bus because their mornings have no routine',
+  context: 'They stay up late on their phones and hit snooze',
+  impact: 'High school students arrive late and lose the first class',
+  rootCauses: 'No fixed bedtime and alarms that are easy to ignore',
+  outcome: 'Students leave home 10 minutes earlier on school days'
+};
+
+describe('coach checks', () => {
+  test('each kind of check', () => {
+    expect(passesCheck({ field: 'a', minWords: 3 }, { a: 'two words' })).toBe(false);
+    expect(passesCheck({ field: 'a', minWords: 3 }, { a: 'now three words' })).toBe(true);
+    expect(passesCheck({ field: 'a', pattern: '\\bstudents?\\b' }, { a: 'Affects STUDENTS badly' })).toBe(true);
+    expect(passesCheck({ field: 'a', minItems: 2 }, { a: ['one idea', '  '] })).toBe(false);
+    expect(passesCheck({ field: 'a', differsFrom: 'b' }, { a: 'hitting snooze, no planning', b: 'No planning and hitting snooze' })).toBe(false);
+    expect(passesCheck({ field: 'a', pattern: 'x' }, { a: '' })).toBe(false);
+  });
+
+  test('a strong draft passes and a weak one gets critiques, with empty fields named as empty', () => {
+    expect(reviewDraft(problem, strongDraft)).toEqual([]);
+
+    const review = reviewDraft(problem, { ...strongDraft, impact: 'It makes mornings stressful', outcome: '' });
+    expect(review.map(item => item.field)).toEqual(['impact', 'outcome']);
+    expect(review[0].message).toBe('Your impact field names no affected group.');
+    expect(review[1].message).toBe('Outcome is still empty.');
+  });
+});
+
+describe('ruleBasedFeedback', () => {
+  test('asks a question it has not asked yet, and never writes the text', () => {
+    const draft = { aiOptions: ['A chatbot', '', ''], howItWorks: 'It uses AI', dataNeeds: '', valueProposition: '' };
+    const first = ruleBasedFeedback(mvp, draft);
+    expect(first.critiques).toHaveLength(4);
+    expect(first.question).toBe('What is a completely different way AI could attack this problem?');
+    expect(first.suggestions[0]).toEqual({ field: 'aiOptions', text: 'Add a second option with its pros and cons.' });
+
+    const second = ruleBasedFeedback(mvp, draft, [first.question]);
+    expect(second.question).toBe('What goes into the model, and what comes out?');
+  });
+
+  test('falls back to a general question when the draft passes every check', () => {
+    const feedback = ruleBasedFeedback(problem, strongDraft);
+    expect(feedback.critiques).toEqual([]);
+    expect(feedback.question).toMatch(/\?$/);
+  });
+});
+
+test('normalizeFeedback keeps well-formed entries and unknown fields as general notes', () => {
+  const feedback = normalizeFeedback({
+    critiques: [{ field: 'impact', message: ' Names no group ' }, { field: 'impact' }, 'bad'],
+    suggestions: [{ field: 'nope', text: 'Say who benefits' }],
+    question: ''
+  }, problem);
+
+  expect(feedback.critiques).toEqual([{ field: 'impact', message: 'Names no group' }]);
+  expect(feedback.suggestions).toEqual([{ field: null, text: 'Say who benefits' }]);
+  expect(feedback.question).toMatch(/\?$/);
+});
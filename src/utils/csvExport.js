@@ -1,10 +1,69 @@
+/**
+ * Quotes a CSV cell when it contains a delimiter, quote or newline
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell value
+ */
+const escapeCSVValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * File name prefix for a workshop-scoped export ('' when unscoped)
+ * @param {string} workshopName - Workshop name
+ * @returns {string} Slug ending in a dash
+ */
+export const fileSlug = (workshopName) => (workshopName
+  ? `${workshopName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}-`
+  : '');
+
+/**
+ * Triggers the download of a text file
+ * @param {string} content - File contents
+ * @param {string} filename - Download file name
+ * @param {string} type - MIME type
+ */
+export const downloadFile = (content, filename, type) => {
+  const blob = new Blob([content], { type });
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+};
+
+/**
+ * Builds a CSV file from headers and rows and triggers its download
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array>} rows - Cell values per row
+ * @param {string} filename - Download file name
+ */
+const downloadCSV = (headers, rows, filename) => {
+  // Combine headers and rows
+  const csvContent = [
+    headers.join(','),
+    ...rows.map(row => row.map(escapeCSVValue).join(','))
+  ].join('\n');
+
+  downloadFile(csvContent, filename, 'text/csv;charset=utf-8;');
+};
+
 /**
  * Converts builder data to CSV format and triggers download
  * @param {Array} builders - Array of builder objects
+ * @param {Object} options - Export options
+ * @param {string} options.workshopName - Name of the workshop the export is scoped to, if any
  */
-export const exportBuildersToCSV = (builders) => {
+export const exportBuildersToCSV = (builders, { workshopName = null } = {}) => {
   // Define CSV headers
   const headers = [
+    'Workshop',
+    'Team',
     'Name',
     'Email',
     'Sections Completed',
@@ -20,6 +79,8 @@ export const exportBuildersToCSV = (builders) => {
     const isActive = Date.now() - builder.lastUpdate < 300000; // Active in last 5 minutes
     
     return [
+      builder.workshopName || '',
+      builder.team?.name || '',
       builder.userInfo.name,
       builder.userInfo.email,
       builder.progress.completed,
@@ -30,22 +91,36 @@ export const exportBuildersToCSV = (builders) => {
     ];
   });
 
-  // Combine headers and rows
-  const csvContent = [
-    headers.join(','),
-    ...rows.map(row => row.join(','))
-  ].join('\n');
+  downloadCSV(headers, rows, `builder-data-${fileSlug(workshopName)}${new Date().toISOString().split('T')[0]}.csv`);
+};
 
-  // Create and trigger download
-  const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-  const link = document.createElement('a');
-  const url = URL.createObjectURL(blob);
-  
-  link.setAttribute('href', url);
-  link.setAttribute('download', `builder-data-${new Date().toISOString().split('T')[0]}.csv`);
-  link.style.visibility = 'hidden';
-  
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
-}
\ No newline at end of file
+/**
+ * Converts judging results to CSV format and triggers download
+ * @param {Array} leaderboard - Ranked summaries from utils/rubricStats rankLeaderboard
+ * @param {Object} rubric - The rubric the scores were given on
+ * @param {Object} options - Export options
+ * @param {Object} options.names - Session or team ID -> display name
+ * @param {string} options.workshopName - Name of the workshop the export is scoped to, if any
+ */
+export const exportScoresToCSV = (leaderboard, rubric, { names = {}, workshopName = null } = {}) => {
+  const headers = [
+    'Rank',
+    'Name',
+    'Score (0-100)',
+    'Judges',
+    'Spread',
+    ...rubric.criteria.map(criterion => `${criterion.label} (avg, x${criterion.weight})`)
+  ];
+
+  const format = value => (value === null || value === undefined ? '' : value.toFixed(1));
+  const rows = leaderboard.map(row => [
+    row.rank ?? '',
+    names[row.sessionId] || row.sessionId,
+    format(row.score),
+    row.judgeCount,
+    format(row.spread),
+    ...rubric.criteria.map(criterion => format(row.criteria[criterion.id]))
+  ]);
+
+  downloadCSV(headers, rows, `judging-${fileSlug(workshopName)}${new Date().toISOString().split('T')[0]}.csv`);
+};
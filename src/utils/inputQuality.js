@@ -0,0 +1,132 @@
+/**
+ * Offline quality checks for builder section fields. Each free-text field is
+ * scored 0-100 on length, specificity, vague wording and the patterns its
+ * curriculum definition expects (field.quality, see defaultCurriculum.js),
+ * with hints that say what to improve.
+ */
+
+import { tokenize, extractWords } from './textAnalysis';
+import { fieldText } from './wordDiff';
+
+// Default length targets: words per textarea, and per item in list fields
+const DEFAULT_MIN_WORDS = { textarea: 12, list: 4 };
+
+const VAGUE_WORDS = new Set([
+  'stuff', 'thing', 'things', 'etc', 'various', 'somehow', 'something', 'somewhat',
+  'basically', 'lots', 'everything', 'whatever', 'nice', 'easier', 'efficient', 'improve'
+]);
+
+const WEIGHTS = { length: 0.4, specificity: 0.3, clarity: 0.3, expects: 0.3 };
+
+const ratio = (value, target) => Math.min(1, target > 0 ? value / target : 1);
+
+const mean = (numbers) => (numbers.length
+  ? Math.round(numbers.reduce((sum, number) => sum + number, 0) / numbers.length)
+  : null);
+
+/**
+ * Whether the checker scores a field. Short text fields (name, email) aren't scored.
+ * @param {Object} field - Field definition
+ * @returns {boolean}
+ */
+export function isScored(field) {
+  return field.type !== 'text';
+}
+
+/**
+ * Score one field
+ * @param {Object} field - Field definition
+ * @param {string|string[]} value - Field value
+ * @returns {Object|null} - { score, hints: [{ type, message }] }, or null for unscored fields
+ */
+export function scoreField(field, value) {
+  if (!isScored(field)) return null;
+
+  const isList = field.type === 'list';
+  const items = isList
+    ? (Array.isArray(value) ? value : []).filter(item => item?.trim())
+    : [fieldText(value)].filter(text => text.trim());
+  if (items.length === 0) return { score: 0, hints: [] };
+
+  const text = fieldText(items);
+  const tokens = tokenize(text);
+  const minWords = field.quality?.minWords || DEFAULT_MIN_WORDS[isList ? 'list' : 'textarea'];
+  const hints = [];
+
+  // Length: every list item is held to the per-item target
+  const length = items.reduce((sum, item) => sum + ratio(tokenize(item).length, minWords), 0) / items.length;
+  if (length < 1) {
+    hints.push({
+      type: 'length',
+      message: isList
+        ? `Add more detail: aim for ${minWords} or more words per ${(field.itemLabel || 'item').toLowerCase()}.`
+        : `Add more detail: aim for ${minWords} or more words.`
+    });
+  }
+
+  // Specificity: distinct content words, not the same few repeated
+  const specificity = ratio(new Set(extractWords(text)).size, Math.ceil((minWords * items.length) / 2));
+  if (length >= 1 && specificity < 0.6) {
+    hints.push({ type: 'specificity', message: 'Be more specific: name who, what, where or how much.' });
+  }
+
+  const vagueTokens = tokens.filter(token => VAGUE_WORDS.has(token));
+  const vague = [...new Set(vagueTokens)];
+  const clarity = Math.max(0, 1 - (4 * vagueTokens.length) / tokens.length);
+  if (vague.length > 0) {
+    hints.push({
+      type: 'vague',
+      message: `Vague wording: ${vague.slice(0, 3).map(word => `"${word}"`).join(', ')}. Say exactly what you mean.`
+    });
+  }
+
+  const expects = (field.quality?.expects || []).map(expectation => {
+    const met = new RegExp(expectation.pattern, 'i').test(text);
+    if (!met) hints.push({ type: 'expects', message: expectation.hint });
+    return met ? 1 : 0;
+  });
+
+  const parts = [
+    [length, WEIGHTS.length],
+    [specificity, WEIGHTS.specificity],
+    [clarity, WEIGHTS.clarity],
+    ...expects.map(met => [met, WEIGHTS.expects])
+  ];
+  const total = parts.reduce((sum, [part, weight]) => sum + part * weight, 0);
+  const weights = parts.reduce((sum, [, weight]) => sum + weight, 0);
+
+  return { score: Math.round((100 * total) / weights), hints };
+}
+
+/**
+ * Score every scored field in a section
+ * @param {Object} section - Section definition
+ * @param {Object} values - Section values
+ * @returns {Object} - { score (mean of field scores, null when none are scored), fields: { [name]: { score, hints } } }
+ */
+export function scoreSection(section, values = {}) {
+  const fields = {};
+  section.fields.forEach(field => {
+    const result = scoreField(field, values[field.name]);
+    if (result) fields[field.name] = result;
+  });
+
+  return { score: mean(Object.values(fields).map(result => result.score)), fields };
+}
+
+/**
+ * Quality score for a builder across the sections they have started
+ * @param {Object} sections - Section name to input_data, as on admin builder records
+ * @param {Object} curriculum - Curriculum definition
+ * @returns {Object} - { score (null before any scored section is started), sections: { [name]: score } }
+ */
+export function scoreBuilder(sections = {}, curriculum) {
+  const scores = {};
+  curriculum.sections.forEach(section => {
+    if (!sections[section.name]) return;
+    const { score } = scoreSection(section, sections[section.name]);
+    if (score !== null) scores[section.name] = score;
+  });
+
+  return { score: mean(Object.values(scores)), sections: scores };
+}
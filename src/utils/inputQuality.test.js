@@ -0,0 +1,63 @@
+import { scoreField, scoreSection, scoreBuilder } from './inputQuality';
+import { defaultCurriculum, getSection } from '../curriculum';
+
+const problem = getSection('Problem Definition', defaultCurriculum);
+const mvp = getSection('MVP Planner', defaultCurriculum);
+const field = (section, name) => section.fields.find(candidate => candidate.name === name);
+
+const hintTypes = (result) => result.hints.map(hint => hint.type);
+
+describe('scoreField', () => {
+  test('a detailed, specific answer scores full marks with no hints', () => {
+    const result = scoreField(
+      field(problem, 'outcome'),
+      'Students at our school arrive on time at least four mornings per week and report feeling rested before first period'
+    );
+    expect(result).toEqual({ score: 100, hints: [] });
+  });
+
+  test('flags short, vague answers and missing expectations', () => {
+    const result = scoreField(field(problem, 'outcome'), 'Mornings are better and stuff');
+    expect(hintTypes(result)).toEqual(['length', 'vague', 'expects']);
+    expect(result.hints[1].message).toBe('Vague wording: "stuff". Say exactly what you mean.');
+    expect(result.hints[2].message).toMatch(/measurable/);
+    expect(result.score).toBeLessThan(40);
+  });
+
+  test('asks for concrete data sources in data needs', () => {
+    const dataNeeds = field(mvp, 'dataNeeds');
+    const vague = scoreField(dataNeeds, 'Information about what people like to eat during the week');
+    const concrete = scoreField(dataNeeds, 'Weekly grocery receipts, a short taste survey and a public recipe dataset');
+    expect(hintTypes(vague)).toEqual(['expects']);
+    expect(hintTypes(concrete)).toEqual([]);
+    expect(concrete.score).toBeGreaterThan(vague.score);
+  });
+
+  test('repetitive answers are not specific', () => {
+    const result = scoreField(field(problem, 'context'), 'It is hard and it is hard and it is so very hard for all of them');
+    expect(hintTypes(result)).toEqual(['specificity']);
+  });
+
+  test('holds each list item to the per-item target and skips empty items', () => {
+    const result = scoreField(field(mvp, 'aiOptions'), ['A chatbot', '', '']);
+    expect(result.hints[0].message).toBe('Add more detail: aim for 4 or more words per option.');
+    expect(scoreField(field(mvp, 'aiOptions'), ['', '', ''])).toEqual({ score: 0, hints: [] });
+  });
+
+  test('does not score short text fields', () => {
+    expect(scoreField({ name: 'email', type: 'text' }, 'me@example.com')).toBeNull();
+  });
+});
+
+test('section and builder scores average what has been started', () => {
+  const section = scoreSection(problem, { summary: '', context: '', impact: '', rootCauses: '', outcome: '' });
+  expect(section.score).toBe(0);
+  expect(Object.keys(section.fields)).toEqual(['summary', 'context', 'impact', 'rootCauses', 'outcome']);
+
+  const builder = scoreBuilder({
+    'User Info': { name: 'Sam', email: 'sam@example.com' },
+    'Problem Definition': { summary: '', context: '', impact: '', rootCauses: '', outcome: '' }
+  }, defaultCurriculum);
+  expect(builder).toEqual({ score: 0, sections: { 'Problem Definition': 0 } });
+  expect(scoreBuilder({}, defaultCurriculum).score).toBeNull();
+});
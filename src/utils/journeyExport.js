@@ -0,0 +1,268 @@
+/**
+ * Markdown and PDF exports of builders' workshop journeys, laid out by an
+ * export template. A template is data, so program leads can edit it:
+ *
+ * {
+ *   title: 'heading for each builder, with placeholders',
+ *   intro: 'optional text under the title',
+ *   cohortTitle: 'heading of a cohort export',
+ *   blocks: [{ type, title, enabled, sections?, text? }]
+ * }
+ *
+ * Block types are listed in BLOCK_TYPES. Placeholders are {{name}}, {{email}},
+ * {{workshop}}, {{team}} and {{date}}. PDFs are made by the browser: the
+ * export opens as a printable page and the print dialog saves it as a PDF.
+ */
+
+import { downloadFile, fileSlug } from './csvExport';
+import { fieldText } from './wordDiff';
+
+export const BLOCK_TYPES = {
+  sections: 'Section inputs',
+  projectReview: 'Project review',
+  aiSummary: 'AI summary',
+  interviewSummary: 'Interview summary',
+  transcript: 'Interview transcript',
+  adminNotes: 'Facilitator notes',
+  text: 'Custom text'
+};
+
+export const DEFAULT_EXPORT_TEMPLATE = {
+  title: '{{name}}',
+  intro: '{{workshop}}',
+  cohortTitle: '{{workshop}}: Workshop Journeys',
+  blocks: [
+    { type: 'aiSummary', title: 'Summary', enabled: true },
+    { type: 'sections', title: 'Workshop Sections', enabled: true },
+    { type: 'projectReview', title: 'Project Review', enabled: true },
+    { type: 'interviewSummary', title: 'Interview Summary', enabled: true },
+    { type: 'transcript', title: 'Interview Transcript', enabled: true },
+    { type: 'adminNotes', title: 'Facilitator Notes', enabled: true }
+  ]
+};
+
+const heading = (level, text) => `${'#'.repeat(Math.min(level, 6))} ${text}`;
+
+const bulletList = (items) => items.map(item => `- ${String(item).replace(/\s*\n\s*/g, ' ')}`).join('\n');
+
+// Turn a snake_case or camelCase key into a label
+const humanize = (key) => {
+  const words = key.replace(/_/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * Fill {{placeholders}} from values; unknown ones become empty
+ * @param {string} text - Template text
+ * @param {Object} values - Placeholder name -> value
+ * @returns {string}
+ */
+export function fillPlaceholders(text, values) {
+  return (text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => values[key] ?? '').trim();
+}
+
+const placeholders = (journey, workshopName = null) => ({
+  name: journey.name || '',
+  email: journey.email || '',
+  workshop: journey.workshopName || workshopName || '',
+  team: journey.teamName || '',
+  date: new Date().toLocaleDateString()
+});
+
+const renderSections = (journey, block, curriculum, level) => curriculum.sections
+  .filter(section => !section.builtIn && (!block.sections || block.sections.includes(section.name)))
+  .filter(section => journey.sections?.[section.name])
+  .map(section => {
+    const data = journey.sections[section.name];
+    const fields = section.fields
+      .map(field => {
+        const label = field.displayLabel || field.label;
+        if (field.type === 'list') {
+          const items = (Array.isArray(data[field.name]) ? data[field.name] : []).filter(item => item?.trim());
+          return items.length > 0 ? `**${label}:**\n\n${bulletList(items)}` : null;
+        }
+        const text = fieldText(data[field.name]).trim();
+        return text ? `**${label}:** ${text}` : null;
+      })
+      .filter(Boolean);
+    return fields.length > 0 ? [heading(level, section.title || section.name), ...fields].join('\n\n') : null;
+  })
+  .filter(Boolean)
+  .join('\n\n');
+
+const renderReview = (review) => {
+  if (!review) return '';
+  const lists = [['strengths', 'Strengths'], ['gaps', 'Gaps'], ['nextSteps', 'Next steps']]
+    .filter(([key]) => review[key]?.length > 0)
+    .map(([key, label]) => `**${label}:**\n\n${bulletList(review[key])}`);
+  if (review.resources?.length > 0) {
+    lists.push(`**Suggested resources:**\n\n${bulletList(review.resources.map(resource => (
+      resource.why ? `${resource.title}: ${resource.why}` : resource.title
+    )))}`);
+  }
+  return lists.join('\n\n');
+};
+
+const renderInterviewSummary = (summary) => {
+  if (!summary) return '';
+  if (typeof summary === 'string') return summary.trim();
+  const parts = [];
+  if (summary.conclusion) parts.push(summary.conclusion);
+  Object.entries(summary).forEach(([key, value]) => {
+    if (Array.isArray(value) && value.length > 0) {
+      parts.push(`**${humanize(key)}:**\n\n${bulletList(value)}`);
+    }
+  });
+  return parts.join('\n\n');
+};
+
+const renderBlock = (journey, block, curriculum, level) => {
+  switch (block.type) {
+    case 'sections':
+      return renderSections(journey, block, curriculum, level + 2);
+    case 'projectReview':
+      return renderReview(journey.review);
+    case 'aiSummary':
+      return (journey.aiSummary || '').trim();
+    case 'interviewSummary':
+      return renderInterviewSummary(journey.interviewSummary);
+    case 'transcript':
+      return (journey.transcript || '').trim().split(/\n+/).map(line => `> ${line}`).join('\n>\n');
+    case 'adminNotes':
+      return (journey.adminNotes || '').trim();
+    case 'text':
+      return fillPlaceholders(block.text, placeholders(journey));
+    default:
+      return '';
+  }
+};
+
+/**
+ * One builder's journey as Markdown
+ * @param {Object} journey - { name, email, workshopName, teamName, sections, review,
+ *   aiSummary, interviewSummary, transcript, adminNotes }
+ * @param {Object} template - Export template
+ * @param {Object} curriculum - Curriculum definition
+ * @param {number} level - Heading level of the builder's title
+ * @returns {string}
+ */
+export function buildJourneyMarkdown(journey, template, curriculum, level = 1) {
+  const values = placeholders(journey);
+  const parts = [heading(level, fillPlaceholders(template.title, values) || journey.name || 'Builder')];
+  const intro = fillPlaceholders(template.intro, values);
+  if (intro) parts.push(intro);
+
+  template.blocks
+    .filter(block => block.enabled !== false)
+    .forEach(block => {
+      const body = renderBlock(journey, block, curriculum, level);
+      if (!body) return;
+      const title = fillPlaceholders(block.title, values);
+      if (title) parts.push(heading(level + 1, title));
+      parts.push(body);
+    });
+
+  return `${parts.join('\n\n')}\n`;
+}
+
+/**
+ * Several builders' journeys as one Markdown document
+ * @param {Array} journeys - Journeys (see buildJourneyMarkdown)
+ * @param {Object} template - Export template
+ * @param {Object} curriculum - Curriculum definition
+ * @param {Object} options - { workshopName }
+ * @returns {string}
+ */
+export function buildCohortMarkdown(journeys, template, curriculum, { workshopName = null } = {}) {
+  const title = fillPlaceholders(template.cohortTitle, placeholders({}, workshopName)) || 'Workshop Journeys';
+  return [
+    `${heading(1, title)}\n`,
+    ...journeys.map(journey => buildJourneyMarkdown(journey, template, curriculum, 2))
+  ].join('\n---\n\n');
+}
+
+const escapeHTML = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const inline = (text) => escapeHTML(text).replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
+
+/**
+ * HTML for the Markdown these exports produce: headings, paragraphs, bold,
+ * bullet lists, quotes and rules
+ * @param {string} markdown - Markdown from buildJourneyMarkdown or buildCohortMarkdown
+ * @returns {string}
+ */
+export function markdownToHtml(markdown) {
+  return markdown.split(/\n{2,}/).map(block => {
+    const text = block.trim();
+    if (!text) return '';
+    if (text === '---') return '<hr>';
+
+    const headingMatch = /^(#{1,6}) (.*)$/.exec(text);
+    if (headingMatch && !text.includes('\n')) {
+      const level = headingMatch[1].length;
+      return `<h${level}>${inline(headingMatch[2])}</h${level}>`;
+    }
+
+    const lines = text.split('\n');
+    if (lines.every(line => line.startsWith('- '))) {
+      return `<ul>${lines.map(line => `<li>${inline(line.slice(2))}</li>`).join('')}</ul>`;
+    }
+    if (lines.every(line => line.startsWith('>'))) {
+      return `<blockquote>${lines.map(line => inline(line.replace(/^>\s?/, ''))).join('<br>')}</blockquote>`;
+    }
+    return `<p>${lines.map(inline).join('<br>')}</p>`;
+  }).filter(Boolean).join('\n');
+}
+
+const exportName = (title, extension) =>
+  `${fileSlug(title)}${new Date().toISOString().split('T')[0]}.${extension}`;
+
+/**
+ * Download Markdown as a .md file
+ * @param {string} markdown - The export
+ * @param {string} title - Used in the file name
+ */
+export const exportMarkdown = (markdown, title) => {
+  downloadFile(markdown, exportName(title, 'md'), 'text/markdown;charset=utf-8;');
+};
+
+const PRINT_STYLES = `
+  body { font-family: Georgia, serif; max-width: 750px; margin: 40px auto; padding: 0 20px; color: #111; line-height: 1.5; }
+  h1, h2, h3, h4 { font-family: Helvetica, Arial, sans-serif; }
+  h1 { border-bottom: 2px solid #4CAF50; padding-bottom: 5px; }
+  hr { page-break-after: always; border: none; }
+  blockquote { color: #444; border-left: 3px solid #ccc; margin-left: 0; padding-left: 15px; }
+`;
+
+/**
+ * Open the export as a printable page and show the print dialog, where it can
+ * be saved as a PDF. Each builder in a cohort export starts on a new page.
+ * @param {string} markdown - The export
+ * @param {string} title - Page title (the PDF's default file name)
+ * @param {Window} printWindow - A window opened beforehand; browsers block
+ *   windows opened after waiting for data, so open it when the user clicks
+ * @returns {boolean} - False if the browser blocked the new window
+ */
+export const exportPDF = (markdown, title, printWindow = window.open('', '_blank')) => {
+  if (!printWindow) return false;
+
+  printWindow.document.write(`<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)}</title>
+<style>${PRINT_STYLES}</style>
+</head>
+<body>
+${markdownToHtml(markdown)}
+</body>
+</html>`);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+  return true;
+};
@@ -0,0 +1,81 @@
+import {
+  DEFAULT_EXPORT_TEMPLATE,
+  fillPlaceholders,
+  buildJourneyMarkdown,
+  buildCohortMarkdown,
+  markdownToHtml
+} from './journeyExport';
+import { defaultCurriculum } from '../curriculum';
+
+const journey = {
+  name: 'Sam Lee',
+  email: 'sam@example.com',
+  workshopName: 'Spring Cohort',
+  teamName: '',
+  sections: {
+    'User Info': { name: 'Sam Lee', email: 'sam@example.com' },
+    'MVP Planner': { aiOptions: ['A chatbot', '', 'A planner'], howItWorks: 'It reads the bus schedule', dataNeeds: '' }
+  },
+  review: { strengths: ['Clear problem'], gaps: [], nextSteps: ['Test with five students'], resources: [] },
+  aiSummary: 'Sam built a morning planner.',
+  interviewSummary: { conclusion: 'Strong start.', key_points: ['Knows the users'], next_steps: [] },
+  transcript: 'Q: Who is it for?\nA: Students',
+  adminNotes: ''
+};
+
+test('fillPlaceholders fills known placeholders and drops unknown ones', () => {
+  expect(fillPlaceholders('{{name}} ({{ team }}) {{nope}}', { name: 'Sam', team: 'Owls' })).toBe('Sam (Owls)');
+  expect(fillPlaceholders(undefined, {})).toBe('');
+});
+
+test('buildJourneyMarkdown follows the template and leaves out empty blocks and fields', () => {
+  const markdown = buildJourneyMarkdown(journey, DEFAULT_EXPORT_TEMPLATE, defaultCurriculum);
+
+  expect(markdown.startsWith('# Sam Lee\n\nSpring Cohort\n\n## Summary\n\nSam built a morning planner.')).toBe(true);
+  expect(markdown).toContain('### MVP Planner');
+  expect(markdown).toContain('**Ideas:**\n\n- A chatbot\n- A planner');
+  expect(markdown).toContain('**How It Works:** It reads the bus schedule');
+  expect(markdown).not.toContain('Data Needs');
+  expect(markdown).not.toContain('User Info');
+  expect(markdown).toContain('**Next steps:**\n\n- Test with five students');
+  expect(markdown).toContain('Strong start.\n\n**Key points:**\n\n- Knows the users');
+  expect(markdown).toContain('> Q: Who is it for?\n>\n> A: Students');
+  expect(markdown).not.toContain('Facilitator Notes');
+});
+
+test('buildJourneyMarkdown skips switched-off blocks and limits sections', () => {
+  const template = {
+    ...DEFAULT_EXPORT_TEMPLATE,
+    intro: '',
+    blocks: [
+      { type: 'text', title: 'For {{workshop}}', text: 'Prepared for {{name}}', enabled: true },
+      { type: 'sections', title: 'Sections', sections: ['Problem Definition'], enabled: true },
+      { type: 'aiSummary', title: 'Summary', enabled: false }
+    ]
+  };
+
+  expect(buildJourneyMarkdown(journey, template, defaultCurriculum)).toBe(
+    '# Sam Lee\n\n## For Spring Cohort\n\nPrepared for Sam Lee\n'
+  );
+});
+
+test('buildCohortMarkdown puts each builder under the cohort heading', () => {
+  const markdown = buildCohortMarkdown([journey, { ...journey, name: 'Alex Kim' }], DEFAULT_EXPORT_TEMPLATE, defaultCurriculum, {
+    workshopName: 'Spring Cohort'
+  });
+
+  expect(markdown.startsWith('# Spring Cohort: Workshop Journeys\n')).toBe(true);
+  expect(markdown).toContain('\n---\n\n## Sam Lee\n');
+  expect(markdown).toContain('\n---\n\n## Alex Kim\n');
+  expect(markdown).toContain('#### MVP Planner');
+});
+
+test('markdownToHtml converts the exported Markdown and escapes HTML', () => {
+  expect(markdownToHtml('# A <b>title</b>\n\n**Ideas:** one & two\n\n- first\n- second\n\n> Q\n>\n> A\n\n---')).toBe([
+    '<h1>A &lt;b&gt;title&lt;/b&gt;</h1>',
+    '<p><strong>Ideas:</strong> one &amp; two</p>',
+    '<ul><li>first</li><li>second</li></ul>',
+    '<blockquote>Q<br><br>A</blockquote>',
+    '<hr>'
+  ].join('\n'));
+});
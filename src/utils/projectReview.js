@@ -0,0 +1,107 @@
+/**
+ * Project reviews: a structured look at a builder's whole project once they
+ * finish the curriculum's review section (startsReview). The AI review and the
+ * offline one here give the same shape:
+ *
+ * { strengths: [string], gaps: [string], nextSteps: [string], resources: [{ title, why }] }
+ */
+
+import { getReviewSection, toFormValues, validateSection } from '../curriculum';
+import { fieldText } from './wordDiff';
+import { reviewDraft } from './coachHints';
+import { scoreSection } from './inputQuality';
+
+// Most items kept per list
+const MAX_ITEMS = 5;
+
+/**
+ * Whether the review section is filled in, so the project can be reviewed
+ * @param {Object} sections - Section name -> input_data
+ * @param {Object} curriculum - Curriculum definition
+ * @returns {boolean}
+ */
+export function isReadyForReview(sections, curriculum) {
+  const section = getReviewSection(curriculum);
+  if (!section || !sections?.[section.name]) return false;
+  return Object.keys(validateSection(section, toFormValues(section, sections[section.name]))).length === 0;
+}
+
+/**
+ * The project's answers as the review prompt sees them: section name -> field label -> text
+ * @param {Object} sections - Section name -> input_data
+ * @param {Object} curriculum - Curriculum definition
+ * @returns {Object}
+ */
+export function reviewInput(sections, curriculum) {
+  const input = {};
+  curriculum.sections.forEach(section => {
+    if (section.builtIn || !sections?.[section.name]) return;
+    const answers = {};
+    section.fields.forEach(field => {
+      const text = fieldText(sections[section.name][field.name]).trim();
+      if (text) answers[field.displayLabel || field.label] = text;
+    });
+    if (Object.keys(answers).length > 0) input[section.name] = answers;
+  });
+  return input;
+}
+
+const strings = (list) => (Array.isArray(list) ? list : [])
+  .filter(item => typeof item === 'string' && item.trim())
+  .map(item => item.trim())
+  .slice(0, MAX_ITEMS);
+
+/**
+ * Tidy a model's review into the review shape
+ * @param {Object} data - The model's parsed JSON
+ * @returns {Object} - Review (see above)
+ */
+export function normalizeReview(data) {
+  return {
+    strengths: strings(data?.strengths),
+    gaps: strings(data?.gaps),
+    nextSteps: strings(data?.nextSteps),
+    resources: (Array.isArray(data?.resources) ? data.resources : [])
+      .filter(item => item && typeof item.title === 'string' && item.title.trim())
+      .map(item => ({ title: item.title.trim(), why: typeof item.why === 'string' ? item.why.trim() : '' }))
+      .slice(0, MAX_ITEMS)
+  };
+}
+
+/**
+ * Offline review from the curriculum's coach checks and the input quality
+ * scores: the strongest fields, what the checks flag, and their suggestions.
+ * It has no resources to recommend.
+ * @param {Object} sections - Section name -> input_data
+ * @param {Object} curriculum - Curriculum definition
+ * @returns {Object} - Review (see above)
+ */
+export function ruleBasedReview(sections, curriculum) {
+  const strengths = [];
+  const gaps = [];
+  const nextSteps = [];
+
+  curriculum.sections.forEach(section => {
+    if (section.builtIn || !sections?.[section.name]) return;
+    const values = toFormValues(section, sections[section.name]);
+    const label = (name) => {
+      const field = section.fields.find(candidate => candidate.name === name);
+      return field?.displayLabel || field?.label || name;
+    };
+
+    Object.entries(scoreSection(section, values).fields).forEach(([name, result]) => {
+      if (result.score >= 80) strengths.push(`${label(name)} (${section.name}) is detailed and specific.`);
+    });
+    reviewDraft(section, values).forEach(item => {
+      gaps.push(`${section.name}: ${item.message}`);
+      if (item.suggestion) nextSteps.push(`${label(item.field)}: ${item.suggestion}`);
+    });
+  });
+
+  return {
+    strengths: strengths.slice(0, MAX_ITEMS),
+    gaps: gaps.slice(0, MAX_ITEMS),
+    nextSteps: nextSteps.slice(0, MAX_ITEMS),
+    resources: []
+  };
+}
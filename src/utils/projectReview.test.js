@@ -0,0 +1,55 @@
+import { isReadyForReview, reviewInput, normalizeReview, ruleBasedReview } from './projectReview';
+import { defaultCurriculum } from '../curriculum';
+
+const presentation = {
+  problem: 'Students miss the bus',
+  solution: 'A morning planner',
+  demo: 'We show the checklist',
+  journey: 'Learned to narrow scope',
+  impact: 'Calmer mornings'
+};
+
+test('a project is ready for review once the review section is complete', () => {
+  expect(isReadyForReview({}, defaultCurriculum)).toBe(false);
+  expect(isReadyForReview({ 'Presentations & Retro': { ...presentation, demo: '' } }, defaultCurriculum)).toBe(false);
+  expect(isReadyForReview({ 'Presentations & Retro': presentation }, defaultCurriculum)).toBe(true);
+});
+
+test('reviewInput labels the answers and leaves out empty fields and built-in sections', () => {
+  const input = reviewInput({
+    'User Info': { name: 'Sam', email: 'sam@example.com' },
+    'MVP Planner': { aiOptions: ['A chatbot', '', ''], howItWorks: '  ' }
+  }, defaultCurriculum);
+
+  expect(input).toEqual({ 'MVP Planner': { Ideas: 'A chatbot' } });
+});
+
+test('normalizeReview keeps well-formed items only', () => {
+  expect(normalizeReview({
+    strengths: [' Clear problem ', 3, ''],
+    gaps: 'not a list',
+    resources: [{ title: 'User interviews guide', why: 'Test the problem' }, { why: 'no title' }]
+  })).toEqual({
+    strengths: ['Clear problem'],
+    gaps: [],
+    nextSteps: [],
+    resources: [{ title: 'User interviews guide', why: 'Test the problem' }]
+  });
+});
+
+test('ruleBasedReview turns failed checks into gaps and their suggestions into next steps', () => {
+  const review = ruleBasedReview({
+    'Problem Definition': {
+      summary: 'High school students miss the first bus because their mornings have no routine at all',
+      context: 'They stay up late on their phones and hit snooze',
+      impact: 'It makes mornings stressful',
+      rootCauses: 'No fixed bedtime and alarms that are easy to ignore',
+      outcome: 'Students leave home 10 minutes earlier on school days'
+    }
+  }, defaultCurriculum);
+
+  expect(review.strengths).toContain('Summary (Problem Definition) is detailed and specific.');
+  expect(review.gaps).toEqual(['Problem Definition: Your impact field names no affected group.']);
+  expect(review.nextSteps).toEqual(['Impact: Say who is affected, then what it costs them.']);
+  expect(review.resources).toEqual([]);
+});
@@ -0,0 +1,153 @@
+/**
+ * Helpers for AI rubric pre-scoring: the builder text a grader may cite, checks
+ * that its citations really quote that text, and a deterministic offline grader
+ * used for tests and demos without an API key.
+ *
+ * A grade is { criterionId, score, rationale, confidence, evidence: [{ ref, quote }] }
+ * where ref names a field like "problemDefinition.impact".
+ */
+
+import { extractWords } from './textAnalysis';
+import { fieldText } from './wordDiff';
+
+const camelCase = (id) => id.replace(/-([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+
+const normalize = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Reference for a field, e.g. "startBuild.functionality" for Start Build's functionality field
+ * @param {Object} section - Section definition
+ * @param {Object} field - Field definition
+ * @returns {string} The field reference
+ */
+export function fieldRef(section, field) {
+  return `${camelCase(section.id)}.${field.name}`;
+}
+
+/**
+ * Collect the filled-in fields of the given sections
+ * @param {Object} sectionsData - Section name -> input_data
+ * @param {Array<Object>} sections - Section definitions to include, in order
+ * @returns {Array} - { ref, sectionName, label, text } per non-empty field
+ */
+export function collectEvidenceFields(sectionsData, sections) {
+  return sections.flatMap(section => section.fields.map(field => ({
+    ref: fieldRef(section, field),
+    sectionName: section.name,
+    label: field.displayLabel || field.label,
+    text: fieldText(sectionsData?.[section.name]?.[field.name]).trim()
+  }))).filter(field => field.text);
+}
+
+/**
+ * Keep only citations whose quote appears in the cited field (ignoring case and
+ * spacing), and lower each grade's confidence by the share of citations dropped.
+ * A grade that cites nothing keeps half its confidence.
+ * @param {Array} grades - Grades as returned by a grader
+ * @param {Array} fields - Output of collectEvidenceFields
+ * @returns {{grades: Array, dropped: number}} - Checked grades and how many citations were removed
+ */
+export function verifyCitations(grades, fields) {
+  const textByRef = Object.fromEntries(fields.map(field => [field.ref, normalize(field.text)]));
+  let dropped = 0;
+
+  const checked = grades.map(grade => {
+    const evidence = (grade.evidence || []).filter(item =>
+      item?.quote && textByRef[item.ref]?.includes(normalize(item.quote))
+    );
+    const cited = (grade.evidence || []).length;
+    dropped += cited - evidence.length;
+
+    const confidence = typeof grade.confidence === 'number' ? grade.confidence : 0.5;
+    return {
+      ...grade,
+      evidence,
+      confidence: cited > 0 ? confidence * (evidence.length / cited) : confidence * 0.5
+    };
+  });
+
+  return { grades: checked, dropped };
+}
+
+/**
+ * Clamp and round grades to the rubric scale; criteria the grader skipped get no grade
+ * @param {Object} rubric - The rubric
+ * @param {Array} grades - Grades as returned by a grader
+ * @returns {Array} - One grade per rubric criterion that was graded, in rubric order
+ */
+export function normalizeGrades(rubric, grades) {
+  return rubric.criteria
+    .map(criterion => {
+      const grade = grades.find(item => item?.criterionId === criterion.id);
+      if (!grade || typeof grade.score !== 'number' || Number.isNaN(grade.score)) return null;
+      return {
+        ...grade,
+        score: Math.min(rubric.scale_max, Math.max(rubric.scale_min, Math.round(grade.score))),
+        confidence: Math.min(1, Math.max(0, grade.confidence ?? 0.5))
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Overall confidence of a set of grades
+ * @param {Array} grades - Checked grades
+ * @returns {number|null} - Mean confidence, or null without grades
+ */
+export function overallConfidence(grades) {
+  if (grades.length === 0) return null;
+  return grades.reduce((sum, grade) => sum + grade.confidence, 0) / grades.length;
+}
+
+const splitSentences = (text) => text
+  .split(/(?<=[.!?])\s+|\n+/)
+  .map(sentence => sentence.trim())
+  .filter(Boolean);
+
+/**
+ * Deterministic offline grader. For each criterion it cites the sentences that
+ * share the most words with the criterion's label and description, and scores
+ * how much relevant text there is. Useful for demos and tests, not for judging:
+ * its confidence never goes above 0.5.
+ * @param {Object} rubric - The rubric
+ * @param {Array} fields - Output of collectEvidenceFields
+ * @returns {Array} - One grade per criterion
+ */
+export function stubGrade(rubric, fields) {
+  const range = rubric.scale_max - rubric.scale_min;
+
+  return rubric.criteria.map(criterion => {
+    const keywords = new Set(extractWords(`${criterion.label} ${criterion.description || ''}`));
+
+    const sentences = fields.flatMap(field => splitSentences(field.text).map((sentence, index) => {
+      const words = extractWords(sentence);
+      return {
+        ref: field.ref,
+        quote: sentence,
+        order: index,
+        words: words.length,
+        hits: words.filter(word => keywords.has(word)).length
+      };
+    }));
+
+    // Most matching sentences first; otherwise the longest, so every criterion cites something
+    const ranked = [...sentences].sort((a, b) => b.hits - a.hits || b.words - a.words);
+    const evidence = ranked.slice(0, 2);
+    const hits = evidence.reduce((sum, item) => sum + item.hits, 0);
+    const words = evidence.reduce((sum, item) => sum + item.words, 0);
+
+    const strength = evidence.length === 0
+      ? 0
+      : 0.5 * Math.min(1, words / 30) + 0.5 * Math.min(1, hits / 3);
+
+    return {
+      criterionId: criterion.id,
+      score: Math.round(rubric.scale_min + strength * range),
+      rationale: evidence.length === 0
+        ? 'Nothing written in the judged sections yet.'
+        : `${hits} matching ${hits === 1 ? 'word' : 'words'} for "${criterion.label}" across ${words} words of cited text.`,
+      confidence: evidence.length === 0 ? 0.5 : 0.2 + 0.3 * Math.min(1, hits / 3),
+      evidence: evidence.map(({ ref, quote }) => ({ ref, quote }))
+    };
+  });
+}
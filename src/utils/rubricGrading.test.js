@@ -0,0 +1,95 @@
+import {
+  fieldRef,
+  collectEvidenceFields,
+  verifyCitations,
+  normalizeGrades,
+  overallConfidence,
+  stubGrade
+} from './rubricGrading';
+
+const sections = [
+  {
+    id: 'start-build',
+    name: 'Start Build',
+    fields: [
+      { name: 'whatBuilt', label: 'What did you build?' },
+      { name: 'functionality', label: 'Functionality', type: 'list' }
+    ]
+  }
+];
+
+const rubric = {
+  scale_min: 1,
+  scale_max: 5,
+  criteria: [
+    { id: 'demo', label: 'Working demo', description: 'Does the product work end to end?', weight: 1 },
+    { id: 'ai', label: 'Use of AI', description: 'Is the model used for grading essays?', weight: 1 }
+  ]
+};
+
+const fields = collectEvidenceFields({
+  'Start Build': {
+    whatBuilt: 'A grading assistant for teachers. The model drafts feedback on student essays.',
+    functionality: ['Upload essays', '', 'Working demo of feedback drafts']
+  }
+}, sections);
+
+test('field references use the camel-cased section id', () => {
+  expect(fieldRef(sections[0], sections[0].fields[1])).toBe('startBuild.functionality');
+  expect(fields.map(field => field.ref)).toEqual(['startBuild.whatBuilt', 'startBuild.functionality']);
+  expect(fields[1].text).toBe('Upload essays\nWorking demo of feedback drafts');
+  expect(collectEvidenceFields({}, sections)).toEqual([]);
+});
+
+test('citations must quote the cited field', () => {
+  const { grades, dropped } = verifyCitations([
+    {
+      criterionId: 'demo',
+      confidence: 0.8,
+      evidence: [
+        { ref: 'startBuild.functionality', quote: 'working  demo of feedback' },
+        { ref: 'startBuild.whatBuilt', quote: 'Upload essays' }
+      ]
+    },
+    { criterionId: 'ai', confidence: 0.6, evidence: [] }
+  ], fields);
+
+  expect(dropped).toBe(1);
+  expect(grades[0].evidence).toEqual([{ ref: 'startBuild.functionality', quote: 'working  demo of feedback' }]);
+  expect(grades[0].confidence).toBeCloseTo(0.4);
+  expect(grades[1].confidence).toBeCloseTo(0.3);
+});
+
+test('grades are clamped to the scale and kept in rubric order', () => {
+  const grades = normalizeGrades(rubric, [
+    { criterionId: 'ai', score: 9, confidence: 2 },
+    { criterionId: 'demo', score: 2.6 },
+    { criterionId: 'unknown', score: 3 }
+  ]);
+  expect(grades.map(grade => [grade.criterionId, grade.score, grade.confidence])).toEqual([
+    ['demo', 3, 0.5],
+    ['ai', 5, 1]
+  ]);
+  expect(overallConfidence(grades)).toBeCloseTo(0.75);
+  expect(overallConfidence([])).toBeNull();
+});
+
+test('the offline grader is deterministic and cites real text', () => {
+  const first = stubGrade(rubric, fields);
+  expect(stubGrade(rubric, fields)).toEqual(first);
+  expect(first.map(grade => grade.criterionId)).toEqual(['demo', 'ai']);
+
+  first.forEach(grade => {
+    expect(grade.score).toBeGreaterThanOrEqual(1);
+    expect(grade.score).toBeLessThanOrEqual(5);
+    expect(grade.confidence).toBeLessThanOrEqual(0.5);
+  });
+  expect(verifyCitations(first, fields).dropped).toBe(0);
+  expect(first[0].evidence[0]).toEqual({ ref: 'startBuild.functionality', quote: 'Working demo of feedback drafts' });
+});
+
+test('the offline grader gives the lowest score when nothing is written', () => {
+  const [grade] = stubGrade(rubric, []);
+  expect(grade.score).toBe(1);
+  expect(grade.evidence).toEqual([]);
+});
@@ -0,0 +1,202 @@
+/**
+ * Scoring maths for judged rubrics: weighted totals, leaderboards and how
+ * closely the judges agree with each other.
+ *
+ * A rubric is { criteria: [{ id, label, weight }], scale_min, scale_max } and a
+ * score entry is { sessionId, judgeId, judgeName, scores: { criterionId: number } }.
+ */
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const standardDeviation = (values) => {
+  if (values.length < 2) return 0;
+  const average = mean(values);
+  return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+};
+
+const isScore = (value) => typeof value === 'number' && !Number.isNaN(value);
+
+/**
+ * Weighted total of one judge's scores as a percentage of the scale. Criteria
+ * the judge skipped are left out rather than counted as zero.
+ * @param {Object} rubric - The rubric
+ * @param {Object} scores - Criterion ID -> score
+ * @returns {number|null} 0-100, or null when nothing was scored
+ */
+export function weightedScore(rubric, scores) {
+  const range = rubric.scale_max - rubric.scale_min;
+  let total = 0;
+  let weights = 0;
+
+  rubric.criteria.forEach(criterion => {
+    const value = scores?.[criterion.id];
+    const weight = criterion.weight ?? 1;
+    if (!isScore(value) || weight <= 0) return;
+    total += weight * (range > 0 ? (value - rubric.scale_min) / range : 1);
+    weights += weight;
+  });
+
+  return weights > 0 ? (total / weights) * 100 : null;
+}
+
+/**
+ * Combine every judge's scores per builder (or team)
+ * @param {Object} rubric - The rubric
+ * @param {Array} entries - Score entries
+ * @returns {Array} - { sessionId, judgeCount, score, spread, criteria } per session;
+ *   score is the judges' mean weighted total, spread the standard deviation between judges
+ */
+export function summarizeEntries(rubric, entries) {
+  const bySession = {};
+  entries.forEach(entry => {
+    (bySession[entry.sessionId] = bySession[entry.sessionId] || []).push(entry);
+  });
+
+  return Object.entries(bySession).map(([sessionId, sessionEntries]) => {
+    const totals = sessionEntries
+      .map(entry => weightedScore(rubric, entry.scores))
+      .filter(isScore);
+
+    const criteria = {};
+    rubric.criteria.forEach(criterion => {
+      const values = sessionEntries.map(entry => entry.scores?.[criterion.id]).filter(isScore);
+      criteria[criterion.id] = values.length > 0 ? mean(values) : null;
+    });
+
+    return {
+      sessionId,
+      judgeCount: totals.length,
+      score: totals.length > 0 ? mean(totals) : null,
+      spread: standardDeviation(totals),
+      criteria
+    };
+  });
+}
+
+/**
+ * Sort summaries by score and number them; equal scores share a rank (1, 2, 2, 4)
+ * @param {Array} summaries - Output of summarizeEntries
+ * @returns {Array} - Scored summaries with a rank, best first; unscored ones last without a rank
+ */
+export function rankLeaderboard(summaries) {
+  const scored = summaries
+    .filter(summary => isScore(summary.score))
+    .sort((a, b) => b.score - a.score);
+  const unscored = summaries.filter(summary => !isScore(summary.score));
+
+  const ranked = scored.map((summary, index) => {
+    const tied = index > 0 && Math.abs(summary.score - scored[index - 1].score) < 1e-9;
+    return { ...summary, rank: tied ? null : index + 1 };
+  });
+  ranked.forEach((summary, index) => {
+    if (summary.rank === null) summary.rank = ranked[index - 1].rank;
+  });
+
+  return [...ranked, ...unscored.map(summary => ({ ...summary, rank: null }))];
+}
+
+/**
+ * Krippendorff's alpha for interval data. Each unit is the list of scores the
+ * judges gave one criterion of one builder; units with fewer than two scores
+ * are ignored, so judges don't all have to score everyone.
+ * @param {Array<Array<number>>} units - Scores per unit
+ * @returns {number|null} 1 is perfect agreement, 0 is chance level; null when there is nothing to compare
+ */
+export function krippendorffAlpha(units) {
+  const pairable = units.map(values => values.filter(isScore)).filter(values => values.length >= 2);
+  const all = pairable.flat();
+  const n = all.length;
+  if (n < 2) return null;
+
+  // Sum over ordered pairs i != j of (a_i - a_j)^2 = 2 * (m * sum(a^2) - sum(a)^2)
+  const pairDisagreement = (values) => {
+    const sum = values.reduce((acc, value) => acc + value, 0);
+    const sumSquares = values.reduce((acc, value) => acc + value * value, 0);
+    return 2 * (values.length * sumSquares - sum * sum);
+  };
+
+  const observed = pairable.reduce(
+    (acc, values) => acc + pairDisagreement(values) / (values.length - 1),
+    0
+  ) / n;
+  const expected = pairDisagreement(all) / (n * (n - 1));
+
+  if (expected === 0) return null;
+  return 1 - observed / expected;
+}
+
+/**
+ * How closely the judges agree across a rubric
+ * @param {Object} rubric - The rubric
+ * @param {Array} entries - Score entries
+ * @returns {Object} - { alpha, exact, adjacent, comparisons }: Krippendorff's alpha, the share of
+ *   judge pairs giving the same score and a score at most one point apart, and how many pairs were compared
+ */
+export function agreementStats(rubric, entries) {
+  const units = {};
+  entries.forEach(entry => {
+    rubric.criteria.forEach(criterion => {
+      const value = entry.scores?.[criterion.id];
+      if (!isScore(value)) return;
+      const key = `${entry.sessionId}:${criterion.id}`;
+      (units[key] = units[key] || []).push(value);
+    });
+  });
+
+  let comparisons = 0;
+  let exact = 0;
+  let adjacent = 0;
+  Object.values(units).forEach(values => {
+    for (let i = 0; i < values.length; i++) {
+      for (let j = i + 1; j < values.length; j++) {
+        const difference = Math.abs(values[i] - values[j]);
+        comparisons++;
+        if (difference === 0) exact++;
+        if (difference <= 1) adjacent++;
+      }
+    }
+  });
+
+  return {
+    alpha: krippendorffAlpha(Object.values(units)),
+    exact: comparisons > 0 ? exact / comparisons : null,
+    adjacent: comparisons > 0 ? adjacent / comparisons : null,
+    comparisons
+  };
+}
+
+/**
+ * Per-judge summary, including how much more generous or strict each judge is
+ * than the other judges of the same builders
+ * @param {Object} rubric - The rubric
+ * @param {Array} entries - Score entries
+ * @returns {Array} - { judgeId, judgeName, count, mean, bias } per judge; bias is in
+ *   percentage points and null when the judge shares no builder with another judge
+ */
+export function judgeSummaries(rubric, entries) {
+  const totals = entries
+    .map(entry => ({ ...entry, total: weightedScore(rubric, entry.scores) }))
+    .filter(entry => isScore(entry.total));
+
+  const byJudge = {};
+  totals.forEach(entry => {
+    (byJudge[entry.judgeId] = byJudge[entry.judgeId] || []).push(entry);
+  });
+
+  return Object.entries(byJudge).map(([judgeId, judgeEntries]) => {
+    const differences = judgeEntries
+      .map(entry => {
+        const others = totals.filter(other => other.sessionId === entry.sessionId && other.judgeId !== judgeId);
+        return others.length > 0 ? entry.total - mean(others.map(other => other.total)) : null;
+      })
+      .filter(isScore);
+
+    return {
+      judgeId,
+      judgeName: judgeEntries[0].judgeName || null,
+      count: judgeEntries.length,
+      mean: mean(judgeEntries.map(entry => entry.total)),
+      bias: differences.length > 0 ? mean(differences) : null
+    };
+  });
+}
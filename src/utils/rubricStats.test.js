@@ -0,0 +1,91 @@
+import {
+  weightedScore,
+  summarizeEntries,
+  rankLeaderboard,
+  krippendorffAlpha,
+  agreementStats,
+  judgeSummaries
+} from './rubricStats';
+
+const rubric = {
+  scale_min: 1,
+  scale_max: 5,
+  criteria: [
+    { id: 'problem', label: 'Problem', weight: 1 },
+    { id: 'demo', label: 'Demo', weight: 3 }
+  ]
+};
+
+const entry = (sessionId, judgeId, problem, demo) => ({
+  sessionId,
+  judgeId,
+  judgeName: judgeId.toUpperCase(),
+  scores: { problem, demo }
+});
+
+test('weighted score is a percentage of the scale and skips missing criteria', () => {
+  expect(weightedScore(rubric, { problem: 5, demo: 5 })).toBe(100);
+  expect(weightedScore(rubric, { problem: 1, demo: 1 })).toBe(0);
+  // (1 * 0.5 + 3 * 1) / 4
+  expect(weightedScore(rubric, { problem: 3, demo: 5 })).toBeCloseTo(87.5);
+  expect(weightedScore(rubric, { problem: 3 })).toBe(50);
+  expect(weightedScore(rubric, {})).toBeNull();
+});
+
+test('summaries average judges and rank ties together', () => {
+  const entries = [
+    entry('a', 'j1', 5, 5),
+    entry('a', 'j2', 3, 3),
+    entry('b', 'j1', 5, 5),
+    entry('b', 'j2', 3, 3),
+    entry('c', 'j1', 5, 5),
+    { sessionId: 'd', judgeId: 'j1', scores: {} }
+  ];
+  const board = rankLeaderboard(summarizeEntries(rubric, entries));
+
+  expect(board.map(row => [row.sessionId, row.rank])).toEqual([
+    ['c', 1],
+    ['a', 2],
+    ['b', 2],
+    ['d', null]
+  ]);
+  const a = board.find(row => row.sessionId === 'a');
+  expect(a.judgeCount).toBe(2);
+  expect(a.score).toBe(75);
+  expect(a.spread).toBe(25);
+  expect(a.criteria).toEqual({ problem: 4, demo: 4 });
+});
+
+test('krippendorff alpha', () => {
+  expect(krippendorffAlpha([[1, 1], [3, 3], [5, 5]])).toBe(1);
+  expect(krippendorffAlpha([[1, 2], [3, 3]])).toBeCloseTo(0.7273, 3);
+  // Single ratings can't be compared; identical ratings everywhere leave nothing to measure
+  expect(krippendorffAlpha([[4], [2]])).toBeNull();
+  expect(krippendorffAlpha([[3, 3], [3, 3]])).toBeNull();
+});
+
+test('agreement counts exact and adjacent judge pairs', () => {
+  const stats = agreementStats(rubric, [
+    entry('a', 'j1', 4, 2),
+    entry('a', 'j2', 4, 3),
+    entry('b', 'j1', 1, 5),
+    entry('b', 'j2', 3, 5)
+  ]);
+  expect(stats.comparisons).toBe(4);
+  expect(stats.exact).toBe(0.5);
+  expect(stats.adjacent).toBe(0.75);
+  expect(stats.alpha).toBeGreaterThan(0);
+  expect(stats.alpha).toBeLessThan(1);
+});
+
+test('judge bias compares each judge with the others on the same builders', () => {
+  const summaries = judgeSummaries(rubric, [
+    entry('a', 'j1', 5, 5),
+    entry('a', 'j2', 3, 3),
+    entry('b', 'j2', 1, 1)
+  ]);
+  const j1 = summaries.find(judge => judge.judgeId === 'j1');
+  const j2 = summaries.find(judge => judge.judgeId === 'j2');
+  expect(j1).toMatchObject({ judgeName: 'J1', count: 1, mean: 100, bias: 50 });
+  expect(j2).toMatchObject({ count: 2, mean: 25, bias: -50 });
+});
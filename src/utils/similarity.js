@@ -0,0 +1,160 @@
+/**
+ * Text similarity utilities for grouping builders by what they are working on
+ */
+
+import { extractWords } from './textAnalysis';
+
+/**
+ * Build TF-IDF vectors for a set of documents
+ * @param {string[]} documents - Texts to vectorize
+ * @returns {Object[]} One sparse vector (term -> weight) per document
+ */
+export function buildTfIdfVectors(documents) {
+  const tokenized = documents.map(document => extractWords(document));
+
+  // Document frequency of every term
+  const documentFrequency = {};
+  tokenized.forEach(words => {
+    new Set(words).forEach(word => {
+      documentFrequency[word] = (documentFrequency[word] || 0) + 1;
+    });
+  });
+
+  const count = documents.length;
+  return tokenized.map(words => {
+    const termCounts = {};
+    words.forEach(word => {
+      termCounts[word] = (termCounts[word] || 0) + 1;
+    });
+
+    const vector = {};
+    Object.entries(termCounts).forEach(([word, termCount]) => {
+      // Smoothed IDF so terms used by everyone still count a little
+      const idf = Math.log((count + 1) / (documentFrequency[word] + 1)) + 1;
+      vector[word] = (termCount / words.length) * idf;
+    });
+    return vector;
+  });
+}
+
+/**
+ * Cosine similarity of two vectors, either sparse objects or dense arrays
+ * @param {Object|number[]} a - First vector
+ * @param {Object|number[]} b - Second vector
+ * @returns {number} Similarity from 0 to 1 (0 when either vector is empty)
+ */
+export function cosineSimilarity(a, b) {
+  const keys = Array.isArray(a) ? a.map((_, index) => index) : Object.keys(a);
+  let dot = 0;
+  keys.forEach(key => {
+    if (b[key] !== undefined) dot += a[key] * b[key];
+  });
+
+  const norm = (vector) => Math.sqrt(Object.values(vector).reduce((sum, value) => sum + value * value, 0));
+  const denominator = norm(a) * norm(b);
+  return denominator === 0 ? 0 : dot / denominator;
+}
+
+/**
+ * Pairwise similarity matrix for a list of vectors
+ * @param {Array} vectors - Sparse or dense vectors
+ * @returns {number[][]} Symmetric matrix with 1 on the diagonal
+ */
+export function similarityMatrix(vectors) {
+  const matrix = vectors.map(() => new Array(vectors.length).fill(0));
+  for (let i = 0; i < vectors.length; i++) {
+    matrix[i][i] = 1;
+    for (let j = i + 1; j < vectors.length; j++) {
+      const similarity = cosineSimilarity(vectors[i], vectors[j]);
+      matrix[i][j] = similarity;
+      matrix[j][i] = similarity;
+    }
+  }
+  return matrix;
+}
+
+/**
+ * Terms two sparse vectors share, strongest first
+ * @param {Object} a - First TF-IDF vector
+ * @param {Object} b - Second TF-IDF vector
+ * @param {number} limit - Maximum number of terms to return
+ * @returns {string[]} Shared terms
+ */
+export function sharedTerms(a, b, limit = 5) {
+  return Object.keys(a)
+    .filter(term => b[term] !== undefined)
+    .sort((x, y) => (b[y] * a[y]) - (b[x] * a[x]))
+    .slice(0, limit);
+}
+
+/**
+ * Most similar other items for one item
+ * @param {number[][]} matrix - Similarity matrix
+ * @param {number} index - Item to find matches for
+ * @param {number} limit - Maximum number of matches
+ * @returns {Array} Matches as { index, score }, best first, excluding zero scores
+ */
+export function topMatches(matrix, index, limit = 3) {
+  return matrix[index]
+    .map((score, other) => ({ index: other, score }))
+    .filter(match => match.index !== index && match.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+const averageSimilarity = (matrix, index, group) => (
+  group.reduce((sum, member) => sum + matrix[index][member], 0) / group.length
+);
+
+/**
+ * Cluster items into groups of a target size, most similar together.
+ * Greedy: each group starts from the most similar remaining pair and grows
+ * with the item closest to the group on average. Leftovers that can't make
+ * a full group join the group they are closest to.
+ * @param {number[][]} matrix - Similarity matrix
+ * @param {number} groupSize - Items per group (at least 2)
+ * @returns {number[][]} Groups of item indexes
+ */
+export function clusterBySimilarity(matrix, groupSize = 2) {
+  const size = Math.max(2, groupSize);
+  const remaining = new Set(matrix.map((_, index) => index));
+  const groups = [];
+
+  while (remaining.size >= size) {
+    let seed = null;
+    remaining.forEach(i => {
+      remaining.forEach(j => {
+        if (j > i && (!seed || matrix[i][j] > matrix[seed[0]][seed[1]])) {
+          seed = [i, j];
+        }
+      });
+    });
+
+    const group = [...seed];
+    group.forEach(index => remaining.delete(index));
+    while (group.length < size) {
+      let best = null;
+      remaining.forEach(index => {
+        if (best === null || averageSimilarity(matrix, index, group) > averageSimilarity(matrix, best, group)) {
+          best = index;
+        }
+      });
+      group.push(best);
+      remaining.delete(best);
+    }
+    groups.push(group);
+  }
+
+  remaining.forEach(index => {
+    if (groups.length === 0) {
+      groups.push([index]);
+      return;
+    }
+    const closest = groups.reduce((best, group) => (
+      averageSimilarity(matrix, index, group) > averageSimilarity(matrix, index, best) ? group : best
+    ));
+    closest.push(index);
+  });
+
+  return groups;
+}
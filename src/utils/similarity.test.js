@@ -0,0 +1,49 @@
+import {
+  buildTfIdfVectors,
+  cosineSimilarity,
+  similarityMatrix,
+  sharedTerms,
+  topMatches,
+  clusterBySimilarity
+} from './similarity';
+
+const documents = [
+  'Teachers spend hours grading student essays by hand',
+  'Grading essays takes teachers too long every week',
+  'Restaurants waste fresh food at closing time',
+  'Leftover restaurant food gets thrown away at closing'
+];
+
+test('cosine similarity handles sparse and dense vectors', () => {
+  expect(cosineSimilarity({ apple: 1, pear: 1 }, { apple: 1, pear: 1 })).toBeCloseTo(1);
+  expect(cosineSimilarity({ apple: 1 }, { pear: 1 })).toBe(0);
+  expect(cosineSimilarity([1, 0], [0, 1])).toBe(0);
+  expect(cosineSimilarity([1, 2], [2, 4])).toBeCloseTo(1);
+  expect(cosineSimilarity({}, { apple: 1 })).toBe(0);
+});
+
+test('documents about the same problem score higher than unrelated ones', () => {
+  const matrix = similarityMatrix(buildTfIdfVectors(documents));
+  expect(matrix[0][0]).toBe(1);
+  expect(matrix[0][1]).toBe(matrix[1][0]);
+  expect(matrix[0][1]).toBeGreaterThan(matrix[0][2]);
+  expect(matrix[2][3]).toBeGreaterThan(matrix[1][3]);
+  expect(topMatches(matrix, 0, 1)[0].index).toBe(1);
+});
+
+test('shared terms explain a match', () => {
+  const vectors = buildTfIdfVectors(documents);
+  expect(sharedTerms(vectors[0], vectors[1])).toEqual(expect.arrayContaining(['teachers', 'grading', 'essays']));
+  expect(sharedTerms(vectors[0], vectors[2])).toEqual([]);
+});
+
+test('clusters similar documents together and places leftovers', () => {
+  const matrix = similarityMatrix(buildTfIdfVectors(documents));
+  const pairs = clusterBySimilarity(matrix, 2).map(group => [...group].sort());
+  expect(pairs).toEqual(expect.arrayContaining([[0, 1], [2, 3]]));
+
+  const withLeftover = similarityMatrix(buildTfIdfVectors([...documents, 'Food waste from restaurants']));
+  const groups = clusterBySimilarity(withLeftover, 2);
+  expect(groups).toHaveLength(2);
+  expect(groups.find(group => group.includes(4))).toEqual(expect.arrayContaining([2, 3]));
+});
@@ -11,6 +11,17 @@ const STOPWORDS = new Set([
   'shall', 'from', 'which', 'when', 'where', 'who', 'whom', 'whose', 'why', 'how'
 ]);
 
+/**
+ * Split text into lowercase words, keeping stopwords and numbers
+ * @param {string} text - The text to split
+ * @returns {string[]} Array of words
+ */
+export function tokenize(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  return text.toLowerCase().split(/\W+/).filter(Boolean);
+}
+
 /**
  * Extract single words from text, filtering out stopwords and short words
  * @param {string} text - The text to analyze
@@ -18,10 +29,7 @@ const STOPWORDS = new Set([
  * @returns {string[]} Array of words
  */
 export function extractWords(text, minLength = 4) {
-  if (!text || typeof text !== 'string') return [];
-  
-  return text.toLowerCase()
-    .split(/\W+/)
+  return tokenize(text)
     .filter(word => 
       word.length >= minLength && 
       !STOPWORDS.has(word) &&
@@ -36,10 +44,7 @@ export function extractWords(text, minLength = 4) {
  * @returns {string[]} Array of phrases
  */
 export function extractPhrases(text, n = 2) {
-  if (!text || typeof text !== 'string') return [];
-  
-  const words = text.toLowerCase()
-    .split(/\W+/)
+  const words = tokenize(text)
     .filter(word => 
       word.length >= 3 && 
       !STOPWORDS.has(word) &&
@@ -0,0 +1,127 @@
+/**
+ * Word-level diffs between two versions of a builder's text
+ */
+
+// Past this many word comparisons the changed middle is shown as one replacement
+const MAX_LCS_CELLS = 250000;
+
+/**
+ * Split text into words, each keeping the whitespace that follows it
+ * @param {string} text - Text to split
+ * @returns {string[]} Tokens that join back into the original text
+ */
+export function tokenizeWords(text) {
+  if (!text) return [];
+  const leading = text.match(/^\s+/)?.[0] || '';
+  const tokens = text.slice(leading.length).match(/\S+\s*/g) || [];
+  if (leading && tokens.length > 0) tokens[0] = leading + tokens[0];
+  return tokens.length > 0 ? tokens : leading ? [leading] : [];
+}
+
+const sameWord = (a, b) => a.trim() === b.trim();
+
+const pushPart = (parts, type, text) => {
+  if (!text) return;
+  const last = parts[parts.length - 1];
+  // The last word of a text has no trailing space; keep it apart from the next
+  // run without changing the newer text (removed runs aren't part of it)
+  if (last && /\S$/.test(last.text) && /^\S/.test(text)) {
+    if (last.type === 'removed') {
+      last.text += ' ';
+    } else if (type === 'removed') {
+      text = ` ${text}`;
+    }
+  }
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    parts.push({ type, text });
+  }
+};
+
+/**
+ * Diff two texts word by word (longest common subsequence). Whitespace is
+ * ignored when comparing; unchanged runs keep the newer text's spacing.
+ * @param {string} before - Older text
+ * @param {string} after - Newer text
+ * @returns {Array<{type: 'equal'|'added'|'removed', text: string}>} Runs of unchanged, added and removed words
+ */
+export function diffWords(before, after) {
+  const a = tokenizeWords(before || '');
+  const b = tokenizeWords(after || '');
+  const parts = [];
+
+  // Unchanged start and end don't need the LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && sameWord(a[start], b[start])) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && sameWord(a[endA - 1], b[endB - 1])) {
+    endA--;
+    endB--;
+  }
+
+  a.slice(0, start).forEach(token => pushPart(parts, 'equal', token));
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+
+  if (middleA.length * middleB.length > MAX_LCS_CELLS) {
+    middleA.forEach(token => pushPart(parts, 'removed', token));
+    middleB.forEach(token => pushPart(parts, 'added', token));
+  } else {
+    // lengths[i][j] = LCS length of middleA[i..] and middleB[j..]
+    const lengths = Array.from({ length: middleA.length + 1 }, () => new Array(middleB.length + 1).fill(0));
+    for (let i = middleA.length - 1; i >= 0; i--) {
+      for (let j = middleB.length - 1; j >= 0; j--) {
+        lengths[i][j] = sameWord(middleA[i], middleB[j])
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < middleA.length && j < middleB.length) {
+      if (sameWord(middleA[i], middleB[j])) {
+        pushPart(parts, 'equal', middleB[j]);
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        pushPart(parts, 'removed', middleA[i++]);
+      } else {
+        pushPart(parts, 'added', middleB[j++]);
+      }
+    }
+    middleA.slice(i).forEach(token => pushPart(parts, 'removed', token));
+    middleB.slice(j).forEach(token => pushPart(parts, 'added', token));
+  }
+
+  b.slice(endB).forEach(token => pushPart(parts, 'equal', token));
+  return parts;
+}
+
+/**
+ * Count the words added and removed in a diff
+ * @param {Array} parts - Output of diffWords
+ * @returns {{added: number, removed: number}} Word counts
+ */
+export function summarizeDiff(parts) {
+  const count = text => tokenizeWords(text).length;
+  return parts.reduce((totals, part) => {
+    if (part.type !== 'equal') totals[part.type] += count(part.text);
+    return totals;
+  }, { added: 0, removed: 0 });
+}
+
+/**
+ * Flatten a stored field value for diffing; list items go on their own lines
+ * @param {string|string[]} value - Field value from input_data
+ * @returns {string} Text to diff
+ */
+export function fieldText(value) {
+  if (Array.isArray(value)) {
+    return value.filter(item => item?.trim()).join('\n');
+  }
+  return typeof value === 'string' ? value : '';
+}
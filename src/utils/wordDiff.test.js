@@ -0,0 +1,48 @@
+import { tokenizeWords, diffWords, summarizeDiff, fieldText } from './wordDiff';
+
+const join = parts => parts.filter(part => part.type !== 'removed').map(part => part.text).join('');
+const wordsBefore = parts => parts.filter(part => part.type !== 'added').map(part => part.text).join('').split(/\s+/);
+
+test('tokens join back into the original text', () => {
+  const text = '  Teachers spend\nhours grading  essays ';
+  expect(tokenizeWords(text).join('')).toBe(text);
+  expect(tokenizeWords('')).toEqual([]);
+});
+
+test('unchanged text is one equal run', () => {
+  expect(diffWords('same words here', 'same words here')).toEqual([
+    { type: 'equal', text: 'same words here' }
+  ]);
+});
+
+test('marks added and removed words', () => {
+  const parts = diffWords('Teachers grade essays by hand', 'Teachers grade student essays quickly');
+  expect(parts).toEqual([
+    { type: 'equal', text: 'Teachers grade ' },
+    { type: 'added', text: 'student ' },
+    { type: 'equal', text: 'essays ' },
+    { type: 'removed', text: 'by hand ' },
+    { type: 'added', text: 'quickly' }
+  ]);
+  expect(summarizeDiff(parts)).toEqual({ added: 2, removed: 2 });
+});
+
+test('the newer text rebuilds exactly and the older one word for word', () => {
+  const before = 'Restaurants waste food at closing time every night';
+  const after = 'Small restaurants throw away fresh food at closing time';
+  const parts = diffWords(before, after);
+  expect(wordsBefore(parts)).toEqual(before.split(/\s+/));
+  expect(join(parts)).toBe(after);
+});
+
+test('diffs from and to empty text', () => {
+  expect(diffWords('', 'new idea')).toEqual([{ type: 'added', text: 'new idea' }]);
+  expect(diffWords('old idea', null)).toEqual([{ type: 'removed', text: 'old idea' }]);
+  expect(diffWords('', '')).toEqual([]);
+});
+
+test('list values are flattened one item per line', () => {
+  expect(fieldText(['First', '', 'Third'])).toBe('First\nThird');
+  expect(fieldText('Plain text')).toBe('Plain text');
+  expect(fieldText(undefined)).toBe('');
+});
@@ -0,0 +1,58 @@
+/**
+ * Errors thrown by the LLM gateway. Every provider maps its failures onto
+ * these, so callers can tell "not set up" from "slow down" from "the vendor
+ * is down" without knowing which vendor they talked to.
+ */
+export class LLMError extends Error {
+  constructor(message, { provider = null, model = null, feature = null, cause = null } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.provider = provider;
+    this.model = model;
+    this.feature = feature;
+    this.cause = cause;
+  }
+}
+
+// No provider, model or key configured for the feature
+export class LLMConfigError extends LLMError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'LLMConfigError';
+  }
+}
+
+// The provider rejected the credentials
+export class LLMAuthError extends LLMError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'LLMAuthError';
+  }
+}
+
+// Too many requests; retryAfter is in seconds when the provider says how long to wait
+export class LLMRateLimitError extends LLMError {
+  constructor(message, { retryAfter = null, ...details } = {}) {
+    super(message, details);
+    this.name = 'LLMRateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Network failures and non-2xx responses; status is null when the request never got an answer
+export class LLMProviderError extends LLMError {
+  constructor(message, { status = null, ...details } = {}) {
+    super(message, details);
+    this.name = 'LLMProviderError';
+    this.status = status;
+  }
+}
+
+// The provider answered, but not with what was asked for (e.g. invalid JSON)
+export class LLMResponseError extends LLMError {
+  constructor(message, { content = null, ...details } = {}) {
+    super(message, details);
+    this.name = 'LLMResponseError';
+    this.content = content;
+  }
+}
@@ -0,0 +1,106 @@
+import { LLMAuthError, LLMRateLimitError, LLMProviderError } from './errors.js';
+
+/**
+ * Seconds to wait according to a Retry-After header (seconds or an HTTP date)
+ * @param {string|null} header - The header value
+ * @returns {number|null}
+ */
+export function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, (date - Date.now()) / 1000);
+}
+
+/**
+ * POST JSON to a provider and map failures onto the gateway's error types
+ * @param {string} url - Endpoint
+ * @param {Object} options - { headers, body, signal, details }, where details identify the provider/model for errors
+ * @returns {Promise<Response>} - The successful response, body unread
+ */
+export async function post(url, { headers = {}, body, signal, details = {} }) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw new LLMProviderError(`Could not reach ${details.provider}: ${error.message}`, { ...details, cause: error });
+  }
+
+  if (response.ok) {
+    return response;
+  }
+
+  let message = response.statusText;
+  try {
+    const errorBody = await response.json();
+    message = errorBody.error?.message || errorBody.message || message;
+  } catch (error) {
+    // Not JSON; keep the status text
+  }
+
+  if (response.status === 401 || response.status === 403) {
+    throw new LLMAuthError(`${details.provider} rejected the credentials: ${message}`, details);
+  }
+  if (response.status === 429) {
+    throw new LLMRateLimitError(`${details.provider} rate limit reached: ${message}`, {
+      ...details,
+      retryAfter: parseRetryAfter(response.headers.get('retry-after'))
+    });
+  }
+  throw new LLMProviderError(`${details.provider} error (${response.status}): ${message}`, {
+    ...details,
+    status: response.status
+  });
+}
+
+/**
+ * POST JSON to a provider and parse the JSON answer
+ * @param {string} url - Endpoint
+ * @param {Object} options - As for post()
+ * @returns {Promise<Object>} - Parsed response body
+ */
+export async function postJSON(url, options) {
+  const response = await post(url, options);
+  return response.json();
+}
+
+/**
+ * Read a server-sent events body
+ * @param {Response} response - A text/event-stream response
+ * @yields {Object} - { event, data } per event; data is the raw data text
+ */
+export async function* readEvents(response) {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += value;
+
+      let boundary;
+      while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+        let event = 'message';
+        const data = [];
+        block.split(/\r?\n/).forEach(line => {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+        });
+        if (data.length > 0) yield { event, data: data.join('\n') };
+      }
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
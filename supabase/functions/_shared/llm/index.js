@@ -0,0 +1,146 @@
+import { resolveFeature } from './modelConfig.js';
+import { LLMResponseError } from './errors.js';
+import { createOpenAICompatibleProvider } from './providers/openaiCompatible.js';
+import { createAnthropicProvider } from './providers/anthropic.js';
+
+export { FEATURES, resolveFeature, settingsFromEnv } from './modelConfig.js';
+export * from './errors.js';
+
+const DEFAULT_TEMPERATURE = 0.7;
+const DEFAULT_MAX_TOKENS = 1000;
+
+// Rough English average, used when a provider doesn't report token counts
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate tokens for text or chat messages
+ * @param {string|Array} input - Text, texts or { content } messages
+ * @returns {number}
+ */
+export function estimateTokens(input) {
+  const text = Array.isArray(input)
+    ? input.map(item => (typeof item === 'string' ? item : item.content || '')).join('\n')
+    : String(input || '');
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Parse a model's JSON answer, tolerating text around the object
+ * @param {string} text - The model's answer
+ * @returns {Object}
+ */
+export function parseJSONResponse(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const match = text.match(/\{[\s\S]*\}/);
+    if (match) {
+      try {
+        return JSON.parse(match[0]);
+      } catch (innerError) {
+        // Fall through to the error below
+      }
+    }
+    throw new LLMResponseError('The model did not return valid JSON', { content: text });
+  }
+}
+
+function createProvider(resolved) {
+  if (resolved.provider === 'anthropic') return createAnthropicProvider(resolved);
+  return createOpenAICompatibleProvider({ ...resolved, name: resolved.provider });
+}
+
+// Prefer the provider's counts; estimate from the text when it doesn't report any
+function tokenUsage(reported, prompt, completion) {
+  return reported
+    ? { promptTokens: reported.promptTokens || 0, completionTokens: reported.completionTokens || 0, estimated: false }
+    : { promptTokens: estimateTokens(prompt), completionTokens: estimateTokens(completion), estimated: true };
+}
+
+/**
+ * Chat completion for a feature, on whichever provider and model it is configured to use
+ * @param {Object} settings - From settingsFromEnv()
+ * @param {string} feature - Feature name
+ * @param {Object} request - { messages, temperature, maxTokens, json, signal }
+ * @returns {Promise<Object>} - { text, data (parsed JSON when json is set), usage, provider, model }
+ */
+export async function complete(settings, feature, { messages, temperature, maxTokens, json = false, signal } = {}) {
+  const resolved = resolveFeature(feature, settings);
+  const result = await createProvider(resolved).chat({
+    model: resolved.model,
+    messages,
+    temperature: resolved.temperature ?? temperature ?? DEFAULT_TEMPERATURE,
+    maxTokens: resolved.maxTokens ?? maxTokens ?? DEFAULT_MAX_TOKENS,
+    json,
+    signal
+  });
+
+  const usage = tokenUsage(result.usage, messages, result.text);
+  let data = null;
+  if (json) {
+    try {
+      data = parseJSONResponse(result.text);
+    } catch (error) {
+      Object.assign(error, { provider: resolved.provider, model: resolved.model, feature });
+      throw error;
+    }
+  }
+
+  return { text: result.text, data, usage, provider: resolved.provider, model: resolved.model };
+}
+
+/**
+ * Streamed chat completion for a feature. Plain-text answers only: a JSON
+ * answer isn't useful until it is complete.
+ * @param {Object} settings - From settingsFromEnv()
+ * @param {string} feature - Feature name
+ * @param {Object} request - { messages, temperature, maxTokens, signal }
+ * @yields {Object} - { type: 'token', text } per delta, then
+ *   { type: 'done', text, data: null, usage, provider, model }
+ */
+export async function* stream(settings, feature, { messages, temperature, maxTokens, signal } = {}) {
+  const resolved = resolveFeature(feature, settings);
+  const deltas = createProvider(resolved).stream({
+    model: resolved.model,
+    messages,
+    temperature: resolved.temperature ?? temperature ?? DEFAULT_TEMPERATURE,
+    maxTokens: resolved.maxTokens ?? maxTokens ?? DEFAULT_MAX_TOKENS,
+    signal
+  });
+
+  let text = '';
+  let reported = null;
+  for await (const delta of deltas) {
+    if (delta.text) {
+      text += delta.text;
+      yield { type: 'token', text: delta.text };
+    }
+    if (delta.usage) reported = delta.usage;
+  }
+
+  yield {
+    type: 'done',
+    text,
+    data: null,
+    usage: tokenUsage(reported, messages, text),
+    provider: resolved.provider,
+    model: resolved.model
+  };
+}
+
+/**
+ * Embed texts on the provider configured for the 'embeddings' feature
+ * @param {Object} settings - From settingsFromEnv()
+ * @param {string[]} input - Texts to embed
+ * @returns {Promise<Object>} - { vectors, usage, provider, model }
+ */
+export async function embed(settings, input) {
+  const resolved = resolveFeature('embeddings', settings);
+  const result = await createProvider(resolved).embed({ model: resolved.model, input });
+  return {
+    vectors: result.vectors,
+    usage: tokenUsage(result.usage, input, ''),
+    provider: resolved.provider,
+    model: resolved.model
+  };
+}
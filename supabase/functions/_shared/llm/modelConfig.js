@@ -0,0 +1,119 @@
+import { LLMConfigError } from './errors.js';
+
+/**
+ * Everything in the app that talks to a model. Each can be pointed at its own
+ * provider and model through the LLM_FEATURES secret, e.g.
+ * { "grading": { "provider": "anthropic", "model": "claude-3-5-sonnet-latest" } }
+ */
+export const FEATURES = [
+  'analysis',
+  'report',
+  'narrative',
+  'improvements',
+  'summary',
+  'grading',
+  'interviewQuestions',
+  'interviewFollowup',
+  'interviewSummary',
+  'sentiment',
+  'coach',
+  'projectReview',
+  'embeddings'
+];
+
+export const PROVIDERS = ['openai', 'anthropic', 'azure', 'ollama'];
+
+// Used when neither the feature nor the app-wide settings name a model.
+// Azure has no defaults: its "model" is the name of your deployment.
+const DEFAULT_MODELS = {
+  openai: { chat: 'gpt-4-turbo-preview', embedding: 'text-embedding-3-small' },
+  anthropic: { chat: 'claude-3-5-sonnet-latest', embedding: null },
+  azure: { chat: null, embedding: null },
+  ollama: { chat: 'llama3.1', embedding: 'nomic-embed-text' }
+};
+
+const parseJSON = (value, fallback) => {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    console.error('Invalid JSON in LLM_FEATURES:', value);
+    return fallback;
+  }
+};
+
+/**
+ * Provider settings from the function's secrets
+ * @param {Function} env - Reads a secret, e.g. (name) => Deno.env.get(name)
+ * @returns {Object} - Settings for resolveFeature
+ */
+export function settingsFromEnv(env) {
+  return {
+    // Defaults to OpenAI when its key is set
+    provider: env('LLM_PROVIDER') || (env('OPENAI_API_KEY') ? 'openai' : null),
+    model: env('LLM_MODEL'),
+    embeddingModel: env('LLM_EMBEDDING_MODEL'),
+    features: parseJSON(env('LLM_FEATURES'), {}),
+    providers: {
+      openai: { apiKey: env('OPENAI_API_KEY'), baseUrl: env('OPENAI_BASE_URL') },
+      anthropic: { apiKey: env('ANTHROPIC_API_KEY') },
+      azure: {
+        apiKey: env('AZURE_OPENAI_API_KEY'),
+        baseUrl: env('AZURE_OPENAI_ENDPOINT'),
+        apiVersion: env('AZURE_OPENAI_API_VERSION') || '2024-06-01'
+      },
+      // Any OpenAI-compatible server the function can reach (Ollama, LM Studio, vLLM)
+      ollama: { baseUrl: env('OLLAMA_BASE_URL') }
+    }
+  };
+}
+
+/**
+ * Work out which provider and model a feature uses
+ * @param {string} feature - One of FEATURES
+ * @param {Object} settings - From settingsFromEnv()
+ * @returns {Object} - { feature, provider, model, apiKey, baseUrl, apiVersion, temperature, maxTokens }
+ * @throws {LLMConfigError} - When the feature has no usable provider or model
+ */
+export function resolveFeature(feature, settings = {}) {
+  if (!FEATURES.includes(feature)) {
+    throw new LLMConfigError(`Unknown AI feature "${feature}"`, { feature });
+  }
+
+  const override = settings.features?.[feature] || {};
+  const provider = override.provider || settings.provider;
+  if (!provider) {
+    throw new LLMConfigError('No AI provider is configured', { feature });
+  }
+  if (!PROVIDERS.includes(provider)) {
+    throw new LLMConfigError(`Unknown AI provider "${provider}"`, { feature, provider });
+  }
+
+  const kind = feature === 'embeddings' ? 'embedding' : 'chat';
+  // The app-wide model only applies to the app-wide provider
+  const sharedModel = provider === settings.provider
+    ? (kind === 'embedding' ? settings.embeddingModel : settings.model)
+    : null;
+  const model = override.model || sharedModel || DEFAULT_MODELS[provider][kind];
+  if (!model) {
+    throw new LLMConfigError(`No ${kind} model is configured for ${provider}`, { feature, provider });
+  }
+
+  const providerSettings = settings.providers?.[provider] || {};
+  if (['openai', 'anthropic', 'azure'].includes(provider) && !providerSettings.apiKey) {
+    throw new LLMConfigError(`No API key is configured for ${provider}`, { feature, provider, model });
+  }
+  if (provider === 'azure' && !providerSettings.baseUrl) {
+    throw new LLMConfigError('No Azure OpenAI endpoint is configured', { feature, provider, model });
+  }
+
+  return {
+    feature,
+    provider,
+    model,
+    apiKey: providerSettings.apiKey || null,
+    baseUrl: providerSettings.baseUrl || null,
+    apiVersion: providerSettings.apiVersion || null,
+    temperature: override.temperature,
+    maxTokens: override.maxTokens
+  };
+}
@@ -0,0 +1,85 @@
+import { post, readEvents } from '../http.js';
+import { LLMConfigError, LLMProviderError } from '../errors.js';
+
+const API_VERSION = '2023-06-01';
+
+/**
+ * Provider for Anthropic's Messages API. System messages go in the separate
+ * system field, and since there is no JSON mode the instruction is added to it.
+ * @param {Object} settings - { apiKey, baseUrl }
+ * @returns {Object} - Provider with chat(), stream() and embed()
+ */
+export function createAnthropicProvider({ apiKey, baseUrl }) {
+  const root = (baseUrl || 'https://api.anthropic.com/v1').replace(/\/$/, '');
+
+  const request = ({ model, messages, temperature, maxTokens, json, stream = false, signal }) => {
+    const system = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content);
+    if (json) system.push('Respond with a single valid JSON object and nothing else.');
+
+    return post(`${root}/messages`, {
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': API_VERSION
+      },
+      body: {
+        model,
+        system: system.join('\n\n') || undefined,
+        messages: messages.filter(message => message.role !== 'system'),
+        temperature,
+        max_tokens: maxTokens,
+        stream: stream || undefined
+      },
+      signal,
+      details: { provider: 'anthropic', model }
+    });
+  };
+
+  return {
+    name: 'anthropic',
+
+    async chat(options) {
+      const data = await (await request(options)).json();
+
+      return {
+        text: (data.content || [])
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join(''),
+        usage: data.usage
+          ? { promptTokens: data.usage.input_tokens, completionTokens: data.usage.output_tokens }
+          : null
+      };
+    },
+
+    // Yields { text } deltas, then { usage }
+    async* stream(options) {
+      const response = await request({ ...options, stream: true });
+      let promptTokens = 0;
+
+      for await (const { event, data } of readEvents(response)) {
+        const payload = JSON.parse(data);
+        if (event === 'message_start') {
+          promptTokens = payload.message?.usage?.input_tokens || 0;
+        } else if (event === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+          yield { text: payload.delta.text };
+        } else if (event === 'message_delta' && payload.usage) {
+          yield { usage: { promptTokens, completionTokens: payload.usage.output_tokens } };
+        } else if (event === 'error') {
+          throw new LLMProviderError(`anthropic error: ${payload.error?.message || 'stream failed'}`, {
+            provider: 'anthropic',
+            model: options.model
+          });
+        }
+      }
+    },
+
+    async embed({ model }) {
+      throw new LLMConfigError('Anthropic does not offer embeddings; configure another provider for them', {
+        provider: 'anthropic',
+        model
+      });
+    }
+  };
+}
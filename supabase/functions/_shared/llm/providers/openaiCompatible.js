@@ -0,0 +1,95 @@
+import { post, postJSON, readEvents } from '../http.js';
+
+const DEFAULT_BASE_URLS = {
+  openai: 'https://api.openai.com/v1',
+  ollama: 'http://localhost:11434/v1'
+};
+
+/**
+ * Provider for APIs that speak OpenAI's chat completions format: OpenAI itself,
+ * Azure OpenAI (deployments instead of model names, api-key header) and local
+ * servers such as Ollama or LM Studio.
+ * @param {Object} settings - { name: 'openai' | 'azure' | 'ollama', apiKey, baseUrl, apiVersion }
+ * @returns {Object} - Provider with chat(), stream() and embed()
+ */
+export function createOpenAICompatibleProvider({ name, apiKey, baseUrl, apiVersion }) {
+  const isAzure = name === 'azure';
+  const root = (baseUrl || DEFAULT_BASE_URLS[name] || '').replace(/\/$/, '');
+
+  const endpoint = (model, path) => (isAzure
+    ? `${root}/openai/deployments/${encodeURIComponent(model)}/${path}?api-version=${apiVersion}`
+    : `${root}/${path}`);
+
+  const headers = () => {
+    if (!apiKey) return {};
+    return isAzure ? { 'api-key': apiKey } : { Authorization: `Bearer ${apiKey}` };
+  };
+
+  return {
+    name,
+
+    async chat({ model, messages, temperature, maxTokens, json, signal }) {
+      const body = { messages, temperature, max_tokens: maxTokens };
+      if (!isAzure) body.model = model;
+      if (json) body.response_format = { type: 'json_object' };
+
+      const data = await postJSON(endpoint(model, 'chat/completions'), {
+        headers: headers(),
+        body,
+        signal,
+        details: { provider: name, model }
+      });
+
+      return {
+        text: data.choices?.[0]?.message?.content || '',
+        usage: data.usage
+          ? { promptTokens: data.usage.prompt_tokens, completionTokens: data.usage.completion_tokens }
+          : null
+      };
+    },
+
+    // Yields { text } deltas, then { usage } when the server reports it
+    async* stream({ model, messages, temperature, maxTokens, signal }) {
+      const body = { messages, temperature, max_tokens: maxTokens, stream: true };
+      if (!isAzure) body.model = model;
+      // Local servers may not know stream_options; they just won't report usage
+      if (name === 'openai') body.stream_options = { include_usage: true };
+
+      const response = await post(endpoint(model, 'chat/completions'), {
+        headers: headers(),
+        body,
+        signal,
+        details: { provider: name, model }
+      });
+
+      for await (const { data } of readEvents(response)) {
+        if (data === '[DONE]') break;
+        const chunk = JSON.parse(data);
+        const text = chunk.choices?.[0]?.delta?.content;
+        if (text) yield { text };
+        if (chunk.usage) {
+          yield { usage: { promptTokens: chunk.usage.prompt_tokens, completionTokens: chunk.usage.completion_tokens } };
+        }
+      }
+    },
+
+    async embed({ model, input, signal }) {
+      const body = { input };
+      if (!isAzure) body.model = model;
+
+      const data = await postJSON(endpoint(model, 'embeddings'), {
+        headers: headers(),
+        body,
+        signal,
+        details: { provider: name, model }
+      });
+
+      return {
+        vectors: data.data
+          .sort((a, b) => a.index - b.index)
+          .map(item => item.embedding),
+        usage: data.usage ? { promptTokens: data.usage.prompt_tokens, completionTokens: 0 } : null
+      };
+    }
+  };
+}
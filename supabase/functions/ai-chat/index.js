@@ -0,0 +1,240 @@
+// supabase/functions/ai-chat/index.js
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import {
+  complete,
+  stream,
+  embed,
+  settingsFromEnv,
+  resolveFeature,
+  estimateTokens,
+  LLMError,
+  LLMConfigError,
+  LLMAuthError,
+  LLMRateLimitError,
+  LLMResponseError
+} from '../_shared/llm/index.js';
+import { TEMPLATES } from './templates.js';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Expose-Headers': 'retry-after'
+};
+
+// Per-user request limits; set as secrets to change them
+const LIMIT_PER_MINUTE = Number(Deno.env.get('AI_RATE_LIMIT_PER_MINUTE') || 20);
+const LIMIT_PER_DAY = Number(Deno.env.get('AI_RATE_LIMIT_PER_DAY') || 500);
+const MAX_BODY_BYTES = 200 * 1024;
+
+const json = (body, status = 200, headers = {}) => new Response(
+  JSON.stringify(body),
+  { headers: { ...corsHeaders, 'Content-Type': 'application/json', ...headers }, status }
+);
+
+// Errors are { error: { type, message, retryAfter } } so the client can rebuild its error classes
+const errorResponse = (type, message, status, retryAfter = null) => json(
+  { error: { type, message, retryAfter } },
+  status,
+  retryAfter !== null ? { 'Retry-After': String(Math.ceil(retryAfter)) } : {}
+);
+
+/**
+ * The status and error body for a failure
+ * @param {Error} error
+ * @returns {Object} - { status, error: { type, message, retryAfter, content } }
+ */
+function describeError(error) {
+  if (error instanceof LLMConfigError) {
+    return { status: 503, error: { type: 'config', message: error.message, retryAfter: null } };
+  }
+  if (error instanceof LLMAuthError) {
+    // The server's provider key is wrong; don't blame the caller's session
+    return { status: 502, error: { type: 'provider', message: error.message, retryAfter: null } };
+  }
+  if (error instanceof LLMRateLimitError) {
+    return { status: 429, error: { type: 'rate_limit', message: error.message, retryAfter: error.retryAfter ?? 30 } };
+  }
+  if (error instanceof LLMResponseError) {
+    return { status: 502, error: { type: 'response', message: error.message, retryAfter: null, content: error.content } };
+  }
+  if (error instanceof LLMError) {
+    return { status: 502, error: { type: 'provider', message: error.message, retryAfter: null } };
+  }
+  if (error instanceof SyntaxError) {
+    return { status: 400, error: { type: 'invalid_request', message: 'Request body must be JSON', retryAfter: null } };
+  }
+  return { status: 500, error: { type: 'provider', message: error.message, retryAfter: null } };
+}
+
+/**
+ * Server-sent events for a streamed answer: { type: 'token', text } events,
+ * then { type: 'done', ... } with the full result, or { type: 'error', error }
+ * if the provider fails part way
+ * @param {Object} first - The stream's first step, already read
+ * @param {AsyncGenerator} events - The rest of the stream
+ * @param {Function} onDone - Called with the result before it is sent, to record its token counts
+ * @param {AbortController} upstream - Aborts the provider request when the caller goes away
+ * @returns {ReadableStream}
+ */
+function eventStream(first, events, onDone, upstream) {
+  const encoder = new TextEncoder();
+  const send = (controller, event) => controller.enqueue(encoder.encode(`data: ${JSON.stringify(event)}\n\n`));
+
+  return new ReadableStream({
+    async start(controller) {
+      try {
+        for (let step = first; !step.done; step = await events.next()) {
+          if (step.value.type === 'done') await onDone(step.value);
+          send(controller, step.value);
+        }
+      } catch (error) {
+        if (upstream.signal.aborted) return;
+        console.error('ai-chat stream error:', error);
+        send(controller, { type: 'error', error: describeError(error).error });
+      }
+      controller.close();
+    },
+    cancel() {
+      upstream.abort();
+    }
+  });
+}
+
+serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+  if (req.method !== 'POST') {
+    return errorResponse('invalid_request', 'Use POST', 405);
+  }
+
+  const supabaseUrl = Deno.env.get('SUPABASE_URL');
+  // Runs as the caller, so admin_role() and RLS see who they are
+  const userClient = createClient(supabaseUrl, Deno.env.get('SUPABASE_ANON_KEY'), {
+    global: { headers: { Authorization: req.headers.get('Authorization') || '' } }
+  });
+  // Usage rows are only written here, never by the browser
+  const serviceClient = createClient(supabaseUrl, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'));
+
+  try {
+    const { data: { user } } = await userClient.auth.getUser();
+    if (!user) {
+      return errorResponse('auth', 'Sign in to use AI features', 401);
+    }
+
+    const raw = await req.text();
+    if (raw.length > MAX_BODY_BYTES) {
+      return errorResponse('invalid_request', 'Request is too large', 413);
+    }
+    const {
+      template: templateName,
+      variables = {},
+      action = 'chat',
+      input,
+      stream: wantsStream = false
+    } = JSON.parse(raw || '{}');
+
+    const template = action === 'embed'
+      ? { audience: 'admin' }
+      : TEMPLATES[templateName];
+    if (!template) {
+      return errorResponse('invalid_request', `Unknown template "${templateName}"`, 400);
+    }
+
+    if (template.audience === 'admin') {
+      const { data: role } = await userClient.rpc('admin_role');
+      if (!role) {
+        return errorResponse('auth', 'This AI feature is only available to workshop staff', 403);
+      }
+    }
+
+    const settings = settingsFromEnv(name => Deno.env.get(name));
+
+    let messages;
+    if (action === 'embed') {
+      if (!Array.isArray(input) || input.length === 0) {
+        return errorResponse('invalid_request', 'input must be a non-empty array of texts', 400);
+      }
+    } else {
+      try {
+        messages = template.messages(variables);
+      } catch (error) {
+        return errorResponse('invalid_request', `Missing or invalid variables for "${templateName}"`, 400);
+      }
+      if (wantsStream && template.json) {
+        return errorResponse('invalid_request', `"${templateName}" answers in JSON and can't be streamed`, 400);
+      }
+    }
+
+    // Check the limits and count the request in one step (concurrent requests
+    // can't both slip under a limit), before calling the provider, so requests
+    // that are cancelled or fail part way still count. The token counts are an
+    // estimate until the answer is complete.
+    const feature = action === 'embed' ? 'embeddings' : templateName;
+    const resolved = resolveFeature(feature, settings);
+    const { data: usage, error: usageError } = await serviceClient.rpc('record_ai_request', {
+      p_user_id: user.id,
+      p_template: feature,
+      p_provider: resolved.provider,
+      p_model: resolved.model,
+      p_prompt_tokens: estimateTokens(action === 'embed' ? input.map(String) : messages),
+      p_per_minute: LIMIT_PER_MINUTE,
+      p_per_day: LIMIT_PER_DAY
+    });
+    if (usageError) throw usageError;
+
+    if (usage.retry_after !== null) {
+      return errorResponse('rate_limit', 'Too many AI requests – try again shortly', 429, usage.retry_after);
+    }
+
+    const recordUsage = (result) => serviceClient
+      .from('ai_usage')
+      .update({
+        provider: result.provider,
+        model: result.model,
+        prompt_tokens: result.usage.promptTokens,
+        completion_tokens: result.usage.completionTokens,
+        estimated: result.usage.estimated
+      })
+      .eq('id', usage.id);
+
+    let result;
+    if (action === 'embed') {
+      result = await embed(settings, input.map(String));
+    } else {
+      if (wantsStream) {
+        const upstream = new AbortController();
+        req.signal?.addEventListener('abort', () => upstream.abort());
+        const events = stream(settings, templateName, {
+          messages,
+          temperature: template.temperature,
+          maxTokens: template.maxTokens,
+          signal: upstream.signal
+        });
+        // Wait for the first token before answering, so a provider that refuses
+        // the request still gets a proper status below
+        const first = await events.next();
+        return new Response(eventStream(first, events, recordUsage, upstream), {
+          headers: { ...corsHeaders, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' }
+        });
+      }
+
+      result = await complete(settings, templateName, {
+        messages,
+        temperature: template.temperature,
+        maxTokens: template.maxTokens,
+        json: !!template.json
+      });
+    }
+
+    await recordUsage(result);
+
+    return json(result);
+  } catch (error) {
+    console.error('ai-chat error:', error);
+    const { status, error: body } = describeError(error);
+    return json({ error: body }, status, body.retryAfter !== null ? { 'Retry-After': String(Math.ceil(body.retryAfter)) } : {});
+  }
+});
@@ -0,0 +1,424 @@
+/**
+ * Prompt templates the ai-chat function runs, selected by name. The browser
+ * only sends a template name and its variables, so it can't use the
+ * function's keys for arbitrary prompts. audience is who may run a template:
+ * 'admin' needs an admin role, 'builder' any signed-in user.
+ */
+export const TEMPLATES = {
+  analysis: {
+    audience: 'admin',
+    messages: ({ builderData }) => [
+      {
+        role: "system",
+        content: "You are an expert data analyst specializing in analyzing builder progress and identifying patterns in software development projects. Your insights should be clear, actionable, and focused on helping improve the builder experience."
+      },
+      {
+        role: "user",
+        content: `Analyze the following builder data and provide insights in JSON format:
+
+Data:
+${JSON.stringify(builderData, null, 2)}
+
+Please analyze:
+1. Common patterns in problem definitions
+2. Trends in MVP approaches
+3. Frequent challenges faced
+4. Success patterns
+5. Areas needing improvement
+6. Time distribution across sections
+7. Completion rate patterns
+
+Format the response as a JSON object with the following structure:
+{
+  "patterns": {
+    "problems": [],
+    "solutions": [],
+    "challenges": []
+  },
+  "trends": {
+    "mvp_approaches": [],
+    "time_distribution": {},
+    "completion_rates": {}
+  },
+  "recommendations": {
+    "immediate_actions": [],
+    "long_term_improvements": []
+  },
+  "success_indicators": [],
+  "risk_factors": [],
+  "confidence_score": 0.0
+}`
+      }
+    ],
+    temperature: 0.7,
+    maxTokens: 2000,
+    json: true
+  },
+
+  report: {
+    audience: 'admin',
+    messages: ({ analysis }) => [
+      {
+        role: "system",
+        content: "You are an expert at creating clear, actionable summary reports from complex data analysis. Focus on key insights and recommendations that can improve the builder experience."
+      },
+      {
+        role: "user",
+        content: `Create a summary report from the following analysis results:
+          ${JSON.stringify(analysis, null, 2)}
+          
+          Format the response as a JSON object with:
+          1. Executive summary
+          2. Key findings
+          3. Action items
+          4. Risk areas
+          5. Opportunities`
+      }
+    ],
+    temperature: 0.7,
+    maxTokens: 1500,
+    json: true
+  },
+
+  // The report written out for facilitators; plain text so it can be streamed
+  narrative: {
+    audience: 'admin',
+    messages: ({ analysis }) => [
+      {
+        role: "system",
+        content: "You are an expert at creating clear, actionable summary reports from complex data analysis. Focus on key insights and recommendations that can improve the builder experience."
+      },
+      {
+        role: "user",
+        content: `Write a short report for the workshop's facilitators from the following analysis results:
+          ${JSON.stringify(analysis, null, 2)}
+
+          Use plain text under these headings, each on its own line:
+          Executive summary
+          Key findings
+          Action items
+          Risk areas
+          Opportunities
+
+          Keep it under 400 words.`
+      }
+    ],
+    temperature: 0.7,
+    maxTokens: 1000
+  },
+
+  improvements: {
+    audience: 'admin',
+    messages: ({ builderData }) => [
+      {
+        role: "system",
+        content: "You are an expert at identifying opportunities for improvement in software development processes and builder experiences."
+      },
+      {
+        role: "user",
+        content: `Based on this builder data, suggest specific improvements:
+          ${JSON.stringify(builderData, null, 2)}
+          
+          Focus on:
+          1. Process optimizations
+          2. Common pain points
+          3. Resource gaps
+          4. Support opportunities
+          5. Tool recommendations
+          
+          Format the response as a JSON object.`
+      }
+    ],
+    temperature: 0.7,
+    maxTokens: 1500,
+    json: true
+  },
+
+  summary: {
+    audience: 'admin',
+    messages: ({ sections }) => [
+      {
+        role: "system",
+        content: "You are an expert at summarizing user journeys and learning experiences in clear, concise language."
+      },
+      {
+        role: "user",
+        content: `
+        I need a 4-sentence summary of a builder's journey through a workshop, based on the following data:
+        ${JSON.stringify(sections, null, 2)}
+        
+        The 4 sentences should cover:
+        1. What they did (based on Problem Definition and MVP Planner sections)
+        2. What they learned (based on Give & Get Feedback section)
+        3. What they tried (based on Start Build section)
+        4. What they took away (based on Presentations & Retro section)
+        
+        If any of these sections are missing or incomplete, create a reasonable summary based on available data.
+        If no data is available for a particular aspect, indicate that section wasn't completed.
+        
+        Format the response as plain text with 4 sentences, without numbering.
+      `
+      }
+    ],
+    temperature: 0.7,
+    maxTokens: 500
+  },
+
+  grading: {
+    audience: 'admin',
+    messages: ({ rubric, fields }) => [
+      {
+        role: "system",
+        content: `You are a fair, careful judge scoring workshop projects against a rubric.
+        Base every score only on the builder's text. Support each score with short quotes copied
+        exactly, word for word, from the fields provided, and name the field each quote comes from.
+        If the text gives little evidence for a criterion, give a low score and a low confidence.`
+      },
+      {
+        role: "user",
+        content: `Score this project on a ${rubric.scale_min}-${rubric.scale_max} scale for each criterion.
+
+        Criteria:
+        ${JSON.stringify(rubric.criteria.map(({ id, label, description }) => ({ id, label, description })), null, 2)}
+
+        Builder's fields:
+        ${JSON.stringify(fields.map(({ ref, label, text }) => ({ ref, label, text })), null, 2)}
+
+        Format your response as a JSON object with the following structure:
+        {
+          "grades": [
+            {
+              "criterionId": "id of the criterion",
+              "score": ${rubric.scale_min},
+              "rationale": "One or two sentences explaining the score",
+              "confidence": 0.0, // 0-1, how sure you are given the evidence
+              "evidence": [{ "ref": "field ref, e.g. problemDefinition.impact", "quote": "exact text from that field" }]
+            }
+          ]
+        }`
+      }
+    ],
+    temperature: 0.2,
+    maxTokens: 2000,
+    json: true
+  },
+
+  interviewQuestions: {
+    audience: 'builder',
+    messages: ({ builderData }) => [
+      {
+        role: "system",
+        content: `You are an expert AI interviewer specializing in product development.
+        Your questions should be insightful, contextual, and designed to elicit detailed responses.
+        Each question should have a clear purpose and be tailored to the specific project details provided.
+        Include follow-up prompts with each question to encourage deeper reflection.`
+      },
+      {
+        role: "user",
+        content: `Generate 5 interview questions for a builder who has created an AI-powered product.
+        
+        Here's what we know about their project: ${JSON.stringify(builderData, null, 2)}
+        
+        For each question:
+        1. Make it specific to their project context
+        2. Design it to reveal insights about their development process, challenges, or decisions
+        3. Include a follow-up prompt to encourage elaboration
+        4. Assign a category (technical, user-focused, business, process, or reflection)
+        5. Indicate the expected insight this question should reveal
+        
+        Format your response as a JSON object with the following structure:
+        {
+          "questions": [
+            {
+              "text": "Main question text here?",
+              "followup": "Follow-up prompt to encourage elaboration",
+              "category": "One of: technical, user-focused, business, process, reflection",
+              "expected_insight": "What this question aims to reveal",
+              "adaptability": 0.8 // A score from 0-1 indicating how much this question can be adapted based on previous answers
+            },
+            // ... more questions
+          ]
+        }`
+      }
+    ],
+    temperature: 0.7,
+    maxTokens: 1500,
+    json: true
+  },
+
+  interviewFollowup: {
+    audience: 'builder',
+    messages: ({ question, previousAnswer, sentiment }) => [
+      {
+        role: "system",
+        content: `You are an expert interviewer with advanced conversational skills.
+        Adapt the next question based on the previous answer, while maintaining the core intent.
+        The user's engagement level is: ${sentiment.engagement_level} (${sentiment.engagement_score}/10)
+        Their sentiment appears to be: ${sentiment.sentiment}
+        Their answer shows: ${sentiment.characteristics.join(', ')}
+        
+        If engagement is low (below 5), make the question more interesting or personal.
+        If sentiment is negative, be more supportive and encouraging.
+        If the answer was detailed, acknowledge specific points they made.
+        If the answer was brief, make the question more specific or provide a prompt.`
+      },
+      {
+        role: "user",
+        content: `Original question: "${question}"
+        
+        Previous answer: "${previousAnswer}"
+        
+        Adapt the question to make it more relevant based on their answer and engagement level.
+        Keep your response concise and focused on the adapted question only.`
+      }
+    ],
+    temperature: 0.7,
+    maxTokens: 200
+  },
+
+  // Critiques a builder's section draft; suggests, but never writes, improvements
+  coach: {
+    audience: 'builder',
+    messages: ({ section, draft, history = [] }) => [
+      {
+        role: "system",
+        content: `You are a supportive workshop coach helping a builder improve their own writing.
+        Critique their draft against what the section is for. Be specific and kind, and point at
+        the field each comment is about. Then ask exactly one Socratic follow-up question that helps
+        them think, building on what they told you earlier. Suggest what to add or change, but never
+        write their text for them: no rewritten sentences, no example answers to copy.`
+      },
+      {
+        role: "user",
+        content: `Section: ${section.name}
+        What a good draft achieves: ${section.intent}
+
+        Fields:
+        ${section.fields.map(field => `- ${field.name} (${field.label})`).join('\n')}
+
+        Draft:
+        ${JSON.stringify(draft, null, 2)}
+
+        Our conversation so far:
+        ${history.length > 0 ? history.map(turn => `${turn.role}: ${turn.content}`).join('\n') : '(none yet)'}
+
+        Format the response as a JSON object:
+        {
+          "critiques": [{ "field": "field name", "message": "what is missing or unclear" }],
+          "question": "one follow-up question",
+          "suggestions": [{ "field": "field name", "text": "what to add or change, not the wording" }]
+        }
+        Give at most three critiques and three suggestions.`
+      }
+    ],
+    temperature: 0.5,
+    maxTokens: 600,
+    json: true
+  },
+
+  // Reviews a finished project for the builder and their facilitators
+  projectReview: {
+    audience: 'builder',
+    messages: ({ project }) => [
+      {
+        role: "system",
+        content: `You are an experienced product mentor reviewing a project built during a one-day AI workshop.
+        Be honest and encouraging. Ground every point in what the builder actually wrote, and keep each
+        point to one or two sentences.`
+      },
+      {
+        role: "user",
+        content: `Here is the builder's work, section by section:
+        ${JSON.stringify(project, null, 2)}
+
+        Review the project as a whole. Format the response as a JSON object:
+        {
+          "strengths": ["what the project does well"],
+          "gaps": ["what is missing, unclear or untested"],
+          "nextSteps": ["a concrete thing to do next"],
+          "resources": [{ "title": "a well-known book, course, tool or method", "why": "how it helps with this project" }]
+        }
+        Give three to five strengths, gaps and next steps, and up to three resources.
+        Name resources by title only; do not include links.`
+      }
+    ],
+    temperature: 0.6,
+    maxTokens: 900,
+    json: true
+  },
+
+  sentiment: {
+    audience: 'builder',
+    messages: ({ text }) => [
+      {
+        role: "system",
+        content: `You are an expert at analyzing sentiment and engagement in conversation.
+        Analyze the following response for:
+        1. Overall sentiment (positive, negative, neutral)
+        2. Engagement level (high, medium, low)
+        3. Engagement score (1-10)
+        4. Key characteristics (detailed, enthusiastic, hesitant, etc.)
+        5. Recommendations for improving engagement`
+      },
+      {
+        role: "user",
+        content: `Analyze this interview response for sentiment and engagement:
+        
+        "${text}"
+        
+        Provide your analysis in JSON format.`
+      }
+    ],
+    temperature: 0.5,
+    maxTokens: 500,
+    json: true
+  },
+
+  interviewSummary: {
+    audience: 'builder',
+    messages: ({ interviewData, engagementAnalytics }) => [
+      {
+        role: "system",
+        content: `You are an expert at analyzing interview responses and providing comprehensive summaries.
+        Focus on key insights, strengths, areas for improvement, and actionable recommendations.
+        Your analysis should be data-driven, insightful, and tailored to the specific project discussed.
+        
+        The interviewee's overall engagement metrics:
+        - Average engagement score: ${engagementAnalytics.average_engagement}/10
+        - Dominant sentiment: ${engagementAnalytics.dominant_sentiment}
+        - Engagement trend: ${engagementAnalytics.engagement_trend}
+        
+        Use these metrics to inform your analysis.`
+      },
+      {
+        role: "user",
+        content: `Analyze these interview responses and provide a comprehensive summary with key insights:
+        ${JSON.stringify(interviewData, null, 2)}
+        
+        Engagement analytics:
+        ${JSON.stringify(engagementAnalytics, null, 2)}
+        
+        Format your response as a JSON object with the following structure:
+        {
+          "conclusion": "Overall summary of the interview",
+          "key_points": ["Key point 1", "Key point 2", ...],
+          "strengths": ["Strength 1", "Strength 2", ...],
+          "areas_for_improvement": ["Area 1", "Area 2", ...],
+          "technical_insights": ["Technical insight 1", "Technical insight 2", ...],
+          "business_insights": ["Business insight 1", "Business insight 2", ...],
+          "user_experience_insights": ["UX insight 1", "UX insight 2", ...],
+          "development_process_insights": ["Process insight 1", "Process insight 2", ...],
+          "next_steps": ["Step 1", "Step 2", ...],
+          "engagement_analysis": {
+            "summary": "Summary of engagement during interview",
+            "highlights": ["Highlight 1", "Highlight 2", ...],
+            "recommendations": ["Recommendation 1", "Recommendation 2", ...]
+          }
+        }`
+      }
+    ],
+    temperature: 0.7,
+    maxTokens: 1500,
+    json: true
+  }
+};
@@ -5,15 +5,34 @@ import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Expose-Headers': 'retry-after',
 }
 
+// Transcriptions count toward the same per-user limits as ai-chat's requests
+const LIMIT_PER_MINUTE = Number(Deno.env.get('AI_RATE_LIMIT_PER_MINUTE') || 20)
+const LIMIT_PER_DAY = Number(Deno.env.get('AI_RATE_LIMIT_PER_DAY') || 500)
+
 serve(async (req) => {
   // Handle CORS preflight requests
   if (req.method === 'OPTIONS') {
     return new Response('ok', { headers: corsHeaders })
   }
 
+  const supabaseUrl = Deno.env.get('SUPABASE_URL')
+  const userClient = createClient(supabaseUrl, Deno.env.get('SUPABASE_ANON_KEY'), {
+    global: { headers: { Authorization: req.headers.get('Authorization') || '' } }
+  })
+  const serviceClient = createClient(supabaseUrl, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'))
+
   try {
+    const { data: { user } } = await userClient.auth.getUser()
+    if (!user) {
+      return new Response(
+        JSON.stringify({ error: 'Sign in to use transcription' }),
+        { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 401 }
+      )
+    }
+
     // Get the request body
     const formData = await req.formData()
     const audioFile = formData.get('file')
@@ -40,6 +59,28 @@ serve(async (req) => {
       )
     }
 
+    // Check the user's limits and count the request before calling OpenAI
+    const { data: usage, error: usageError } = await serviceClient.rpc('record_ai_request', {
+      p_user_id: user.id,
+      p_template: 'transcription',
+      p_provider: 'openai',
+      p_model: 'whisper-1',
+      p_prompt_tokens: 0,
+      p_per_minute: LIMIT_PER_MINUTE,
+      p_per_day: LIMIT_PER_DAY
+    })
+    if (usageError) throw usageError
+
+    if (usage.retry_after !== null) {
+      return new Response(
+        JSON.stringify({ error: 'Too many AI requests – try again shortly' }),
+        {
+          headers: { ...corsHeaders, 'Content-Type': 'application/json', 'Retry-After': String(Math.ceil(usage.retry_after)) },
+          status: 429
+        }
+      )
+    }
+
     // Call the OpenAI API
     const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
       method: 'POST',
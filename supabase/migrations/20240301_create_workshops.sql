@@ -0,0 +1,83 @@
+-- Create workshops table so one deployment can host many workshop runs (cohorts)
+CREATE TABLE IF NOT EXISTS public.workshops (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name TEXT NOT NULL,
+  join_code TEXT NOT NULL UNIQUE,
+  workshop_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  facilitator TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS workshops_date_idx ON public.workshops(workshop_date);
+
+COMMENT ON TABLE public.workshops IS 'A single run of the workshop (cohort) that builders join with a join code';
+
+-- Scope every builder input to a workshop
+ALTER TABLE public.user_inputs
+  ADD COLUMN IF NOT EXISTS workshop_id UUID REFERENCES public.workshops(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS user_inputs_workshop_id_idx ON public.user_inputs(workshop_id);
+
+-- Section rows inherit the workshop chosen on the session's User Info row, so the
+-- section components don't need to know about workshops when they insert.
+CREATE OR REPLACE FUNCTION public.inherit_user_input_workshop()
+RETURNS trigger AS $$
+BEGIN
+  IF NEW.workshop_id IS NULL AND NEW.section_name <> 'User Info' THEN
+    SELECT workshop_id INTO NEW.workshop_id
+    FROM public.user_inputs
+    WHERE session_id = NEW.session_id
+      AND section_name = 'User Info';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS user_inputs_inherit_workshop ON public.user_inputs;
+CREATE TRIGGER user_inputs_inherit_workshop
+  BEFORE INSERT OR UPDATE ON public.user_inputs
+  FOR EACH ROW EXECUTE FUNCTION public.inherit_user_input_workshop();
+
+-- When a builder switches workshop on the User Info step, move the rest of their session with them
+CREATE OR REPLACE FUNCTION public.propagate_user_input_workshop()
+RETURNS trigger AS $$
+BEGIN
+  IF NEW.section_name = 'User Info'
+     AND (TG_OP = 'INSERT' OR NEW.workshop_id IS DISTINCT FROM OLD.workshop_id) THEN
+    UPDATE public.user_inputs
+    SET workshop_id = NEW.workshop_id
+    WHERE session_id = NEW.session_id
+      AND section_name <> 'User Info';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS user_inputs_propagate_workshop ON public.user_inputs;
+CREATE TRIGGER user_inputs_propagate_workshop
+  AFTER INSERT OR UPDATE OF workshop_id ON public.user_inputs
+  FOR EACH ROW EXECUTE FUNCTION public.propagate_user_input_workshop();
+
+-- Enable RLS (same open access as user_inputs for now)
+ALTER TABLE public.workshops ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies
+    WHERE tablename = 'workshops'
+    AND policyname = 'Allow anonymous access to workshops'
+  ) THEN
+    CREATE POLICY "Allow anonymous access to workshops"
+      ON public.workshops
+      FOR ALL
+      TO public
+      USING (true)
+      WITH CHECK (true);
+  END IF;
+END $$;
+
+GRANT ALL ON public.workshops TO anon;
+GRANT ALL ON public.workshops TO authenticated;
@@ -0,0 +1,6 @@
+-- Each workshop run picks the curriculum (workshop format) its builders work through.
+-- The curriculum definitions live in the frontend (src/curriculum); this column stores the ID.
+ALTER TABLE public.workshops
+  ADD COLUMN IF NOT EXISTS curriculum_id TEXT NOT NULL DEFAULT 'default';
+
+COMMENT ON COLUMN public.workshops.curriculum_id IS 'ID of the curriculum definition in src/curriculum used for this workshop run';
@@ -0,0 +1,40 @@
+-- Section saves upsert on (session_id, section_name), so make sure the constraint exists
+-- on databases created before it was part of the table definition.
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_indexes
+    WHERE schemaname = 'public'
+    AND tablename = 'user_inputs'
+    AND indexdef ILIKE 'CREATE UNIQUE INDEX % ON public.user_inputs USING btree (session_id, section_name)'
+  ) THEN
+    -- Keep only the most recently updated row for any duplicated section
+    DELETE FROM public.user_inputs a
+    USING public.user_inputs b
+    WHERE a.session_id = b.session_id
+      AND a.section_name = b.section_name
+      AND (a.updated_at, a.id) < (b.updated_at, b.id);
+
+    CREATE UNIQUE INDEX user_inputs_session_section_key
+      ON public.user_inputs(session_id, section_name);
+  END IF;
+END $$;
+
+-- updated_at is the version used to detect edits from another tab or device, so the
+-- database owns it: it only moves when the section content actually changes.
+CREATE OR REPLACE FUNCTION public.touch_user_input_updated_at()
+RETURNS trigger AS $$
+BEGIN
+  IF NEW.input_data IS DISTINCT FROM OLD.input_data THEN
+    NEW.updated_at := NOW();
+  ELSE
+    NEW.updated_at := OLD.updated_at;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS user_inputs_touch_updated_at ON public.user_inputs;
+CREATE TRIGGER user_inputs_touch_updated_at
+  BEFORE UPDATE ON public.user_inputs
+  FOR EACH ROW EXECUTE FUNCTION public.touch_user_input_updated_at();
@@ -0,0 +1,57 @@
+-- Map signed-in builders (Supabase Auth users) to the workshop sessions they own.
+-- A builder can have several sessions (one per workshop they attend); a session
+-- belongs to exactly one builder.
+CREATE TABLE IF NOT EXISTS public.builder_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  session_id UUID NOT NULL UNIQUE,
+  workshop_id UUID REFERENCES public.workshops(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_active_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS builder_sessions_user_id_idx ON public.builder_sessions(user_id);
+
+COMMENT ON TABLE public.builder_sessions IS 'Workshop sessions (user_inputs.session_id) owned by each signed-in builder';
+
+ALTER TABLE public.builder_sessions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Builders manage their own sessions" ON public.builder_sessions;
+CREATE POLICY "Builders manage their own sessions"
+  ON public.builder_sessions
+  FOR ALL
+  TO authenticated
+  USING (user_id = auth.uid())
+  WITH CHECK (user_id = auth.uid());
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.builder_sessions TO authenticated;
+
+-- Replace the open user_inputs policies. Signed-in builders can only reach the
+-- rows of sessions they own. The anon role keeps full access for the admin
+-- dashboard, which does not sign in yet.
+DROP POLICY IF EXISTS "Enable all access" ON public.user_inputs;
+DROP POLICY IF EXISTS "Allow all operations" ON public.user_inputs;
+DROP POLICY IF EXISTS "Enable read access for all users" ON public.user_inputs;
+DROP POLICY IF EXISTS "Enable insert for all users" ON public.user_inputs;
+DROP POLICY IF EXISTS "Enable update for users based on session_id" ON public.user_inputs;
+DROP POLICY IF EXISTS "Enable delete for users based on session_id" ON public.user_inputs;
+
+DROP POLICY IF EXISTS "Anonymous access to user_inputs" ON public.user_inputs;
+CREATE POLICY "Anonymous access to user_inputs"
+  ON public.user_inputs
+  FOR ALL
+  TO anon
+  USING (true)
+  WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Builders manage their own inputs" ON public.user_inputs;
+CREATE POLICY "Builders manage their own inputs"
+  ON public.user_inputs
+  FOR ALL
+  TO authenticated
+  USING (
+    session_id IN (SELECT session_id FROM public.builder_sessions WHERE user_id = auth.uid())
+  )
+  WITH CHECK (
+    session_id IN (SELECT session_id FROM public.builder_sessions WHERE user_id = auth.uid())
+  );
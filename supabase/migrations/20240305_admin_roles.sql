@@ -0,0 +1,212 @@
+-- Admin accounts and roles. Admins sign in with Supabase Auth like builders do;
+-- having a row here is what makes an account an admin.
+--   facilitator  - runs workshops, edits notes and builder data
+--   program_lead - everything a facilitator can do, plus deleting builders and managing roles
+--   observer     - read-only access to builder data and reports
+--
+-- Bootstrap the first program lead from the SQL editor:
+--   INSERT INTO public.admin_roles (user_id, role)
+--   SELECT id, 'program_lead' FROM auth.users WHERE email = 'lead@example.com';
+CREATE TABLE IF NOT EXISTS public.admin_roles (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL CHECK (role IN ('facilitator', 'program_lead', 'observer')),
+  granted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE public.admin_roles IS 'Admin dashboard roles for Supabase Auth users';
+
+-- Role of the current user, or NULL for builders and anonymous users.
+-- SECURITY DEFINER so policies can call it without their own access to admin_roles.
+CREATE OR REPLACE FUNCTION public.admin_role()
+RETURNS TEXT AS $$
+  SELECT role FROM public.admin_roles WHERE user_id = auth.uid();
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.admin_role() TO anon, authenticated;
+
+ALTER TABLE public.admin_roles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins read their own role" ON public.admin_roles;
+CREATE POLICY "Admins read their own role"
+  ON public.admin_roles
+  FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid() OR public.admin_role() = 'program_lead');
+
+DROP POLICY IF EXISTS "Program leads manage roles" ON public.admin_roles;
+CREATE POLICY "Program leads manage roles"
+  ON public.admin_roles
+  FOR ALL
+  TO authenticated
+  USING (public.admin_role() = 'program_lead')
+  WITH CHECK (public.admin_role() = 'program_lead');
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.admin_roles TO authenticated;
+
+-- user_inputs: no more anonymous access. Builders keep their own-rows policy.
+DROP POLICY IF EXISTS "Anonymous access to user_inputs" ON public.user_inputs;
+
+DROP POLICY IF EXISTS "Admins read all inputs" ON public.user_inputs;
+CREATE POLICY "Admins read all inputs"
+  ON public.user_inputs
+  FOR SELECT
+  TO authenticated
+  USING (public.admin_role() IS NOT NULL);
+
+DROP POLICY IF EXISTS "Facilitators update inputs" ON public.user_inputs;
+CREATE POLICY "Facilitators update inputs"
+  ON public.user_inputs
+  FOR UPDATE
+  TO authenticated
+  USING (public.admin_role() IN ('facilitator', 'program_lead'))
+  WITH CHECK (public.admin_role() IN ('facilitator', 'program_lead'));
+
+DROP POLICY IF EXISTS "Program leads delete inputs" ON public.user_inputs;
+CREATE POLICY "Program leads delete inputs"
+  ON public.user_inputs
+  FOR DELETE
+  TO authenticated
+  USING (public.admin_role() = 'program_lead');
+
+REVOKE ALL ON public.user_inputs FROM anon;
+
+-- admin_notes: admin only
+DROP POLICY IF EXISTS "Enable read access for admin mode" ON public.admin_notes;
+DROP POLICY IF EXISTS "Enable insert access for admin mode" ON public.admin_notes;
+DROP POLICY IF EXISTS "Enable update access for admin mode" ON public.admin_notes;
+DROP POLICY IF EXISTS "Enable delete access for admin mode" ON public.admin_notes;
+
+DROP POLICY IF EXISTS "Admins read notes" ON public.admin_notes;
+CREATE POLICY "Admins read notes"
+  ON public.admin_notes
+  FOR SELECT
+  TO authenticated
+  USING (public.admin_role() IS NOT NULL);
+
+DROP POLICY IF EXISTS "Facilitators write notes" ON public.admin_notes;
+CREATE POLICY "Facilitators write notes"
+  ON public.admin_notes
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (public.admin_role() IN ('facilitator', 'program_lead'));
+
+DROP POLICY IF EXISTS "Facilitators update notes" ON public.admin_notes;
+CREATE POLICY "Facilitators update notes"
+  ON public.admin_notes
+  FOR UPDATE
+  TO authenticated
+  USING (public.admin_role() IN ('facilitator', 'program_lead'))
+  WITH CHECK (public.admin_role() IN ('facilitator', 'program_lead'));
+
+DROP POLICY IF EXISTS "Program leads delete notes" ON public.admin_notes;
+CREATE POLICY "Program leads delete notes"
+  ON public.admin_notes
+  FOR DELETE
+  TO authenticated
+  USING (public.admin_role() = 'program_lead');
+
+REVOKE ALL ON public.admin_notes FROM anon;
+
+-- report_cache / analysis_results: derived data, so every admin role (observers
+-- included) can read and refresh it; only program leads can delete it.
+DROP POLICY IF EXISTS "Allow admin access to reports" ON public.report_cache;
+DROP POLICY IF EXISTS "Allow admin access to analysis" ON public.analysis_results;
+
+DROP POLICY IF EXISTS "Admins read reports" ON public.report_cache;
+CREATE POLICY "Admins read reports"
+  ON public.report_cache
+  FOR SELECT
+  TO authenticated
+  USING (public.admin_role() IS NOT NULL);
+
+DROP POLICY IF EXISTS "Admins cache reports" ON public.report_cache;
+CREATE POLICY "Admins cache reports"
+  ON public.report_cache
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (public.admin_role() IS NOT NULL);
+
+DROP POLICY IF EXISTS "Admins refresh reports" ON public.report_cache;
+CREATE POLICY "Admins refresh reports"
+  ON public.report_cache
+  FOR UPDATE
+  TO authenticated
+  USING (public.admin_role() IS NOT NULL)
+  WITH CHECK (public.admin_role() IS NOT NULL);
+
+DROP POLICY IF EXISTS "Program leads delete reports" ON public.report_cache;
+CREATE POLICY "Program leads delete reports"
+  ON public.report_cache
+  FOR DELETE
+  TO authenticated
+  USING (public.admin_role() = 'program_lead');
+
+DROP POLICY IF EXISTS "Admins read analysis" ON public.analysis_results;
+CREATE POLICY "Admins read analysis"
+  ON public.analysis_results
+  FOR SELECT
+  TO authenticated
+  USING (public.admin_role() IS NOT NULL);
+
+DROP POLICY IF EXISTS "Admins store analysis" ON public.analysis_results;
+CREATE POLICY "Admins store analysis"
+  ON public.analysis_results
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (public.admin_role() IS NOT NULL);
+
+DROP POLICY IF EXISTS "Program leads delete analysis" ON public.analysis_results;
+CREATE POLICY "Program leads delete analysis"
+  ON public.analysis_results
+  FOR DELETE
+  TO authenticated
+  USING (public.admin_role() = 'program_lead');
+
+-- interview_sessions: builders own theirs, admins read all
+DROP POLICY IF EXISTS "Allow anonymous access to interview_sessions" ON public.interview_sessions;
+
+DROP POLICY IF EXISTS "Builders manage their own interviews" ON public.interview_sessions;
+CREATE POLICY "Builders manage their own interviews"
+  ON public.interview_sessions
+  FOR ALL
+  TO authenticated
+  USING (
+    session_id IN (SELECT session_id FROM public.builder_sessions WHERE user_id = auth.uid())
+  )
+  WITH CHECK (
+    session_id IN (SELECT session_id FROM public.builder_sessions WHERE user_id = auth.uid())
+  );
+
+DROP POLICY IF EXISTS "Admins read interviews" ON public.interview_sessions;
+CREATE POLICY "Admins read interviews"
+  ON public.interview_sessions
+  FOR SELECT
+  TO authenticated
+  USING (public.admin_role() IS NOT NULL);
+
+-- workshops: anyone can look one up to join it, only facilitators and leads change them
+DROP POLICY IF EXISTS "Allow anonymous access to workshops" ON public.workshops;
+
+DROP POLICY IF EXISTS "Anyone can read workshops" ON public.workshops;
+CREATE POLICY "Anyone can read workshops"
+  ON public.workshops
+  FOR SELECT
+  TO public
+  USING (true);
+
+DROP POLICY IF EXISTS "Facilitators manage workshops" ON public.workshops;
+CREATE POLICY "Facilitators manage workshops"
+  ON public.workshops
+  FOR ALL
+  TO authenticated
+  USING (public.admin_role() IN ('facilitator', 'program_lead'))
+  WITH CHECK (public.admin_role() IN ('facilitator', 'program_lead'));
+
+-- builder_sessions: admins can see which builder owns which session
+DROP POLICY IF EXISTS "Admins read builder sessions" ON public.builder_sessions;
+CREATE POLICY "Admins read builder sessions"
+  ON public.builder_sessions
+  FOR SELECT
+  TO authenticated
+  USING (public.admin_role() IS NOT NULL);
@@ -0,0 +1,52 @@
+-- Live pacing state of a running workshop: which schedule segment is active and
+-- when it ends. Facilitators change it from the live panel. Builders load the row
+-- when they open or reload the app mid-workshop and follow its changes over
+-- Realtime; only facilitators can write it.
+CREATE TABLE IF NOT EXISTS public.live_sessions (
+  workshop_id UUID PRIMARY KEY REFERENCES public.workshops(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'paused', 'ended')),
+  -- Index into the curriculum's flattened schedule (see getScheduleSegments)
+  segment_index INTEGER NOT NULL DEFAULT 0,
+  segment_ends_at TIMESTAMP WITH TIME ZONE,
+  -- Time left on the segment while paused
+  remaining_ms INTEGER,
+  -- Lock builder sections until the workshop reaches them
+  unlock_sections BOOLEAN NOT NULL DEFAULT false,
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE public.live_sessions IS 'Active schedule segment of each running workshop, set by the facilitator';
+
+ALTER TABLE public.live_sessions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can read live sessions" ON public.live_sessions;
+CREATE POLICY "Anyone can read live sessions"
+  ON public.live_sessions
+  FOR SELECT
+  TO public
+  USING (true);
+
+DROP POLICY IF EXISTS "Facilitators run live sessions" ON public.live_sessions;
+CREATE POLICY "Facilitators run live sessions"
+  ON public.live_sessions
+  FOR ALL
+  TO authenticated
+  USING (public.admin_role() IN ('facilitator', 'program_lead'))
+  WITH CHECK (public.admin_role() IN ('facilitator', 'program_lead'));
+
+GRANT SELECT ON public.live_sessions TO anon;
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.live_sessions TO authenticated;
+
+-- Builders follow row changes
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime'
+    AND tablename = 'live_sessions'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.live_sessions;
+  END IF;
+END $$;
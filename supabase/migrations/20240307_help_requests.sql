@@ -0,0 +1,72 @@
+-- "Raise hand" help requests from builders. A builder has at most one open or
+-- claimed request at a time; facilitators claim it (the builder is told who is
+-- coming) and resolve it once they've helped.
+CREATE TABLE IF NOT EXISTS public.help_requests (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  session_id UUID NOT NULL,
+  workshop_id UUID REFERENCES public.workshops(id) ON DELETE SET NULL,
+  section_id TEXT,
+  section_name TEXT,
+  builder_name TEXT,
+  message TEXT,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'claimed', 'resolved', 'cancelled')),
+  claimed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  claimed_by_name TEXT,
+  claimed_at TIMESTAMP WITH TIME ZONE,
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  resolution_note TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS help_requests_workshop_status_idx ON public.help_requests(workshop_id, status);
+CREATE INDEX IF NOT EXISTS help_requests_session_id_idx ON public.help_requests(session_id);
+
+-- One active request per builder
+CREATE UNIQUE INDEX IF NOT EXISTS help_requests_one_active_idx
+  ON public.help_requests(session_id)
+  WHERE status IN ('open', 'claimed');
+
+COMMENT ON TABLE public.help_requests IS 'Help requests raised by builders and handled by facilitators';
+
+ALTER TABLE public.help_requests ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Builders manage their own help requests" ON public.help_requests;
+CREATE POLICY "Builders manage their own help requests"
+  ON public.help_requests
+  FOR ALL
+  TO authenticated
+  USING (
+    session_id IN (SELECT session_id FROM public.builder_sessions WHERE user_id = auth.uid())
+  )
+  WITH CHECK (
+    session_id IN (SELECT session_id FROM public.builder_sessions WHERE user_id = auth.uid())
+  );
+
+DROP POLICY IF EXISTS "Admins read help requests" ON public.help_requests;
+CREATE POLICY "Admins read help requests"
+  ON public.help_requests
+  FOR SELECT
+  TO authenticated
+  USING (public.admin_role() IS NOT NULL);
+
+DROP POLICY IF EXISTS "Facilitators handle help requests" ON public.help_requests;
+CREATE POLICY "Facilitators handle help requests"
+  ON public.help_requests
+  FOR UPDATE
+  TO authenticated
+  USING (public.admin_role() IN ('facilitator', 'program_lead'))
+  WITH CHECK (public.admin_role() IN ('facilitator', 'program_lead'));
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.help_requests TO authenticated;
+
+-- The queue and the builder's "someone is on the way" notice follow row changes
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime'
+    AND tablename = 'help_requests'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.help_requests;
+  END IF;
+END $$;
@@ -0,0 +1,127 @@
+-- Structured peer feedback for the Give & Get Feedback exercise. Facilitators
+-- assign reviewers to reviewees (random groups, by problem similarity, or by
+-- hand); reviewers see the reviewee's shared sections and submit rubric scores
+-- and comments, one peer_feedback row per assignment.
+CREATE TABLE IF NOT EXISTS public.feedback_assignments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  workshop_id UUID REFERENCES public.workshops(id) ON DELETE CASCADE,
+  reviewer_session_id UUID NOT NULL,
+  reviewee_session_id UUID NOT NULL,
+  -- Names copied at assignment time so builders never need each other's User Info row
+  reviewer_name TEXT,
+  reviewee_name TEXT,
+  -- Sections of the reviewee the reviewer may read
+  shared_sections TEXT[] NOT NULL DEFAULT ARRAY['Problem Definition', 'MVP Planner'],
+  strategy TEXT NOT NULL DEFAULT 'manual' CHECK (strategy IN ('random', 'similarity', 'manual')),
+  group_number INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (reviewer_session_id, reviewee_session_id),
+  CHECK (reviewer_session_id <> reviewee_session_id)
+);
+
+CREATE INDEX IF NOT EXISTS feedback_assignments_workshop_id_idx ON public.feedback_assignments(workshop_id);
+CREATE INDEX IF NOT EXISTS feedback_assignments_reviewee_idx ON public.feedback_assignments(reviewee_session_id);
+
+COMMENT ON TABLE public.feedback_assignments IS 'Who reviews whom in the peer feedback exchange';
+
+CREATE TABLE IF NOT EXISTS public.peer_feedback (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  assignment_id UUID NOT NULL UNIQUE REFERENCES public.feedback_assignments(id) ON DELETE CASCADE,
+  workshop_id UUID REFERENCES public.workshops(id) ON DELETE CASCADE,
+  reviewer_session_id UUID NOT NULL,
+  reviewee_session_id UUID NOT NULL,
+  -- Rubric scores keyed by criterion ID, e.g. {"clarity": 4, "aiFit": 3}
+  scores JSONB NOT NULL DEFAULT '{}'::jsonb,
+  strengths TEXT,
+  suggestions TEXT,
+  questions TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS peer_feedback_reviewee_idx ON public.peer_feedback(reviewee_session_id);
+
+COMMENT ON TABLE public.peer_feedback IS 'Rubric scores and comments a builder gave on a peer''s project';
+
+ALTER TABLE public.feedback_assignments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.peer_feedback ENABLE ROW LEVEL SECURITY;
+
+-- Assignments: builders see the ones they are part of; facilitators manage them
+DROP POLICY IF EXISTS "Builders read their assignments" ON public.feedback_assignments;
+CREATE POLICY "Builders read their assignments"
+  ON public.feedback_assignments
+  FOR SELECT
+  TO authenticated
+  USING (
+    reviewer_session_id IN (SELECT session_id FROM public.builder_sessions WHERE user_id = auth.uid())
+    OR reviewee_session_id IN (SELECT session_id FROM public.builder_sessions WHERE user_id = auth.uid())
+  );
+
+DROP POLICY IF EXISTS "Admins read assignments" ON public.feedback_assignments;
+CREATE POLICY "Admins read assignments"
+  ON public.feedback_assignments
+  FOR SELECT
+  TO authenticated
+  USING (public.admin_role() IS NOT NULL);
+
+DROP POLICY IF EXISTS "Facilitators manage assignments" ON public.feedback_assignments;
+CREATE POLICY "Facilitators manage assignments"
+  ON public.feedback_assignments
+  FOR ALL
+  TO authenticated
+  USING (public.admin_role() IN ('facilitator', 'program_lead'))
+  WITH CHECK (public.admin_role() IN ('facilitator', 'program_lead'));
+
+-- Feedback: reviewers write their own, reviewees read what they received
+DROP POLICY IF EXISTS "Reviewers manage their feedback" ON public.peer_feedback;
+CREATE POLICY "Reviewers manage their feedback"
+  ON public.peer_feedback
+  FOR ALL
+  TO authenticated
+  USING (
+    reviewer_session_id IN (SELECT session_id FROM public.builder_sessions WHERE user_id = auth.uid())
+  )
+  WITH CHECK (
+    reviewer_session_id IN (SELECT session_id FROM public.builder_sessions WHERE user_id = auth.uid())
+    AND assignment_id IN (
+      SELECT id FROM public.feedback_assignments
+      WHERE reviewer_session_id = peer_feedback.reviewer_session_id
+        AND reviewee_session_id = peer_feedback.reviewee_session_id
+    )
+  );
+
+DROP POLICY IF EXISTS "Reviewees read their feedback" ON public.peer_feedback;
+CREATE POLICY "Reviewees read their feedback"
+  ON public.peer_feedback
+  FOR SELECT
+  TO authenticated
+  USING (
+    reviewee_session_id IN (SELECT session_id FROM public.builder_sessions WHERE user_id = auth.uid())
+  );
+
+DROP POLICY IF EXISTS "Admins read feedback" ON public.peer_feedback;
+CREATE POLICY "Admins read feedback"
+  ON public.peer_feedback
+  FOR SELECT
+  TO authenticated
+  USING (public.admin_role() IS NOT NULL);
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.feedback_assignments TO authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.peer_feedback TO authenticated;
+
+-- Reviewers may read the sections their reviewee shares with them
+DROP POLICY IF EXISTS "Reviewers read shared inputs" ON public.user_inputs;
+CREATE POLICY "Reviewers read shared inputs"
+  ON public.user_inputs
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1
+      FROM public.feedback_assignments a
+      JOIN public.builder_sessions b ON b.session_id = a.reviewer_session_id
+      WHERE b.user_id = auth.uid()
+        AND a.reviewee_session_id = user_inputs.session_id
+        AND user_inputs.section_name = ANY(a.shared_sections)
+    )
+  );
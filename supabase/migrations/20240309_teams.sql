@@ -0,0 +1,165 @@
+-- Team mode: several builders share one project. A team owns the inputs of the
+-- team-scoped sections (curriculum sections with scope 'team'); those rows are
+-- stored under the team's ID as their session_id, so the builder flow saves
+-- them like any other session. Members join with the team's join code.
+CREATE TABLE IF NOT EXISTS public.teams (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  workshop_id UUID REFERENCES public.workshops(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  join_code TEXT NOT NULL UNIQUE,
+  created_by_session_id UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS teams_workshop_id_idx ON public.teams(workshop_id);
+
+COMMENT ON TABLE public.teams IS 'Builders working on one shared project; teams.id is the session_id of the shared inputs';
+
+CREATE TABLE IF NOT EXISTS public.team_members (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  team_id UUID NOT NULL REFERENCES public.teams(id) ON DELETE CASCADE,
+  -- A session belongs to at most one team
+  session_id UUID NOT NULL UNIQUE,
+  name TEXT,
+  joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS team_members_team_id_idx ON public.team_members(team_id);
+
+COMMENT ON TABLE public.team_members IS 'Builder sessions that belong to a team';
+
+-- Team rows record which member last edited each field:
+-- {"fieldName": {"session_id": "...", "name": "...", "at": "..."}}
+ALTER TABLE public.user_inputs
+  ADD COLUMN IF NOT EXISTS team_id UUID REFERENCES public.teams(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS field_authors JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+CREATE INDEX IF NOT EXISTS user_inputs_team_id_idx ON public.user_inputs(team_id);
+
+-- Team rows have no User Info row to inherit the workshop from; use the team's
+CREATE OR REPLACE FUNCTION public.inherit_user_input_workshop()
+RETURNS trigger AS $$
+BEGIN
+  IF NEW.workshop_id IS NULL AND NEW.team_id IS NOT NULL THEN
+    SELECT workshop_id INTO NEW.workshop_id
+    FROM public.teams
+    WHERE id = NEW.team_id;
+  ELSIF NEW.workshop_id IS NULL AND NEW.section_name <> 'User Info' THEN
+    SELECT workshop_id INTO NEW.workshop_id
+    FROM public.user_inputs
+    WHERE session_id = NEW.session_id
+      AND section_name = 'User Info';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE public.teams ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.team_members ENABLE ROW LEVEL SECURITY;
+
+-- Teams are looked up by join code, like workshops
+DROP POLICY IF EXISTS "Anyone can read teams" ON public.teams;
+CREATE POLICY "Anyone can read teams"
+  ON public.teams
+  FOR SELECT
+  TO public
+  USING (true);
+
+DROP POLICY IF EXISTS "Builders create teams" ON public.teams;
+CREATE POLICY "Builders create teams"
+  ON public.teams
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    created_by_session_id IN (SELECT session_id FROM public.builder_sessions WHERE user_id = auth.uid())
+  );
+
+DROP POLICY IF EXISTS "Members rename their team" ON public.teams;
+CREATE POLICY "Members rename their team"
+  ON public.teams
+  FOR UPDATE
+  TO authenticated
+  USING (
+    id IN (
+      SELECT tm.team_id FROM public.team_members tm
+      JOIN public.builder_sessions b ON b.session_id = tm.session_id
+      WHERE b.user_id = auth.uid()
+    )
+  );
+
+DROP POLICY IF EXISTS "Facilitators manage teams" ON public.teams;
+CREATE POLICY "Facilitators manage teams"
+  ON public.teams
+  FOR ALL
+  TO authenticated
+  USING (public.admin_role() IN ('facilitator', 'program_lead'))
+  WITH CHECK (public.admin_role() IN ('facilitator', 'program_lead'));
+
+DROP POLICY IF EXISTS "Anyone can read team members" ON public.team_members;
+CREATE POLICY "Anyone can read team members"
+  ON public.team_members
+  FOR SELECT
+  TO public
+  USING (true);
+
+DROP POLICY IF EXISTS "Builders manage their own membership" ON public.team_members;
+CREATE POLICY "Builders manage their own membership"
+  ON public.team_members
+  FOR ALL
+  TO authenticated
+  USING (
+    session_id IN (SELECT session_id FROM public.builder_sessions WHERE user_id = auth.uid())
+  )
+  WITH CHECK (
+    session_id IN (SELECT session_id FROM public.builder_sessions WHERE user_id = auth.uid())
+  );
+
+DROP POLICY IF EXISTS "Facilitators manage team members" ON public.team_members;
+CREATE POLICY "Facilitators manage team members"
+  ON public.team_members
+  FOR ALL
+  TO authenticated
+  USING (public.admin_role() IN ('facilitator', 'program_lead'))
+  WITH CHECK (public.admin_role() IN ('facilitator', 'program_lead'));
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.teams TO authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.team_members TO authenticated;
+
+-- Members read and write their team's shared inputs
+DROP POLICY IF EXISTS "Members manage their team's inputs" ON public.user_inputs;
+CREATE POLICY "Members manage their team's inputs"
+  ON public.user_inputs
+  FOR ALL
+  TO authenticated
+  USING (
+    session_id IN (
+      SELECT tm.team_id FROM public.team_members tm
+      JOIN public.builder_sessions b ON b.session_id = tm.session_id
+      WHERE b.user_id = auth.uid()
+    )
+  )
+  WITH CHECK (
+    session_id IN (
+      SELECT tm.team_id FROM public.team_members tm
+      JOIN public.builder_sessions b ON b.session_id = tm.session_id
+      WHERE b.user_id = auth.uid()
+    )
+  );
+
+-- Peer reviewers of a team member read the team's shared sections
+DROP POLICY IF EXISTS "Reviewers read shared inputs" ON public.user_inputs;
+CREATE POLICY "Reviewers read shared inputs"
+  ON public.user_inputs
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1
+      FROM public.feedback_assignments a
+      JOIN public.builder_sessions b ON b.session_id = a.reviewer_session_id
+      LEFT JOIN public.team_members tm ON tm.session_id = a.reviewee_session_id
+      WHERE b.user_id = auth.uid()
+        AND user_inputs.session_id IN (a.reviewee_session_id, tm.team_id)
+        AND user_inputs.section_name = ANY(a.shared_sections)
+    )
+  );
@@ -0,0 +1,108 @@
+-- Revision history for section inputs. Saves still overwrite user_inputs in
+-- place; a trigger appends each new version of input_data here so coaches can
+-- step through how an idea evolved and builders can restore an earlier draft.
+-- Autosave writes about once a second while a builder types, so a save within
+-- two minutes of the row's previous revision updates that revision instead of
+-- adding another one.
+CREATE TABLE IF NOT EXISTS public.user_input_revisions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_input_id INTEGER NOT NULL REFERENCES public.user_inputs(id) ON DELETE CASCADE,
+  session_id UUID NOT NULL,
+  section_name TEXT NOT NULL,
+  workshop_id UUID REFERENCES public.workshops(id) ON DELETE SET NULL,
+  team_id UUID REFERENCES public.teams(id) ON DELETE CASCADE,
+  revision_number INTEGER NOT NULL,
+  input_data JSONB NOT NULL,
+  field_authors JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (user_input_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS user_input_revisions_session_idx
+  ON public.user_input_revisions(session_id, section_name, revision_number);
+
+COMMENT ON TABLE public.user_input_revisions IS 'Versions of each user_inputs row, oldest first';
+
+CREATE OR REPLACE FUNCTION public.record_user_input_revision()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  latest public.user_input_revisions%ROWTYPE;
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.input_data IS NOT DISTINCT FROM OLD.input_data THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT * INTO latest
+  FROM public.user_input_revisions
+  WHERE user_input_id = NEW.id
+  ORDER BY revision_number DESC
+  LIMIT 1;
+
+  IF FOUND AND latest.updated_at > NOW() - INTERVAL '2 minutes' THEN
+    UPDATE public.user_input_revisions
+    SET input_data = NEW.input_data,
+        field_authors = COALESCE(NEW.field_authors, '{}'::jsonb),
+        updated_at = NOW()
+    WHERE id = latest.id;
+  ELSE
+    INSERT INTO public.user_input_revisions (
+      user_input_id, session_id, section_name, workshop_id, team_id,
+      revision_number, input_data, field_authors
+    ) VALUES (
+      NEW.id, NEW.session_id, NEW.section_name, NEW.workshop_id, NEW.team_id,
+      COALESCE(latest.revision_number, 0) + 1, NEW.input_data, COALESCE(NEW.field_authors, '{}'::jsonb)
+    );
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS user_inputs_record_revision ON public.user_inputs;
+CREATE TRIGGER user_inputs_record_revision
+  AFTER INSERT OR UPDATE OF input_data ON public.user_inputs
+  FOR EACH ROW EXECUTE FUNCTION public.record_user_input_revision();
+
+-- Existing inputs start their history with their current version
+INSERT INTO public.user_input_revisions (
+  user_input_id, session_id, section_name, workshop_id, team_id,
+  revision_number, input_data, field_authors, created_at, updated_at
+)
+SELECT
+  id, session_id, section_name, workshop_id, team_id,
+  1, input_data, COALESCE(field_authors, '{}'::jsonb),
+  COALESCE(updated_at, created_at), COALESCE(updated_at, created_at)
+FROM public.user_inputs
+WHERE input_data IS NOT NULL
+ON CONFLICT (user_input_id, revision_number) DO NOTHING;
+
+ALTER TABLE public.user_input_revisions ENABLE ROW LEVEL SECURITY;
+
+-- Revisions are written by the trigger only; builders read their own (and their team's)
+DROP POLICY IF EXISTS "Builders read their revisions" ON public.user_input_revisions;
+CREATE POLICY "Builders read their revisions"
+  ON public.user_input_revisions
+  FOR SELECT
+  TO authenticated
+  USING (
+    session_id IN (SELECT session_id FROM public.builder_sessions WHERE user_id = auth.uid())
+    OR session_id IN (
+      SELECT tm.team_id FROM public.team_members tm
+      JOIN public.builder_sessions b ON b.session_id = tm.session_id
+      WHERE b.user_id = auth.uid()
+    )
+  );
+
+DROP POLICY IF EXISTS "Admins read revisions" ON public.user_input_revisions;
+CREATE POLICY "Admins read revisions"
+  ON public.user_input_revisions
+  FOR SELECT
+  TO authenticated
+  USING (public.admin_role() IS NOT NULL);
+
+GRANT SELECT ON public.user_input_revisions TO authenticated;
@@ -0,0 +1,102 @@
+-- Demo-day judging. A rubric lists weighted criteria scored on a numeric scale;
+-- facilitators set one up per workshop and every judge scores each builder (or
+-- team) on it. Scores are kept per judge so we can report how well judges agree.
+--   criteria: [{"id": "problem", "label": "Problem", "description": "...", "weight": 1}]
+--   scores:   {"problem": 4, "demo": 5}
+
+-- Judges: external demo-day judges who can read builder data and score it
+ALTER TABLE public.admin_roles DROP CONSTRAINT IF EXISTS admin_roles_role_check;
+ALTER TABLE public.admin_roles
+  ADD CONSTRAINT admin_roles_role_check CHECK (role IN ('facilitator', 'program_lead', 'observer', 'judge'));
+
+CREATE TABLE IF NOT EXISTS public.rubrics (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  workshop_id UUID REFERENCES public.workshops(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  -- Sections judges look at while scoring
+  sections TEXT[] NOT NULL DEFAULT ARRAY['Start Build', 'Presentations & Retro'],
+  criteria JSONB NOT NULL DEFAULT '[]'::jsonb,
+  scale_min INTEGER NOT NULL DEFAULT 1,
+  scale_max INTEGER NOT NULL DEFAULT 5,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (scale_max > scale_min)
+);
+
+CREATE INDEX IF NOT EXISTS rubrics_workshop_id_idx ON public.rubrics(workshop_id);
+
+COMMENT ON TABLE public.rubrics IS 'Judging rubrics: weighted criteria on a numeric scale';
+
+CREATE TABLE IF NOT EXISTS public.rubric_scores (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  rubric_id UUID NOT NULL REFERENCES public.rubrics(id) ON DELETE CASCADE,
+  -- Builder session, or team ID for teams (like user_inputs.session_id)
+  session_id UUID NOT NULL,
+  workshop_id UUID REFERENCES public.workshops(id) ON DELETE SET NULL,
+  judge_id UUID NOT NULL DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE,
+  judge_name TEXT,
+  scores JSONB NOT NULL DEFAULT '{}'::jsonb,
+  comment TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (rubric_id, session_id, judge_id)
+);
+
+CREATE INDEX IF NOT EXISTS rubric_scores_rubric_id_idx ON public.rubric_scores(rubric_id);
+CREATE INDEX IF NOT EXISTS rubric_scores_session_id_idx ON public.rubric_scores(session_id);
+
+COMMENT ON TABLE public.rubric_scores IS 'One judge''s scores for one builder or team on a rubric';
+
+ALTER TABLE public.rubrics ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.rubric_scores ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins read rubrics" ON public.rubrics;
+CREATE POLICY "Admins read rubrics"
+  ON public.rubrics
+  FOR SELECT
+  TO authenticated
+  USING (public.admin_role() IS NOT NULL);
+
+DROP POLICY IF EXISTS "Facilitators manage rubrics" ON public.rubrics;
+CREATE POLICY "Facilitators manage rubrics"
+  ON public.rubrics
+  FOR ALL
+  TO authenticated
+  USING (public.admin_role() IN ('facilitator', 'program_lead'))
+  WITH CHECK (public.admin_role() IN ('facilitator', 'program_lead'));
+
+DROP POLICY IF EXISTS "Admins read scores" ON public.rubric_scores;
+CREATE POLICY "Admins read scores"
+  ON public.rubric_scores
+  FOR SELECT
+  TO authenticated
+  USING (public.admin_role() IS NOT NULL);
+
+DROP POLICY IF EXISTS "Judges write their own scores" ON public.rubric_scores;
+CREATE POLICY "Judges write their own scores"
+  ON public.rubric_scores
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    judge_id = auth.uid()
+    AND public.admin_role() IN ('facilitator', 'program_lead', 'judge')
+  );
+
+DROP POLICY IF EXISTS "Judges update their own scores" ON public.rubric_scores;
+CREATE POLICY "Judges update their own scores"
+  ON public.rubric_scores
+  FOR UPDATE
+  TO authenticated
+  USING (judge_id = auth.uid() AND public.admin_role() IN ('facilitator', 'program_lead', 'judge'))
+  WITH CHECK (judge_id = auth.uid() AND public.admin_role() IN ('facilitator', 'program_lead', 'judge'));
+
+DROP POLICY IF EXISTS "Judges delete their own scores" ON public.rubric_scores;
+CREATE POLICY "Judges delete their own scores"
+  ON public.rubric_scores
+  FOR DELETE
+  TO authenticated
+  USING (judge_id = auth.uid() OR public.admin_role() = 'program_lead');
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.rubrics TO authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.rubric_scores TO authenticated;
@@ -0,0 +1,31 @@
+-- AI rubric pre-scores are stored in analysis_results with analysis_type
+-- 'rubric_grade', one row per run for one builder or team:
+--   input_data: {"rubric_id": "...", "session_id": "...", "fields": [{"ref": "startBuild.functionality", ...}]}
+--   insights:   {"provider": "openai" | "stub", "total": 72.5, "grades": [{"criterionId": "...", "score": 4,
+--                "rationale": "...", "confidence": 0.8, "evidence": [{"ref": "...", "quote": "..."}]}]}
+-- Facilitators review each pre-score: accepting it keeps the AI's scores,
+-- overriding means they saved different ones.
+ALTER TABLE public.analysis_results
+  ADD COLUMN IF NOT EXISTS review_status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (review_status IN ('pending', 'accepted', 'overridden')),
+  ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS analysis_results_rubric_idx
+  ON public.analysis_results ((input_data->>'rubric_id'))
+  WHERE analysis_type = 'rubric_grade';
+
+-- Scorers may only review rubric pre-scores, not the other analysis rows
+DROP POLICY IF EXISTS "Scorers review analysis" ON public.analysis_results;
+CREATE POLICY "Scorers review analysis"
+  ON public.analysis_results
+  FOR UPDATE
+  TO authenticated
+  USING (
+    analysis_type = 'rubric_grade'
+    AND public.admin_role() IN ('facilitator', 'program_lead', 'judge')
+  )
+  WITH CHECK (
+    analysis_type = 'rubric_grade'
+    AND public.admin_role() IN ('facilitator', 'program_lead', 'judge')
+  );
@@ -0,0 +1,98 @@
+-- One row per AI request served by the ai-chat and transcribe Edge Functions.
+-- They write these with the service role, through record_ai_request(), which
+-- also enforces the per-user rate limits. A row is written when the request
+-- starts (so cancelled and failed requests count too) and its token counts are
+-- filled in when the answer is complete; they stay estimated when the provider
+-- doesn't report them.
+CREATE TABLE IF NOT EXISTS public.ai_usage (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  -- Prompt template name, 'embeddings' or 'transcription'
+  template TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  completion_tokens INTEGER NOT NULL DEFAULT 0,
+  estimated BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS ai_usage_user_created_idx ON public.ai_usage(user_id, created_at DESC);
+
+COMMENT ON TABLE public.ai_usage IS 'AI requests per user, for rate limits and token accounting';
+
+ALTER TABLE public.ai_usage ENABLE ROW LEVEL SECURITY;
+
+-- No insert/update policies: only the Edge Function (service role) writes usage
+DROP POLICY IF EXISTS "Users read their own AI usage" ON public.ai_usage;
+CREATE POLICY "Users read their own AI usage"
+  ON public.ai_usage
+  FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid() OR public.admin_role() IS NOT NULL);
+
+-- Count a request toward the user's limits and record it, or refuse it.
+-- Returns {"id": <ai_usage id>, "retry_after": null}, or {"id": null,
+-- "retry_after": <seconds>} when the user is over a limit. Requests from one
+-- user are serialized by an advisory lock, so concurrent requests can't both
+-- pass the check.
+CREATE OR REPLACE FUNCTION public.record_ai_request(
+  p_user_id UUID,
+  p_template TEXT,
+  p_provider TEXT,
+  p_model TEXT,
+  p_prompt_tokens INTEGER,
+  p_per_minute INTEGER,
+  p_per_day INTEGER
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+VOLATILE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  oldest_counted TIMESTAMP WITH TIME ZONE;
+  usage_id UUID;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('ai_usage:' || p_user_id::text));
+
+  -- The request that has to age out of the window before another is allowed
+  SELECT created_at INTO oldest_counted
+  FROM public.ai_usage
+  WHERE user_id = p_user_id AND created_at > NOW() - INTERVAL '1 day'
+  ORDER BY created_at DESC
+  OFFSET p_per_day - 1
+  LIMIT 1;
+
+  IF FOUND THEN
+    RETURN jsonb_build_object(
+      'id', NULL,
+      'retry_after', EXTRACT(EPOCH FROM oldest_counted + INTERVAL '1 day' - NOW())
+    );
+  END IF;
+
+  SELECT created_at INTO oldest_counted
+  FROM public.ai_usage
+  WHERE user_id = p_user_id AND created_at > NOW() - INTERVAL '1 minute'
+  ORDER BY created_at DESC
+  OFFSET p_per_minute - 1
+  LIMIT 1;
+
+  IF FOUND THEN
+    RETURN jsonb_build_object(
+      'id', NULL,
+      'retry_after', EXTRACT(EPOCH FROM oldest_counted + INTERVAL '1 minute' - NOW())
+    );
+  END IF;
+
+  INSERT INTO public.ai_usage (user_id, template, provider, model, prompt_tokens, completion_tokens, estimated)
+  VALUES (p_user_id, p_template, p_provider, p_model, p_prompt_tokens, 0, TRUE)
+  RETURNING id INTO usage_id;
+
+  RETURN jsonb_build_object('id', usage_id, 'retry_after', NULL);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.record_ai_request(UUID, TEXT, TEXT, TEXT, INTEGER, INTEGER, INTEGER) FROM public, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.record_ai_request(UUID, TEXT, TEXT, TEXT, INTEGER, INTEGER, INTEGER) TO service_role;
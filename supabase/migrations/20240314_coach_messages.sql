@@ -0,0 +1,46 @@
+-- Conversations between builders and the section coach, one thread per
+-- session and section. Coach turns carry the feedback they gave:
+--   feedback: {"critiques": [{"field": "impact", "message": "..."}], "question": "...",
+--              "suggestions": [{"field": "impact", "text": "..."}]}
+-- and the draft it was about; source says whether an AI model or the
+-- curriculum's rule-based checks wrote it. Builder turns are their replies.
+CREATE TABLE IF NOT EXISTS public.coach_messages (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  session_id UUID NOT NULL,
+  workshop_id UUID REFERENCES public.workshops(id) ON DELETE SET NULL,
+  section_name TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('coach', 'builder')),
+  content TEXT NOT NULL,
+  feedback JSONB,
+  draft JSONB,
+  source TEXT CHECK (source IN ('ai', 'rules')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS coach_messages_session_section_idx
+  ON public.coach_messages(session_id, section_name, created_at);
+
+COMMENT ON TABLE public.coach_messages IS 'Section coach conversations with builders';
+
+ALTER TABLE public.coach_messages ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Builders manage their own coach messages" ON public.coach_messages;
+CREATE POLICY "Builders manage their own coach messages"
+  ON public.coach_messages
+  FOR ALL
+  TO authenticated
+  USING (
+    session_id IN (SELECT session_id FROM public.builder_sessions WHERE user_id = auth.uid())
+  )
+  WITH CHECK (
+    session_id IN (SELECT session_id FROM public.builder_sessions WHERE user_id = auth.uid())
+  );
+
+DROP POLICY IF EXISTS "Admins read coach messages" ON public.coach_messages;
+CREATE POLICY "Admins read coach messages"
+  ON public.coach_messages
+  FOR SELECT
+  TO authenticated
+  USING (public.admin_role() IS NOT NULL);
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.coach_messages TO authenticated;
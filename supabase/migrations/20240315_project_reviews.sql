@@ -0,0 +1,54 @@
+-- Project reviews, cached one per builder session (or team ID, in the
+-- dashboard's team view). Generated when a builder completes the curriculum's
+-- review section; facilitators can regenerate them.
+--   review: {"strengths": ["..."], "gaps": ["..."], "nextSteps": ["..."],
+--            "resources": [{"title": "...", "why": "..."}]}
+-- source says whether an AI model or the offline rule-based review wrote it.
+-- inputs_updated_at is when the reviewed answers were last saved, so views
+-- can tell when a review is older than the answers.
+CREATE TABLE IF NOT EXISTS public.project_reviews (
+  session_id UUID PRIMARY KEY,
+  workshop_id UUID REFERENCES public.workshops(id) ON DELETE SET NULL,
+  review JSONB NOT NULL,
+  source TEXT NOT NULL CHECK (source IN ('ai', 'rules')),
+  inputs_updated_at TIMESTAMP WITH TIME ZONE,
+  generated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS project_reviews_workshop_idx
+  ON public.project_reviews(workshop_id);
+
+COMMENT ON TABLE public.project_reviews IS 'Cached AI project reviews per builder session';
+
+ALTER TABLE public.project_reviews ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Builders manage their own project review" ON public.project_reviews;
+CREATE POLICY "Builders manage their own project review"
+  ON public.project_reviews
+  FOR ALL
+  TO authenticated
+  USING (
+    session_id IN (SELECT session_id FROM public.builder_sessions WHERE user_id = auth.uid())
+  )
+  WITH CHECK (
+    session_id IN (SELECT session_id FROM public.builder_sessions WHERE user_id = auth.uid())
+  );
+
+DROP POLICY IF EXISTS "Admins read project reviews" ON public.project_reviews;
+CREATE POLICY "Admins read project reviews"
+  ON public.project_reviews
+  FOR SELECT
+  TO authenticated
+  USING (public.admin_role() IS NOT NULL);
+
+DROP POLICY IF EXISTS "Facilitators regenerate project reviews" ON public.project_reviews;
+CREATE POLICY "Facilitators regenerate project reviews"
+  ON public.project_reviews
+  FOR ALL
+  TO authenticated
+  USING (public.admin_role() IN ('facilitator', 'program_lead'))
+  WITH CHECK (public.admin_role() IN ('facilitator', 'program_lead'));
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.project_reviews TO authenticated;
@@ -0,0 +1,99 @@
+-- Builder portfolios: a read-only page at /portfolio/<share_token> showing a
+-- builder's project, build notes, demo video and project review. Portfolios
+-- are private until the builder makes them public; sections lists the
+-- sections the page may show (the curriculum's portfolio sections, saved when
+-- the builder sets up sharing).
+CREATE TABLE IF NOT EXISTS public.portfolios (
+  session_id UUID PRIMARY KEY,
+  workshop_id UUID REFERENCES public.workshops(id) ON DELETE SET NULL,
+  share_token TEXT NOT NULL UNIQUE DEFAULT replace(uuid_generate_v4()::text, '-', ''),
+  is_public BOOLEAN NOT NULL DEFAULT false,
+  sections TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE public.portfolios IS 'Shareable builder portfolio pages and their privacy setting';
+
+ALTER TABLE public.portfolios ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Builders manage their own portfolio" ON public.portfolios;
+CREATE POLICY "Builders manage their own portfolio"
+  ON public.portfolios
+  FOR ALL
+  TO authenticated
+  USING (
+    session_id IN (SELECT session_id FROM public.builder_sessions WHERE user_id = auth.uid())
+  )
+  WITH CHECK (
+    session_id IN (SELECT session_id FROM public.builder_sessions WHERE user_id = auth.uid())
+  );
+
+DROP POLICY IF EXISTS "Admins read portfolios" ON public.portfolios;
+CREATE POLICY "Admins read portfolios"
+  ON public.portfolios
+  FOR SELECT
+  TO authenticated
+  USING (public.admin_role() IS NOT NULL);
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.portfolios TO authenticated;
+
+-- The portfolio page's data, for anyone with the link to a public portfolio
+-- and for its owner. Team sections come from the team's shared copy. The
+-- builder's email is never included.
+CREATE OR REPLACE FUNCTION public.get_portfolio(p_token TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  portfolio public.portfolios%ROWTYPE;
+  member_team_id UUID;
+BEGIN
+  SELECT * INTO portfolio FROM public.portfolios WHERE share_token = p_token;
+
+  IF NOT FOUND OR NOT (
+    portfolio.is_public
+    OR portfolio.session_id IN (SELECT session_id FROM public.builder_sessions WHERE user_id = auth.uid())
+  ) THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT team_id INTO member_team_id
+  FROM public.team_members
+  WHERE session_id = portfolio.session_id
+  LIMIT 1;
+
+  RETURN jsonb_build_object(
+    'session_id', portfolio.session_id,
+    'is_public', portfolio.is_public,
+    'name', (
+      SELECT input_data->>'name' FROM public.user_inputs
+      WHERE session_id = portfolio.session_id AND section_name = 'User Info'
+      LIMIT 1
+    ),
+    'workshop', (
+      SELECT jsonb_build_object('name', w.name, 'workshop_date', w.workshop_date, 'curriculum_id', w.curriculum_id)
+      FROM public.workshops w
+      WHERE w.id = portfolio.workshop_id
+    ),
+    'sections', COALESCE((
+      SELECT jsonb_object_agg(shown.section_name, shown.input_data)
+      FROM (
+        SELECT DISTINCT ON (section_name) section_name, input_data
+        FROM public.user_inputs
+        WHERE (session_id = portfolio.session_id OR session_id = member_team_id)
+          AND section_name = ANY(portfolio.sections)
+        ORDER BY section_name, (session_id = member_team_id) DESC NULLS LAST
+      ) shown
+    ), '{}'::jsonb),
+    'review', (
+      SELECT review FROM public.project_reviews WHERE session_id = portfolio.session_id
+    )
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_portfolio(TEXT) TO anon, authenticated;
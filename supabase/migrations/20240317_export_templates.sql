@@ -0,0 +1,34 @@
+-- Layouts for the Markdown and PDF exports of builders' workshop journeys,
+-- which go to partner organizations after each cohort. Program leads edit
+-- them; every admin can export with them.
+--   layout: {"title": "{{name}}", "intro": "...", "cohortTitle": "...",
+--            "blocks": [{"type": "sections", "title": "Workshop Sections", "enabled": true}]}
+CREATE TABLE IF NOT EXISTS public.export_templates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name TEXT NOT NULL,
+  layout JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_by UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE public.export_templates IS 'Layouts of builder journey exports';
+
+ALTER TABLE public.export_templates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins read export templates" ON public.export_templates;
+CREATE POLICY "Admins read export templates"
+  ON public.export_templates
+  FOR SELECT
+  TO authenticated
+  USING (public.admin_role() IS NOT NULL);
+
+DROP POLICY IF EXISTS "Program leads manage export templates" ON public.export_templates;
+CREATE POLICY "Program leads manage export templates"
+  ON public.export_templates
+  FOR ALL
+  TO authenticated
+  USING (public.admin_role() = 'program_lead')
+  WITH CHECK (public.admin_role() = 'program_lead');
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.export_templates TO authenticated;
@@ -0,0 +1,231 @@
+-- Joining a team needs its join code. Until now any visitor could read every
+-- team's join_code and any builder could insert their session into any team,
+-- which gave them write access to the team's shared inputs. Now join codes are
+-- only readable by the team, and builders join through join_team(), which
+-- checks the code.
+--
+-- A team's ID is also the session_id of its shared inputs, so it must not be
+-- claimable as a builder session (or the other way round), and who is on which
+-- team is only readable by the team itself, its peer reviewers and admins.
+
+-- Teams are read by their members, the builder who created them and admins
+DROP POLICY IF EXISTS "Anyone can read teams" ON public.teams;
+DROP POLICY IF EXISTS "Members read their team" ON public.teams;
+CREATE POLICY "Members read their team"
+  ON public.teams
+  FOR SELECT
+  TO authenticated
+  USING (
+    public.admin_role() IS NOT NULL
+    OR created_by_session_id IN (SELECT session_id FROM public.builder_sessions WHERE user_id = auth.uid())
+    OR id IN (
+      SELECT tm.team_id FROM public.team_members tm
+      JOIN public.builder_sessions b ON b.session_id = tm.session_id
+      WHERE b.user_id = auth.uid()
+    )
+  );
+
+-- Builders join through join_team() and leave through leave_team()
+DROP POLICY IF EXISTS "Builders manage their own membership" ON public.team_members;
+DROP POLICY IF EXISTS "Builders leave their team" ON public.team_members;
+
+-- Add one of the caller's sessions to the team with this join code. Returns
+-- the team's ID, or NULL if no team has the code. A session already on a team
+-- fails with a unique violation (23505).
+CREATE OR REPLACE FUNCTION public.join_team(p_code TEXT, p_session_id UUID, p_name TEXT DEFAULT NULL)
+RETURNS UUID
+LANGUAGE plpgsql
+VOLATILE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  target_team_id UUID;
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM public.builder_sessions WHERE session_id = p_session_id AND user_id = auth.uid()
+  ) THEN
+    RAISE EXCEPTION 'Session % does not belong to the current user', p_session_id USING ERRCODE = '42501';
+  END IF;
+
+  SELECT id INTO target_team_id
+  FROM public.teams
+  WHERE join_code = upper(regexp_replace(coalesce(p_code, ''), '\s+', '', 'g'));
+
+  IF target_team_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO public.team_members (team_id, session_id, name)
+  VALUES (target_team_id, p_session_id, p_name);
+
+  RETURN target_team_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.join_team(TEXT, UUID, TEXT) FROM public, anon;
+GRANT EXECUTE ON FUNCTION public.join_team(TEXT, UUID, TEXT) TO authenticated;
+
+-- Take one of the caller's sessions off its team. The team is deleted with its
+-- last member, and its shared inputs with it (user_inputs.team_id cascades).
+CREATE OR REPLACE FUNCTION public.leave_team(p_session_id UUID)
+RETURNS void
+LANGUAGE plpgsql
+VOLATILE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  left_team_id UUID;
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM public.builder_sessions WHERE session_id = p_session_id AND user_id = auth.uid()
+  ) THEN
+    RAISE EXCEPTION 'Session % does not belong to the current user', p_session_id USING ERRCODE = '42501';
+  END IF;
+
+  SELECT team_id INTO left_team_id FROM public.team_members WHERE session_id = p_session_id;
+  IF left_team_id IS NULL THEN
+    RETURN;
+  END IF;
+
+  -- Lock the team so the last two members leaving at once can't each see the
+  -- other still on it and leave it behind empty
+  PERFORM 1 FROM public.teams WHERE id = left_team_id FOR UPDATE;
+
+  DELETE FROM public.team_members WHERE session_id = p_session_id;
+
+  IF NOT EXISTS (SELECT 1 FROM public.team_members WHERE team_id = left_team_id) THEN
+    DELETE FROM public.teams WHERE id = left_team_id;
+  END IF;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.leave_team(UUID) FROM public, anon;
+GRANT EXECUTE ON FUNCTION public.leave_team(UUID) TO authenticated;
+
+-- The caller's teams. SECURITY DEFINER so team_members policies can use it
+-- without querying team_members under its own policies.
+CREATE OR REPLACE FUNCTION public.my_team_ids()
+RETURNS SETOF UUID
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT tm.team_id FROM public.team_members tm
+  JOIN public.builder_sessions b ON b.session_id = tm.session_id
+  WHERE b.user_id = auth.uid();
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.my_team_ids() FROM public, anon;
+GRANT EXECUTE ON FUNCTION public.my_team_ids() TO authenticated;
+
+-- The team of a builder the caller peer-reviews, or NULL if the caller has no
+-- feedback assignment for them (or they work alone)
+CREATE OR REPLACE FUNCTION public.reviewee_team_id(p_session_id UUID)
+RETURNS UUID
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT tm.team_id FROM public.team_members tm
+  WHERE tm.session_id = p_session_id
+    AND EXISTS (
+      SELECT 1 FROM public.feedback_assignments a
+      JOIN public.builder_sessions b ON b.session_id = a.reviewer_session_id
+      WHERE a.reviewee_session_id = p_session_id
+        AND b.user_id = auth.uid()
+    );
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.reviewee_team_id(UUID) FROM public, anon;
+GRANT EXECUTE ON FUNCTION public.reviewee_team_id(UUID) TO authenticated;
+
+-- Members are read by their teammates and admins
+DROP POLICY IF EXISTS "Anyone can read team members" ON public.team_members;
+DROP POLICY IF EXISTS "Members read their team's members" ON public.team_members;
+CREATE POLICY "Members read their team's members"
+  ON public.team_members
+  FOR SELECT
+  TO authenticated
+  USING (
+    public.admin_role() IS NOT NULL
+    OR team_id IN (SELECT public.my_team_ids())
+  );
+
+-- Reviewers can no longer read the reviewee's membership, so look the team up
+-- through reviewee_team_id()
+DROP POLICY IF EXISTS "Reviewers read shared inputs" ON public.user_inputs;
+CREATE POLICY "Reviewers read shared inputs"
+  ON public.user_inputs
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1
+      FROM public.feedback_assignments a
+      JOIN public.builder_sessions b ON b.session_id = a.reviewer_session_id
+      WHERE b.user_id = auth.uid()
+        AND (
+          user_inputs.session_id = a.reviewee_session_id
+          OR user_inputs.session_id = public.reviewee_team_id(a.reviewee_session_id)
+        )
+        AND user_inputs.section_name = ANY(a.shared_sections)
+    )
+  );
+
+-- A builder session can't take a team's ID, and its session_id never changes
+-- (builders could otherwise point their row at any session and own its inputs)
+CREATE OR REPLACE FUNCTION public.check_builder_session_id()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.session_id IS DISTINCT FROM OLD.session_id THEN
+    RAISE EXCEPTION 'A builder session''s session_id cannot be changed' USING ERRCODE = '42501';
+  END IF;
+
+  IF TG_OP = 'INSERT' AND EXISTS (SELECT 1 FROM public.teams WHERE id = NEW.session_id) THEN
+    RAISE EXCEPTION 'Session % belongs to a team', NEW.session_id USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS builder_sessions_check_session_id ON public.builder_sessions;
+CREATE TRIGGER builder_sessions_check_session_id
+  BEFORE INSERT OR UPDATE ON public.builder_sessions
+  FOR EACH ROW EXECUTE FUNCTION public.check_builder_session_id();
+
+-- Likewise a team can't take a builder's session ID, and its ID never changes
+CREATE OR REPLACE FUNCTION public.check_team_id()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.id IS DISTINCT FROM OLD.id THEN
+    RAISE EXCEPTION 'A team''s ID cannot be changed' USING ERRCODE = '42501';
+  END IF;
+
+  IF TG_OP = 'INSERT' AND (
+    EXISTS (SELECT 1 FROM public.builder_sessions WHERE session_id = NEW.id)
+    OR EXISTS (SELECT 1 FROM public.user_inputs WHERE session_id = NEW.id)
+  ) THEN
+    RAISE EXCEPTION 'Team ID % is already a builder session', NEW.id USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS teams_check_id ON public.teams;
+CREATE TRIGGER teams_check_id
+  BEFORE INSERT OR UPDATE ON public.teams
+  FOR EACH ROW EXECUTE FUNCTION public.check_team_id();
@@ -0,0 +1,25 @@
+-- video_recordings only had policies for the anon role, but builders are
+-- signed in (authenticated) since builder sign-in, so saving and loading their
+-- reflection videos failed. Builders own the recordings of their sessions,
+-- admins read all. video_recordings.session_id is TEXT, hence the casts.
+DROP POLICY IF EXISTS "Builders manage their own recordings" ON public.video_recordings;
+CREATE POLICY "Builders manage their own recordings"
+  ON public.video_recordings
+  FOR ALL
+  TO authenticated
+  USING (
+    session_id IN (SELECT session_id::text FROM public.builder_sessions WHERE user_id = auth.uid())
+  )
+  WITH CHECK (
+    session_id IN (SELECT session_id::text FROM public.builder_sessions WHERE user_id = auth.uid())
+  );
+
+DROP POLICY IF EXISTS "Admins read recordings" ON public.video_recordings;
+CREATE POLICY "Admins read recordings"
+  ON public.video_recordings
+  FOR SELECT
+  TO authenticated
+  USING (public.admin_role() IS NOT NULL);
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.video_recordings TO authenticated;
+GRANT ALL ON SEQUENCE public.video_recordings_id_seq TO authenticated;